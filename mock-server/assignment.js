@@ -0,0 +1,212 @@
+/**
+ * @fileoverview Lead assignment rules for the mock API server.
+ * Rules are tried in order; the first enabled rule that matches a lead hands it to the next
+ * employee of its pool in round-robin order, skipping employees who are at the rule's cap of
+ * open leads. New leads from the call forms and imports are assigned automatically, and every
+ * automatic assignment and every manual change to one is written to the assignment log.
+ */
+
+const { generateId } = require('./db');
+
+/** @type {Array<string>} Conditions a rule can match on */
+const RULE_MATCHES = ['all', 'timezone', 'source'];
+
+/**
+ * Whether a lead still needs work: assigned leads that are neither signed nor dead
+ *
+ * @function isOpenLead
+ * @param {Object} lead - Lead record
+ * @returns {boolean} Whether the lead counts toward workload
+ */
+const isOpenLead = (lead) => !lead.is_signed && !lead.is_dead;
+
+/**
+ * Open leads per employee
+ *
+ * @function countWorkload
+ * @param {Array<Object>} leads - All leads
+ * @returns {Object<string, number>} Open lead count by employee user id
+ */
+const countWorkload = (leads) => leads.filter(isOpenLead).reduce((counts, lead) => {
+  (lead.assigned_employees || []).forEach(employeeId => {
+    counts[employeeId] = (counts[employeeId] || 0) + 1;
+  });
+  return counts;
+}, {});
+
+/**
+ * Whether a rule applies to a lead
+ *
+ * @function matchesRule
+ * @param {Object} rule - Assignment rule
+ * @param {Object} lead - Lead record
+ * @returns {boolean} Whether the rule matches
+ */
+const matchesRule = (rule, lead) => {
+  if (!rule.enabled) return false;
+  if (rule.match === 'timezone') return rule.values.includes(lead.Timezone);
+  if (rule.match === 'source') return rule.values.includes(lead.source);
+  return true;
+};
+
+/**
+ * Works out who each lead goes to without changing anything. Workload and round-robin
+ * positions are carried from one lead to the next, so the plan matches what applying it does.
+ *
+ * @function planAssignments
+ * @param {Array<Object>} rules - Assignment rules in priority order
+ * @param {Array<Object>} allLeads - All leads, for workload
+ * @param {Array<Object>} targets - Leads to assign
+ * @param {Object<string, number>} cursors - Last used pool position per rule id
+ * @returns {{assignments: Array<Object>, cursors: Object<string, number>}} One assignment per
+ * target, with a null employee_id when nobody could take it, and the updated cursors
+ */
+const planAssignments = (rules, allLeads, targets, cursors) => {
+  const workload = countWorkload(allLeads);
+  const nextCursors = { ...cursors };
+
+  const assignments = targets.map(lead => {
+    const matching = rules.filter(rule => matchesRule(rule, lead));
+    for (const rule of matching) {
+      const pool = rule.employee_ids;
+      const start = (nextCursors[rule.rule_id] ?? -1) + 1;
+      for (let step = 0; step < pool.length; step += 1) {
+        const position = (start + step) % pool.length;
+        const employeeId = pool[position];
+        if (rule.max_open_leads && (workload[employeeId] || 0) >= rule.max_open_leads) continue;
+        nextCursors[rule.rule_id] = position;
+        if (isOpenLead(lead)) workload[employeeId] = (workload[employeeId] || 0) + 1;
+        return {
+          client_id: lead.client_id,
+          employee_id: employeeId,
+          rule_id: rule.rule_id,
+          rule_name: rule.name,
+          reason: `Round-robin in "${rule.name}"`
+        };
+      }
+    }
+    return {
+      client_id: lead.client_id,
+      employee_id: null,
+      rule_id: null,
+      rule_name: null,
+      reason: matching.length
+        ? `Everyone in ${matching.map(rule => `"${rule.name}"`).join(', ')} is at their open lead cap`
+        : 'No rule matches this lead'
+    };
+  });
+
+  return { assignments, cursors: nextCursors };
+};
+
+/**
+ * Display name of a lead for the log
+ *
+ * @function leadName
+ * @param {Object} lead - Lead record
+ * @returns {string} Name
+ */
+const leadName = (lead) =>
+  lead.Stage_Name || [lead.First_Legal_Name, lead.Last_Legal_Name].filter(Boolean).join(' ') || lead.client_id;
+
+/**
+ * Assigns leads with the saved rules and logs each assignment
+ *
+ * @function assignLeads
+ * @param {Object} db - Mock data store
+ * @param {Array<Object>} leads - Leads to assign, already in db.leads
+ * @returns {Array<Object>} The planned assignments
+ */
+const assignLeads = (db, leads) => {
+  const { assignments, cursors } = planAssignments(db.assignmentRules, db.leads, leads, db.assignmentCursors);
+  db.assignmentCursors = cursors;
+  const assignedAt = new Date().toISOString();
+
+  assignments.forEach(assignment => {
+    if (!assignment.employee_id) return;
+    const lead = leads.find(item => item.client_id === assignment.client_id);
+    lead.assigned_employees = [assignment.employee_id];
+    lead.auto_assignment = {
+      rule_id: assignment.rule_id,
+      rule_name: assignment.rule_name,
+      employee_id: assignment.employee_id,
+      assigned_at: assignedAt
+    };
+    db.assignmentLog.push({
+      log_id: generateId('assign'),
+      kind: 'auto',
+      client_id: lead.client_id,
+      lead_name: leadName(lead),
+      rule_id: assignment.rule_id,
+      rule_name: assignment.rule_name,
+      from: [],
+      to: [assignment.employee_id],
+      actor: null,
+      timestamp: assignedAt
+    });
+  });
+
+  return assignments;
+};
+
+/**
+ * Logs a manual change to an automatic assignment; afterwards the lead counts as assigned by hand
+ *
+ * @function recordOverride
+ * @param {Object} db - Mock data store
+ * @param {Object} lead - Lead record, before the change
+ * @param {Array<string>} assignedEmployees - New assignees
+ */
+const recordOverride = (db, lead, assignedEmployees) => {
+  const before = lead.assigned_employees || [];
+  const unchanged = before.length === assignedEmployees.length &&
+    before.every(employeeId => assignedEmployees.includes(employeeId));
+  if (!lead.auto_assignment || unchanged) return;
+
+  const actor = db.employees.find(employee => employee.user_id === db.currentUserId);
+  db.assignmentLog.push({
+    log_id: generateId('assign'),
+    kind: 'override',
+    client_id: lead.client_id,
+    lead_name: leadName(lead),
+    rule_id: lead.auto_assignment.rule_id,
+    rule_name: lead.auto_assignment.rule_name,
+    from: before,
+    to: assignedEmployees,
+    actor: actor ? `${actor.first_name} ${actor.last_name}` : null,
+    timestamp: new Date().toISOString()
+  });
+  lead.auto_assignment = null;
+};
+
+/**
+ * Checks a rule sent by the client
+ *
+ * @function validateRule
+ * @param {Object} rule - Rule to check
+ * @param {Array<Object>} employees - Known employees
+ * @returns {string|null} Problem with the rule, or null when it is valid
+ */
+const validateRule = (rule, employees) => {
+  if (!String(rule.name || '').trim()) return 'Every rule needs a name';
+  if (!RULE_MATCHES.includes(rule.match)) return `"${rule.name}" has an unknown condition`;
+  if (rule.match !== 'all' && !(rule.values || []).length) return `"${rule.name}" needs at least one value to match`;
+  if (!(rule.employee_ids || []).length) return `"${rule.name}" needs at least one employee`;
+  if (rule.employee_ids.some(id => !employees.some(employee => employee.user_id === id))) {
+    return `"${rule.name}" lists an unknown employee`;
+  }
+  if (rule.max_open_leads !== null && rule.max_open_leads !== undefined &&
+    !(Number.isInteger(rule.max_open_leads) && rule.max_open_leads > 0)) {
+    return `The cap of "${rule.name}" must be a positive whole number`;
+  }
+  return null;
+};
+
+module.exports = {
+  assignLeads,
+  countWorkload,
+  leadName,
+  planAssignments,
+  recordOverride,
+  validateRule
+};
@@ -0,0 +1,95 @@
+/**
+ * @jest-environment node
+ */
+
+const { planAssignments, recordOverride } = require('./assignment');
+
+const EAST = { rule_id: 'east', name: 'East coast', enabled: true, match: 'timezone', values: ['EST'], employee_ids: ['e1', 'e2'], max_open_leads: 2 };
+const FALLBACK = { rule_id: 'all', name: 'Everyone else', enabled: true, match: 'all', values: [], employee_ids: ['e3'], max_open_leads: null };
+
+const lead = (clientId, fields) => ({ client_id: clientId, Timezone: 'EST', ...fields });
+
+const employeeIds = ({ assignments }) => assignments.map(assignment => assignment.employee_id);
+
+describe('planAssignments', () => {
+  it('hands matching leads to the rule pool in round-robin order', () => {
+    const plan = planAssignments([EAST, FALLBACK], [], [lead('a'), lead('b'), lead('c')], {});
+
+    expect(employeeIds(plan)).toEqual(['e1', 'e2', 'e1']);
+    expect(plan.assignments[0]).toMatchObject({ rule_id: 'east', rule_name: 'East coast', reason: 'Round-robin in "East coast"' });
+    expect(plan.cursors).toEqual({ east: 0 });
+  });
+
+  it('continues from the saved cursor without changing it', () => {
+    const cursors = { east: 0 };
+
+    expect(employeeIds(planAssignments([EAST], [], [lead('a')], cursors))).toEqual(['e2']);
+    expect(cursors).toEqual({ east: 0 });
+  });
+
+  it('skips employees at the cap of open leads and falls through to the next rule', () => {
+    const open = ['e1', 'e1', 'e2', 'e2'].map((employeeId, index) => lead(`open${index}`, { assigned_employees: [employeeId] }));
+
+    expect(employeeIds(planAssignments([EAST, FALLBACK], open, [lead('a')], {}))).toEqual(['e3']);
+  });
+
+  it('counts only leads that are neither signed nor dead toward the cap', () => {
+    const closed = [
+      lead('signed', { assigned_employees: ['e1'], is_signed: true }),
+      lead('dead', { assigned_employees: ['e1'], is_dead: true }),
+      lead('open', { assigned_employees: ['e1'] })
+    ];
+
+    expect(employeeIds(planAssignments([EAST], closed, [lead('a')], {}))).toEqual(['e1']);
+  });
+
+  it('explains why a lead could not be assigned', () => {
+    const full = ['e1', 'e1', 'e2', 'e2'].map((employeeId, index) => lead(`open${index}`, { assigned_employees: [employeeId] }));
+    const rules = [EAST, { ...FALLBACK, enabled: false }];
+
+    expect(planAssignments(rules, full, [lead('a'), lead('b', { Timezone: 'PST' })], {}).assignments).toEqual([
+      { client_id: 'a', employee_id: null, rule_id: null, rule_name: null, reason: 'Everyone in "East coast" is at their open lead cap' },
+      { client_id: 'b', employee_id: null, rule_id: null, rule_name: null, reason: 'No rule matches this lead' }
+    ]);
+  });
+});
+
+describe('recordOverride', () => {
+  const createDb = () => ({
+    employees: [{ user_id: 'e9', first_name: 'Sam', last_name: 'Lee' }],
+    currentUserId: 'e9',
+    assignmentLog: []
+  });
+  const autoAssigned = () => lead('a', {
+    Stage_Name: 'Ava',
+    assigned_employees: ['e1'],
+    auto_assignment: { rule_id: 'east', rule_name: 'East coast', employee_id: 'e1', assigned_at: '2026-10-19T12:00:00.000Z' }
+  });
+
+  it('logs a manual change to an automatic assignment and marks the lead as assigned by hand', () => {
+    const db = createDb();
+    const record = autoAssigned();
+    recordOverride(db, record, ['e2']);
+
+    expect(db.assignmentLog).toEqual([expect.objectContaining({
+      kind: 'override',
+      client_id: 'a',
+      lead_name: 'Ava',
+      rule_id: 'east',
+      from: ['e1'],
+      to: ['e2'],
+      actor: 'Sam Lee'
+    })]);
+    expect(record.auto_assignment).toBeNull();
+  });
+
+  it('ignores saves that keep the assignees and leads that were assigned by hand', () => {
+    const db = createDb();
+    const record = autoAssigned();
+    recordOverride(db, record, ['e1']);
+    recordOverride(db, { ...record, auto_assignment: null }, ['e2']);
+
+    expect(db.assignmentLog).toEqual([]);
+    expect(record.auto_assignment).not.toBeNull();
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * @fileoverview Partner commission plans for the mock API server.
+ * A plan says what a partner earns from the payouts of the clients they referred or monetized:
+ * a percentage of each payout, a flat fee per payout, or marginal percentage tiers over the
+ * month's payout volume. Plans of one partner and basis may not overlap in time. The ledger
+ * itself is computed by the client from the payouts; the server stores plans and the payments
+ * made against monthly statements. A month with a recorded payment is closed: plans may not be
+ * created, changed or deleted in a way that changes the commission of a closed month.
+ */
+
+/** @type {Array<string>} Commission types */
+const COMMISSION_TYPES = ['percentage', 'flat', 'tiered'];
+
+/** @type {Array<string>} Which client link a plan pays for */
+const COMMISSION_BASES = ['referred', 'monetized'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MONTH_PATTERN = /^\d{4}-\d{2}$/;
+
+/**
+ * Whether a value is a percentage above 0 and at most 100
+ *
+ * @function isRate
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether it is a valid rate
+ */
+const isRate = (value) => typeof value === 'number' && value > 0 && value <= 100;
+
+/**
+ * Keeps the fields of a plan that apply to its type
+ *
+ * @function normalizePlan
+ * @param {Object} body - Plan sent by the client
+ * @returns {Object} Plan without the plan_id
+ */
+const normalizePlan = (body) => ({
+  partner_id: body.partner_id,
+  basis: body.basis,
+  type: body.type,
+  rate: body.type === 'percentage' ? body.rate : null,
+  flat_amount: body.type === 'flat' ? body.flat_amount : null,
+  tiers: body.type === 'tiered' ? body.tiers : [],
+  effective_from: body.effective_from,
+  effective_to: body.effective_to || null
+});
+
+/**
+ * Whether two plans' effective ranges share a day; a missing end date is open-ended
+ *
+ * @function rangesOverlap
+ * @param {Object} a - Plan
+ * @param {Object} b - Plan
+ * @returns {boolean} Whether they overlap
+ */
+const rangesOverlap = (a, b) =>
+  (!a.effective_to || b.effective_from <= a.effective_to) &&
+  (!b.effective_to || a.effective_from <= b.effective_to);
+
+/**
+ * Checks a plan sent by the client
+ *
+ * @function validatePlan
+ * @param {Object} plan - Normalized plan, with its plan_id when it is being updated
+ * @param {Object} db - Mock data store
+ * @returns {string|null} Problem with the plan, or null when it is valid
+ */
+const validatePlan = (plan, db) => {
+  if (!db.partners.some(partner => partner.id === plan.partner_id)) return 'Unknown partner';
+  if (!COMMISSION_BASES.includes(plan.basis)) return 'basis must be "referred" or "monetized"';
+  if (!COMMISSION_TYPES.includes(plan.type)) return 'type must be "percentage", "flat" or "tiered"';
+  if (plan.type === 'percentage' && !isRate(plan.rate)) return 'rate must be above 0 and at most 100';
+  if (plan.type === 'flat' && !(typeof plan.flat_amount === 'number' && plan.flat_amount > 0)) {
+    return 'flat_amount must be a positive number';
+  }
+  if (plan.type === 'tiered') {
+    const { tiers } = plan;
+    if (!Array.isArray(tiers) || !tiers.length) return 'A tiered plan needs at least one tier';
+    if (!tiers.every(tier => isRate(tier.rate))) return 'Every tier rate must be above 0 and at most 100';
+    if (tiers[tiers.length - 1].up_to !== null) return 'The last tier must have no upper limit';
+    const limits = tiers.slice(0, -1).map(tier => tier.up_to);
+    if (!limits.every((limit, index) => typeof limit === 'number' && limit > (index ? limits[index - 1] : 0))) {
+      return 'Tier limits must be positive and increasing';
+    }
+  }
+  if (!DATE_PATTERN.test(plan.effective_from || '')) return 'effective_from must be a YYYY-MM-DD date';
+  if (plan.effective_to && (!DATE_PATTERN.test(plan.effective_to) || plan.effective_to < plan.effective_from)) {
+    return 'effective_to must be a YYYY-MM-DD date on or after effective_from';
+  }
+
+  const overlapping = db.commissionPlans.find(other =>
+    other.plan_id !== plan.plan_id &&
+    other.partner_id === plan.partner_id &&
+    other.basis === plan.basis &&
+    rangesOverlap(other, plan)
+  );
+  if (overlapping) {
+    return `Overlaps the ${overlapping.type} plan effective from ${overlapping.effective_from}`;
+  }
+  return null;
+};
+
+/**
+ * The part of a plan that applies in one month, or null when the plan does not apply in it
+ *
+ * @function planInMonth
+ * @param {Object|null} plan - Plan
+ * @param {string} partnerId - Partner the month belongs to
+ * @param {string} month - Month as YYYY-MM
+ * @returns {Object|null} Commission terms and the days of the month they cover
+ */
+const planInMonth = (plan, partnerId, month) => {
+  if (!plan || plan.partner_id !== partnerId) return null;
+  const [year, monthNumber] = month.split('-').map(Number);
+  const lastDay = `${month}-${String(new Date(Date.UTC(year, monthNumber, 0)).getUTCDate()).padStart(2, '0')}`;
+  const from = plan.effective_from > `${month}-01` ? plan.effective_from : `${month}-01`;
+  const to = plan.effective_to && plan.effective_to < lastDay ? plan.effective_to : lastDay;
+  if (from > to) return null;
+  const { basis, type, rate, flat_amount: flatAmount, tiers } = plan;
+  return { basis, type, rate, flatAmount, tiers, from, to };
+};
+
+/**
+ * Finds a closed month whose commission a plan change would alter
+ *
+ * @function findClosedMonth
+ * @param {Object|null} before - Plan as stored, null when it is being created
+ * @param {Object|null} after - Plan as it would be saved, null when it is being deleted
+ * @param {Object} db - Mock data store
+ * @returns {string|null} First affected month as YYYY-MM, or null when no closed month changes
+ */
+const findClosedMonth = (before, after, db) => {
+  const partnerIds = [before?.partner_id, after?.partner_id].filter(Boolean);
+  const closed = db.commissionPayments
+    .filter(payment => partnerIds.includes(payment.partner_id))
+    .sort((a, b) => a.month.localeCompare(b.month));
+  const affected = closed.find(({ partner_id: partnerId, month }) =>
+    JSON.stringify(planInMonth(before, partnerId, month)) !== JSON.stringify(planInMonth(after, partnerId, month))
+  );
+  return affected ? affected.month : null;
+};
+
+/**
+ * Checks a payment against a monthly statement
+ *
+ * @function validatePayment
+ * @param {Object} body - Payment sent by the client
+ * @param {Object} db - Mock data store
+ * @returns {string|null} Problem with the payment, or null when it is valid
+ */
+const validatePayment = (body, db) => {
+  if (!db.partners.some(partner => partner.id === body.partner_id)) return 'Unknown partner';
+  if (!MONTH_PATTERN.test(body.month || '')) return 'month must be YYYY-MM';
+  if (!(typeof body.amount === 'number' && body.amount > 0)) return 'amount must be a positive number';
+  return null;
+};
+
+module.exports = {
+  findClosedMonth,
+  normalizePlan,
+  validatePayment,
+  validatePlan
+};
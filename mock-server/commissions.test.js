@@ -0,0 +1,80 @@
+/**
+ * @jest-environment node
+ */
+
+const { findClosedMonth, normalizePlan, validatePlan } = require('./commissions');
+
+const createDb = ({ commissionPlans = [], commissionPayments = [] } = {}) => ({
+  partners: [{ id: 'p1' }, { id: 'p2' }],
+  commissionPlans,
+  commissionPayments
+});
+
+const percentagePlan = (fields) => normalizePlan({
+  partner_id: 'p1',
+  basis: 'referred',
+  type: 'percentage',
+  rate: 10,
+  effective_from: '2026-01-01',
+  ...fields
+});
+
+describe('validatePlan', () => {
+  it('accepts a valid plan', () => {
+    expect(validatePlan(percentagePlan(), createDb())).toBeNull();
+  });
+
+  it('rejects unknown partners and invalid rates', () => {
+    expect(validatePlan(percentagePlan({ partner_id: 'p9' }), createDb())).toBe('Unknown partner');
+    expect(validatePlan(percentagePlan({ rate: 0 }), createDb())).toBe('rate must be above 0 and at most 100');
+  });
+
+  it('requires increasing tier limits ending in an open tier', () => {
+    const tiered = (tiers) => normalizePlan({ partner_id: 'p1', basis: 'referred', type: 'tiered', tiers, effective_from: '2026-01-01' });
+
+    expect(validatePlan(tiered([{ up_to: 1000, rate: 10 }, { up_to: null, rate: 20 }]), createDb())).toBeNull();
+    expect(validatePlan(tiered([{ up_to: 1000, rate: 10 }]), createDb())).toBe('The last tier must have no upper limit');
+    expect(validatePlan(tiered([{ up_to: 1000, rate: 10 }, { up_to: 500, rate: 15 }, { up_to: null, rate: 20 }]), createDb()))
+      .toBe('Tier limits must be positive and increasing');
+  });
+
+  it('rejects an end date before the start date', () => {
+    expect(validatePlan(percentagePlan({ effective_to: '2025-12-31' }), createDb()))
+      .toBe('effective_to must be a YYYY-MM-DD date on or after effective_from');
+  });
+
+  it('rejects plans that overlap another plan of the same partner and basis', () => {
+    const db = createDb({ commissionPlans: [{ ...percentagePlan({ effective_to: '2026-03-31' }), plan_id: 'existing' }] });
+
+    expect(validatePlan(percentagePlan({ effective_from: '2026-03-01' }), db))
+      .toBe('Overlaps the percentage plan effective from 2026-01-01');
+    expect(validatePlan(percentagePlan({ effective_from: '2026-04-01' }), db)).toBeNull();
+    expect(validatePlan(percentagePlan({ basis: 'monetized' }), db)).toBeNull();
+    expect(validatePlan({ ...percentagePlan({ rate: 12 }), plan_id: 'existing' }, db)).toBeNull();
+  });
+});
+
+describe('findClosedMonth', () => {
+  const stored = { ...percentagePlan(), plan_id: 'existing' };
+  const db = createDb({
+    commissionPlans: [stored],
+    commissionPayments: [{ partner_id: 'p1', month: '2026-02', amount: 50 }]
+  });
+
+  it('finds a paid month whose commission a change would alter', () => {
+    expect(findClosedMonth(stored, { ...stored, rate: 12 }, db)).toBe('2026-02');
+    expect(findClosedMonth(stored, null, db)).toBe('2026-02');
+    expect(findClosedMonth(null, percentagePlan({ basis: 'monetized', effective_from: '2026-02-15' }), db)).toBe('2026-02');
+  });
+
+  it('allows changes that only affect open months', () => {
+    expect(findClosedMonth(stored, { ...stored, effective_to: '2026-03-31' }, db)).toBeNull();
+    expect(findClosedMonth(null, percentagePlan({ basis: 'monetized', effective_from: '2026-03-01' }), db)).toBeNull();
+  });
+
+  it('ignores payments of other partners', () => {
+    const other = { ...percentagePlan({ partner_id: 'p2' }), plan_id: 'other' };
+
+    expect(findClosedMonth(other, { ...other, rate: 12 }, db)).toBeNull();
+  });
+});
@@ -0,0 +1,286 @@
+/**
+ * @fileoverview In-memory data store for the mock API server.
+ * Loads the JSON fixtures once at startup and resolves relative `day` offsets
+ * into real dates so the seeded data always lines up with "today".
+ * Writes made through the mock API live until the server restarts.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_STATS_REFRESH_SETTINGS, followerGrowth, historyFor, seedStatsHistory } = require('./statsHistory');
+const { DEFAULT_FOLLOW_UP_SETTINGS, applyFollowUp } = require('./followUps');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+/**
+ * Reads and parses a fixture file
+ *
+ * @function loadFixture
+ * @param {string} name - Fixture file name without extension
+ * @returns {*} Parsed fixture data
+ */
+const loadFixture = (name) =>
+  JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.json`), 'utf8'));
+
+/**
+ * Returns a Date shifted from today by a number of days
+ *
+ * @function shiftDays
+ * @param {number} days - Offset in days, negative for the past
+ * @returns {Date} Shifted date at local midnight
+ */
+const shiftDays = (days) => {
+  const date = new Date();
+  date.setHours(0, 0, 0, 0);
+  date.setDate(date.getDate() + days);
+  return date;
+};
+
+/**
+ * Formats a day offset as YYYY-MM-DD, the format used by the upload grids
+ *
+ * @function toDateString
+ * @param {number} days - Offset in days from today
+ * @returns {string} Date string
+ */
+const toDateString = (days) => {
+  const date = shiftDays(days);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Formats a day offset as an ISO timestamp at 15:00 UTC
+ *
+ * @function toTimestamp
+ * @param {number} days - Offset in days from today
+ * @returns {string} ISO timestamp
+ */
+const toTimestamp = (days) => `${toDateString(days)}T15:00:00Z`;
+
+/**
+ * Builds a session folder id in the `F(MM-DD-YYYY)_clientId` format used by the uploader
+ *
+ * @function toFolderId
+ * @param {number} days - Offset in days from today
+ * @param {string} clientId - Client identifier
+ * @returns {string} Folder id
+ */
+const toFolderId = (days, clientId) => {
+  const [year, month, day] = toDateString(days).split('-');
+  return `F(${month}-${day}-${year})_${clientId}`;
+};
+
+/**
+ * Converts a YYYY-MM-DD date into the matching session folder id
+ *
+ * @function dateToFolderId
+ * @param {string} date - Date string
+ * @param {string} clientId - Client identifier
+ * @returns {string} Folder id
+ */
+const dateToFolderId = (date, clientId) => {
+  const [year, month, day] = date.split('-');
+  return `F(${month}-${day}-${year})_${clientId}`;
+};
+
+let idCounter = 10000;
+
+/**
+ * Generates a unique id for records created through the mock API
+ *
+ * @function generateId
+ * @param {string} prefix - Id prefix, e.g. `task`
+ * @returns {string} New id
+ */
+const generateId = (prefix) => `${prefix}-${++idCounter}`;
+
+/**
+ * Resolves relative dates in the CDN collections and fills in CDN links
+ *
+ * @function resolveCollections
+ * @param {Object<string, Array<Object>>} collections - Raw collection fixtures
+ * @param {string} mediaUrl - Base URL used for CDN links
+ * @returns {Object<string, Array<Object>>} Collections with session ids and dates
+ */
+const resolveCollections = (collections, mediaUrl) => {
+  Object.entries(collections).forEach(([collection, docs]) => {
+    docs.forEach(doc => {
+      doc.sessions.forEach(session => {
+        session.session_id = session.session_id || toFolderId(session.day, doc.client_id);
+        session.date = toDateString(session.day);
+        session.scan_date = toTimestamp(session.day);
+        session.total_files_count = session.files.length;
+        session.files.forEach(file => {
+          file.CDN_link = `${mediaUrl}/sc/${doc.client_id}/${collection.toUpperCase()}/${session.session_id}/${file.file_name}`;
+          file.thumbnail = file.file_type === 'video' ? file.CDN_link.replace(/\.\w+$/, '.jpg') : file.CDN_link;
+          file.upload_time = session.scan_date;
+          file.folder_id = session.session_id;
+        });
+      });
+    });
+  });
+  return collections;
+};
+
+/**
+ * Builds a fresh copy of the seeded data
+ *
+ * @function createDb
+ * @param {Object} [options] - Store options
+ * @param {string} [options.mediaUrl] - Base URL used for CDN media links
+ * @returns {Object} Mutable data store
+ */
+const createDb = ({ mediaUrl = 'https://snapped2.b-cdn.net' } = {}) => {
+  const employees = loadFixture('employees');
+  const cdn = loadFixture('cdn');
+  const tasks = loadFixture('tasks');
+  const survey = loadFixture('survey');
+  const payments = loadFixture('payments');
+  const settings = loadFixture('settings');
+  const leads = loadFixture('leads');
+  leads.forEach(lead => {
+    lead.stats_updated_at = toTimestamp(lead.stats_updated_day);
+    delete lead.stats_updated_day;
+  });
+  const statsSnapshots = seedStatsHistory(leads);
+  leads.forEach(lead => {
+    lead.Follower_Growth_30d = followerGrowth(historyFor(statsSnapshots, lead.client_id));
+  });
+  const notes = tasks.notes.map(({ day, next_contact_day, ...note }) => ({
+    ...note,
+    timestamp: toTimestamp(day),
+    ...(next_contact_day !== undefined && { next_contact: toDateString(next_contact_day) })
+  }));
+  leads.forEach(lead => applyFollowUp(lead, notes));
+
+  return {
+    mediaUrl,
+    currentUserId: employees.employees[0].user_id,
+    leads,
+    statsSnapshots,
+    partners: loadFixture('partners'),
+    settings,
+    settingsVersions: [{
+      version: 1,
+      settings,
+      note: 'Initial settings',
+      created_by: employees.employees[0].email,
+      created_at: toTimestamp(-30)
+    }],
+    activity: loadFixture('activity'),
+    gridViews: [{
+      view_id: 'view-1',
+      name: 'Recently signed',
+      owner_id: employees.employees[1].user_id,
+      shared: true,
+      state: {
+        activeTab: 'Signed',
+        searchTerm: '',
+        columnState: [{ colId: 'created_at', hide: false, sort: 'desc', sortIndex: 0 }],
+        filterModel: {}
+      },
+      created_at: toTimestamp(-14),
+      updated_at: toTimestamp(-14)
+    }],
+    gridViewDefaults: {},
+    assignmentRules: [
+      {
+        rule_id: 'rule-1',
+        name: 'Moxy referrals',
+        enabled: true,
+        match: 'source',
+        values: ['moxy'],
+        employee_ids: [employees.employees[1].user_id],
+        max_open_leads: null
+      },
+      {
+        rule_id: 'rule-2',
+        name: 'Everyone else',
+        enabled: true,
+        match: 'all',
+        values: [],
+        employee_ids: [employees.employees[0].user_id, employees.employees[2].user_id],
+        max_open_leads: 5
+      }
+    ],
+    assignmentCursors: {},
+    assignmentLog: [],
+    leadEvents: [
+      {
+        event_id: 'event-1',
+        client_id: 'ab1001',
+        type: 'approval',
+        approved: true,
+        actor: 'Riley Chen',
+        timestamp: toTimestamp(-20)
+      },
+      {
+        event_id: 'event-2',
+        client_id: 'ab1001',
+        type: 'payout_sync',
+        previous_email: null,
+        payout_email: 'payouts+ab1001@example.com',
+        actor: 'Sam Ortiz',
+        timestamp: toTimestamp(-15)
+      }
+    ],
+    employees: employees.employees,
+    timesheetEntries: employees.timesheetEntries.map(({ day, ...entry }) => ({
+      ...entry,
+      date: toDateString(day),
+      created_at: toTimestamp(day)
+    })),
+    invoices: employees.invoices.map(({ start_day, ...invoice }) => ({
+      ...invoice,
+      start_date: toDateString(start_day)
+    })),
+    collections: resolveCollections(cdn.collections, mediaUrl),
+    editorNotes: cdn.editorNotes.map(({ day, ...note }) => ({
+      ...note,
+      folder_id: toFolderId(day, note.client_id),
+      pinned: false,
+      created_at: toTimestamp(day)
+    })),
+    contentFlags: cdn.contentFlags.map(({ day, ...flag }) => ({
+      ...flag,
+      folder_id: toFolderId(day, flag.client_id)
+    })),
+    contentNotes: [],
+    tasks: tasks.tasks.map(({ due_day, created_day, ...task }) => ({
+      ...task,
+      due_date: toDateString(due_day),
+      created_at: toTimestamp(created_day)
+    })),
+    notes,
+    followUpSettings: { ...DEFAULT_FOLLOW_UP_SETTINGS },
+    statsRefreshSettings: { ...DEFAULT_STATS_REFRESH_SETTINGS },
+    statsRefreshLease: { holder_id: null, expires_at: null, last_finished_at: null },
+    questions: survey.questions,
+    surveyResponses: survey.responses,
+    payouts: payments.payouts.map(payout => ({
+      ...payout,
+      creator_pulls: payout.creator_pulls.map(({ day, ...pull }) => ({ ...pull, pull_date: toTimestamp(day) }))
+    })),
+    payees: payments.payees,
+    splitProfiles: payments.splitProfiles,
+    commissionPlans: payments.commissionPlans,
+    commissionPayments: payments.commissionPayments.map(({ day, paid_day, ...payment }) => ({
+      ...payment,
+      month: toDateString(day).slice(0, 7),
+      paid_at: toTimestamp(paid_day)
+    })),
+    splits: [],
+    contracts: []
+  };
+};
+
+module.exports = {
+  createDb,
+  generateId,
+  toDateString,
+  toTimestamp,
+  toFolderId,
+  dateToFolderId
+};
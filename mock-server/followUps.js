@@ -0,0 +1,72 @@
+/**
+ * @fileoverview Follow-up tracking for the mock API server.
+ * A conversation note can carry a `next_contact` date; the newest conversation note of a lead
+ * decides when the lead is contacted next and by whom. The lead keeps a copy of those fields
+ * so the grid can show them without loading every note.
+ */
+
+/** @type {Object} Default first-contact SLA */
+const DEFAULT_FOLLOW_UP_SETTINGS = { first_contact_hours: 48 };
+
+/**
+ * Copies the follow-up state of a lead's newest conversation note onto the lead
+ *
+ * @function applyFollowUp
+ * @param {Object} lead - Lead record, updated in place
+ * @param {Array<Object>} notes - All notes
+ * @returns {Object} The lead's follow-up fields
+ */
+const applyFollowUp = (lead, notes) => {
+  const latest = notes
+    .filter(note => note.client_id === lead.client_id && note.type === 'conversation')
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0];
+
+  lead.Last_Contacted = latest ? latest.timestamp : null;
+  lead.Next_Follow_Up = latest?.next_contact || null;
+  lead.Follow_Up_Owner = latest?.next_contact ? latest.author_id || null : null;
+
+  return {
+    Last_Contacted: lead.Last_Contacted,
+    Next_Follow_Up: lead.Next_Follow_Up,
+    Follow_Up_Owner: lead.Follow_Up_Owner
+  };
+};
+
+/**
+ * Follow-ups of an employee that are due today or overdue: leads they set the follow-up on,
+ * or leads assigned to them whose follow-up nobody owns
+ *
+ * @function dueFollowUps
+ * @param {Array<Object>} leads - All leads
+ * @param {Array<Object>} notes - All notes
+ * @param {string} employeeId - Employee user id
+ * @param {string} today - Today as YYYY-MM-DD
+ * @returns {Array<Object>} Follow-ups, most overdue first
+ */
+const dueFollowUps = (leads, notes, employeeId, today) =>
+  leads
+    .filter(lead => !lead.is_dead && lead.Next_Follow_Up && lead.Next_Follow_Up <= today)
+    .filter(lead => lead.Follow_Up_Owner
+      ? lead.Follow_Up_Owner === employeeId
+      : (lead.assigned_employees || []).includes(employeeId))
+    .sort((a, b) => a.Next_Follow_Up.localeCompare(b.Next_Follow_Up))
+    .map(lead => {
+      const lastNote = notes
+        .filter(note => note.client_id === lead.client_id && note.type === 'conversation')
+        .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0];
+      return {
+        client_id: lead.client_id,
+        name: `${lead.First_Legal_Name || ''} ${lead.Last_Legal_Name || ''}`.trim(),
+        stage_name: lead.Stage_Name || '',
+        next_contact: lead.Next_Follow_Up,
+        overdue: lead.Next_Follow_Up < today,
+        last_contacted: lead.Last_Contacted,
+        last_note: lastNote ? lastNote.text : ''
+      };
+    });
+
+module.exports = {
+  DEFAULT_FOLLOW_UP_SETTINGS,
+  applyFollowUp,
+  dueFollowUps
+};
@@ -0,0 +1,127 @@
+/**
+ * @fileoverview Minimal path router for the mock API server.
+ * Matches method + pathname against registered patterns such as `/api/leads/:leadId`
+ * and returns the handler with the extracted path parameters.
+ */
+
+/**
+ * @typedef {Object} MockRequest
+ * @property {Object<string, string>} params - Path parameters extracted from the pattern
+ * @property {Object<string, string>} query - Query string parameters
+ * @property {*} body - Parsed JSON request body, or an empty object
+ * @property {Object<string, string>} headers - Request headers
+ */
+
+/**
+ * @typedef {Object} MockResponse
+ * @property {number} status - HTTP status code
+ * @property {*} body - Response payload, serialized as JSON unless it is a string
+ * @property {string} [contentType] - Content type override for non-JSON payloads
+ */
+
+/**
+ * @callback RouteHandler
+ * @param {MockRequest} req - Incoming request
+ * @returns {*|MockResponse} Response body, or a full response created with `respond`
+ */
+
+/**
+ * Creates a full response with an explicit status code
+ *
+ * @function respond
+ * @param {number} status - HTTP status code
+ * @param {*} body - Response payload
+ * @param {string} [contentType] - Content type override
+ * @returns {MockResponse} Response object
+ */
+const respond = (status, body, contentType) => ({ __mockResponse: true, status, body, contentType });
+
+/**
+ * Creates a FastAPI-style error response
+ *
+ * @function fail
+ * @param {number} status - HTTP status code
+ * @param {string} detail - Error detail message
+ * @returns {MockResponse} Error response
+ */
+const fail = (status, detail) => respond(status, { detail });
+
+/**
+ * Splits a pathname into decoded segments, ignoring leading and trailing slashes
+ *
+ * @function toSegments
+ * @param {string} pathname - URL pathname
+ * @returns {Array<string>} Path segments
+ * @throws {URIError} When a segment has a malformed percent escape
+ */
+const toSegments = (pathname) => pathname.split('/').filter(Boolean).map(decodeURIComponent);
+
+/**
+ * Creates a router with Express-like registration helpers
+ *
+ * @function createRouter
+ * @returns {Object} Router with get/post/put/delete registration and a match function
+ */
+const createRouter = () => {
+  const routes = [];
+
+  const register = (method) => (pattern, handler) => {
+    routes.push({ method, pattern, segments: toSegments(pattern), handler });
+  };
+
+  /**
+   * Finds the first route matching a request
+   *
+   * @param {string} method - HTTP method
+   * @param {string} pathname - URL pathname
+   * @returns {{handler: RouteHandler, params: Object<string, string>}|null} Match, or null
+   * @throws {URIError} When the pathname has a malformed percent escape
+   */
+  const match = (method, pathname) => {
+    const segments = toSegments(pathname);
+
+    for (const route of routes) {
+      if (route.method !== method) continue;
+
+      const params = {};
+      let matched = true;
+
+      for (let i = 0; i < route.segments.length; i++) {
+        const expected = route.segments[i];
+        if (expected.startsWith('*')) {
+          params[expected.slice(1)] = segments.slice(i).join('/');
+          matched = segments.length > i;
+          break;
+        }
+        if (i >= segments.length) {
+          matched = false;
+          break;
+        }
+        if (expected.startsWith(':')) {
+          params[expected.slice(1)] = segments[i];
+        } else if (expected !== segments[i]) {
+          matched = false;
+          break;
+        }
+      }
+
+      const isWildcard = route.segments[route.segments.length - 1]?.startsWith('*');
+      if (matched && (isWildcard || segments.length === route.segments.length)) {
+        return { handler: route.handler, params };
+      }
+    }
+
+    return null;
+  };
+
+  return {
+    get: register('GET'),
+    post: register('POST'),
+    put: register('PUT'),
+    delete: register('DELETE'),
+    match,
+    routes
+  };
+};
+
+module.exports = { createRouter, respond, fail };
@@ -0,0 +1,150 @@
+/**
+ * @fileoverview Mock routes for Snapchat analytics and the mobile view counters.
+ * Serves the ANALYTICS namespace of API_ENDPOINTS. Daily metrics are derived from
+ * a hash of the client id and date so repeated requests return the same numbers.
+ */
+
+const { toDateString } = require('../db');
+
+/**
+ * Returns a stable pseudo-random number in [0, 1) for a seed string
+ *
+ * @function seeded
+ * @param {string} seed - Seed string
+ * @returns {number} Pseudo-random number
+ */
+const seeded = (seed) => {
+  let hash = 0;
+  for (let i = 0; i < seed.length; i += 1) {
+    hash = (hash * 31 + seed.charCodeAt(i)) % 2147483647;
+  }
+  return (hash % 10000) / 10000;
+};
+
+/**
+ * Builds one day of Snapchat metrics for a client
+ *
+ * @function buildDailyMetrics
+ * @param {string} clientId - Client identifier
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {number} followers - Snapchat follower count used to scale the numbers
+ * @returns {Object} Daily metrics
+ */
+const buildDailyMetrics = (clientId, date, followers) => {
+  const base = Math.max(followers, 1000) * (0.2 + seeded(`${clientId}:${date}`) * 0.6);
+  const views = Math.round(base);
+  return {
+    date,
+    views,
+    impressions: Math.round(views * 1.35),
+    reach: Math.round(views * 0.82),
+    replies: Math.round(views * 0.004),
+    screenshots: Math.round(views * 0.002),
+    shares: Math.round(views * 0.003),
+    swipe_ups: Math.round(views * 0.006),
+    story_view_time: Math.round(views * 4.2),
+    snap_view_time: Math.round(views * 3.1),
+    saved_story_view_time: Math.round(views * 0.7),
+    avg_view_time: 4.2
+  };
+};
+
+/**
+ * Normalizes a query date to YYYY-MM-DD. The analytics dashboard sends MM-DD-YYYY.
+ *
+ * @function normalizeDate
+ * @param {string} date - Date in YYYY-MM-DD or MM-DD-YYYY format
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+const normalizeDate = (date) => {
+  const match = /^(\d{2})-(\d{2})-(\d{4})$/.exec(date);
+  return match ? `${match[3]}-${match[1]}-${match[2]}` : date;
+};
+
+/**
+ * Lists the dates between two query dates, inclusive
+ *
+ * @function dateRange
+ * @param {string} [start] - First date, defaults to 30 days ago
+ * @param {string} [end] - Last date, defaults to today
+ * @returns {Array<string>} Dates in ascending order, as YYYY-MM-DD
+ */
+const dateRange = (start = toDateString(-30), end = toDateString(0)) => {
+  const dates = [];
+  const cursor = new Date(`${normalizeDate(start)}T00:00:00Z`);
+  const last = new Date(`${normalizeDate(end)}T00:00:00Z`);
+  while (cursor <= last && dates.length < 366) {
+    dates.push(cursor.toISOString().slice(0, 10));
+    cursor.setUTCDate(cursor.getUTCDate() + 1);
+  }
+  return dates;
+};
+
+/**
+ * Registers analytics routes
+ *
+ * @param {Object} router - Mock router
+ * @param {Object} db - Mock data store
+ */
+module.exports = (router, db) => {
+  const followersOf = (clientId) => db.leads.find(lead => lead.client_id === clientId)?.Snap_Followers || 0;
+
+  const summarize = (clientId, dates) => {
+    const daily = dates.map(date => buildDailyMetrics(clientId, date, followersOf(clientId)));
+    const sum = (key) => daily.reduce((total, day) => total + day[key], 0);
+    return {
+      client_id: clientId,
+      total_views: sum('views'),
+      impressions: sum('impressions'),
+      reach: sum('reach'),
+      snap_view_time: sum('snap_view_time'),
+      story_view_time: sum('story_view_time'),
+      daily_metrics: daily
+    };
+  };
+
+  router.get('/api/analytics/clients', () => ({
+    status: 'success',
+    data: db.leads
+      .filter(lead => lead.is_signed && lead.client_id)
+      .map(lead => ({
+        client_id: lead.client_id,
+        user_id: lead.client_id,
+        snap_profile_name: lead.Snap_Username,
+        username: lead.Snap_Username
+      }))
+  }));
+
+  router.get('/api/analytics/snapchat', ({ query }) => ({
+    status: 'success',
+    data: summarize(query.client_id, dateRange(query.start_date, query.end_date))
+  }));
+
+  router.get('/api/analytics/snapchat/single', ({ query }) => ({
+    status: 'success',
+    data: buildDailyMetrics(query.client_id, query.date || toDateString(-1), followersOf(query.client_id))
+  }));
+
+  router.get('/api/analytics/snapchat/metrics', ({ query }) => {
+    const { impressions, reach, story_view_time } = summarize(query.client_id, dateRange(query.start_date, query.end_date));
+    return { status: 'success', data: { impressions, reach, story_view_time } };
+  });
+
+  router.post('/api/analytics/upload/snapchat', () => ({
+    status: 'success',
+    message: 'Analytics file processed'
+  }));
+
+  router.get('/api/analytics/mobile', ({ query }) => {
+    const ids = (query.user_ids || '').split(',').filter(Boolean);
+    const totalFor = (dates) => ids.reduce((total, id) => total + summarize(id, dates).total_views, 0);
+    return {
+      status: 'success',
+      total_views: totalFor(dateRange()),
+      seven_day_views: totalFor(dateRange(toDateString(-7)))
+    };
+  });
+
+  router.post('/api/analytics/sync/vista', () => ({ status: 'success' }));
+  router.post('/api/analytics/sync/profile', () => ({ status: 'success' }));
+};
@@ -0,0 +1,355 @@
+/**
+ * @fileoverview Mock routes for CDN browsing, editor notes, content dumps and desktop uploads.
+ * Serves the CDN, CDN_MONGO, CONTENT_DUMP and DESKTOP_UPLOAD namespaces of API_ENDPOINTS
+ * from the seeded collections in fixtures/cdn.json.
+ */
+
+const { fail } = require('../router');
+
+/**
+ * Registers CDN routes
+ *
+ * @param {Object} router - Mock router
+ * @param {Object} db - Mock data store
+ */
+module.exports = (router, db) => {
+  const findLead = (clientId) => db.leads.find(lead => lead.client_id === clientId);
+
+  /**
+   * Finds a session by id across every collection
+   * @param {string} sessionId - Session folder id
+   * @returns {{collection: string, doc: Object, session: Object}|null} Match, or null
+   */
+  const findSession = (sessionId) => {
+    for (const [collection, docs] of Object.entries(db.collections)) {
+      for (const doc of docs) {
+        const session = doc.sessions.find(item => item.session_id === sessionId);
+        if (session) return { collection, doc, session };
+      }
+    }
+    return null;
+  };
+
+  /**
+   * Finds the session named by any segment of a slash path
+   * @param {string} [path] - Path such as `Uploads/ab1001/F(10-19-2026)_ab1001/file.mp4`
+   * @returns {{collection: string, doc: Object, session: Object}|null} Match, or null
+   */
+  const sessionFromPath = (path = '') =>
+    path.split('/').filter(Boolean).map(findSession).find(Boolean) || null;
+
+  /**
+   * Applies `seq_number`s from a reorder request and sorts the session files
+   * @param {Object} session - Session to reorder
+   * @param {Array<{file_name: string, seq_number: number}>} [order] - New order
+   */
+  const applyOrder = (session, order = []) => {
+    order.forEach(({ file_name, seq_number }) => {
+      const file = session.files.find(item => item.file_name === file_name);
+      if (file) file.seq_number = seq_number;
+    });
+    session.files.sort((a, b) => a.seq_number - b.seq_number);
+  };
+
+  /**
+   * Resolves a MongoDB-style path (`clientId.sessions[.sessionId]`) or a slash path
+   * containing a session id inside one collection
+   * @param {string} collection - Collection name
+   * @param {string} [path] - Requested path
+   * @returns {{arrays: Array, media: Array}} Collection browser response
+   */
+  const browseCollection = (collection, path) => {
+    const docs = db.collections[collection] || [];
+    if (!path) {
+      return { arrays: [docs.map(doc => ({ client_id: doc.client_id, path: `${doc.client_id}.sessions` }))], media: [] };
+    }
+
+    const parts = path.split(/[./]/).filter(Boolean);
+    const doc = docs.find(item => parts.includes(item.client_id));
+    if (!doc) {
+      return { arrays: [], media: [] };
+    }
+
+    const session = doc.sessions.find(item => parts.includes(item.session_id));
+    if (session) {
+      return { arrays: [], media: session.files };
+    }
+
+    return {
+      arrays: [doc.sessions.map(({ files, ...summary }) => summary)],
+      media: []
+    };
+  };
+
+  /**
+   * Lists folder contents for the FileManager using `Collection/clientId/sessionId` paths
+   * @param {string} [path] - Requested path
+   * @returns {Array<Object>} Folder and file entries
+   */
+  const listContents = (path = '') => {
+    const [collection, clientId, sessionId] = path.split('/').filter(Boolean);
+
+    if (!collection) {
+      return Object.keys(db.collections).map(name => ({ name, type: 'folder', path: name }));
+    }
+
+    const docs = db.collections[collection] || [];
+    if (!clientId) {
+      return docs.map(doc => ({ name: doc.client_id, type: 'folder', path: `${collection}/${doc.client_id}` }));
+    }
+
+    const doc = docs.find(item => item.client_id === clientId);
+    if (!doc) return [];
+    if (!sessionId) {
+      return doc.sessions.map(session => ({
+        name: session.session_id,
+        type: 'folder',
+        path: `${collection}/${clientId}/${session.session_id}`,
+        total_files: session.total_files_count
+      }));
+    }
+
+    const session = doc.sessions.find(item => item.session_id === sessionId);
+    return (session?.files || []).map(file => ({
+      ...file,
+      name: file.file_name,
+      type: 'file',
+      path: `${collection}/${clientId}/${sessionId}/${file.file_name}`
+    }));
+  };
+
+  router.get('/api/cdn/client-info/:clientId', ({ params }) => findLead(params.clientId) || fail(404, 'Client not found'));
+  router.get('/api/cdn-mongo/get-client-info/:clientId', ({ params }) => {
+    const lead = findLead(params.clientId);
+    return lead ? { status: 'success', client_info: lead, ...lead } : fail(404, 'Client not found');
+  });
+
+  router.get('/api/cdn/editor-notes', ({ query }) => ({
+    status: 'success',
+    notes: db.editorNotes.filter(note => !query.client_id || note.client_id === query.client_id)
+  }));
+
+  router.post('/api/cdn/editor-notes/add', ({ body }) => {
+    const note = {
+      client_id: body.client_ID || body.client_id,
+      folder_id: body.folder_id,
+      file_name: body.file_name,
+      cdn_url: body.cdn_url,
+      note: body.note,
+      pinned: Boolean(body.pinned),
+      created_at: body.created_at || new Date().toISOString()
+    };
+    db.editorNotes.push(note);
+    return { status: 'success', note };
+  });
+
+  router.get('/api/cdn-mongo/editor-notes/:clientId', ({ params }) => ({
+    status: 'success',
+    notes: db.editorNotes.filter(note => note.client_id === params.clientId)
+  }));
+
+  router.get('/api/cdn/list-contents', ({ query }) => ({ contents: listContents(query.path) }));
+
+  router.post('/api/cdn/folder-operations', ({ body }) => {
+    if (!body.operation) return fail(400, 'operation is required');
+    return { status: 'success', operation: body.operation };
+  });
+
+  router.post('/api/cdn/dump-contents', ({ body }) => ({ status: 'success', moved: (body.files || []).length }));
+
+  router.get('/api/cdn/search', ({ query }) => {
+    const term = (query.query || query.q || '').toLowerCase();
+    const results = [];
+    Object.entries(db.collections).forEach(([collection, docs]) => {
+      docs.forEach(doc => doc.sessions.forEach(session => session.files.forEach(file => {
+        if (file.file_name.toLowerCase().includes(term) || file.caption?.toLowerCase().includes(term)) {
+          results.push({ ...file, collection, client_id: doc.client_id, session_id: session.session_id });
+        }
+      })));
+    });
+    return { status: 'success', results };
+  });
+
+  router.post('/api/cdn/reorder-files', ({ body }) => ({ status: 'success', files: body.files || [] }));
+
+  router.post('/api/cdn/generate-thumbnail', ({ body }) => ({
+    status: 'success',
+    thumbnailUrl: `${db.mediaUrl}/thumbnails/${encodeURIComponent(body.video_name || 'video')}.jpg`
+  }));
+
+  router.post('/api/cdn/test-thumb-insert', () => ({ status: 'success' }));
+
+  router.post('/api/cdn/update-caption', ({ body }) => {
+    const match = findSession(body.session_id);
+    const file = match?.session.files.find(item => item.file_name === body.file_name);
+    if (!file) return fail(404, 'File not found');
+    file.caption = body.caption;
+    return { status: 'success' };
+  });
+
+  router.post('/api/cdn/remove-file-record', ({ body }) => {
+    const match = findSession(body.session_id);
+    if (match) {
+      match.session.files = match.session.files.filter(file => file.file_name !== body.file_name);
+      match.session.total_files_count = match.session.files.length;
+    }
+    return { status: 'success' };
+  });
+
+  router.post('/api/cdn/sync', ({ body }) => {
+    const match = findSession(body.session_id);
+    if (!match) return fail(404, 'Session not found');
+    const operations = body.operations || {};
+    (operations.caption || []).forEach(({ data }) => {
+      const file = match.session.files.find(item => item.file_name === data.file_name);
+      if (file) file.caption = data.caption;
+    });
+    (operations.reorder || []).forEach(({ data }) => applyOrder(match.session, data.files));
+    return {
+      status: 'success',
+      session_id: body.session_id,
+      applied: Object.values(operations).reduce((total, ops) => total + ops.length, 0)
+    };
+  });
+
+  router.get('/api/cdn/video-duration/:videoId', ({ params }) => {
+    const file = Object.values(db.collections)
+      .flatMap(docs => docs.flatMap(doc => doc.sessions.flatMap(session => session.files)))
+      .find(item => item.file_name === params.videoId && item.file_type === 'video');
+    if (!file) return fail(404, 'Video not found');
+    return { status: 'success', duration: file.video_length };
+  });
+
+  router.post('/api/cdn-mongo/move-file/:clientId/:source/:target/:file', ({ params }) => {
+    const source = findSession(params.source);
+    const destination = findSession(params.target);
+    const file = source?.session.files.find(item => item.file_name === params.file);
+    if (!file || !destination || source.doc.client_id !== params.clientId ||
+      destination.doc.client_id !== params.clientId) {
+      return fail(404, 'File or destination not found');
+    }
+    source.session.files = source.session.files.filter(item => item !== file);
+    destination.session.files.push({ ...file, folder_id: destination.session.session_id });
+    source.session.total_files_count = source.session.files.length;
+    destination.session.total_files_count = destination.session.files.length;
+    return { status: 'success' };
+  });
+
+  router.post('/api/cdn-mongo/dump-files', ({ body }) => {
+    const destination = sessionFromPath(body.destination);
+    if (!destination) return fail(404, 'Destination not found');
+    const moved = (body.files || []).filter(filePath => {
+      const source = sessionFromPath(filePath);
+      const fileName = filePath.split('/').pop();
+      const file = source?.session.files.find(item => item.file_name === fileName);
+      if (!file || source.session === destination.session) return false;
+      source.session.files = source.session.files.filter(item => item !== file);
+      source.session.total_files_count = source.session.files.length;
+      destination.session.files.push({ ...file, folder_id: destination.session.session_id });
+      return true;
+    });
+    destination.session.total_files_count = destination.session.files.length;
+    return { status: 'success', moved: moved.length };
+  });
+
+  router.post('/api/cdn-mongo/create-folder', ({ body }) => {
+    const [collection, clientId, sessionId] = (body.path || '').split('/').filter(Boolean);
+    const doc = db.collections[collection]?.find(item => item.client_id === clientId);
+    if (!doc || !sessionId) return fail(400, 'Path must be Collection/clientId/folder');
+    if (doc.sessions.some(session => session.session_id === sessionId)) {
+      return fail(409, 'Folder already exists');
+    }
+    const now = new Date().toISOString();
+    doc.sessions.push({
+      session_id: sessionId,
+      date: now.slice(0, 10),
+      scan_date: now,
+      total_files_count: 0,
+      files: []
+    });
+    return { status: 'success', path: body.path };
+  });
+
+  router.post('/api/cdn-mongo/reorder-files', ({ body }) => {
+    const match = sessionFromPath(body.path);
+    if (!match) return fail(404, 'Folder not found');
+    applyOrder(match.session, body.files);
+    return { status: 'success' };
+  });
+
+  router.post('/api/cdn-mongo/update-thumbnails', ({ body }) => {
+    const match = findSession(body.session_id);
+    if (!match) return fail(404, 'Session not found');
+    const names = new Set((body.thumbnails || []).map(item => item.file_name));
+    match.session.files.forEach(file => {
+      file.is_thumbnail = names.has(file.file_name);
+    });
+    return { status: 'success', updated: names.size };
+  });
+
+  router.post('/api/bunnyscan/scan-path', ({ body }) => ({ status: 'success', path: body.path, scanned: 0 }));
+
+  router.get('/api/cdn-mongo/collections', () => ({ status: 'success', collections: Object.keys(db.collections) }));
+
+  router.get('/api/cdn-mongo/collections/:name', ({ params, query }) => {
+    if (!db.collections[params.name]) return fail(404, `Collection ${params.name} not found`);
+    return browseCollection(params.name, query.path);
+  });
+
+  router.get('/api/cdn-mongo/list-folders', ({ query }) => ({
+    status: 'success',
+    folders: listContents(query.path).filter(item => item.type === 'folder')
+  }));
+
+  router.get('/api/cdn-mongo/file-gallery', ({ query }) => {
+    const sessionId = (query.folder_path || '').split('/').filter(Boolean).pop();
+    const match = findSession(sessionId);
+    if (!match) return fail(404, 'Folder not found');
+    return { status: 'success', files: match.session.files };
+  });
+
+  router.get('/api/cdn-mongo/get-users', () => ({
+    status: 'success',
+    users: db.leads.filter(lead => lead.is_signed).map(lead => ({
+      client_ID: lead.client_id,
+      snap_ID: lead.snap_id,
+      name: lead.Stage_Name || `${lead.First_Legal_Name} ${lead.Last_Legal_Name}`
+    }))
+  }));
+
+  router.get('/api/cdn-mongo/parent-path', ({ query }) => {
+    const parts = (query.path || '').split('/').filter(Boolean);
+    return { status: 'success', parent_path: parts.slice(0, -1).join('/') };
+  });
+
+  router.get('/api/content-dump/:userId', ({ params }) => {
+    const doc = db.collections.Content_Dump.find(item => item.client_id === params.userId);
+    return { status: 'success', files: doc ? doc.sessions.flatMap(session => session.files) : [] };
+  });
+  router.post('/api/content-dump/:userId', ({ params }) => ({ status: 'success', client_id: params.userId }));
+  router.put('/api/content-dump/:userId', ({ params }) => ({ status: 'success', client_id: params.userId }));
+
+  router.get('/api/desktop-upload/users', () => ({
+    status: 'success',
+    users: db.leads.filter(lead => lead.is_signed).map(lead => ({
+      client_id: lead.client_id,
+      name: lead.Stage_Name || `${lead.First_Legal_Name} ${lead.Last_Legal_Name}`
+    }))
+  }));
+
+  router.get('/api/desktop-upload/folders/:userId', ({ params }) => ({
+    status: 'success',
+    folders: ['STORIES', 'SPOTLIGHT', 'SAVED', 'CONTENT_DUMP'].map(name => ({
+      name,
+      path: `sc/${params.userId}/${name}`
+    }))
+  }));
+
+  router.post('/api/desktop-upload/upload', () => ({ status: 'success', message: 'Upload received' }));
+
+  router.get('/api/desktop-upload/progress/:fileName', ({ params }) => ({
+    status: 'success',
+    file_name: params.fileName,
+    progress: 100
+  }));
+};
@@ -0,0 +1,194 @@
+/**
+ * @fileoverview Mock routes for employees, timesheets and employee invoices.
+ * Serves the EMPLOYEES and TIMESHEET namespaces of API_ENDPOINTS. Timesheet calls
+ * act on behalf of `db.currentUserId`, the employee the mock treats as signed in.
+ */
+
+const { fail, respond } = require('../router');
+const { generateId, toDateString } = require('../db');
+
+/**
+ * Registers employee and timesheet routes
+ *
+ * @param {Object} router - Mock router
+ * @param {Object} db - Mock data store
+ */
+module.exports = (router, db) => {
+  const findEmployee = (userId) => db.employees.find(employee => employee.user_id === userId);
+
+  const withEarnings = (entry) => {
+    const rate = findEmployee(entry.user_id)?.rate || 0;
+    return { ...entry, earnings: Number(((entry.hours + entry.minutes / 60) * rate).toFixed(2)) };
+  };
+
+  const entriesFor = (userId) =>
+    db.timesheetEntries.filter(entry => entry.user_id === userId).map(withEarnings);
+
+  const totalsOf = (entries) => ({
+    hours: entries.reduce((sum, entry) => sum + entry.hours + entry.minutes / 60, 0),
+    earnings: entries.reduce((sum, entry) => sum + entry.earnings, 0)
+  });
+
+  const clientName = (clientId) => {
+    const lead = db.leads.find(item => item.client_id === clientId);
+    return lead ? (lead.Stage_Name || `${lead.First_Legal_Name} ${lead.Last_Legal_Name}`) : clientId;
+  };
+
+  router.post('/api/employees/signup', ({ body }) => {
+    const employee = { user_id: body.user_id || generateId('emp'), rate: 0, department: 'Unassigned', ...body };
+    db.employees.push(employee);
+    return respond(201, { status: 'success', employee });
+  });
+
+  router.get('/api/employees', () => db.employees);
+
+  router.get('/api/employees/:userId', ({ params }) => findEmployee(params.userId) || fail(404, 'Employee not found'));
+
+  router.get('/api/employees/:userId/metrics', ({ params }) => {
+    const entries = entriesFor(params.userId);
+    const totals = totalsOf(entries);
+    const byClient = {};
+    entries.forEach(entry => {
+      const summary = byClient[entry.client_id] || {
+        client_id: entry.client_id,
+        client_name: entry.client_name,
+        total_hours: 0,
+        total_earnings: 0,
+        categories: {}
+      };
+      const hours = entry.hours + entry.minutes / 60;
+      summary.total_hours += hours;
+      summary.total_earnings += entry.earnings;
+      summary.categories[entry.category] = (summary.categories[entry.category] || 0) + hours;
+      byClient[entry.client_id] = summary;
+    });
+    const clients = Object.values(byClient).sort((a, b) => b.total_hours - a.total_hours);
+    const days = new Set(entries.map(entry => entry.date)).size || 1;
+
+    return {
+      total_hours: totals.hours,
+      total_earnings: totals.earnings,
+      avg_hours_per_day: totals.hours / days,
+      active_clients: clients.length,
+      most_worked_client: clients[0]?.client_id || null,
+      most_worked_category: entries[0]?.category || null,
+      productivity_score: 87,
+      efficiency_rating: 'A',
+      client_work_summary: clients
+    };
+  });
+
+  router.get('/api/employees/:userId/timesheet', ({ params }) => {
+    const entries = entriesFor(params.userId);
+    const totals = totalsOf(entries);
+    return {
+      total_hours: totals.hours,
+      total_earnings: totals.earnings,
+      days_worked: new Set(entries.map(entry => entry.date)).size,
+      entries
+    };
+  });
+
+  router.get('/api/employees/:userId/invoices', ({ params }) => {
+    const invoices = db.invoices.filter(invoice => invoice.user_id === params.userId);
+    const draft = totalsOf(entriesFor(params.userId).filter(entry => !entry.invoice_submitted));
+    return {
+      invoices,
+      total_draft: draft.earnings,
+      total_unpaid: invoices
+        .filter(invoice => invoice.status === 'unpaid')
+        .reduce((sum, invoice) => sum + invoice.total_earnings, 0)
+    };
+  });
+
+  router.post('/api/employees/:userId/invoices/:invoiceId/download', ({ params }) => {
+    const invoice = db.invoices.find(item => item._id === params.invoiceId || item.qb_id === params.invoiceId);
+    if (!invoice) return fail(404, 'Invoice not found');
+    const employee = findEmployee(params.userId);
+    return respond(200, [
+      '<html><body>',
+      `<h1>Statement ${invoice.invoice_id}</h1>`,
+      `<p>${employee?.first_name || ''} ${employee?.last_name || ''}</p>`,
+      `<p>Period starting ${invoice.start_date}: ${invoice.total_hours}h, $${invoice.total_earnings.toFixed(2)}</p>`,
+      '</body></html>'
+    ].join(''), 'text/html');
+  });
+
+  router.get('/api/timesheet/entries', () => entriesFor(db.currentUserId));
+
+  router.post('/api/timesheet/entries', ({ body }) => {
+    const id = generateId('ts');
+    const entry = {
+      ...body,
+      _id: id,
+      item: id,
+      user_id: db.currentUserId,
+      client_name: clientName(body.client_id),
+      hours: Number(body.hours) || 0,
+      minutes: Number(body.minutes) || 0,
+      status: 'draft',
+      invoice_submitted: false,
+      created_at: new Date().toISOString()
+    };
+    db.timesheetEntries.push(entry);
+    return { status: 'success', entry: withEarnings(entry) };
+  });
+
+  router.put('/api/timesheet/entries/:entryId', ({ params, body }) => {
+    const entry = db.timesheetEntries.find(item => item.item === params.entryId);
+    if (!entry) return fail(404, 'Entry not found');
+    Object.assign(entry, body, {
+      client_name: clientName(body.client_id || entry.client_id),
+      hours: Number(body.hours ?? entry.hours),
+      minutes: Number(body.minutes ?? entry.minutes)
+    });
+    return { status: 'success', entry: withEarnings(entry) };
+  });
+
+  router.delete('/api/timesheet/entries/:entryId', ({ params }) => {
+    db.timesheetEntries = db.timesheetEntries.filter(entry => entry.item !== params.entryId);
+    return { status: 'success' };
+  });
+
+  router.get('/api/timesheet/search_assignees', ({ query }) => {
+    const term = (query.query || '').toLowerCase();
+    return {
+      assignees: db.leads
+        .filter(lead => `${lead.First_Legal_Name} ${lead.Last_Legal_Name} ${lead.Stage_Name}`.toLowerCase().includes(term))
+        .map(lead => ({
+          id: lead.client_id,
+          name: `${lead.First_Legal_Name} ${lead.Last_Legal_Name}`,
+          email: lead.Email_Address,
+          stage_name: lead.Stage_Name
+        }))
+    };
+  });
+
+  router.get('/api/timesheet/preview-invoice', () => {
+    const employee = findEmployee(db.currentUserId);
+    const entries = entriesFor(db.currentUserId).filter(entry => !entry.invoice_submitted);
+    const dates = [...new Set(entries.map(entry => entry.date))].sort();
+    return {
+      employee: { name: `${employee.first_name} ${employee.last_name}`, rate: employee.rate },
+      start_date: dates[0] || toDateString(0),
+      days: dates.map(date => ({ date, entries: entries.filter(entry => entry.date === date) })),
+      totals: totalsOf(entries)
+    };
+  });
+
+  router.post('/api/timesheet/submit-invoice', () => {
+    const employee = findEmployee(db.currentUserId);
+    if (!employee.qb_id) return fail(400, 'QuickBooks vendor ID not set for this employee');
+    const entries = db.timesheetEntries.filter(entry => entry.user_id === db.currentUserId && !entry.invoice_submitted);
+    entries.forEach(entry => {
+      entry.invoice_submitted = true;
+      entry.status = 'submitted';
+    });
+    return { status: 'success', submitted: entries.length };
+  });
+
+  router.post('/api/timesheet/set-qb-id', ({ query }) => {
+    findEmployee(db.currentUserId).qb_id = query.qb_id;
+    return { status: 'success' };
+  });
+};
@@ -0,0 +1,668 @@
+/**
+ * @fileoverview Mock routes for lead management, notes, follow-ups, activity events, ranks, saved grid
+ * views, assignment rules, partners and tasks.
+ * Serves the LEADS, PARTNERS, TASKS and CLIENTS namespaces of API_ENDPOINTS.
+ */
+
+const { fail, respond } = require('../router');
+const { generateId, toDateString } = require('../db');
+const { applyFollowUp, dueFollowUps } = require('../followUps');
+const {
+  assignLeads,
+  countWorkload,
+  leadName,
+  planAssignments,
+  recordOverride,
+  validateRule
+} = require('../assignment');
+const { followerGrowth, historyFor, snapshotLead, takeLease, takeSyncSlot } = require('../statsHistory');
+
+/**
+ * Scores a lead against the follower thresholds in the algorithm settings
+ *
+ * @function scoreLead
+ * @param {Object} lead - Lead record
+ * @param {Object} settings - Algorithm settings
+ * @returns {number} Lead score
+ */
+const scoreLead = (lead, settings) => {
+  const tiers = [
+    ['snapchat', lead.Snap_Followers],
+    ['tiktok', lead.TT_Followers],
+    ['instagram', lead.IG_Followers],
+    ['youtube', lead.YT_Subscribers]
+  ];
+
+  return tiers.reduce((score, [platform, count]) => {
+    const tier = settings.followers[platform];
+    if (count > tier.high) return score + tier.points.high;
+    if (count > tier.medium) return score + tier.points.medium;
+    if (count > 0) return score + tier.points.low;
+    return score;
+  }, 0);
+};
+
+/**
+ * Registers lead routes
+ *
+ * @param {Object} router - Mock router
+ * @param {Object} db - Mock data store
+ */
+module.exports = (router, db) => {
+  const findLead = (id) => db.leads.find(lead => lead.client_id === id || lead._id === id);
+
+  /**
+   * Logs a change to a lead that has no history of its own, for the activity timeline
+   * @param {Object} lead - Lead record
+   * @param {string} type - Event type: 'approval' or 'payout_sync'
+   * @param {Object} detail - Event specific fields
+   */
+  const recordEvent = (lead, type, detail) => {
+    const actor = db.employees.find(employee => employee.user_id === db.currentUserId);
+    db.leadEvents.push({
+      event_id: generateId('event'),
+      client_id: lead.client_id,
+      type,
+      actor: actor ? `${actor.first_name} ${actor.last_name}` : null,
+      timestamp: new Date().toISOString(),
+      ...detail
+    });
+  };
+
+  router.get('/api/leads/grid', () => db.leads);
+  router.get('/api/leads/raw', () => db.leads);
+
+  router.get('/api/leads/ranks', () =>
+    db.leads.map(lead => ({
+      id: lead._id,
+      client_id: lead.client_id,
+      score: scoreLead(lead, db.settings)
+    }))
+  );
+
+  /**
+   * Stores settings as a new version and makes it the active one
+   * @param {Object} settings - Algorithm settings
+   * @param {string} note - Description of the change
+   * @param {string} [author] - Who made the change
+   * @returns {Object} Version summary
+   */
+  const activateSettings = (settings, note, author) => {
+    const version = {
+      version: Math.max(0, ...db.settingsVersions.map(entry => entry.version)) + 1,
+      settings,
+      note,
+      created_by: author || null,
+      created_at: new Date().toISOString()
+    };
+    db.settingsVersions.push(version);
+    db.settings = settings;
+    return { version: version.version, created_at: version.created_at };
+  };
+
+  router.get('/api/leads/settings', () => db.settings);
+
+  router.put('/api/leads/settings', ({ body }) => {
+    if (!body.settings || !body.settings.followers) return fail(400, 'settings are required');
+    return activateSettings(body.settings, body.note || '', body.author);
+  });
+
+  // Every save and rollback creates a version, so the newest one is always active
+  router.get('/api/leads/settings/versions', () =>
+    [...db.settingsVersions]
+      .sort((a, b) => b.version - a.version)
+      .map(({ settings, ...entry }, index) => ({ ...entry, active: index === 0 }))
+  );
+
+  router.post('/api/leads/settings/versions/:version/rollback', ({ params }) => {
+    const target = db.settingsVersions.find(entry => entry.version === Number(params.version));
+    if (!target) return fail(404, 'Settings version not found');
+    return activateSettings(target.settings, `Rolled back to v${target.version}`);
+  });
+
+  router.post('/api/leads/update-scores', () => ({
+    status: 'success',
+    updated: db.leads.length
+  }));
+
+  router.get('/api/leads/notes/:leadId', ({ params }) => {
+    const notes = db.notes.filter(note => note.client_id === params.leadId);
+    return {
+      status: 'success',
+      data: {
+        conversation: notes.filter(note => note.type === 'conversation'),
+        status: notes.filter(note => note.type === 'status')
+      }
+    };
+  });
+
+  // A conversation note may schedule the next contact; the newest one decides the lead's follow-up
+  router.post('/api/leads/notes/:leadId/:noteType', ({ params, body }) => {
+    const nextContact = params.noteType === 'conversation' ? body.next_contact || null : null;
+    if (nextContact && !/^\d{4}-\d{2}-\d{2}$/.test(nextContact)) {
+      return fail(400, 'next_contact must be a YYYY-MM-DD date');
+    }
+    const note = {
+      client_id: params.leadId,
+      type: params.noteType,
+      text: body.text,
+      author: body.author || 'Mock User',
+      author_id: db.currentUserId,
+      timestamp: new Date().toISOString(),
+      ...(nextContact && { next_contact: nextContact })
+    };
+    db.notes.push(note);
+    const lead = findLead(params.leadId);
+    return { status: 'success', data: note, follow_up: lead ? applyFollowUp(lead, db.notes) : null };
+  });
+
+  router.put('/api/leads/notes/:leadId/:noteId', ({ params, body }) => {
+    const note = db.notes.find(item => item.client_id === params.leadId && item.timestamp === params.noteId);
+    if (!note) return fail(404, 'Note not found');
+    Object.assign(note, body);
+    const lead = findLead(params.leadId);
+    return { status: 'success', data: note, follow_up: lead ? applyFollowUp(lead, db.notes) : null };
+  });
+
+  router.delete('/api/leads/notes/:leadId/:noteType/:timestamp', ({ params }) => {
+    db.notes = db.notes.filter(note => !(
+      note.client_id === params.leadId &&
+      note.type === params.noteType &&
+      note.timestamp === params.timestamp
+    ));
+    const lead = findLead(params.leadId);
+    return { status: 'success', follow_up: lead ? applyFollowUp(lead, db.notes) : null };
+  });
+
+  router.get('/api/leads/follow-ups', ({ query }) => {
+    const today = toDateString(0);
+    return {
+      date: today,
+      follow_ups: dueFollowUps(db.leads, db.notes, query.employee_id || db.currentUserId, today)
+    };
+  });
+
+  router.get('/api/leads/follow-ups/settings', () => db.followUpSettings);
+
+  router.put('/api/leads/follow-ups/settings', ({ body }) => {
+    const hours = Number(body.first_contact_hours);
+    if (!Number.isInteger(hours) || hours <= 0) return fail(400, 'first_contact_hours must be a positive whole number');
+    db.followUpSettings = { ...db.followUpSettings, first_contact_hours: hours };
+    return db.followUpSettings;
+  });
+
+  router.get('/api/leads/payout-info/:clientId', ({ params }) => {
+    const lead = findLead(params.clientId);
+    if (!lead) return fail(404, 'Client not found');
+    const pulls = db.payouts.find(payout => payout.client_id === lead.client_id)?.creator_pulls || [];
+    const now = new Date();
+    const quarterStart = new Date(now.getFullYear(), Math.floor(now.getMonth() / 3) * 3, 1);
+    const sumSince = (start) => pulls
+      .filter(pull => new Date(pull.pull_date) >= start)
+      .reduce((sum, pull) => sum + pull.pull_amount, 0);
+    return {
+      client_id: lead.client_id,
+      payout_email: lead.payout_email || null,
+      total_paid: sumSince(new Date(0)),
+      year_to_date: sumSince(new Date(now.getFullYear(), 0, 1)),
+      quarter_to_date: sumSince(quarterStart),
+      last_sync: pulls[0]?.pull_date || null,
+      creator_pulls: pulls
+    };
+  });
+
+  router.post('/api/leads/sync-payout-email', ({ body }) => {
+    const lead = findLead(body.client_id);
+    if (!lead) return fail(404, 'Client not found');
+    recordEvent(lead, 'payout_sync', { previous_email: lead.payout_email || null, payout_email: body.payout_email });
+    lead.payout_email = body.payout_email;
+    return { status: 'success' };
+  });
+
+  router.post('/api/leads/update-approval-status', ({ body }) => {
+    const lead = findLead(body.client_id);
+    if (!lead) return fail(404, 'Client not found');
+    // The edit modal posts the flag on every save, so only real changes are logged
+    if (Boolean(lead.approved) !== Boolean(body.approved)) {
+      recordEvent(lead, 'approval', { approved: Boolean(body.approved) });
+    }
+    lead.approved = Boolean(body.approved);
+    return { status: 'success', approved: lead.approved };
+  });
+
+  router.get('/api/leads/events/:leadId', ({ params }) => {
+    const lead = findLead(params.leadId);
+    if (!lead) return fail(404, 'Client not found');
+    return { status: 'success', events: db.leadEvents.filter(event => event.client_id === lead.client_id) };
+  });
+
+  router.get('/api/leads/approval-status/:clientId', ({ params }) => {
+    const lead = findLead(params.clientId);
+    if (!lead) return fail(404, 'Client not found');
+    return { status: 'success', approved: Boolean(lead.approved) };
+  });
+
+  router.get('/api/leads/employees/search', ({ query }) => {
+    const term = (query.search || '').toLowerCase();
+    return db.employees.filter(employee =>
+      (!query.partner_id || employee.partner_id === query.partner_id) &&
+      `${employee.first_name} ${employee.last_name}`.toLowerCase().includes(term)
+    );
+  });
+
+  router.get('/api/leads/employees/assigned', ({ query }) => {
+    const ids = (query.user_ids || '').split(',').filter(Boolean);
+    return db.employees.filter(employee => ids.includes(employee.user_id));
+  });
+
+  // Every sync keeps a dated snapshot of the numbers so growth can be charted
+  const recentSyncs = [];
+  router.post('/api/leads/sync/:leadId', ({ params }) => {
+    const lead = findLead(params.leadId);
+    if (!lead) return fail(404, 'Lead not found');
+    const retryAfter = takeSyncSlot(recentSyncs, Date.now());
+    if (retryAfter) {
+      return respond(429, { detail: `Too many syncs, retry in ${retryAfter}s`, retry_after: retryAfter });
+    }
+    const snapshot = snapshotLead(lead, new Date().toISOString());
+    db.statsSnapshots.push(snapshot);
+    lead.Follower_Growth_30d = followerGrowth(historyFor(db.statsSnapshots, lead.client_id));
+    lead.stats_updated_at = snapshot.taken_at;
+    return { status: 'success', data: lead, snapshot };
+  });
+
+  router.get('/api/leads/stats-refresh/settings', () => db.statsRefreshSettings);
+
+  router.put('/api/leads/stats-refresh/settings', ({ body }) => {
+    const next = { ...db.statsRefreshSettings, ...body };
+    const counts = ['stale_after_days', 'batch_size', 'batch_interval_seconds'];
+    const invalid = counts.find(key => !Number.isInteger(next[key]) || next[key] <= 0);
+    if (invalid) return fail(400, `${invalid} must be a positive whole number`);
+    db.statsRefreshSettings = {
+      stale_after_days: next.stale_after_days,
+      batch_size: next.batch_size,
+      batch_interval_seconds: next.batch_interval_seconds,
+      auto_refresh: Boolean(next.auto_refresh)
+    };
+    return db.statsRefreshSettings;
+  });
+
+  // One refresh run at a time across sessions; the holder renews the lease before each batch
+  router.get('/api/leads/stats-refresh/lease', () => db.statsRefreshLease);
+
+  router.post('/api/leads/stats-refresh/lease', ({ body }) => {
+    if (!body.holder_id) return fail(400, 'holder_id is required');
+    if (!takeLease(db.statsRefreshLease, body.holder_id, body.ttl_seconds, Date.now())) {
+      return respond(409, { detail: 'Another session is refreshing stats', ...db.statsRefreshLease });
+    }
+    return db.statsRefreshLease;
+  });
+
+  router.delete('/api/leads/stats-refresh/lease', ({ query }) => {
+    const lease = db.statsRefreshLease;
+    if (lease.holder_id && lease.holder_id === query.holder_id) {
+      Object.assign(lease, { holder_id: null, expires_at: null, last_finished_at: new Date().toISOString() });
+    }
+    return lease;
+  });
+
+  router.get('/api/leads/stats-history/:leadId', ({ params }) => {
+    const lead = findLead(params.leadId);
+    if (!lead) return fail(404, 'Lead not found');
+    return { client_id: lead.client_id, snapshots: historyFor(db.statsSnapshots, lead.client_id) };
+  });
+
+  // Client ids follow the call form format (initials + DOB) when the row has them
+  const buildClientId = (lead, taken) => {
+    const base = lead.First_Legal_Name && lead.Last_Legal_Name && lead.DOB
+      ? `${lead.First_Legal_Name[0]}${lead.Last_Legal_Name[0]}${lead.DOB}`.toLowerCase()
+      : generateId('lead');
+    let clientId = base;
+    for (let suffix = 2; findLead(clientId) || taken.has(clientId); suffix += 1) clientId = `${base}-${suffix}`;
+    taken.add(clientId);
+    return clientId;
+  };
+
+  router.post('/api/leads/import', ({ body }) => {
+    const created = [];
+    const errors = [];
+    const taken = new Set();
+    (body.leads || []).forEach((fields, index) => {
+      if (!['Snap_Username', 'IG_Username', 'TT_Username', 'YT_Username', 'Email_Address'].some(key => fields[key])) {
+        errors.push({ index, detail: 'A username or email is required' });
+        return;
+      }
+      const lead = {
+        _id: generateId('lead'),
+        is_groupchat: false,
+        is_signed: false,
+        is_dead: false,
+        Snap_Star: false,
+        Snap_Monetized: false,
+        assigned_employees: [],
+        ...fields,
+        source: 'import',
+        created_at: new Date().toISOString()
+      };
+      lead.client_id = buildClientId(lead, taken);
+      if (!body.dry_run) db.leads.push(lead);
+      created.push({ index, client_id: lead.client_id });
+    });
+    if (!body.dry_run) {
+      const unassigned = db.leads.filter(lead =>
+        created.some(item => item.client_id === lead.client_id) && !lead.assigned_employees.length);
+      assignLeads(db, unassigned);
+    }
+    return { status: 'success', dry_run: Boolean(body.dry_run), created, errors };
+  });
+
+  // Moves everything attached to the merged client ids onto the survivor, then removes them
+  router.post('/api/leads/merge', ({ body }) => {
+    const survivor = findLead(body.survivor_id);
+    if (!survivor) return fail(404, 'Surviving lead not found');
+    const mergedIds = (body.merged_ids || []).filter(id => id !== survivor.client_id);
+    const merged = mergedIds.map(findLead);
+    if (!mergedIds.length || merged.some(lead => !lead)) return fail(400, 'merged_ids must list existing leads');
+
+    // Split percentages must total 100, so only one split profile can stay active. When several
+    // leads have splits the caller has to say which to keep; the others are archived, not deleted
+    const profiles = [survivor.client_id, ...mergedIds]
+      .map(id => db.splitProfiles.find(item => item.clientId === id))
+      .filter(Boolean);
+    const withSplits = profiles.filter(profile => profile.splits.length);
+    const keptProfile = withSplits.length > 1
+      ? withSplits.find(profile => profile.clientId === body.keep_splits_from)
+      : withSplits[0];
+    if (withSplits.length > 1 && !keptProfile) {
+      return respond(409, {
+        detail: 'More than one lead has partner splits; keep_splits_from must name the profile to keep',
+        split_conflict: withSplits.map(profile => profile.clientId)
+      });
+    }
+
+    const moved = { notes: 0, tasks: 0, contract_versions: 0, splits: 0 };
+    const archived = { splits: 0 };
+    ['notes', 'tasks'].forEach(collection => {
+      db[collection].forEach(item => {
+        if (mergedIds.includes(item.client_id)) {
+          item.client_id = survivor.client_id;
+          moved[collection] += 1;
+        }
+      });
+    });
+    db.leadEvents.forEach(event => {
+      if (mergedIds.includes(event.client_id)) event.client_id = survivor.client_id;
+    });
+
+    mergedIds.forEach(id => {
+      const contract = db.contracts.find(item => item.client_id === id);
+      if (contract) {
+        const target = db.contracts.find(item => item.client_id === survivor.client_id);
+        if (target) {
+          target.versions.push(...contract.versions.map(version => ({ ...version, merged_from: id })));
+          db.contracts = db.contracts.filter(item => item !== contract);
+        } else {
+          contract.client_id = survivor.client_id;
+        }
+        moved.contract_versions += contract.versions.length;
+      }
+    });
+
+    const archivedProfiles = withSplits
+      .filter(profile => profile !== keptProfile)
+      .map(profile => ({ clientId: profile.clientId, splits: profile.splits, archived_at: new Date().toISOString() }));
+    archivedProfiles.forEach(profile => {
+      archived.splits += profile.splits.length;
+    });
+    db.splitProfiles = db.splitProfiles.filter(profile => !profiles.includes(profile) || profile === keptProfile);
+    if (keptProfile && keptProfile.clientId !== survivor.client_id) {
+      moved.splits += keptProfile.splits.length;
+      keptProfile.clientId = survivor.client_id;
+    }
+
+    Object.assign(survivor, body.fields || {}, {
+      stage_history: [survivor, ...merged]
+        .flatMap(lead => lead.stage_history || [])
+        .sort((a, b) => new Date(a.at) - new Date(b.at)),
+      merged_client_ids: [...(survivor.merged_client_ids || []), ...mergedIds],
+      archived_split_profiles: [...(survivor.archived_split_profiles || []), ...archivedProfiles]
+    });
+    db.leads = db.leads.filter(lead => !merged.includes(lead));
+    applyFollowUp(survivor, db.notes);
+
+    return { status: 'success', data: survivor, moved, archived };
+  });
+
+  /**
+   * Adds owner details and flags for the signed-in employee to a saved grid view
+   * @param {Object} view - Stored view
+   * @returns {Object} View as returned to the client
+   */
+  const presentView = (view) => {
+    const owner = db.employees.find(employee => employee.user_id === view.owner_id);
+    return {
+      ...view,
+      owner_name: owner ? `${owner.first_name} ${owner.last_name}` : view.owner_id,
+      is_owner: view.owner_id === db.currentUserId,
+      is_default: db.gridViewDefaults[db.currentUserId] === view.view_id
+    };
+  };
+
+  // Views are visible to their owner, and to everyone once shared
+  const findVisibleView = (viewId) =>
+    db.gridViews.find(view => view.view_id === viewId && (view.owner_id === db.currentUserId || view.shared));
+
+  router.get('/api/leads/views', () => ({
+    views: db.gridViews
+      .filter(view => view.owner_id === db.currentUserId || view.shared)
+      .map(presentView),
+    default_view_id: db.gridViewDefaults[db.currentUserId] || null
+  }));
+
+  router.post('/api/leads/views', ({ body }) => {
+    const name = String(body.name || '').trim();
+    if (!name) return fail(400, 'A view name is required');
+    if (!body.state) return fail(400, 'A view needs grid state to save');
+    if (db.gridViews.some(view => view.owner_id === db.currentUserId && view.name === name)) {
+      return fail(409, `You already have a view named "${name}"`);
+    }
+    const now = new Date().toISOString();
+    const view = {
+      view_id: generateId('view'),
+      name,
+      owner_id: db.currentUserId,
+      shared: Boolean(body.shared),
+      state: body.state,
+      created_at: now,
+      updated_at: now
+    };
+    db.gridViews.push(view);
+    return respond(201, presentView(view));
+  });
+
+  // A default may be any view the employee can see, including views shared by others
+  router.put('/api/leads/views/default', ({ body }) => {
+    if (body.view_id && !findVisibleView(body.view_id)) return fail(404, 'View not found');
+    if (body.view_id) db.gridViewDefaults[db.currentUserId] = body.view_id;
+    else delete db.gridViewDefaults[db.currentUserId];
+    return { status: 'success', default_view_id: body.view_id || null };
+  });
+
+  router.put('/api/leads/views/:viewId', ({ params, body }) => {
+    const view = findVisibleView(params.viewId);
+    if (!view) return fail(404, 'View not found');
+    if (view.owner_id !== db.currentUserId) return fail(403, 'Only the owner can change a view');
+    const name = body.name === undefined ? view.name : String(body.name).trim();
+    if (!name) return fail(400, 'A view name is required');
+    if (db.gridViews.some(item => item !== view && item.owner_id === db.currentUserId && item.name === name)) {
+      return fail(409, `You already have a view named "${name}"`);
+    }
+    Object.assign(view, {
+      name,
+      shared: body.shared === undefined ? view.shared : Boolean(body.shared),
+      state: body.state || view.state,
+      updated_at: new Date().toISOString()
+    });
+    // Views that are no longer shared cannot stay someone else's default
+    if (!view.shared) {
+      Object.keys(db.gridViewDefaults).forEach(userId => {
+        if (userId !== view.owner_id && db.gridViewDefaults[userId] === view.view_id) delete db.gridViewDefaults[userId];
+      });
+    }
+    return presentView(view);
+  });
+
+  router.delete('/api/leads/views/:viewId', ({ params }) => {
+    const view = findVisibleView(params.viewId);
+    if (!view) return fail(404, 'View not found');
+    if (view.owner_id !== db.currentUserId) return fail(403, 'Only the owner can delete a view');
+    db.gridViews = db.gridViews.filter(item => item !== view);
+    Object.keys(db.gridViewDefaults).forEach(userId => {
+      if (db.gridViewDefaults[userId] === view.view_id) delete db.gridViewDefaults[userId];
+    });
+    return { status: 'success' };
+  });
+
+  // Assignment rules are tried in order; the first matching rule with room assigns the lead
+  router.get('/api/leads/assignment/rules', () => db.assignmentRules);
+
+  router.put('/api/leads/assignment/rules', ({ body }) => {
+    const rules = body.rules || [];
+    const problem = rules.map(rule => validateRule(rule, db.employees)).find(Boolean);
+    if (problem) return fail(400, problem);
+    db.assignmentRules = rules.map(rule => ({
+      rule_id: rule.rule_id || generateId('rule'),
+      name: rule.name.trim(),
+      enabled: rule.enabled !== false,
+      match: rule.match,
+      values: rule.match === 'all' ? [] : rule.values,
+      employee_ids: rule.employee_ids,
+      max_open_leads: rule.max_open_leads || null
+    }));
+    return db.assignmentRules;
+  });
+
+  // Unassigned leads that are still open are what "run" would assign
+  const unassignedLeads = () => db.leads.filter(lead => !lead.is_dead && !(lead.assigned_employees || []).length);
+
+  router.post('/api/leads/assignment/preview', ({ body }) => {
+    const rules = body.rules || db.assignmentRules;
+    const problem = rules.map(rule => validateRule(rule, db.employees)).find(Boolean);
+    if (problem) return fail(400, problem);
+    const targets = unassignedLeads();
+    const { assignments } = planAssignments(rules, db.leads, targets, db.assignmentCursors);
+    const workload = countWorkload(db.leads);
+    return {
+      assignments: assignments.map(assignment => ({
+        ...assignment,
+        lead_name: leadName(targets.find(lead => lead.client_id === assignment.client_id))
+      })),
+      workload: db.employees.map(employee => ({
+        employee_id: employee.user_id,
+        name: `${employee.first_name} ${employee.last_name}`,
+        open_leads: workload[employee.user_id] || 0
+      }))
+    };
+  });
+
+  router.post('/api/leads/assignment/run', () => {
+    const assignments = assignLeads(db, unassignedLeads());
+    return { status: 'success', assigned: assignments.filter(assignment => assignment.employee_id).length, assignments };
+  });
+
+  router.get('/api/leads/assignment/log', () =>
+    [...db.assignmentLog].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+  );
+
+  router.put('/api/leads/:leadId', ({ params, body }) => {
+    const lead = findLead(params.leadId);
+    if (!lead) return fail(404, 'Lead not found');
+    // auto_assignment is owned by the server: the edit modal sends the whole lead back, which
+    // would otherwise restore it right after an override cleared it
+    const changes = { ...body };
+    delete changes.auto_assignment;
+    if (Array.isArray(changes.assigned_employees)) recordOverride(db, lead, changes.assigned_employees);
+    Object.assign(lead, changes);
+    return { status: 'success', data: lead };
+  });
+
+  router.delete('/api/leads/:leadId', ({ params }) => {
+    const lead = findLead(params.leadId);
+    if (!lead) return fail(404, 'Lead not found');
+    db.leads = db.leads.filter(item => item !== lead);
+    return { status: 'success' };
+  });
+
+  router.get('/api/clients/signed', () => db.leads.filter(lead => lead.is_signed && !lead.is_dead));
+
+  router.get('/api/partners', () => db.partners);
+
+  router.post('/api/partners', ({ body }) => {
+    const partner = { id: generateId('p'), name: body.name };
+    db.partners.push(partner);
+    return respond(201, partner);
+  });
+
+  ['referred', 'monetized'].forEach(type => {
+    router.post(`/api/partners/${type}`, ({ body }) => {
+      const lead = findLead(body.client_id);
+      if (!lead) return fail(404, 'Client not found');
+      const partner = db.partners.find(item => item.id === body.partner_id);
+      lead[`${type}_by`] = body.partner_id || '';
+      lead[`${type}_by_name`] = partner?.name || '';
+      return { status: 'success' };
+    });
+
+    router.get(`/api/partners/${type}/:clientId`, ({ params }) => {
+      const lead = findLead(params.clientId);
+      if (!lead) return fail(404, 'Client not found');
+      return { partner_id: lead[`${type}_by`], partner_name: lead[`${type}_by_name`] };
+    });
+  });
+
+  router.get('/api/partners/search/:query', ({ params }) => {
+    const term = params.query.toLowerCase();
+    return {
+      results: db.partners.filter(partner =>
+        partner.id.toLowerCase() === term || partner.name.toLowerCase().includes(term)
+      )
+    };
+  });
+
+  router.get('/api/tasks/client/:clientId', ({ params }) => ({
+    status: 'success',
+    tasks: db.tasks.filter(task => task.client_id === params.clientId)
+  }));
+
+  router.get('/api/tasks', ({ query }) => {
+    const tasks = query.filter_type && query.filter_type !== 'all'
+      ? db.tasks.filter(task => task.status === query.filter_type || task.priority === query.filter_type)
+      : db.tasks;
+    return { status: 'success', tasks };
+  });
+
+  router.post('/api/tasks', ({ body }) => {
+    const task = {
+      _id: generateId('task'),
+      status: 'pending',
+      assignees: [],
+      visible_to: [],
+      ...body,
+      created_at: new Date().toISOString()
+    };
+    db.tasks.push(task);
+    return { status: 'success', task };
+  });
+
+  router.put('/api/tasks/:taskId', ({ params, body }) => {
+    const task = db.tasks.find(item => item._id === params.taskId);
+    if (!task) return fail(404, 'Task not found');
+    Object.assign(task, body);
+    return { status: 'success', task };
+  });
+
+  router.delete('/api/tasks/:taskId', ({ params }) => {
+    db.tasks = db.tasks.filter(task => task._id !== params.taskId);
+    return { status: 'success' };
+  });
+};
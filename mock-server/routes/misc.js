@@ -0,0 +1,160 @@
+/**
+ * @fileoverview Mock routes for contracts, public forms, onboarding and the smaller
+ * integrations (chat, messages, social stats, TikTok, Vista, demo and support).
+ */
+
+const { fail, respond } = require('../router');
+const { generateId } = require('../db');
+const { assignLeads } = require('../assignment');
+
+/**
+ * Registers the remaining routes
+ *
+ * @param {Object} router - Mock router
+ * @param {Object} db - Mock data store
+ */
+module.exports = (router, db) => {
+  const findContract = (clientId) => db.contracts.find(contract => contract.client_id === clientId);
+
+  const ensureContract = (clientId) => {
+    let contract = findContract(clientId);
+    if (!contract) {
+      const lead = db.leads.find(item => item.client_id === clientId || item._id === clientId);
+      contract = {
+        contract_id: generateId('contract'),
+        client_id: clientId,
+        client_name: lead ? `${lead.First_Legal_Name} ${lead.Last_Legal_Name}` : clientId,
+        contract_status: 'draft',
+        content: '',
+        client_signature: null,
+        representative_signature: null,
+        versions: []
+      };
+      db.contracts.push(contract);
+    }
+    return contract;
+  };
+
+  router.post('/api/contracts/save_draft', ({ body }) => {
+    const contract = ensureContract(body.client_id);
+    contract.content = body.content;
+    contract.versions.unshift({
+      version: contract.versions.length + 1,
+      content: body.content,
+      timestamp: new Date().toISOString(),
+      edited_by: 'mock-user'
+    });
+    return { status: 'success', contract_id: contract.contract_id };
+  });
+
+  router.get('/api/contracts/versions/:clientId', ({ params }) => ({
+    status: 'success',
+    versions: findContract(params.clientId)?.versions || []
+  }));
+
+  router.get('/api/contracts/contract/:clientId', ({ params }) => {
+    const contract = findContract(params.clientId);
+    if (!contract) return fail(404, 'Contract not found');
+    const { versions, ...rest } = contract;
+    return { status: 'success', ...rest };
+  });
+
+  router.post('/api/contracts/send_to_client', ({ body }) => {
+    const contract = ensureContract(body.client_id);
+    contract.contract_status = 'sent';
+    return { status: 'success', contract_id: contract.contract_id };
+  });
+
+  router.post('/api/contracts/sign', ({ body }) => {
+    const contract = ensureContract(body.client_id);
+    Object.assign(contract, {
+      client_signature: body.signature,
+      client_signed_name: body.name,
+      content: body.content || contract.content,
+      contract_status: contract.representative_signature ? 'completed' : 'client_signed'
+    });
+    return { status: 'success', contract_id: contract.contract_id };
+  });
+
+  router.post('/api/contracts/sign/representative', ({ body }) => {
+    const contract = db.contracts.find(item => item.contract_id === body.contract_id) || ensureContract(body.client_id);
+    contract.representative_signature = body.signature;
+    contract.contract_status = contract.client_signature ? 'completed' : 'rep_signed';
+    return { status: 'success', contract_id: contract.contract_id };
+  });
+
+  router.get('/api/contracts/download/:id', ({ params }) => {
+    const contract = db.contracts.find(item => item.contract_id === params.id) || findContract(params.id);
+    if (!contract) return fail(404, 'Contract not found');
+    return respond(200, `Contract ${contract.contract_id}\n\n${contract.content}`, 'application/pdf');
+  });
+
+  router.post('/api/onboarding', ({ body }) => ({ status: 'success', employee_id: body.employee_id }));
+
+  // Call form submissions become new leads, which the assignment rules hand out right away
+  [['/call', 'call_form'], ['/call-moxy', 'moxy']].forEach(([path, defaultSource]) => {
+    router.post(path, ({ body }) => {
+      const lead = {
+        _id: generateId('lead'),
+        is_groupchat: false,
+        is_signed: false,
+        is_dead: false,
+        ...body,
+        client_id: body.client_id || generateId('lead'),
+        source: body.source || defaultSource,
+        assigned_employees: [],
+        created_at: new Date().toISOString()
+      };
+      db.leads.push(lead);
+      assignLeads(db, [lead]);
+      return { status: 'success', message: 'Submission received' };
+    });
+  });
+
+  router.post('/payee-form', () => ({ status: 'success', message: 'Submission received' }));
+
+  router.post('/api/vista-group/create', ({ body }) => ({
+    status: 'success',
+    group_id: generateId('vista'),
+    name: body.name || body.group_name
+  }));
+
+  router.post('/api/tiktok/download', ({ body }) => ({
+    status: 'success',
+    client_id: body.client_id,
+    downloaded: 3
+  }));
+
+  router.post('/api/demo/verify-password', ({ body }) =>
+    body.password === 'demo' ? { status: 'success' } : fail(401, 'Invalid password')
+  );
+
+  router.post('/api/support/submit', () => ({ status: 'success', ticket_id: generateId('ticket') }));
+
+  router.post('/api/chat', ({ body }) => {
+    const last = (body.messages || []).slice(-1)[0];
+    return {
+      message: `Mock reply about ${body.client_id || 'this client'}: "${last?.content || ''}"`,
+      timestamp: new Date().toISOString()
+    };
+  });
+
+  router.get('/api/messages/ai-notes/:clientId/:date', ({ params }) => ({
+    status: 'success',
+    notes: [`No flagged conversations for ${params.clientId} on ${params.date}.`]
+  }));
+
+  router.get('/api/messages/tasks/:clientId/:date', ({ params }) => ({
+    status: 'success',
+    tasks: db.tasks.filter(task => task.client_id === params.clientId)
+  }));
+
+  router.get('/api/social-stats/:platform/:username', ({ params }) => {
+    const followers = 1000 * (params.username.length * 37 % 500 + 20);
+    return {
+      statistics: { followers, engagement_rate: 3.4, subscribers: followers, views: followers * 40 },
+      misc: { sb_verified: false },
+      ranks: { sbrank: 120000, following: 95000 }
+    };
+  });
+};
@@ -0,0 +1,170 @@
+/**
+ * @fileoverview Mock routes for payouts, payees, split profiles, partner commissions and QuickBooks sync.
+ * Serves the PAYMENTS namespace of API_ENDPOINTS.
+ */
+
+const { fail, respond } = require('../router');
+const { generateId } = require('../db');
+const { findClosedMonth, normalizePlan, validatePayment, validatePlan } = require('../commissions');
+
+/**
+ * Registers payment routes
+ *
+ * @param {Object} router - Mock router
+ * @param {Object} db - Mock data store
+ */
+module.exports = (router, db) => {
+  const findProfile = (clientId) => db.splitProfiles.find(profile => profile.clientId === clientId);
+
+  router.get('/api/payments/search-payouts', () => ({ payouts: db.payouts }));
+  router.get('/api/payments/search-payees', () => ({ payees: db.payees }));
+
+  router.post('/api/payments/payee', ({ body }) => {
+    const payee = { _id: generateId('pe'), ...body };
+    db.payees.push(payee);
+    return respond(201, { status: 'success', payee });
+  });
+
+  router.get('/api/payments/payee/:email', ({ params }) =>
+    db.payees.find(payee => payee.primary_email === params.email) || fail(404, 'Payee not found')
+  );
+
+  router.get('/api/payments/split-profile/:clientId', ({ params }) => ({
+    clientId: params.clientId,
+    splits: findProfile(params.clientId)?.splits || []
+  }));
+
+  router.post('/api/payments/split-profile', ({ body }) => {
+    const total = (body.splits || []).reduce((sum, split) => sum + Number(split.percentage || 0), 0);
+    if (total > 100) return fail(400, 'Split percentages cannot exceed 100%');
+
+    const profile = findProfile(body.clientId);
+    if (profile) {
+      profile.splits = body.splits;
+    } else {
+      db.splitProfiles.push({ clientId: body.clientId, splits: body.splits });
+    }
+    return { status: 'success' };
+  });
+
+  router.delete('/api/payments/split-profile/:clientId/:payeeId', ({ params }) => {
+    const profile = findProfile(params.clientId);
+    if (!profile) return fail(404, 'Split profile not found');
+    profile.splits = profile.splits.filter(split => split.payeeId !== params.payeeId);
+    return { status: 'success' };
+  });
+
+  router.get('/api/payments/splits', () => db.splits);
+
+  router.post('/api/payments/splits', ({ body }) => {
+    const split = { _id: generateId('split'), ...body };
+    db.splits.push(split);
+    return respond(201, split);
+  });
+
+  router.get('/api/payments/splits/:splitId', ({ params }) =>
+    db.splits.find(split => split._id === params.splitId) || fail(404, 'Split not found')
+  );
+
+  router.put('/api/payments/splits/:splitId', ({ params, body }) => {
+    const split = db.splits.find(item => item._id === params.splitId);
+    if (!split) return fail(404, 'Split not found');
+    return Object.assign(split, body);
+  });
+
+  router.delete('/api/payments/splits/:splitId', ({ params }) => {
+    db.splits = db.splits.filter(split => split._id !== params.splitId);
+    return { status: 'success' };
+  });
+
+  router.post('/api/payments/quickbooks/sync', ({ body }) => ({
+    status: 'success',
+    payee_email: body.payee_email,
+    vendor_id: `QB-${Math.abs(String(body.payee_email).length * 97)}`
+  }));
+
+  router.get('/api/payments/quickbooks/sync-status/:email', ({ params }) => ({
+    status: 'success',
+    email: params.email,
+    synced: db.payees.some(payee => payee.primary_email === params.email)
+  }));
+
+  router.post('/api/payments/quickbooks/bulk-sync', () => ({ status: 'success', synced: db.payees.length }));
+
+  router.get('/api/payments/commissions/plans', () => db.commissionPlans);
+
+  /**
+   * Refuses plan changes that would alter commission already paid
+   * @param {Object|null} before - Plan as stored
+   * @param {Object|null} after - Plan as it would be saved
+   * @returns {Object|null} 409 response, or null when the change is allowed
+   */
+  const closedMonthConflict = (before, after) => {
+    const month = findClosedMonth(before, after, db);
+    return month
+      ? fail(409, `Commission for ${month} has been paid, so this change cannot apply to it. ` +
+        'End the plan after the last paid month and add a new plan instead.')
+      : null;
+  };
+
+  router.post('/api/payments/commissions/plans', ({ body }) => {
+    const plan = normalizePlan(body);
+    const problem = validatePlan(plan, db);
+    if (problem) return fail(400, problem);
+    const conflict = closedMonthConflict(null, plan);
+    if (conflict) return conflict;
+    const saved = { plan_id: generateId('plan'), ...plan };
+    db.commissionPlans.push(saved);
+    return respond(201, saved);
+  });
+
+  router.put('/api/payments/commissions/plans/:planId', ({ params, body }) => {
+    const existing = db.commissionPlans.find(plan => plan.plan_id === params.planId);
+    if (!existing) return fail(404, 'Commission plan not found');
+    const plan = { plan_id: existing.plan_id, ...normalizePlan({ ...existing, ...body }) };
+    const problem = validatePlan(plan, db);
+    if (problem) return fail(400, problem);
+    const conflict = closedMonthConflict(existing, plan);
+    if (conflict) return conflict;
+    return Object.assign(existing, plan);
+  });
+
+  router.delete('/api/payments/commissions/plans/:planId', ({ params }) => {
+    const existing = db.commissionPlans.find(plan => plan.plan_id === params.planId);
+    if (!existing) return fail(404, 'Commission plan not found');
+    const conflict = closedMonthConflict(existing, null);
+    if (conflict) return conflict;
+    db.commissionPlans = db.commissionPlans.filter(plan => plan.plan_id !== params.planId);
+    return { status: 'success' };
+  });
+
+  router.get('/api/payments/commissions/payments', ({ query }) =>
+    db.commissionPayments.filter(payment => !query.partner_id || payment.partner_id === query.partner_id)
+  );
+
+  // A payment settles what a monthly statement had accrued when it was made
+  router.post('/api/payments/commissions/payments', ({ body }) => {
+    const problem = validatePayment(body, db);
+    if (problem) return fail(400, problem);
+    const payer = db.employees.find(employee => employee.user_id === db.currentUserId);
+    const payment = {
+      payment_id: generateId('cpay'),
+      partner_id: body.partner_id,
+      month: body.month,
+      amount: body.amount,
+      reference: String(body.reference || '').trim(),
+      paid_at: new Date().toISOString(),
+      paid_by: payer ? `${payer.first_name} ${payer.last_name}` : null
+    };
+    db.commissionPayments.push(payment);
+    return respond(201, payment);
+  });
+
+  router.delete('/api/payments/commissions/payments/:paymentId', ({ params }) => {
+    if (!db.commissionPayments.some(payment => payment.payment_id === params.paymentId)) {
+      return fail(404, 'Commission payment not found');
+    }
+    db.commissionPayments = db.commissionPayments.filter(payment => payment.payment_id !== params.paymentId);
+    return { status: 'success' };
+  });
+};
@@ -0,0 +1,77 @@
+/**
+ * @fileoverview Mock routes for the client survey and its admin dashboard.
+ * Serves the SURVEY namespace of API_ENDPOINTS.
+ */
+
+const { fail } = require('../router');
+
+/**
+ * Registers survey routes
+ *
+ * @param {Object} router - Mock router
+ * @param {Object} db - Mock data store
+ */
+module.exports = (router, db) => {
+  const sortedQuestions = () => [...db.questions].sort((a, b) =>
+    (a.sectionOrder - b.sectionOrder) || (a.order - b.order)
+  );
+
+  router.get('/api/client_survey/questions', () => sortedQuestions());
+
+  router.post('/api/client_survey/questions/add', ({ body }) => {
+    if (!body.question) return fail(400, 'Question text is required');
+    const question = { id: body.id || `question_${Date.now()}`, required: false, ...body };
+    db.questions.push(question);
+    return { status: 'success', question };
+  });
+
+  router.post('/api/client_survey/questions/update', ({ body }) => {
+    const updates = Array.isArray(body) ? body : body.questions || [];
+    updates.forEach(update => {
+      const question = db.questions.find(item => item.id === update.id);
+      if (question) Object.assign(question, update);
+    });
+    return { status: 'success', updated: updates.length };
+  });
+
+  router.post('/api/client_survey/questions/sections/add', ({ body }) => {
+    const sectionOrder = Math.max(0, ...db.questions.map(question => question.sectionOrder)) + 1;
+    return { status: 'success', section: body.section || body.name, sectionOrder };
+  });
+
+  router.post('/api/client_survey/questions/upload', () => ({
+    status: 'success',
+    filename: `survey-upload-${Date.now()}.jpg`
+  }));
+
+  router.get('/api/client_survey/sections', () =>
+    [...new Map(sortedQuestions().map(question => [question.section, question.sectionOrder])).entries()]
+      .map(([name, order]) => ({ name, order }))
+  );
+
+  router.post('/api/client_survey/submit', ({ body }) => {
+    const response = {
+      status: 'submitted',
+      groups: [],
+      ...body,
+      timestamp: new Date().toISOString()
+    };
+    db.surveyResponses = db.surveyResponses.filter(item => item.user_id !== response.user_id);
+    db.surveyResponses.push(response);
+    return { status: 'success' };
+  });
+
+  router.post('/api/client_survey/key_info', () => ({ status: 'success' }));
+
+  router.get('/api/client_survey/responses/key', () =>
+    db.surveyResponses.map(({ user_id, client_id, client_name, status, timestamp }) =>
+      ({ user_id, client_id, client_name, status, timestamp })
+    )
+  );
+
+  router.get('/api/client_survey/responses/detailed', () => db.surveyResponses);
+
+  router.get('/api/client_survey/users', () =>
+    db.surveyResponses.map(({ user_id, client_name }) => ({ user_id, client_name }))
+  );
+};
@@ -0,0 +1,243 @@
+/**
+ * @fileoverview Mock routes for the upload tracker and content review tools.
+ * Serves the upload activity endpoints, UPLOAD, CONTENT_SCAN, TWELVE_LABS, VIDEO_SUMMARY
+ * and QUEUE namespaces of API_ENDPOINTS. Activity grids are derived from the seeded
+ * CDN collections so the tracker and the CDN manager always agree.
+ */
+
+const { fail } = require('../router');
+const { toDateString, dateToFolderId } = require('../db');
+
+/**
+ * Summarizes a list of files into the stats shape used by the upload grid cells
+ *
+ * @function summarizeFiles
+ * @param {Array<Object>} files - Session files
+ * @returns {Object} File stats
+ */
+const summarizeFiles = (files) => {
+  const videos = files.filter(file => file.file_type === 'video');
+  const seconds = videos.reduce((sum, file) => sum + (file.video_length || 0), 0);
+  return {
+    videoCount: videos.length,
+    imageCount: files.length - videos.length,
+    videoMinutes: `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`,
+    totalFiles: files.length,
+    totalSize: `${(files.length * 14.6).toFixed(1)} MB`
+  };
+};
+
+/**
+ * Registers upload tracker routes
+ *
+ * @param {Object} router - Mock router
+ * @param {Object} db - Mock data store
+ */
+module.exports = (router, db) => {
+  const clientName = (clientId) => {
+    const lead = db.leads.find(item => item.client_id === clientId);
+    return lead ? (lead.Stage_Name || `${lead.First_Legal_Name} ${lead.Last_Legal_Name}`) : clientId;
+  };
+
+  const isApproved = (clientId, date) =>
+    db.activity.approvedSessions.some(item => item.client_id === clientId && toDateString(item.day) === date);
+
+  /**
+   * Builds per-client activity rows from a CDN collection
+   * @param {string} collection - Collection name
+   * @param {string} key - Property holding the per-day entries (`uploads` or `dumps`)
+   * @returns {Array<Object>} Activity rows
+   */
+  const buildActivity = (collection, key = 'uploads') =>
+    db.collections[collection].map(doc => ({
+      _id: doc.client_id,
+      client_ID: doc.client_id,
+      clientName: clientName(doc.client_id),
+      [key]: doc.sessions.map(session => ({
+        date: session.date,
+        stats: summarizeFiles(session.files),
+        sessions: [{ session_id: session.session_id, approved: isApproved(doc.client_id, session.date) }]
+      }))
+    }));
+
+  const findSessionFiles = (collection, clientId, folderId) => {
+    const doc = db.collections[collection].find(item => item.client_id === clientId);
+    return doc?.sessions.find(session => session.session_id === folderId) || null;
+  };
+
+  const mediaDetails = (collection) => ({ params }) => {
+    const session = findSessionFiles(collection, params.clientId, params.folderId);
+    if (!session) return { files: [] };
+    return { client_ID: params.clientId, folder_id: params.folderId, files: session.files };
+  };
+
+  router.get('/api/uploadapp/upload-activity', () => ({ data: buildActivity('Uploads') }));
+  router.get('/api/uploadapp/spotlights', () => ({ data: buildActivity('Spotlights') }));
+  router.get('/api/uploadapp/saved-activity', () => ({ data: buildActivity('Saved') }));
+  router.get('/api/uploadapp/content-dumps', () => ({ data: buildActivity('Content_Dump', 'dumps') }));
+
+  router.get('/api/uploadapp/upload-media-details/:clientId/:folderId', ({ params }) => {
+    const session = findSessionFiles('Uploads', params.clientId, params.folderId) ||
+      findSessionFiles('Content_Dump', params.clientId, params.folderId);
+    return { client_ID: params.clientId, folder_id: params.folderId, files: session?.files || [] };
+  });
+  router.get('/api/uploadapp/saved-media-details/:clientId/:folderId', mediaDetails('Saved'));
+  router.get('/api/uploadapp/content-dump-details/:clientId/:folderId', mediaDetails('Content_Dump'));
+
+  router.get('/api/uploadapp/spotlight-details/:clientId/:date', ({ params }) =>
+    mediaDetails('Spotlights')({ params: { ...params, folderId: dateToFolderId(params.date, params.clientId) } })
+  );
+
+  router.get('/api/uploadapp/story-metrics', () => {
+    const byClient = {};
+    db.activity.storyViews.forEach(item => {
+      byClient[item.client_id] = byClient[item.client_id] || [];
+      byClient[item.client_id].push({ date: toDateString(item.day), views: item.views });
+    });
+    return {
+      data: Object.entries(byClient).map(([clientId, uploads]) => ({ _id: clientId, uploads }))
+    };
+  });
+
+  router.get('/api/uploadapp/post-activity', () => {
+    const byClient = {};
+    db.activity.posts.forEach(item => {
+      byClient[item.client_id] = byClient[item.client_id] || [];
+      byClient[item.client_id].push({
+        date: toDateString(item.day),
+        stats: { hasActivity: item.postCount > 0, postCount: item.postCount }
+      });
+    });
+    return {
+      data: Object.entries(byClient).map(([clientId, posts]) => ({
+        _id: clientId,
+        client_ID: clientId,
+        clientName: clientName(clientId),
+        posts
+      }))
+    };
+  });
+
+  router.get('/api/uploadapp/post-activity/details/:clientId/:date', ({ params }) => {
+    const post = db.activity.posts.find(item =>
+      item.client_id === params.clientId && toDateString(item.day) === params.date
+    );
+    const files = db.collections.Uploads
+      .find(doc => doc.client_id === params.clientId)?.sessions.flatMap(session => session.files) || [];
+    const stories = Array.from({ length: post?.postCount || 0 }, (_, index) => {
+      const file = files[index % Math.max(files.length, 1)] || {};
+      return {
+        file_name: file.file_name,
+        file_type: file.file_type,
+        cdn_url: file.CDN_link,
+        scheduled_time: `${params.date}T${String(12 + index).padStart(2, '0')}:00:00Z`
+      };
+    });
+    return { client_queues: { [params.clientId]: { stories } } };
+  });
+
+  router.get('/api/uploadapp/content-flags/:clientId', ({ params }) => ({
+    data: db.contentFlags.filter(flag => flag.client_id === params.clientId)
+  }));
+
+  router.put('/api/uploadapp/content-flags/:clientId/:folderId/:fileName/status', ({ params, query }) => {
+    const flag = db.contentFlags.find(item =>
+      item.client_id === params.clientId &&
+      item.folder_id === params.folderId &&
+      item.file_name === params.fileName
+    );
+    if (!flag) return fail(404, 'Flag not found');
+    flag.status = query.action === 'remove' ? 'removed' : 'open';
+    return { status: 'success', message: `Content ${query.action === 'remove' ? 'removed' : 'reinstated'}` };
+  });
+
+  router.post('/api/uploadapp/init-session', ({ body }) => ({
+    status: 'success',
+    session_id: dateToFolderId(toDateString(0), body.client_ID || body.client_id || 'unknown')
+  }));
+
+  router.post('/api/uploadapp/content-notes/add', ({ body }) => {
+    const note = { client_ID: body.client_ID, session_folder: body.session_folder, ...body.file_data };
+    db.contentNotes.push(note);
+    return { status: 'success', note };
+  });
+
+  router.get('/api/uploadapp/content-notes/get/:clientId/:sessionFolder', ({ params }) => ({
+    status: 'success',
+    notes: db.contentNotes.filter(note =>
+      note.client_ID === params.clientId && note.session_folder === params.sessionFolder
+    )
+  }));
+
+  router.delete('/api/uploadapp/content-notes/delete-note/:clientId/:sessionFolder', ({ params, body }) => {
+    db.contentNotes = db.contentNotes.filter(note => !(
+      note.client_ID === params.clientId &&
+      note.session_folder === params.sessionFolder &&
+      note.created_at === body.created_at
+    ));
+    return { status: 'success' };
+  });
+
+  router.post('/api/uploadapp/content-notes/approve', ({ body }) => {
+    const session = findSessionFiles('Uploads', body.client_ID, body.session_folder);
+    if (session) {
+      db.activity.approvedSessions.push({ client_id: body.client_ID, day: session.day });
+    }
+    return { status: 'success', matched_count: session ? 1 : 0, modified_count: session ? 1 : 0 };
+  });
+
+  router.get('/api/uploadapp/editor-notes', ({ query }) => ({
+    status: 'success',
+    notes: db.editorNotes.filter(note => !query.client_id || note.client_id === query.client_id)
+  }));
+
+  router.post('/api/uploadapp/update-editor-note', () => ({ status: 'success' }));
+  router.post('/api/uploadapp/upload-videos', () => ({ status: 'success', uploaded: 0 }));
+
+  router.get('/api/uploadapp/video-summary/:clientId/:sessionId/:fileName', ({ params }) => ({
+    client_ID: params.clientId,
+    session_id: params.sessionId,
+    file_name: params.fileName,
+    video_summary: `Mock summary for ${params.fileName}: creator talks to camera, good lighting, no brand logos detected.`
+  }));
+
+  router.delete('/api/uploadapp/delete-content/:clientId/:sessionFolder', ({ params }) => {
+    const doc = db.collections.Uploads.find(item => item.client_id === params.clientId);
+    if (doc) {
+      doc.sessions = doc.sessions.filter(session => session.session_id !== params.sessionFolder);
+    }
+    return { status: 'success' };
+  });
+
+  router.post('/api/content-scan/scan-media', () => ({ status: 'success', flags: [] }));
+  router.post('/api/content-scan/scan-session', () => ({ status: 'success', flags: [] }));
+
+  router.post('/api/twelve-labs/scan-uploads', () => ({ status: 'success', pending: 0 }));
+  router.post('/api/twelve-labs/scan-for-indexes', () => ({ status: 'success', indexes: [] }));
+  router.post('/api/twelve-labs/upload-videos', () => ({ status: 'success', uploaded: 0 }));
+  router.post('/api/twelve-labs/search-index', () => ({ status: 'success', results: [] }));
+  router.post('/api/twelve-labs/search-all-indexes', () => ({ status: 'success', results: [] }));
+  router.post('/api/twelve-labs/match-search-results', () => ({ status: 'success', matches: [] }));
+  router.post('/api/twelve-labs/summarize-videos', () => ({ status: 'success', summaries: [] }));
+  router.post('/api/twelve-labs/summarize-video/:videoId', ({ params }) => ({
+    status: 'success',
+    video_id: params.videoId,
+    summary: 'Mock video summary'
+  }));
+
+  router.post('/api/ai-review/video-summary/sync-content', () => ({ status: 'success', synced: 0 }));
+  router.post('/api/ai-review/video-summary/save-review/:videoId', ({ params }) => ({ status: 'success', video_id: params.videoId }));
+  router.get('/api/ai-review/video-summary/prompts', () => ({
+    status: 'success',
+    prompts: [{ _id: 'prompt-1', prompt: 'Summarize the video for a content reviewer.', active: true }]
+  }));
+  router.post('/api/ai-review/video-summary/generate-prompt', ({ body }) => ({
+    status: 'success',
+    prompt: `Summarize the video focusing on: ${body.focus || 'overall quality'}`
+  }));
+  router.post('/api/ai-review/video-summary/activate-prompt', () => ({ status: 'success' }));
+
+  router.post('/api/spot-queue/build', () => ({ status: 'success', queued: 0 }));
+  router.post('/api/saved-queue/build', () => ({ status: 'success', queued: 0 }));
+  router.post('/api/saved-queue/process-saved-make', () => ({ status: 'success', processed: 0 }));
+};
@@ -0,0 +1,142 @@
+/**
+ * @fileoverview Local mock API server for frontend development.
+ * Serves the endpoints in src/config/api.js from seeded in-memory fixtures so the
+ * dashboards can be worked on without the production backend.
+ *
+ * Usage: `npm run mock-api` (listens on MOCK_API_PORT, default 4000), then
+ * `npm run start:mock` to point the frontend at it.
+ */
+
+const http = require('http');
+const { URL } = require('url');
+const { createRouter } = require('./router');
+const { createDb } = require('./db');
+
+const PORT = Number(process.env.MOCK_API_PORT) || 4000;
+
+const ROUTE_MODULES = [
+  require('./routes/leads'),
+  require('./routes/cdn'),
+  require('./routes/uploads'),
+  require('./routes/employees'),
+  require('./routes/payments'),
+  require('./routes/survey'),
+  require('./routes/analytics'),
+  require('./routes/misc')
+];
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Authorization, Content-Type'
+};
+
+/**
+ * Reads and parses a request body. Non-JSON bodies (e.g. multipart uploads)
+ * are treated as empty since no mock handler inspects file contents.
+ *
+ * @function readBody
+ * @param {http.IncomingMessage} req - Incoming request
+ * @returns {Promise<Object>} Parsed body
+ */
+const readBody = (req) => new Promise((resolve) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    const raw = Buffer.concat(chunks).toString('utf8');
+    if (!raw || !(req.headers['content-type'] || '').includes('application/json')) {
+      resolve({});
+      return;
+    }
+    try {
+      resolve(JSON.parse(raw));
+    } catch (error) {
+      resolve({});
+    }
+  });
+});
+
+/**
+ * Writes a response with CORS headers
+ *
+ * @function send
+ * @param {http.ServerResponse} res - Server response
+ * @param {number} status - HTTP status code
+ * @param {*} body - Payload, serialized as JSON unless it is a string
+ * @param {string} [contentType] - Content type override
+ */
+const send = (res, status, body, contentType) => {
+  const isText = typeof body === 'string';
+  res.writeHead(status, {
+    ...CORS_HEADERS,
+    'Content-Type': contentType || (isText ? 'text/plain' : 'application/json')
+  });
+  res.end(isText ? body : JSON.stringify(body ?? null));
+};
+
+/**
+ * Creates the mock API HTTP server
+ *
+ * @function createServer
+ * @param {Object} [db] - Data store, defaults to freshly seeded fixtures
+ * @returns {http.Server} Server instance, not yet listening
+ */
+const createServer = (db = createDb()) => {
+  const router = createRouter();
+  ROUTE_MODULES.forEach(register => register(router, db));
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const started = Date.now();
+
+    if (req.method === 'OPTIONS') {
+      send(res, 204, '');
+      return;
+    }
+
+    let status = 404;
+
+    try {
+      // Path segments are decoded while matching, so a malformed escape throws a URIError here
+      const match = router.match(req.method, url.pathname);
+      if (!match) {
+        send(res, status, { detail: 'Not Found' });
+        return;
+      }
+
+      const result = await match.handler({
+        params: match.params,
+        query: Object.fromEntries(url.searchParams),
+        body: await readBody(req),
+        headers: req.headers
+      });
+
+      if (result && result.__mockResponse) {
+        status = result.status;
+        send(res, status, result.body, result.contentType);
+      } else {
+        status = 200;
+        send(res, status, result);
+      }
+    } catch (error) {
+      if (error instanceof URIError) {
+        status = 400;
+        send(res, status, { detail: 'Malformed URL path' });
+        return;
+      }
+      status = 500;
+      console.error(error);
+      send(res, status, { detail: error.message });
+    } finally {
+      console.log(`${req.method} ${url.pathname} ${status} ${Date.now() - started}ms`);
+    }
+  });
+};
+
+if (require.main === module) {
+  createServer().listen(PORT, () => {
+    console.log(`Mock API listening on http://localhost:${PORT}`);
+  });
+}
+
+module.exports = { createServer };
@@ -0,0 +1,193 @@
+/**
+ * @fileoverview Follower and engagement snapshots for the mock API server.
+ * A snapshot records a lead's per-platform numbers at one point in time; the seed data gets
+ * twelve weeks of weekly snapshots so growth charts have something to show, and every
+ * sync appends a snapshot of the current numbers. Syncs are rate limited like the social
+ * platform APIs behind the real endpoint, and a stats refresh run holds a lease so that only
+ * one browser session at a time syncs stale leads.
+ */
+
+/** @type {number} Days between seeded snapshots */
+const SEED_INTERVAL_DAYS = 7;
+
+/** @type {number} Number of seeded snapshots per lead, the newest one being today */
+const SEED_SNAPSHOTS = 13;
+
+/** @type {number} Window the growth stored on each lead is measured over */
+const GROWTH_WINDOW_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** @type {{requests: number, windowMs: number}} Syncs allowed per rolling window */
+const SYNC_RATE_LIMIT = { requests: 10, windowMs: 10 * 1000 };
+
+/** @type {number} Lease length when the client does not ask for one */
+const DEFAULT_LEASE_SECONDS = 120;
+
+/** @type {Object} Defaults for the scheduled stats refresh */
+const DEFAULT_STATS_REFRESH_SETTINGS = {
+  stale_after_days: 7,
+  batch_size: 5,
+  batch_interval_seconds: 10,
+  auto_refresh: true
+};
+
+/**
+ * Reads a numeric lead field, treating "na" and other non-numbers as 0
+ *
+ * @function toNumber
+ * @param {*} value - Raw field value
+ * @returns {number} Number
+ */
+const toNumber = (value) => Number(value) || 0;
+
+/**
+ * Captures a lead's current numbers
+ *
+ * @function snapshotLead
+ * @param {Object} lead - Lead record
+ * @param {string} takenAt - ISO timestamp of the snapshot
+ * @returns {Object} Snapshot
+ */
+const snapshotLead = (lead, takenAt) => ({
+  client_id: lead.client_id,
+  taken_at: takenAt,
+  platforms: {
+    snapchat: { followers: toNumber(lead.Snap_Followers) },
+    instagram: {
+      followers: toNumber(lead.IG_Followers),
+      engagement: toNumber(lead.IG_Engagement),
+      recent_likes: toNumber(lead.IG_Recent_Likes)
+    },
+    tiktok: {
+      followers: toNumber(lead.TT_Followers),
+      engagement: toNumber(lead.TT_Engagement),
+      recent_likes: toNumber(lead.TT_Recent_Likes)
+    },
+    youtube: {
+      followers: toNumber(lead.YT_Subscribers || lead.YT_Followers),
+      recent_views: toNumber(lead.YT_Recent_Views)
+    }
+  }
+});
+
+/**
+ * Total followers across platforms in a snapshot
+ *
+ * @function totalFollowers
+ * @param {Object} snapshot - Snapshot
+ * @returns {number} Followers
+ */
+const totalFollowers = (snapshot) =>
+  Object.values(snapshot.platforms).reduce((sum, platform) => sum + platform.followers, 0);
+
+/**
+ * Percentage growth of total followers over a window, measured from the newest snapshot at
+ * least that old (or the oldest one) to the latest
+ *
+ * @function followerGrowth
+ * @param {Array<Object>} snapshots - Snapshots of one lead, oldest first
+ * @param {number} [days=GROWTH_WINDOW_DAYS] - Window in days
+ * @returns {number|null} Growth in percent, or null without two snapshots to compare
+ */
+const followerGrowth = (snapshots, days = GROWTH_WINDOW_DAYS) => {
+  if (snapshots.length < 2) return null;
+  const latest = snapshots[snapshots.length - 1];
+  const cutoff = new Date(latest.taken_at).getTime() - days * DAY_MS;
+  const baseline = [...snapshots].reverse().find(item => new Date(item.taken_at).getTime() <= cutoff) || snapshots[0];
+  const before = totalFollowers(baseline);
+  if (baseline === latest || before === 0) return null;
+  return Number((((totalFollowers(latest) - before) / before) * 100).toFixed(2));
+};
+
+/**
+ * Snapshots of one lead, oldest first
+ *
+ * @function historyFor
+ * @param {Array<Object>} snapshots - All snapshots
+ * @param {string} clientId - Lead client id
+ * @returns {Array<Object>} The lead's snapshots
+ */
+const historyFor = (snapshots, clientId) =>
+  snapshots
+    .filter(snapshot => snapshot.client_id === clientId)
+    .sort((a, b) => new Date(a.taken_at) - new Date(b.taken_at));
+
+/**
+ * Builds weekly snapshots leading up to each lead's current numbers, the newest one taken when
+ * the lead's stats were last updated. Each lead grows at its own steady weekly rate, derived
+ * from its client id so the seed is the same on every start.
+ *
+ * @function seedStatsHistory
+ * @param {Array<Object>} leads - Seeded leads with `stats_updated_at` set
+ * @returns {Array<Object>} Snapshots, oldest first per lead
+ */
+const seedStatsHistory = (leads) => leads.flatMap(lead => {
+  const seed = [...lead.client_id].reduce((sum, char) => sum + char.charCodeAt(0), 0);
+  const weeklyRate = ((seed % 9) - 1) * 0.006;
+  const current = snapshotLead(lead, lead.stats_updated_at);
+  const updatedAt = new Date(lead.stats_updated_at).getTime();
+
+  return Array.from({ length: SEED_SNAPSHOTS }, (_, index) => {
+    const weeksBack = SEED_SNAPSHOTS - 1 - index;
+    const scale = 1 / (1 + weeklyRate) ** weeksBack;
+    const wobble = 1 + 0.08 * Math.sin(seed + weeksBack);
+    const platforms = Object.fromEntries(Object.entries(current.platforms).map(([platform, metrics]) => [
+      platform,
+      Object.fromEntries(Object.entries(metrics).map(([metric, value]) => {
+        if (weeksBack === 0) return [metric, value];
+        if (metric === 'engagement') return [metric, Number((value * wobble).toFixed(2))];
+        if (metric === 'followers') return [metric, Math.round(value * scale)];
+        return [metric, Math.round(value * scale * wobble)];
+      }))
+    ]));
+    const takenAt = new Date(updatedAt - weeksBack * SEED_INTERVAL_DAYS * DAY_MS).toISOString();
+    return { client_id: lead.client_id, taken_at: takenAt, platforms };
+  });
+});
+
+/**
+ * Records a sync against the rate limit
+ *
+ * @function takeSyncSlot
+ * @param {Array<number>} recentSyncs - Times of recent syncs in ms, pruned in place
+ * @param {number} now - Current time in ms
+ * @returns {number} Seconds to wait before retrying, or 0 when the sync may run
+ */
+const takeSyncSlot = (recentSyncs, now) => {
+  while (recentSyncs.length && recentSyncs[0] <= now - SYNC_RATE_LIMIT.windowMs) recentSyncs.shift();
+  if (recentSyncs.length >= SYNC_RATE_LIMIT.requests) {
+    return Math.ceil((recentSyncs[0] + SYNC_RATE_LIMIT.windowMs - now) / 1000);
+  }
+  recentSyncs.push(now);
+  return 0;
+};
+
+/**
+ * Takes or renews the stats refresh lease for a holder
+ *
+ * @function takeLease
+ * @param {Object} lease - Current lease, updated in place when it is taken
+ * @param {string} holderId - Session asking for the lease
+ * @param {number} ttlSeconds - How long the lease lasts without a renewal
+ * @param {number} now - Current time in ms
+ * @returns {boolean} Whether the holder has the lease
+ */
+const takeLease = (lease, holderId, ttlSeconds, now) => {
+  const heldByOther = lease.holder_id && lease.holder_id !== holderId && Date.parse(lease.expires_at) > now;
+  if (heldByOther) return false;
+  const seconds = Number.isInteger(ttlSeconds) && ttlSeconds > 0 ? ttlSeconds : DEFAULT_LEASE_SECONDS;
+  lease.holder_id = holderId;
+  lease.expires_at = new Date(now + seconds * 1000).toISOString();
+  return true;
+};
+
+module.exports = {
+  DEFAULT_STATS_REFRESH_SETTINGS,
+  followerGrowth,
+  historyFor,
+  seedStatsHistory,
+  snapshotLead,
+  takeLease,
+  takeSyncSlot
+};
@@ -5,6 +5,7 @@
 
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 import { AuthProvider } from './contexts/AuthContext';
+import { AlgorithmSettingsProvider } from './contexts/AlgorithmSettingsContext';
 import ProtectedRoute from './components/Auth/ProtectedRoute';
 import Login from './components/Auth/Login';
 import CallForm from './components/CallForm/CallForm';
@@ -29,14 +30,19 @@ import DesktopUpload from './components/DesktopUpload/DesktopUpload';
 import SurveyLogin from './components/Auth/SurveyLogin';
 import SplitAssignment from './components/Payments/SplitAssignment';
 import PayeeForm from './components/Payments/PayeeForm';
+import PartnerCommissions from './components/Payments/PartnerCommissions';
 import CallFormMoxy from './components/CallForm/CallForm-moxy';
 import { FileMover } from './components/FileMover/file-mover';
+import Client360 from './components/Client360/Client360';
+import CommandPalette from './components/CommandPalette/CommandPalette';
+import AppShell from './components/Layout/AppShell';
 import './global.css';
 
 /**
  * Main application component that sets up routing and authentication
  * Wraps the entire application in AuthProvider and Router components
- * Defines protected and public routes
+ * Defines public routes and the protected internal screens, which share the app shell,
+ * and mounts the global command palette
  * 
  * @component
  * @returns {React.ReactElement} The rendered App component
@@ -45,6 +51,7 @@ function App() {
   return (
     <AuthProvider>
       <Router>
+        <CommandPalette />
         <Routes>
           {/* Auth Routes */}
           <Route path="/login" element={<Login />} />
@@ -68,95 +75,59 @@ function App() {
             </ProtectedRoute>
           } />
           
-          <Route path="/ai-review/video-summary" element={
-            <ProtectedRoute>
-              <VideoSummary />
-            </ProtectedRoute>
-          } />
+          {/* Internal screens, rendered inside the shared app shell */}
+          <Route element={
+            <ProtectedRoute>
+              <AppShell />
+            </ProtectedRoute>
+          }>
+            <Route path="/ai-review/video-summary" element={<VideoSummary />} />
+            <Route path="/cdn-manager" element={<FileManager />} />
+            <Route path="/upload-activity" element={<UploadTracker />} />
+            <Route path="/lead" element={
+              <AlgorithmSettingsProvider>
+                <LeadTracker />
+              </AlgorithmSettingsProvider>
+            } />
+            <Route path="/client/:clientId" element={<Client360 />} />
+            <Route path="/onboarding" element={<OnboardingForm />} />
+            <Route path="/tasks" element={<TaskGrid />} />
+            <Route path="/analytics" element={<AnalyticsDashboard />} />
+            <Route path="/analytics/dashboard" element={<AnalyticsDashboard />} />
+            <Route path="/data" element={<AnalyticsDashboard />} />
+            <Route path="/timesheet" element={<TimeSheet />} />
+            <Route path="/desktop-upload" element={<DesktopUpload />} />
 
-          <Route path="/cdn-manager" element={
-            <ProtectedRoute>
-              <FileManager />
-            </ProtectedRoute>
-          } />
-          
-          <Route path="/upload-activity" element={
-            <ProtectedRoute>
-              <UploadTracker />
-            </ProtectedRoute>
-          } />
-          
-          <Route path="/lead" element={
-            <ProtectedRoute>
-              <LeadTracker />
-            </ProtectedRoute>
-          } />
-          
-          <Route path="/onboarding" element={
-            <ProtectedRoute>
-              <OnboardingForm />
-            </ProtectedRoute>
-          } />
-          
-          <Route path="/tasks" element={
-            <ProtectedRoute>
-              <TaskGrid />
-            </ProtectedRoute>
-          } />
-          
-          <Route path="/analytics" element={
-            <ProtectedRoute>
-              <AnalyticsDashboard />
-            </ProtectedRoute>
-          } />
-          
-          <Route path="/analytics/dashboard" element={
-            <ProtectedRoute>
-              <AnalyticsDashboard />
-            </ProtectedRoute>
-          } />
-          
-          <Route path="/data" element={
-            <ProtectedRoute>
-              <AnalyticsDashboard />
-            </ProtectedRoute>
-          } />
-          
-          <Route path="/timesheet" element={
-            <ProtectedRoute>
-              <TimeSheet />
-            </ProtectedRoute>
-          } />
-          
-          <Route path="/admin/survey" element={
-            <ProtectedRoute>
-              <AdminSurvey />
-            </ProtectedRoute>
-          } />
-          
-          <Route path="/chat" element={
-            <ProtectedRoute>
-              <AIChat />
-            </ProtectedRoute>
-          } />
-          
-          <Route path="/desktop-upload" element={
-            <ProtectedRoute>
-              <DesktopUpload />
-            </ProtectedRoute>
-          } />
-          
-          <Route path="/filemover" element={
-            <ProtectedRoute>
-              <FileMover />
-            </ProtectedRoute>
-          } />
-          
-          <Route path="/payments/splits" element={
-            <ProtectedRoute>
-              <SplitAssignment />
-            </ProtectedRoute>
-          } />
+            <Route path="/admin/survey" element={
+              <ProtectedRoute requiredPermission="MANAGE_SURVEYS">
+                <AdminSurvey />
+              </ProtectedRoute>
+            } />
+
+            <Route path="/chat" element={
+              <ProtectedRoute requiredPermission="USE_AI_CHAT">
+                <AIChat />
+              </ProtectedRoute>
+            } />
+
+            <Route path="/filemover" element={
+              <ProtectedRoute requiredPermission="MOVE_FILES">
+                <FileMover />
+              </ProtectedRoute>
+            } />
+
+            <Route path="/payments/splits" element={
+              <ProtectedRoute requiredPermission="MANAGE_PAYMENTS">
+                <SplitAssignment />
+              </ProtectedRoute>
+            } />
+
+            <Route path="/payments/commissions" element={
+              <ProtectedRoute requiredPermission="MANAGE_PAYMENTS">
+                <PartnerCommissions />
+              </ProtectedRoute>
+            } />
+          </Route>
           
           <Route path="/" element={
             <ProtectedRoute>
@@ -4,11 +4,10 @@
  */
 
 import React, { useState, useRef, useEffect } from 'react';
-import { useAuth } from '../../contexts/AuthContext';
 import './AIChat.css';
 import { API_ENDPOINTS } from '../../config/api';
 import Markdown from 'markdown-to-jsx';
-import axios from 'axios';
+import axios from '../../utils/axiosConfig';
 
 /**
  * @typedef {Object} Message
@@ -44,7 +43,6 @@ const ChatInterface = () => {
     const [permissionError, setPermissionError] = useState(null);
     const messagesEndRef = useRef(null);
     const chatMessagesRef = useRef(null);
-    const { getAccessToken } = useAuth();
 
     // Fetch users on component mount
     useEffect(() => {
@@ -108,20 +106,10 @@ const ChatInterface = () => {
         setLoading(true);
 
         try {
-            const token = await getAccessToken();
-            const response = await fetch(API_ENDPOINTS.CHAT.SEND, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${token}`
-                },
-                body: JSON.stringify({
-                    messages: [...messages, userMessage],
-                    client_id: selectedUser
-                })
+            const { data } = await axios.post(API_ENDPOINTS.CHAT.SEND, {
+                messages: [...messages, userMessage],
+                client_id: selectedUser
             });
-
-            const data = await response.json();
             
             setMessages(prev => [...prev, {
                 role: 'assistant',
@@ -8,7 +8,8 @@ import React, { useState, useEffect } from 'react';
 import VideoPlayer from './common/VideoPlayer';
 import { API_ENDPOINTS } from '../../config/api';
 import { Amplify } from 'aws-amplify';
-import { getCurrentUser, fetchAuthSession } from '@aws-amplify/auth';
+import { getCurrentUser } from '@aws-amplify/auth';
+import axios from '../../utils/axiosConfig';
 import './AIPromptReview.css';
 
 /**
@@ -79,21 +80,7 @@ const VideoSummary = () => {
     try {
       setLoading(true);
       
-      // Get the current authenticated session
-      const { tokens } = await fetchAuthSession();
-      const token = tokens.idToken.toString();
-      
-      const response = await fetch(API_ENDPOINTS.VIDEO_SUMMARY.SYNC_CONTENT, {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        }
-      });
-      
-      if (!response.ok) throw new Error('Failed to sync content');
-      
-      const data = await response.json();
+      const { data } = await axios.get(API_ENDPOINTS.VIDEO_SUMMARY.SYNC_CONTENT);
       setPendingReviews(data.videos || []);
       setCurrentPrompt(data.current_prompt);
       
@@ -125,22 +112,7 @@ const VideoSummary = () => {
       setGeneratingPrompt(true);
       setSelectedSuggestionIndex(null);
       
-      const { tokens } = await fetchAuthSession();
-      const token = tokens.idToken.toString();
-      
-      const response = await fetch(API_ENDPOINTS.VIDEO_SUMMARY.GENERATE_PROMPT, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        }
-      });
-      
-      const data = await response.json();
-      
-      if (!response.ok) {
-        throw new Error(data.detail || 'Failed to generate prompt suggestions');
-      }
+      const { data } = await axios.post(API_ENDPOINTS.VIDEO_SUMMARY.GENERATE_PROMPT);
       
       setPromptSuggestions(data.suggestions);
     } catch (error) {
@@ -166,23 +138,9 @@ const VideoSummary = () => {
       
       const selectedSuggestion = promptSuggestions[selectedSuggestionIndex];
       
-      const { tokens } = await fetchAuthSession();
-      const token = tokens.idToken.toString();
-      
-      const response = await fetch(API_ENDPOINTS.VIDEO_SUMMARY.ACTIVATE_PROMPT, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          prompt_text: selectedSuggestion.prompt_text
-        })
+      const { data } = await axios.post(API_ENDPOINTS.VIDEO_SUMMARY.ACTIVATE_PROMPT, {
+        prompt_text: selectedSuggestion.prompt_text
       });
-      
-      if (!response.ok) throw new Error('Failed to save prompt');
-      
-      const data = await response.json();
       setCurrentPrompt({
         id: data.id,
         prompt_id: data.prompt_id,
@@ -354,22 +312,10 @@ const ReviewCard = ({ review }) => {
     try {
       setSaving(true);
       
-      const { tokens } = await fetchAuthSession();
-      const token = tokens.idToken.toString();
-
-      const response = await fetch(API_ENDPOINTS.VIDEO_SUMMARY.SAVE_REVIEW(review.video_id), {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          ratings,
-          feedback
-        })
+      await axios.post(API_ENDPOINTS.VIDEO_SUMMARY.SAVE_REVIEW(review.video_id), {
+        ratings,
+        feedback
       });
-
-      if (!response.ok) throw new Error('Failed to save review');
       
       alert('Review saved successfully');
     } catch (error) {
@@ -5,7 +5,6 @@
 
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
-import axiosInstance from '../../utils/axiosConfig';
 import { API_ENDPOINTS } from '../../config/api';
 import ClientSelector from './ClientSelector';
 import MetricsSummary from './MetricsSummary';
@@ -16,8 +15,7 @@ import AnalyticsSummary from './AnalyticsSummary';
 import DateRangePicker from './DateRangePicker';
 import RevenueChart from './RevenueChart';
 import './AnalyticsDashboard.css';
-import { fetchAuthSession } from 'aws-amplify/auth';
-import axios from 'axios';
+import axios from '../../utils/axiosConfig';
 
 /**
  * Loading spinner component for data fetching states
@@ -71,18 +69,8 @@ const AnalyticsDashboard = () => {
 
   const fetchClients = async () => {
     try {
-      const { tokens } = await fetchAuthSession();
-      const token = tokens.idToken.toString();
-
       console.log('Fetching analytics clients...');
-      const response = await axiosInstance.get(
-        API_ENDPOINTS.ANALYTICS.GET_CLIENTS,
-        {
-          headers: {
-            'Authorization': `Bearer ${token}`
-          }
-        }
-      );
+      const response = await axios.get(API_ENDPOINTS.ANALYTICS.GET_CLIENTS);
 
       console.log('Clients response:', response.data);
       if (response.data.status === 'success' && response.data.data) {
@@ -98,25 +86,19 @@ const AnalyticsDashboard = () => {
     
     setIsLoading(true);
     try {
-      const { tokens } = await fetchAuthSession();
-      const token = tokens.idToken.toString();
-
       console.log('Fetching analytics data for client:', selectedClient);
       console.log('Date range:', {
         start: formatDateForApi(dateRange.start),
         end: formatDateForApi(dateRange.end)
       });
 
-      const response = await axiosInstance.get(
+      const response = await axios.get(
         API_ENDPOINTS.ANALYTICS.GET_SNAPCHAT,
         {
           params: {
             client_id: selectedClient,
             start_date: formatDateForApi(dateRange.start),
             end_date: formatDateForApi(dateRange.end)
-          },
-          headers: {
-            'Authorization': `Bearer ${token}`
           }
         }
       );
@@ -140,17 +122,9 @@ const AnalyticsDashboard = () => {
   const handleVistaSync = async () => {
     try {
       setIsSyncing(true);
-      const { tokens } = await fetchAuthSession();
-      const token = tokens.idToken.toString();
-
       const response = await axios.post(
         API_ENDPOINTS.ANALYTICS.SYNC_VISTA,
-        {},  // empty body
-        {
-          headers: {
-            'Authorization': `Bearer ${token}`
-          }
-        }
+        {}  // empty body
       );
 
       if (response.data.status === 'success') {
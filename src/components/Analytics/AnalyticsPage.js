@@ -1,7 +1,7 @@
 import React, { useState } from 'react';
 import DatePicker from 'react-datepicker';
 import 'react-datepicker/dist/react-datepicker.css';
-import axios from 'axios';
+import axios from '../../utils/axiosConfig';
 
 const AnalyticsPage = () => {
   const [fromDate, setFromDate] = useState(new Date());
@@ -9,8 +9,7 @@ import {
   ResponsiveContainer,
   Legend
 } from 'recharts';
-import { fetchAuthSession } from 'aws-amplify/auth';
-import axiosInstance from '../../utils/axiosConfig';
+import axios from '../../utils/axiosConfig';
 
 const formatNumber = (num) => {
   if (num === null || num === undefined) return '0';
@@ -55,16 +54,8 @@ const RevenueChart = ({ selectedClient, data }) => {
     try {
       setChartData(prev => ({ ...prev, loading: true }));
       
-      const { tokens } = await fetchAuthSession();
-      const token = tokens.idToken.toString();
-
       // Fetch revenue data
-      const revenueResponse = await axiosInstance.get('/api/payments/search-payouts', {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        }
-      });
+      const revenueResponse = await axios.get('/api/payments/search-payouts');
 
       // Process revenue data
       const monthlyRevenue = {};
@@ -0,0 +1,59 @@
+/**
+ * @fileoverview Access denied page shown when an authenticated user lacks
+ * the Cognito group or permission required by a protected route.
+ */
+
+import React from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
+import './Login.css';
+
+/**
+ * Renders a 403 page with options to go back or sign in as a different user
+ *
+ * @component
+ * @returns {React.ReactElement} The rendered Forbidden page
+ */
+const Forbidden = () => {
+  const navigate = useNavigate();
+  const { signOut } = useAuth();
+
+  /**
+   * Signs out the current user and returns to the login page
+   * @async
+   * @returns {Promise<void>}
+   */
+  const handleSwitchAccount = async () => {
+    await signOut();
+    navigate('/login', { replace: true });
+  };
+
+  return (
+    <div className="login-page">
+      <div className="login-box">
+        <p className="forbidden-code">403</p>
+        <h2>Access Denied</h2>
+        <p className="forbidden-message">
+          Your account does not have permission to view this page.
+          Contact an administrator if you believe this is a mistake.
+        </p>
+        <button
+          type="button"
+          className="login-button"
+          onClick={() => navigate(-1)}
+        >
+          Go Back
+        </button>
+        <button
+          type="button"
+          className="switch-auth-button"
+          onClick={handleSwitchAccount}
+        >
+          Sign in with a different account
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default Forbidden;
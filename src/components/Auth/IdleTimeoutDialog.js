@@ -0,0 +1,50 @@
+/**
+ * @fileoverview Warning shown before an idle session is signed out.
+ */
+
+import React from 'react';
+import { Button, Dialog, DialogActions, DialogContent, DialogContentText, DialogTitle } from '@mui/material';
+
+/**
+ * Formats a duration as m:ss
+ *
+ * @function formatCountdown
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Formatted countdown
+ */
+const formatCountdown = (ms) => {
+  const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return `${minutes}:${seconds}`;
+};
+
+/**
+ * Renders the idle warning with a countdown
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {boolean} props.open - Whether the warning is shown
+ * @param {number} props.remainingMs - Time left before sign-out
+ * @param {Function} props.onStay - Keeps the session alive
+ * @param {Function} props.onSignOut - Signs out immediately
+ * @returns {React.ReactElement} The rendered dialog
+ */
+const IdleTimeoutDialog = ({ open, remainingMs, onStay, onSignOut }) => (
+  <Dialog open={open} onClose={onStay} maxWidth="xs" fullWidth>
+    <DialogTitle>Are you still there?</DialogTitle>
+    <DialogContent>
+      <DialogContentText>
+        You will be signed out in {formatCountdown(remainingMs)} because of inactivity.
+      </DialogContentText>
+    </DialogContent>
+    <DialogActions>
+      <Button onClick={onSignOut}>Sign out</Button>
+      <Button variant="contained" onClick={onStay} autoFocus>
+        Stay signed in
+      </Button>
+    </DialogActions>
+  </Dialog>
+);
+
+export default IdleTimeoutDialog;
@@ -0,0 +1,131 @@
+/**
+ * @fileoverview Forgot-password flow shared by the login pages: requests a reset
+ * code by email, then sets the new password with that code.
+ */
+
+import React, { useState } from 'react';
+import { resetPassword, confirmResetPassword } from 'aws-amplify/auth';
+import { getPasswordError } from '../../utils/passwordPolicy';
+import './Login.css';
+
+/**
+ * Renders the password reset forms
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} [props.initialEmail] - Email to prefill
+ * @param {boolean} props.codeSent - Whether the reset code has been sent
+ * @param {Function} props.onCodeSent - Called once the reset code has been sent
+ * @param {Function} props.onComplete - Called after the password has been reset
+ * @param {Function} props.onCancel - Returns to the sign-in form
+ * @returns {React.ReactElement} The rendered form
+ */
+const PasswordResetForm = ({ initialEmail = '', codeSent, onCodeSent, onComplete, onCancel }) => {
+  const [email, setEmail] = useState(initialEmail);
+  const [code, setCode] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+  const passwordError = getPasswordError(newPassword);
+
+  /**
+   * Sends the reset code to the user's email
+   * @async
+   * @param {React.FormEvent} e - Submit event
+   */
+  const handleRequestCode = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      await resetPassword({ username: email });
+      onCodeSent();
+    } catch (err) {
+      console.error('Reset password error:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Sets the new password using the emailed code
+   * @async
+   * @param {React.FormEvent} e - Submit event
+   */
+  const handleConfirm = async (e) => {
+    e.preventDefault();
+    if (!newPassword || passwordError) return;
+    setLoading(true);
+    setError('');
+
+    try {
+      await confirmResetPassword({ username: email, confirmationCode: code, newPassword });
+      onComplete();
+    } catch (err) {
+      console.error('Confirm reset error:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (codeSent) {
+    return (
+      <form onSubmit={handleConfirm}>
+        {error && <div className="error-message">{error}</div>}
+        <div className="input-group">
+          <input
+            type="text"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            placeholder="Enter reset code"
+            required
+          />
+        </div>
+        <div className="input-group">
+          <input
+            type="password"
+            value={newPassword}
+            onChange={(e) => setNewPassword(e.target.value)}
+            placeholder="New password"
+            required
+          />
+        </div>
+        {passwordError && (
+          <div className="error-message password-requirements">{passwordError}</div>
+        )}
+        <button type="submit" className="login-button" disabled={loading}>
+          {loading ? 'Resetting...' : 'Reset Password'}
+        </button>
+        <button type="button" className="switch-auth-button" onClick={onCancel}>
+          Back to Sign In
+        </button>
+      </form>
+    );
+  }
+
+  return (
+    <form onSubmit={handleRequestCode}>
+      {error && <div className="error-message">{error}</div>}
+      <div className="input-group">
+        <input
+          type="email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          placeholder="Enter your email"
+          required
+        />
+      </div>
+      <button type="submit" className="login-button" disabled={loading}>
+        {loading ? 'Sending...' : 'Send Reset Code'}
+      </button>
+      <button type="button" className="switch-auth-button" onClick={onCancel}>
+        Back to Sign In
+      </button>
+    </form>
+  );
+};
+
+export default PasswordResetForm;
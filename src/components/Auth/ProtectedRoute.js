@@ -1,21 +1,47 @@
 import { Navigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
+import { buildLoginRedirect, getLoginRoute } from '../../utils/loginRoutes';
+import Forbidden from './Forbidden';
 
-const ProtectedRoute = ({ children, redirectTo = '/login' }) => {
-  const { isAuthenticated } = useAuth();
+/**
+ * Route guard that requires an authenticated user and, optionally,
+ * membership in a Cognito group or a named permission.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Content to render when access is granted
+ * @param {string} [props.redirectTo] - Login route for unauthenticated users; defaults to the
+ * login page that serves the current area, so tabs signed out elsewhere land on the right one
+ * @param {Array<string>} [props.requiredGroups] - User must belong to at least one of these groups
+ * @param {string} [props.requiredPermission] - Key of a permission in config/permissions
+ * @returns {React.ReactElement} The children, a redirect, or the 403 page
+ */
+const ProtectedRoute = ({ children, redirectTo, requiredGroups, requiredPermission }) => {
+  const { isAuthenticated, hasGroup, can } = useAuth();
   const location = useLocation();
 
   if (!isAuthenticated) {
     // For survey routes, pass the clientId as a query parameter
     if (location.pathname.startsWith('/survey/')) {
       const clientId = location.pathname.split('/')[2];
-      return <Navigate to={`${redirectTo}?clientId=${clientId}`} replace />;
+      return <Navigate to={`${redirectTo || getLoginRoute(location.pathname)}?clientId=${clientId}`} replace />;
     }
     // For other routes, add the current path as a redirect parameter
-    return <Navigate to={`${redirectTo}?redirect=${location.pathname}`} replace />;
+    const loginUrl = redirectTo
+      ? `${redirectTo}?redirect=${location.pathname}`
+      : buildLoginRedirect(location.pathname);
+    return <Navigate to={loginUrl} replace />;
+  }
+
+  if (requiredGroups && !hasGroup(requiredGroups)) {
+    return <Forbidden />;
+  }
+
+  if (requiredPermission && !can(requiredPermission)) {
+    return <Forbidden />;
   }
 
   return children;
 };
 
-export default ProtectedRoute; 
\ No newline at end of file
+export default ProtectedRoute;
@@ -0,0 +1,137 @@
+/**
+ * @fileoverview Challenge forms shown after the password step of sign-in:
+ * TOTP code entry, TOTP enrollment and new-password-required.
+ * Rendered by every login page from the state of useSignInFlow.
+ */
+
+import React, { useState } from 'react';
+import { SIGN_IN_STEPS } from '../../hooks/useSignInFlow';
+import { getPasswordError } from '../../utils/passwordPolicy';
+import TotpSetup from './TotpSetup';
+import './Login.css';
+
+/**
+ * Headings for each challenge step
+ * @type {Object<string, string>}
+ */
+export const CHALLENGE_TITLES = {
+  [SIGN_IN_STEPS.TOTP_CODE]: 'Two-Factor Authentication',
+  [SIGN_IN_STEPS.TOTP_SETUP]: 'Set Up Two-Factor Authentication',
+  [SIGN_IN_STEPS.NEW_PASSWORD]: 'Choose a New Password'
+};
+
+/**
+ * Form for the 6-digit code from the user's authenticator app
+ * @param {Object} props - Component props
+ * @param {Object} props.flow - State returned by useSignInFlow
+ * @returns {React.ReactElement} The rendered form
+ */
+const TotpCodeForm = ({ flow }) => {
+  const [code, setCode] = useState('');
+
+  return (
+    <form onSubmit={(e) => {
+      e.preventDefault();
+      flow.submitChallenge(code.trim());
+    }}>
+      {flow.error && <div className="error-message">{flow.error}</div>}
+      <p className="totp-help">Enter the 6-digit code from your authenticator app.</p>
+      <div className="input-group">
+        <input
+          type="text"
+          inputMode="numeric"
+          autoComplete="one-time-code"
+          pattern="\d{6}"
+          maxLength={6}
+          value={code}
+          onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+          placeholder="6-digit code"
+          required
+          autoFocus
+        />
+      </div>
+      <button type="submit" className="login-button" disabled={flow.loading || code.length !== 6}>
+        {flow.loading ? 'Verifying...' : 'Verify'}
+      </button>
+    </form>
+  );
+};
+
+/**
+ * Form for the permanent password Cognito requires after a temporary one
+ * @param {Object} props - Component props
+ * @param {Object} props.flow - State returned by useSignInFlow
+ * @returns {React.ReactElement} The rendered form
+ */
+const NewPasswordForm = ({ flow }) => {
+  const [password, setPassword] = useState('');
+  const [confirm, setConfirm] = useState('');
+  const passwordError = getPasswordError(password, confirm);
+
+  return (
+    <form onSubmit={(e) => {
+      e.preventDefault();
+      if (!passwordError && password === confirm) {
+        flow.submitChallenge(password);
+      }
+    }}>
+      {flow.error && <div className="error-message">{flow.error}</div>}
+      <div className="input-group">
+        <input
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          placeholder="New password"
+          autoComplete="new-password"
+          required
+          autoFocus
+        />
+      </div>
+      <div className="input-group">
+        <input
+          type="password"
+          value={confirm}
+          onChange={(e) => setConfirm(e.target.value)}
+          placeholder="Confirm new password"
+          autoComplete="new-password"
+          required
+        />
+      </div>
+      {passwordError && (
+        <div className="error-message password-requirements">{passwordError}</div>
+      )}
+      <button type="submit" className="login-button" disabled={flow.loading || !!passwordError}>
+        {flow.loading ? 'Saving...' : 'Set Password'}
+      </button>
+    </form>
+  );
+};
+
+/**
+ * Renders the form for the flow's current challenge with a way back to sign in
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} props.flow - State returned by useSignInFlow
+ * @returns {React.ReactElement} The rendered challenge
+ */
+const SignInChallenge = ({ flow }) => (
+  <>
+    {flow.step === SIGN_IN_STEPS.TOTP_CODE && <TotpCodeForm flow={flow} />}
+    {flow.step === SIGN_IN_STEPS.TOTP_SETUP && flow.totpSetup && (
+      <TotpSetup
+        uri={flow.totpSetup.uri}
+        secret={flow.totpSetup.secret}
+        onSubmit={flow.submitChallenge}
+        loading={flow.loading}
+        error={flow.error}
+      />
+    )}
+    {flow.step === SIGN_IN_STEPS.NEW_PASSWORD && <NewPasswordForm flow={flow} />}
+    <button type="button" className="switch-auth-button" onClick={flow.cancel}>
+      Back to Sign In
+    </button>
+  </>
+);
+
+export default SignInChallenge;
@@ -1,7 +1,12 @@
 import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { signIn, signUp, confirmSignUp, resetPassword, confirmResetPassword } from 'aws-amplify/auth';
+import { signUp, confirmSignUp } from 'aws-amplify/auth';
 import { API_ENDPOINTS } from '../../config/api';
+import axios from '../../utils/axiosConfig';
+import useSignInFlow, { SIGN_IN_STEPS } from '../../hooks/useSignInFlow';
+import { getPasswordError } from '../../utils/passwordPolicy';
+import SignInChallenge, { CHALLENGE_TITLES } from './SignInChallenge';
+import PasswordResetForm from './PasswordResetForm';
 import './Login.css';
 
 const TimeSheetLogin = () => {
@@ -25,37 +30,14 @@ const TimeSheetLogin = () => {
   const [pendingEmployeeData, setPendingEmployeeData] = useState(null);
   const [isResetPassword, setIsResetPassword] = useState(false);
   const [isConfirmReset, setIsConfirmReset] = useState(false);
-  const [resetCode, setResetCode] = useState('');
-  const [newPassword, setNewPassword] = useState('');
-  const [resetEmail, setResetEmail] = useState('');
   
   const navigate = useNavigate();
+  const flow = useSignInFlow({ onSignedIn: () => navigate('/timesheet') });
 
   const validatePassword = (pass, confirm) => {
-    if (!pass) {
-      setPasswordError('');
-      return false;
-    }
-
-    const requirements = [];
-    if (!/\d/.test(pass)) requirements.push('number');
-    if (!/[!@#$%^&*()_+\-=\[\]{}|;:,.<>?]/.test(pass)) requirements.push('special character');
-    if (!/[A-Z]/.test(pass)) requirements.push('uppercase letter');
-    if (!/[a-z]/.test(pass)) requirements.push('lowercase letter');
-    if (pass.length < 8) requirements.push('minimum 8 characters');
-
-    if (requirements.length > 0) {
-      setPasswordError(`Password needs: ${requirements.join(', ')}`);
-      return false;
-    }
-
-    if (confirm && pass !== confirm) {
-      setPasswordError("Passwords don't match");
-      return false;
-    }
-
-    setPasswordError('');
-    return true;
+    const message = getPasswordError(pass, confirm);
+    setPasswordError(message);
+    return !!pass && !message;
   };
 
   const handleSearch = async (query) => {
@@ -69,11 +51,7 @@ const TimeSheetLogin = () => {
     }
 
     try {
-      const response = await fetch(API_ENDPOINTS.EMPLOYEES.PARTNER_SEARCH(query));
-      if (!response.ok) {
-        throw new Error(`Search failed: ${response.status}`);
-      }
-      const data = await response.json();
+      const { data } = await axios.get(API_ENDPOINTS.EMPLOYEES.PARTNER_SEARCH(query));
       if (data.results && Array.isArray(data.results)) {
         setSearchResults(data.results);
       }
@@ -93,6 +71,11 @@ const TimeSheetLogin = () => {
 
   const handleSubmit = async (e) => {
     e.preventDefault();
+    if (!isSignUp) {
+      setError('');
+      await flow.submitCredentials(email, password);
+      return;
+    }
     if (isSignUp && !validatePassword(password, confirmPassword)) {
       return;
     }
@@ -137,9 +120,6 @@ const TimeSheetLogin = () => {
 
         setIsConfirmation(true);
         return;
-      } else {
-        await signIn({ username: email, password });
-        navigate('/timesheet');
       }
     } catch (err) {
       console.error('Auth error:', err);
@@ -158,75 +138,30 @@ const TimeSheetLogin = () => {
       });
       
       if (pendingEmployeeData) {
-        const response = await fetch(API_ENDPOINTS.EMPLOYEES.SIGNUP, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify(pendingEmployeeData)
-        });
-
-        if (!response.ok) {
-          throw new Error('Failed to create employee record');
-        }
+        await axios.post(API_ENDPOINTS.EMPLOYEES.SIGNUP, pendingEmployeeData);
       }
 
       setPendingEmployeeData(null);
-      await signIn({ username: email, password });
-      navigate('/timesheet');
+      await flow.submitCredentials(email, password);
     } catch (err) {
       console.error('Confirmation error:', err);
       setError(err.message);
     }
   };
 
-  const handleResetPassword = async (e) => {
-    e.preventDefault();
-    setLoading(true);
-    setError('');
-
-    try {
-      await resetPassword({ username: resetEmail });
-      setIsConfirmReset(true);
-    } catch (err) {
-      console.error('Reset password error:', err);
-      setError(err.message);
-    } finally {
-      setLoading(false);
-    }
-  };
-
-  const handleConfirmReset = async (e) => {
-    e.preventDefault();
-    if (!validatePassword(newPassword)) {
-      return;
-    }
-    setLoading(true);
-    setError('');
-
-    try {
-      await confirmResetPassword({
-        username: resetEmail,
-        confirmationCode: resetCode,
-        newPassword
-      });
-      
-      setIsResetPassword(false);
-      setIsConfirmReset(false);
-      setError('Password reset successful. Please sign in.');
-    } catch (err) {
-      console.error('Confirm reset error:', err);
-      setError(err.message);
-    } finally {
-      setLoading(false);
-    }
+  const handlePasswordResetComplete = () => {
+    setIsResetPassword(false);
+    setIsConfirmReset(false);
+    setError('Password reset successful. Please sign in.');
   };
 
   return (
     <div className="login-page">
       <div className="login-box">
         <h2>
-          {isConfirmReset 
+          {flow.step !== SIGN_IN_STEPS.CREDENTIALS
+            ? CHALLENGE_TITLES[flow.step]
+            : isConfirmReset 
             ? 'Reset Your Password'
             : isResetPassword 
               ? 'Forgot Password'
@@ -235,85 +170,22 @@ const TimeSheetLogin = () => {
                 : (isSignUp ? 'Create Account' : 'Welcome Back')}
         </h2>
         
-        {isResetPassword ? (
-          isConfirmReset ? (
-            <form onSubmit={handleConfirmReset}>
-              {error && <div className="error-message">{error}</div>}
-              <div className="input-group">
-                <input
-                  type="text"
-                  value={resetCode}
-                  onChange={(e) => setResetCode(e.target.value)}
-                  placeholder="Enter reset code"
-                  required
-                />
-              </div>
-              <div className="input-group">
-                <input
-                  type="password"
-                  value={newPassword}
-                  onChange={(e) => {
-                    setNewPassword(e.target.value);
-                    validatePassword(e.target.value);
-                  }}
-                  placeholder="New password"
-                  required
-                />
-              </div>
-              {passwordError && (
-                <div className="error-message password-requirements">
-                  {passwordError}
-                </div>
-              )}
-              <button 
-                type="submit" 
-                className="login-button"
-                disabled={loading}
-              >
-                {loading ? 'Resetting...' : 'Reset Password'}
-              </button>
-              <button
-                type="button"
-                className="switch-auth-button"
-                onClick={() => {
-                  setIsResetPassword(false);
-                  setIsConfirmReset(false);
-                }}
-              >
-                Back to Sign In
-              </button>
-            </form>
-          ) : (
-            <form onSubmit={handleResetPassword}>
-              {error && <div className="error-message">{error}</div>}
-              <div className="input-group">
-                <input
-                  type="email"
-                  value={resetEmail}
-                  onChange={(e) => setResetEmail(e.target.value)}
-                  placeholder="Enter your email"
-                  required
-                />
-              </div>
-              <button 
-                type="submit" 
-                className="login-button"
-                disabled={loading}
-              >
-                {loading ? 'Sending...' : 'Send Reset Code'}
-              </button>
-              <button
-                type="button"
-                className="switch-auth-button"
-                onClick={() => setIsResetPassword(false)}
-              >
-                Back to Sign In
-              </button>
-            </form>
-          )
+        {flow.step !== SIGN_IN_STEPS.CREDENTIALS ? (
+          <SignInChallenge flow={flow} />
+        ) : isResetPassword ? (
+          <PasswordResetForm
+            initialEmail={email}
+            codeSent={isConfirmReset}
+            onCodeSent={() => setIsConfirmReset(true)}
+            onComplete={handlePasswordResetComplete}
+            onCancel={() => {
+              setIsResetPassword(false);
+              setIsConfirmReset(false);
+            }}
+          />
         ) : isConfirmation ? (
           <form onSubmit={handleConfirmSignUp}>
-            {error && <div className="error-message">{error}</div>}
+            {(error || flow.error) && <div className="error-message">{error || flow.error}</div>}
             <div className="input-group">
               <input
                 type="text"
@@ -326,14 +198,14 @@ const TimeSheetLogin = () => {
             <button 
               type="submit" 
               className="login-button"
-              disabled={loading}
+              disabled={loading || flow.loading}
             >
-              {loading ? 'Confirming...' : 'Confirm Email'}
+              {loading || flow.loading ? 'Confirming...' : 'Confirm Email'}
             </button>
           </form>
         ) : (
           <form onSubmit={handleSubmit}>
-            {error && <div className="error-message">{error}</div>}
+            {(error || flow.error) && <div className="error-message">{error || flow.error}</div>}
             <div className="input-group">
               <input
                 type="email"
@@ -475,7 +347,6 @@ const TimeSheetLogin = () => {
                 className="forgot-password-button"
                 onClick={() => {
                   setIsResetPassword(true);
-                  setResetEmail(email);
                 }}
               >
                 Forgot Password?
@@ -484,9 +355,9 @@ const TimeSheetLogin = () => {
             <button 
               type="submit" 
               className="login-button"
-              disabled={loading}
+              disabled={loading || flow.loading}
             >
-              {loading ? 'Processing...' : (isSignUp ? 'Sign Up' : 'Sign In')}
+              {loading || flow.loading ? 'Processing...' : (isSignUp ? 'Sign Up' : 'Sign In')}
             </button>
             <button
               type="button"
@@ -0,0 +1,95 @@
+/**
+ * @fileoverview Dialog for signed-in users to turn on TOTP two-factor authentication
+ * from the user menu. Requests a new shared secret, confirms the first code and
+ * makes TOTP the preferred MFA method for the account.
+ */
+
+import React, { useEffect, useState } from 'react';
+import { setUpTOTP, verifyTOTPSetup, updateMFAPreference } from 'aws-amplify/auth';
+import { Dialog, DialogContent, DialogTitle } from '@mui/material';
+import toast from 'react-hot-toast';
+import { TOTP_ISSUER } from '../../hooks/useSignInFlow';
+import TotpSetup from './TotpSetup';
+
+/**
+ * Renders the TOTP enrollment dialog
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {boolean} props.open - Whether the dialog is open
+ * @param {string} props.username - Account name shown in the authenticator app
+ * @param {Function} props.onClose - Called when the dialog closes
+ * @returns {React.ReactElement} The rendered dialog
+ */
+const TotpEnrollmentDialog = ({ open, username, onClose }) => {
+  const [setup, setSetup] = useState(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!open) return undefined;
+    let cancelled = false;
+
+    setSetup(null);
+    setError('');
+    setUpTOTP()
+      .then(details => {
+        if (cancelled) return;
+        setSetup({
+          secret: details.sharedSecret,
+          uri: details.getSetupUri(TOTP_ISSUER, username).toString()
+        });
+      })
+      .catch(err => {
+        console.error('Failed to start TOTP setup:', err);
+        if (!cancelled) setError(err.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [open, username]);
+
+  /**
+   * Verifies the first code and enables TOTP for the account
+   * @async
+   * @param {string} code - 6-digit code from the authenticator app
+   * @returns {Promise<void>}
+   */
+  const handleVerify = async (code) => {
+    setLoading(true);
+    setError('');
+    try {
+      await verifyTOTPSetup({ code });
+      await updateMFAPreference({ totp: 'PREFERRED' });
+      toast.success('Two-factor authentication enabled');
+      onClose();
+    } catch (err) {
+      console.error('Failed to verify TOTP setup:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="xs" fullWidth>
+      <DialogTitle>Set Up Two-Factor Authentication</DialogTitle>
+      <DialogContent>
+        {setup ? (
+          <TotpSetup
+            uri={setup.uri}
+            secret={setup.secret}
+            onSubmit={handleVerify}
+            loading={loading}
+            error={error}
+          />
+        ) : (
+          error ? <div className="error-message">{error}</div> : <p className="totp-help">Preparing setup...</p>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default TotpEnrollmentDialog;
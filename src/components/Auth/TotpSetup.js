@@ -0,0 +1,79 @@
+/**
+ * @fileoverview TOTP enrollment form: shows the authenticator QR code and shared
+ * secret, then asks for the first code to confirm the app is set up.
+ * Used during sign-in and from the user menu.
+ */
+
+import React, { useEffect, useState } from 'react';
+import QRCode from 'qrcode';
+import './Login.css';
+
+/**
+ * Renders the QR code, secret and confirmation code input
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} props.uri - otpauth:// URI to encode
+ * @param {string} props.secret - Shared secret for manual entry
+ * @param {Function} props.onSubmit - Called with the 6-digit code
+ * @param {boolean} [props.loading] - Whether the code is being verified
+ * @param {string} [props.error] - Error to show above the form
+ * @returns {React.ReactElement} The rendered form
+ */
+const TotpSetup = ({ uri, secret, onSubmit, loading, error }) => {
+  const [qrDataUrl, setQrDataUrl] = useState('');
+  const [code, setCode] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    QRCode.toDataURL(uri, { width: 200, margin: 1 })
+      .then(dataUrl => !cancelled && setQrDataUrl(dataUrl))
+      .catch(err => console.error('Failed to render TOTP QR code:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [uri]);
+
+  /**
+   * Submits the confirmation code
+   * @param {React.FormEvent} e - Submit event
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit(code.trim());
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="totp-setup">
+      {error && <div className="error-message">{error}</div>}
+      <p className="totp-help">
+        Scan this code with an authenticator app such as Google Authenticator or 1Password,
+        then enter the 6-digit code it shows.
+      </p>
+      {qrDataUrl && <img className="totp-qr" src={qrDataUrl} alt="Authenticator QR code" />}
+      <p className="totp-secret">
+        Can't scan it? Enter this key instead:
+        <code>{secret}</code>
+      </p>
+      <div className="input-group">
+        <input
+          type="text"
+          inputMode="numeric"
+          autoComplete="one-time-code"
+          pattern="\d{6}"
+          maxLength={6}
+          value={code}
+          onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+          placeholder="6-digit code"
+          required
+          autoFocus
+        />
+      </div>
+      <button type="submit" className="login-button" disabled={loading || code.length !== 6}>
+        {loading ? 'Verifying...' : 'Confirm'}
+      </button>
+    </form>
+  );
+};
+
+export default TotpSetup;
@@ -4,7 +4,7 @@
  */
 
 import React, { useState } from 'react';
-import axios from 'axios';
+import axios from '../../utils/axiosConfig';
 import { API_ENDPOINTS } from '../../constants/endpoints';
 import './styles/CDNManager.css';
 
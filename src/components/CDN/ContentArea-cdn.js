@@ -3,7 +3,8 @@ import { useDrop } from 'react-dnd';
 import DraggableFile from './DraggableFile-cdn';
 import ClientService from '../../services/ClientService';
 import { toast } from 'react-toastify';
-import axios from 'axios';
+import axios from '../../utils/axiosConfig';
+import { API_ENDPOINTS } from '../../config/api';
 import { pathUtils } from './utils/pathUtils';
 
 const ContentArea = memo(({ 
@@ -11,15 +11,14 @@ import ContentArea from './ContentArea-cdn';
 import MultiSelectButton from './MultiSelectButton';
 import { ThumbnailSelectionService } from './ThumbnailSelectionService';
 import { toast } from 'react-toastify';
-import axios from 'axios';
+import axios from '../../utils/axiosConfig';
 import { API_ENDPOINTS } from '../../config/api';
 import ClientService from '../../services/ClientService';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
 import { faChevronLeft, faChevronRight, faDatabase } from '@fortawesome/free-solid-svg-icons';
 import { useAuth } from '../../contexts/AuthContext';
 import EditorNotesSection from './EditorNotesSection';
-import { signOut } from 'aws-amplify/auth';
-import { useNavigate } from 'react-router-dom';
+import { useSearchParams } from 'react-router-dom';
 import { pathUtils } from './utils/pathUtils';
 
 const FileManager = () => {
@@ -50,7 +49,7 @@ const FileManager = () => {
   const [caption, setCaption] = useState('');
   const [currentClientId, setCurrentClientId] = useState(null);
   const [showCombinedStorage, setShowCombinedStorage] = useState(true);
-  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [leftLoading, setLeftLoading] = useState(false);
@@ -60,6 +59,19 @@ const FileManager = () => {
     document.title = 'Content Manager | Snapped';
   }, []);
 
+  // Open the left panel at a folder deep linked as /cdn-manager?path=<folder>
+  const { openPath: openLeftPath } = leftDir;
+  useEffect(() => {
+    const linkedPath = searchParams.get('path');
+    if (!linkedPath) return;
+    setSelectedLeftFile(null);
+    openLeftPath(linkedPath);
+    setSearchParams(params => {
+      params.delete('path');
+      return params;
+    }, { replace: true });
+  }, [searchParams, setSearchParams, openLeftPath, setSelectedLeftFile]);
+
   // Load thumbnails once when contents change
   useEffect(() => {
     if (!rightDir.contents?.length) return;
@@ -359,15 +371,6 @@ const FileManager = () => {
     setSelectedLeftFile(file);
   };
 
-  const handleSignOut = async () => {
-    try {
-      await signOut();
-      navigate('/cdn-login');
-    } catch (error) {
-      console.error('Error signing out:', error);
-    }
-  };
-
   const leftSidebarProps = {
     path: leftDir.path,
     folders: leftDir.folders,
@@ -479,25 +482,6 @@ const FileManager = () => {
   return (
     <DndProvider backend={HTML5Backend}>
       <div className="file-manager">
-        <button 
-          onClick={handleSignOut}
-          className="cdn-logout-button"
-          style={{
-            position: 'absolute',
-            top: '10px',
-            right: '10px',
-            padding: '3px 7px',
-            background: 'none',
-            border: '1px solid rgb(189 187 187)',
-            borderRadius: '4px',
-            color: 'rgb(189 187 187)',
-            cursor: 'pointer',
-            fontSize: '12px',
-            zIndex: 1000
-          }}
-        >
-          Sign Out
-        </button>
         <div className="cdn-panels">
           <div className="file-browser">
             <Sidebar {...leftSidebarProps} />
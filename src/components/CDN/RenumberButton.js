@@ -6,7 +6,7 @@
 import React from 'react';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
 import { faSort } from '@fortawesome/free-solid-svg-icons';
-import axios from 'axios';
+import axios from '../../utils/axiosConfig';
 import { toast } from 'react-toastify';
 
 /**
@@ -9,7 +9,7 @@ import { faFolder, faArrowLeft, faGrip, faSave, faFolderPlus, faChevronLeft, faI
 import MediaPlayer from './MediaPlayer-cdn';
 import MultiSelectButton from './MultiSelectButton';
 import RenumberButton from './RenumberButton';
-import axios from 'axios';
+import axios from '../../utils/axiosConfig';
 import { API_ENDPOINTS } from '../../config/api';
 import EditorNotesSection from './EditorNotesSection';
 import { useAuth } from '../../contexts/AuthContext';
@@ -3,7 +3,7 @@
  * Handles selection, updating, and retrieval of thumbnail preferences.
  */
 
-import axios from 'axios';
+import axios from '../../utils/axiosConfig';
 
 /**
  * Service object for managing thumbnail selection operations.
@@ -3,7 +3,7 @@
  * Handles thumbnail creation, caching, and error management for media files.
  */
 
-import axios from 'axios';
+import axios from '../../utils/axiosConfig';
 import { API_ENDPOINTS } from '../../config/api';
 
 /**
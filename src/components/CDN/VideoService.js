@@ -3,7 +3,7 @@
  * Handles video metadata retrieval and processing.
  */
 
-import axios from 'axios';
+import axios from '../../utils/axiosConfig';
 import { API_ENDPOINTS } from '../../config/api';
 
 /**
@@ -4,7 +4,7 @@
  */
 
 import { useState, useCallback, useEffect } from 'react';
-import axios from 'axios';
+import axios from '../../../utils/axiosConfig';
 import { API_ENDPOINTS } from '../../../config/api';
 import { toast } from 'react-toastify';
 import { pathUtils } from '../utils/pathUtils';
@@ -95,6 +95,16 @@ const useDirectoryState = () => {
     setCurrentPage(1);
   }, [path]);
 
+  /**
+   * Opens a directory by its full path, e.g. from a deep link.
+   * 
+   * @param {string} to - Full directory path
+   */
+  const openPath = useCallback((to) => {
+    setPath(to);
+    setCurrentPage(1);
+  }, []);
+
   /**
    * Refreshes current directory contents.
    */
@@ -121,6 +131,7 @@ const useDirectoryState = () => {
     isLoading,
     error,
     navigate,
+    openPath,
     refresh,
     folders: contents.filter(item => item.type === 'folder'),
     pagination: {
@@ -3,12 +3,21 @@
  * Handles file movement, transfer, and selection operations.
  */
 
-import axios from 'axios';
+import axios from '../../../utils/axiosConfig';
 import { API_ENDPOINTS } from '../../../config/api';
 import { toast } from 'react-toastify';
 
+/**
+ * Splits a CDN path such as `Uploads/ab1001/F(10-19-2026)_ab1001` into its segments
+ * @param {string} path - Slash separated path
+ * @returns {Array<string>} Non-empty segments
+ */
+const getPathSegments = (path) => String(path || '').split('/').filter(Boolean);
+
 /**
  * Moves a file from one location to another within the CDN.
+ * Paths are `Collection/clientId/session`; the API moves the file between the two sessions
+ * of the client.
  * Features:
  * - Source and destination path validation
  * - Error handling with user feedback
@@ -24,11 +33,16 @@ import { toast } from 'react-toastify';
  */
 export const moveFile = async (file, destinationPath, refreshCallbacks) => {
   try {
-    const response = await axios.post(API_ENDPOINTS.CDN_MONGO.MOVE_FILE, {
-      source_path: file.sourcePath,
-      destination_path: destinationPath,
-      file_name: file.name
-    });
+    const [, clientId] = getPathSegments(file.sourcePath);
+    const sourceSessionId = getPathSegments(file.sourcePath).pop();
+    const targetSessionId = getPathSegments(destinationPath).pop();
+    if (!clientId || !sourceSessionId || !targetSessionId) {
+      throw new Error('Files can only be moved between session folders');
+    }
+
+    const response = await axios.post(
+      API_ENDPOINTS.CDN_MONGO.MOVE_FILE(clientId, sourceSessionId, targetSessionId, file.name)
+    );
 
     if (response.data.status === 'success') {
       toast.success('File moved successfully');
@@ -3,7 +3,7 @@
  * Handles folder creation, naming, and file reordering within folders.
  */
 
-import axios from 'axios';
+import axios from '../../../utils/axiosConfig';
 import { API_ENDPOINTS } from '../../../config/api';
 import { toast } from 'react-toastify';
 
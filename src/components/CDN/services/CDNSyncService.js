@@ -3,7 +3,7 @@
  * Manages queuing and execution of file operations with the backend.
  */
 
-import axios from 'axios';
+import axios from '../../../utils/axiosConfig';
 import { API_ENDPOINTS } from '../../../config/api';
 
 /**
@@ -5,7 +5,7 @@ import { PersonalInfo } from './sections/PersonalInfo';
 import './CallForm.css';
 
 const CallForm = () => {
-  const { formData, errors, loading, handleChange, handleSubmit: handleFormSubmit } = useFormLogic();
+  const { formData, errors, loading, handleChange, handleSubmit: handleFormSubmit } = useFormLogic({ source: 'moxy' });
   const [showNumberWarning, setShowNumberWarning] = React.useState(false);
   const [password, setPassword] = useState('');
   const [confirmPassword, setConfirmPassword] = useState('');
@@ -4,7 +4,7 @@
  */
 
 import { useState, useCallback } from 'react';
-import axios from 'axios';
+import axios from '../../../utils/axiosConfig';
 import debounce from 'lodash/debounce';
 import { INITIAL_FORM_STATE } from '../utils/constants';
 import { API_ENDPOINTS } from '../../../config/api';
@@ -38,6 +38,8 @@ import { API_ENDPOINTS } from '../../../config/api';
  * - Social media input validation
  * - Form submission to MongoDB
  * 
+ * @param {Object} [options] - Hook options
+ * @param {string} [options.source='call_form'] - Where the lead came from; assignment rules can match on it
  * @returns {Object} Form state and handlers
  * @property {Object} formData - Current form state
  * @property {FormErrors} errors - Validation errors
@@ -46,7 +48,7 @@ import { API_ENDPOINTS } from '../../../config/api';
  * @property {Function} handleChange - Form field change handler
  * @property {Function} handleSubmit - Form submission handler
  */
-export const useFormLogic = () => {
+export const useFormLogic = ({ source = 'call_form' } = {}) => {
   const [formData, setFormData] = useState(INITIAL_FORM_STATE);
   const [errors, setErrors] = useState({});
   const [socialInputWarning, setSocialInputWarning] = useState({
@@ -194,6 +196,7 @@ export const useFormLogic = () => {
       // Initialize social stats if they're empty strings
       const submissionData = {
         ...mongoFormData,
+        source,
         // Instagram stats
         IG_Followers: mongoFormData.IG_Username ? (mongoFormData.IG_Followers || 0) : 0,
         IG_Engagement: mongoFormData.IG_Username ? (mongoFormData.IG_Engagement || 0) : 0,
@@ -0,0 +1,121 @@
+/**
+ * @fileoverview Client 360 profile page.
+ * Brings together everything known about one client (lead record, CDN folders,
+ * uploads, analytics, payouts, contract, notes and an activity timeline) behind
+ * a single routed page at `/client/:clientId`. The active tab is kept in the `tab`
+ * query parameter so links can point straight at a section.
+ */
+
+import React from 'react';
+import { useParams, useSearchParams } from 'react-router-dom';
+import { Tabs, Tab, CircularProgress } from '@mui/material';
+import usePageTitle from '../../hooks/usePageTitle';
+import { useBreadcrumbLabel } from '../Layout/AppShellContext';
+import useClientProfile from './hooks/useClientProfile';
+import OverviewTab from './tabs/OverviewTab';
+import ContentTab from './tabs/ContentTab';
+import UploadsTab from './tabs/UploadsTab';
+import AnalyticsTab from './tabs/AnalyticsTab';
+import PayoutsTab from './tabs/PayoutsTab';
+import ContractTab from './tabs/ContractTab';
+import NotesTab from './tabs/NotesTab';
+import TimelineTab from './tabs/TimelineTab';
+import './Client360.css';
+
+/**
+ * Tabs in display order. `id` is the value of the `tab` query parameter.
+ * @type {Array<{id: string, label: string}>}
+ */
+export const CLIENT_TABS = [
+  { id: 'overview', label: 'Overview' },
+  { id: 'content', label: 'CDN Content' },
+  { id: 'uploads', label: 'Uploads' },
+  { id: 'analytics', label: 'Analytics' },
+  { id: 'payouts', label: 'Payouts' },
+  { id: 'contract', label: 'Contract' },
+  { id: 'notes', label: 'Notes' },
+  { id: 'timeline', label: 'Timeline' }
+];
+
+/**
+ * Renders the client profile page
+ *
+ * @component
+ * @returns {React.ReactElement} The rendered page
+ */
+const Client360 = () => {
+  const { clientId } = useParams();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { client, clientName, loading, setClient } = useClientProfile(clientId);
+
+  const requestedTab = searchParams.get('tab');
+  const activeTab = CLIENT_TABS.some(tab => tab.id === requestedTab) ? requestedTab : CLIENT_TABS[0].id;
+
+  usePageTitle(clientName || 'Client');
+  useBreadcrumbLabel(clientName);
+
+  /**
+   * Switches tabs, keeping the choice in the URL
+   * @param {React.SyntheticEvent} event - Change event
+   * @param {string} tabId - Selected tab id
+   */
+  const handleTabChange = (event, tabId) => {
+    setSearchParams(tabId === CLIENT_TABS[0].id ? {} : { tab: tabId }, { replace: true });
+  };
+
+  /**
+   * Renders the body of the active tab
+   * @returns {React.ReactElement} Tab content
+   */
+  const renderTab = () => {
+    switch (activeTab) {
+      case 'content':
+        return <ContentTab clientId={clientId} />;
+      case 'uploads':
+        return <UploadsTab clientId={clientId} />;
+      case 'analytics':
+        return <AnalyticsTab clientId={clientId} />;
+      case 'payouts':
+        return <PayoutsTab clientId={clientId} />;
+      case 'contract':
+        return <ContractTab clientId={clientId} client={client} />;
+      case 'notes':
+        return <NotesTab clientId={clientId} clientName={clientName} />;
+      case 'timeline':
+        return <TimelineTab clientId={clientId} />;
+      default:
+        return <OverviewTab client={client} onClientUpdated={setClient} />;
+    }
+  };
+
+  return (
+    <div className="client360">
+      <header className="client360-header">
+        <div className="client360-header__title">
+          <h1>{loading ? <CircularProgress size={24} /> : clientName}</h1>
+          <span className="client360-header__id">{clientId}</span>
+        </div>
+      </header>
+
+      <Tabs
+        value={activeTab}
+        onChange={handleTabChange}
+        variant="scrollable"
+        scrollButtons="auto"
+        className="client360-tabs"
+      >
+        {CLIENT_TABS.map(tab => (
+          <Tab key={tab.id} value={tab.id} label={tab.label} />
+        ))}
+      </Tabs>
+
+      <div className="client360-body">
+        {loading && activeTab === 'overview' ? (
+          <div className="client360-status"><CircularProgress /></div>
+        ) : renderTab()}
+      </div>
+    </div>
+  );
+};
+
+export default Client360;
@@ -0,0 +1,54 @@
+/**
+ * @fileoverview Deep link to a client's 360 profile page.
+ * Used by the lead, upload and task grids so any client name can be opened in one click.
+ */
+
+import React from 'react';
+import { Link } from 'react-router-dom';
+import './Client360.css';
+
+/**
+ * Builds the route for a client's profile page
+ *
+ * @function getClientPath
+ * @param {string} clientId - Client identifier
+ * @param {string} [tab] - Optional tab to open, e.g. `payouts`
+ * @returns {string} Route path
+ */
+export const getClientPath = (clientId, tab) =>
+  `/client/${encodeURIComponent(clientId)}${tab ? `?tab=${tab}` : ''}`;
+
+/**
+ * @typedef {Object} ClientLinkProps
+ * @property {string} clientId - Client identifier
+ * @property {string} [tab] - Tab to open on the profile page
+ * @property {React.ReactNode} [children] - Link content, defaults to the client ID
+ * @property {string} [className] - Additional CSS class
+ */
+
+/**
+ * Renders a link to the client profile. Clicks do not propagate, so the link
+ * can sit inside clickable rows without also triggering the row handler.
+ * Falls back to plain content when no client ID is available.
+ *
+ * @param {ClientLinkProps} props - Component props
+ * @returns {React.ReactElement} The rendered link
+ */
+const ClientLink = ({ clientId, tab, children, className = '' }) => {
+  if (!clientId) {
+    return <>{children}</>;
+  }
+
+  return (
+    <Link
+      to={getClientPath(clientId, tab)}
+      className={`client-link ${className}`.trim()}
+      onClick={(e) => e.stopPropagation()}
+      title="Open client profile"
+    >
+      {children || clientId}
+    </Link>
+  );
+};
+
+export default ClientLink;
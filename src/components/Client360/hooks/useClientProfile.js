@@ -0,0 +1,54 @@
+/**
+ * @fileoverview Hook that loads the record and display name for the client profile page.
+ */
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import ClientService from '../../../services/ClientService';
+
+/**
+ * @typedef {Object} ClientProfileState
+ * @property {Object|null} client - Client record, or null if not found
+ * @property {string} clientName - Display name from ClientService.getClientName
+ * @property {boolean} loading - Whether the profile is loading
+ * @property {Function} setClient - Replaces the client record after a local edit
+ * @property {Function} refresh - Reloads the profile
+ */
+
+/**
+ * Loads a client's record and display name. A load still in flight when the client changes
+ * or the page unmounts is ignored, so a slow response never shows another client.
+ *
+ * @function useClientProfile
+ * @param {string} clientId - Client identifier from the route
+ * @returns {ClientProfileState} Profile state
+ */
+const useClientProfile = (clientId) => {
+  const [client, setClient] = useState(null);
+  const [clientName, setClientName] = useState(clientId);
+  const [loading, setLoading] = useState(true);
+  const requestRef = useRef(0);
+
+  const refresh = useCallback(async () => {
+    const request = ++requestRef.current;
+    setLoading(true);
+    const [info, name] = await Promise.all([
+      ClientService.getClientInfo(clientId),
+      ClientService.getClientName(clientId)
+    ]);
+    if (request !== requestRef.current) return;
+    setClient(info);
+    setClientName(name || clientId);
+    setLoading(false);
+  }, [clientId]);
+
+  useEffect(() => {
+    refresh();
+    return () => {
+      requestRef.current += 1;
+    };
+  }, [refresh]);
+
+  return { client, clientName, loading, setClient, refresh };
+};
+
+export default useClientProfile;
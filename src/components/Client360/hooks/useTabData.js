@@ -0,0 +1,57 @@
+/**
+ * @fileoverview Hook that loads the data behind one client profile tab.
+ */
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+
+/**
+ * @typedef {Object} TabDataState
+ * @property {*} data - Result of the loader, null until loaded
+ * @property {boolean} loading - Whether the loader is running
+ * @property {string|null} error - Error message from the last failed load
+ * @property {Function} reload - Runs the loader again
+ */
+
+/**
+ * Runs an async loader on mount and whenever it changes.
+ * Wrap the loader in useCallback so it only changes with its inputs. Only the latest load
+ * updates the state: a load still in flight when the loader changes, the tab unmounts or
+ * `reload` runs again is ignored when it finishes.
+ *
+ * @function useTabData
+ * @param {Function} load - Async function returning the tab data
+ * @returns {TabDataState} Load state
+ */
+const useTabData = (load) => {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const requestRef = useRef(0);
+
+  const reload = useCallback(async () => {
+    const request = ++requestRef.current;
+    setLoading(true);
+    setError(null);
+    try {
+      const result = await load();
+      if (request === requestRef.current) setData(result);
+    } catch (err) {
+      if (request !== requestRef.current) return;
+      console.error('Error loading client tab:', err);
+      setError(err.message || 'Failed to load data');
+    } finally {
+      if (request === requestRef.current) setLoading(false);
+    }
+  }, [load]);
+
+  useEffect(() => {
+    reload();
+    return () => {
+      requestRef.current += 1;
+    };
+  }, [reload]);
+
+  return { data, loading, error, reload };
+};
+
+export default useTabData;
@@ -0,0 +1,68 @@
+/**
+ * @fileoverview Analytics tab of the client profile: the last 30 days of Snapchat
+ * metrics, reusing the summary cards and views chart from the analytics dashboard.
+ */
+
+import React, { useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import axios from '../../../utils/axiosConfig';
+import { API_ENDPOINTS } from '../../../config/api';
+import AnalyticsSummary from '../../Analytics/AnalyticsSummary';
+import EngagementChart from '../../Analytics/EngagementChart';
+import useTabData from '../hooks/useTabData';
+import TabSection from './TabSection';
+
+/**
+ * Number of days of metrics shown on the tab
+ * @type {number}
+ */
+const RANGE_DAYS = 30;
+
+/**
+ * Formats a date as MM-DD-YYYY, the format the analytics API expects
+ * @param {Date} date - Date to format
+ * @returns {string} Formatted date
+ */
+const formatDateForApi = (date) =>
+  date.toLocaleDateString('en-US', { month: '2-digit', day: '2-digit', year: 'numeric' }).replace(/\//g, '-');
+
+/**
+ * Renders the client's recent Snapchat analytics
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.clientId - Client identifier
+ * @returns {React.ReactElement} The rendered tab
+ */
+const AnalyticsTab = ({ clientId }) => {
+  const load = useCallback(async () => {
+    const end = new Date();
+    const start = new Date();
+    start.setDate(end.getDate() - RANGE_DAYS);
+
+    const response = await axios.get(API_ENDPOINTS.ANALYTICS.GET_SNAPCHAT, {
+      params: {
+        client_id: clientId,
+        start_date: formatDateForApi(start),
+        end_date: formatDateForApi(end)
+      }
+    });
+    return response.data?.status === 'success' ? response.data.data : null;
+  }, [clientId]);
+  const { data: analytics, loading, error } = useTabData(load);
+
+  return (
+    <TabSection
+      title={`Snapchat, last ${RANGE_DAYS} days`}
+      actions={<Link to="/analytics" className="client360-action-link">Open analytics</Link>}
+      loading={loading}
+      error={error}
+      empty={!analytics}
+      emptyMessage="No analytics recorded for this client."
+    >
+      <AnalyticsSummary data={analytics} />
+      <EngagementChart data={analytics} />
+    </TabSection>
+  );
+};
+
+export default AnalyticsTab;
@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Content tab of the client profile: the client's CDN session folders
+ * in every collection, with a shortcut into the CDN file manager.
+ */
+
+import React, { useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { Table, TableBody, TableCell, TableContainer, TableHead, TableRow, Paper } from '@mui/material';
+import axios from '../../../utils/axiosConfig';
+import { API_ENDPOINTS } from '../../../config/api';
+import { getCdnFolderPath } from '../../../config/navigation';
+import useTabData from '../hooks/useTabData';
+import TabSection from './TabSection';
+
+/**
+ * CDN collections that hold per-client sessions
+ * @type {Array<string>}
+ */
+const COLLECTIONS = ['Uploads', 'Spotlights', 'Saved', 'Content_Dump'];
+
+/**
+ * Loads the sessions a client has in one collection
+ * @async
+ * @param {string} collection - Collection name
+ * @param {string} clientId - Client identifier
+ * @returns {Promise<Array<Object>>} Session summaries tagged with their collection
+ */
+const loadSessions = async (collection, clientId) => {
+  const response = await axios.get(API_ENDPOINTS.CDN.COLLECTION(collection), {
+    params: { path: `${clientId}.sessions` }
+  });
+  return (response.data.arrays?.[0] || []).map(session => ({ ...session, collection }));
+};
+
+/**
+ * Renders the client's CDN folders
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.clientId - Client identifier
+ * @returns {React.ReactElement} The rendered tab
+ */
+const ContentTab = ({ clientId }) => {
+  const load = useCallback(async () => {
+    const results = await Promise.all(COLLECTIONS.map(collection => loadSessions(collection, clientId)));
+    return results.flat().sort((a, b) => String(b.date || '').localeCompare(String(a.date || '')));
+  }, [clientId]);
+  const { data: sessions, loading, error } = useTabData(load);
+
+  return (
+    <TabSection
+      title="CDN folders"
+      actions={<Link to={getCdnFolderPath(clientId)} className="client360-action-link">Open CDN manager</Link>}
+      loading={loading}
+      error={error}
+      empty={!sessions?.length}
+      emptyMessage="No CDN folders for this client."
+    >
+      <TableContainer component={Paper}>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Collection</TableCell>
+              <TableCell>Folder</TableCell>
+              <TableCell>Date</TableCell>
+              <TableCell align="right">Files</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {(sessions || []).map(session => (
+              <TableRow key={`${session.collection}-${session.session_id}`}>
+                <TableCell>{session.collection.replace('_', ' ')}</TableCell>
+                <TableCell>{session.session_id}</TableCell>
+                <TableCell>{session.date || '—'}</TableCell>
+                <TableCell align="right">{session.total_files_count ?? '—'}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </TabSection>
+  );
+};
+
+export default ContentTab;
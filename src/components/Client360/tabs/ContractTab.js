@@ -0,0 +1,130 @@
+/**
+ * @fileoverview Contract tab of the client profile: contract status, signatures
+ * and version history, with the contract editor available in a modal.
+ */
+
+import React, { useCallback, useState } from 'react';
+import { Button, Chip } from '@mui/material';
+import { Description as DescriptionIcon } from '@mui/icons-material';
+import axios from '../../../utils/axiosConfig';
+import { API_ENDPOINTS } from '../../../config/api';
+import ContractModal from '../../Lead/ContractModal';
+import useTabData from '../hooks/useTabData';
+import TabSection from './TabSection';
+
+/**
+ * Display labels for contract statuses
+ * @type {Object<string, string>}
+ */
+const STATUS_LABELS = {
+  draft: 'Draft',
+  sent: 'Sent to client',
+  client_signed: 'Signed by client',
+  rep_signed: 'Signed by representative',
+  completed: 'Fully signed'
+};
+
+/**
+ * Loads the client's contract, treating a 404 as "no contract yet"
+ * @async
+ * @param {string} clientId - Client identifier
+ * @returns {Promise<{contract: Object|null, versions: Array<Object>}>} Contract and versions
+ */
+const loadContract = async (clientId) => {
+  const [contract, versions] = await Promise.all([
+    axios.get(API_ENDPOINTS.CONTRACTS.CONTRACT(clientId))
+      .then(response => (response.data?.status === 'success' ? response.data : null))
+      .catch(error => {
+        if (error.status === 404) return null;
+        throw error;
+      }),
+    axios.get(API_ENDPOINTS.CONTRACTS.VERSIONS(clientId))
+      .then(response => response.data?.versions || [])
+  ]);
+  return { contract, versions };
+};
+
+/**
+ * @typedef {Object} ContractTabProps
+ * @property {string} clientId - Client identifier
+ * @property {Object|null} client - Client record passed to the contract editor
+ */
+
+/**
+ * Renders the client's contract summary
+ *
+ * @param {ContractTabProps} props - Component props
+ * @returns {React.ReactElement} The rendered tab
+ */
+const ContractTab = ({ clientId, client }) => {
+  const [editorOpen, setEditorOpen] = useState(false);
+  const load = useCallback(() => loadContract(clientId), [clientId]);
+  const { data, loading, error, reload } = useTabData(load);
+  const contract = data?.contract;
+
+  /**
+   * Closes the contract editor and refreshes the summary
+   */
+  const handleEditorClose = () => {
+    setEditorOpen(false);
+    reload();
+  };
+
+  return (
+    <>
+      <TabSection
+        title="Contract"
+        actions={client && (
+          <Button size="small" variant="outlined" startIcon={<DescriptionIcon />} onClick={() => setEditorOpen(true)}>
+            {contract ? 'Open contract' : 'Draft contract'}
+          </Button>
+        )}
+        loading={loading}
+        error={error}
+        empty={!contract && !data?.versions.length}
+        emptyMessage="No contract has been drafted for this client."
+      >
+        {contract && (
+          <div className="client360-flags">
+            <Chip
+              size="small"
+              color={contract.contract_status === 'completed' ? 'success' : 'primary'}
+              label={STATUS_LABELS[contract.contract_status] || contract.contract_status || 'Draft'}
+            />
+            <Chip
+              size="small"
+              variant={contract.client_signature ? 'filled' : 'outlined'}
+              label={contract.client_signature ? 'Client signed' : 'Awaiting client signature'}
+            />
+            <Chip
+              size="small"
+              variant={contract.representative_signature ? 'filled' : 'outlined'}
+              label={contract.representative_signature ? 'Representative signed' : 'Awaiting representative'}
+            />
+          </div>
+        )}
+        {data?.versions.length > 0 && (
+          <ul className="client360-list">
+            {data.versions.map(version => (
+              <li key={`${version.version}-${version.timestamp}`}>
+                <strong>Version {version.version}</strong>
+                <span>{new Date(version.timestamp).toLocaleString()}</span>
+                <span>{version.edited_by}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </TabSection>
+
+      {client && (
+        <ContractModal
+          isOpen={editorOpen}
+          onClose={handleEditorClose}
+          client={{ ...client, _id: client._id || client.client_id }}
+        />
+      )}
+    </>
+  );
+};
+
+export default ContractTab;
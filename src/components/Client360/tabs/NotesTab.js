@@ -0,0 +1,148 @@
+/**
+ * @fileoverview Notes tab of the client profile: conversation and status notes
+ * plus open tasks, with the notes modal for adding and editing.
+ */
+
+import React, { useCallback, useState } from 'react';
+import { format } from 'date-fns';
+import { Button } from '@mui/material';
+import { NoteAdd as NoteAddIcon } from '@mui/icons-material';
+import axios from '../../../utils/axiosConfig';
+import { API_ENDPOINTS } from '../../../config/api';
+import NotesModal from '../../Lead/NotesModal';
+import useTabData from '../hooks/useTabData';
+import TabSection from './TabSection';
+
+/**
+ * Sorts records newest first by a date field
+ * @param {Array<Object>} items - Records to sort
+ * @param {string} field - Date field name
+ * @returns {Array<Object>} Sorted copy
+ */
+const newestFirst = (items = [], field) =>
+  [...items].sort((a, b) => new Date(b[field]) - new Date(a[field]));
+
+/**
+ * Formats a timestamp for the notes list
+ * @param {string} timestamp - ISO timestamp
+ * @returns {string} Formatted date and time
+ */
+const formatTimestamp = (timestamp) => {
+  const date = new Date(timestamp);
+  return Number.isNaN(date.getTime()) ? '' : format(date, 'MMM d, yyyy h:mm a');
+};
+
+/**
+ * Renders a list of notes
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.notes - Notes to render
+ * @returns {React.ReactElement} The rendered list
+ */
+const NoteList = ({ notes }) => (
+  <ul className="client360-list">
+    {notes.map(note => (
+      <li key={`${note.type}-${note.timestamp}`}>
+        <span className="client360-list__text">{note.text}</span>
+        <span>{note.author}</span>
+        <span>{formatTimestamp(note.timestamp)}</span>
+      </li>
+    ))}
+  </ul>
+);
+
+/**
+ * @typedef {Object} NotesTabProps
+ * @property {string} clientId - Client identifier
+ * @property {string} clientName - Display name passed to the notes modal
+ */
+
+/**
+ * Renders the client's notes and tasks
+ *
+ * @param {NotesTabProps} props - Component props
+ * @returns {React.ReactElement} The rendered tab
+ */
+const NotesTab = ({ clientId, clientName }) => {
+  const [modalOpen, setModalOpen] = useState(false);
+
+  const load = useCallback(async () => {
+    const [notesResponse, tasksResponse] = await Promise.all([
+      axios.get(API_ENDPOINTS.LEADS.NOTES.GET(clientId)),
+      axios.get(`${API_ENDPOINTS.TASKS}/client/${clientId}`)
+    ]);
+    const notes = notesResponse.data?.data || {};
+    return {
+      conversation: newestFirst(notes.conversation, 'timestamp'),
+      status: newestFirst(notes.status, 'timestamp'),
+      tasks: newestFirst(tasksResponse.data?.tasks, 'created_at')
+        .filter(task => task.status !== 'complete')
+    };
+  }, [clientId]);
+  const { data, loading, error, reload } = useTabData(load);
+
+  /**
+   * Closes the notes modal and refreshes the lists
+   */
+  const handleModalClose = () => {
+    setModalOpen(false);
+    reload();
+  };
+
+  const manageButton = (
+    <Button size="small" variant="outlined" startIcon={<NoteAddIcon />} onClick={() => setModalOpen(true)}>
+      Manage notes
+    </Button>
+  );
+
+  return (
+    <>
+      <TabSection
+        title="Conversation notes"
+        actions={manageButton}
+        loading={loading}
+        error={error}
+        empty={!data?.conversation.length}
+        emptyMessage="No conversation notes."
+      >
+        <NoteList notes={data?.conversation || []} />
+      </TabSection>
+
+      <TabSection
+        title="Status notes"
+        loading={loading}
+        error={error}
+        empty={!data?.status.length}
+        emptyMessage="No status notes."
+      >
+        <NoteList notes={data?.status || []} />
+      </TabSection>
+
+      <TabSection
+        title="Open tasks"
+        loading={loading}
+        error={error}
+        empty={!data?.tasks.length}
+        emptyMessage="No open tasks."
+      >
+        <ul className="client360-list">
+          {(data?.tasks || []).map(task => (
+            <li key={task._id}>
+              <strong>{task.title}</strong>
+              <span>{task.priority ? `${task.priority} priority` : ''}</span>
+              <span>{task.due_date ? `Due ${task.due_date}` : 'No due date'}</span>
+            </li>
+          ))}
+        </ul>
+      </TabSection>
+
+      <NotesModal
+        isOpen={modalOpen}
+        onClose={handleModalClose}
+        clientId={clientId}
+        clientName={clientName}
+      />
+    </>
+  );
+};
+
+export default NotesTab;
@@ -0,0 +1,150 @@
+/**
+ * @fileoverview Overview tab of the client profile: identity, pipeline flags,
+ * social reach and partner attribution, with the lead edit modal one click away.
+ */
+
+import React, { useState } from 'react';
+import { Button, Chip } from '@mui/material';
+import { Edit as EditIcon } from '@mui/icons-material';
+import { toast } from 'react-hot-toast';
+import axios from '../../../utils/axiosConfig';
+import { API_ENDPOINTS } from '../../../config/api';
+import EditModal from '../../Lead/EditModal';
+import TabSection from './TabSection';
+
+/**
+ * Pipeline flags in the same order as the G / S / V / M / D column of the lead grid
+ * @type {Array<{field: string, label: string}>}
+ */
+const PIPELINE_FLAGS = [
+  { field: 'is_groupchat', label: 'Group chat' },
+  { field: 'is_signed', label: 'Signed' },
+  { field: 'Snap_Star', label: 'Verified' },
+  { field: 'Snap_Monetized', label: 'Monetized' },
+  { field: 'is_dead', label: 'Dead' }
+];
+
+/**
+ * Social platforms with the lead fields that hold their handle and audience
+ * @type {Array<{label: string, username: string, audience: string}>}
+ */
+const PLATFORMS = [
+  { label: 'Snapchat', username: 'Snap_Username', audience: 'Snap_Followers' },
+  { label: 'TikTok', username: 'TT_Username', audience: 'TT_Followers' },
+  { label: 'Instagram', username: 'IG_Username', audience: 'IG_Followers' },
+  { label: 'YouTube', username: 'YT_Username', audience: 'YT_Subscribers' }
+];
+
+/**
+ * Formats a number with thousands separators, or a dash when missing
+ * @param {number} [value] - Number to format
+ * @returns {string} Formatted number
+ */
+const formatCount = (value) => (value || value === 0 ? Number(value).toLocaleString() : '—');
+
+/**
+ * @typedef {Object} OverviewTabProps
+ * @property {Object|null} client - Client record
+ * @property {Function} onClientUpdated - Called with the saved record after an edit
+ */
+
+/**
+ * Renders the client overview
+ *
+ * @param {OverviewTabProps} props - Component props
+ * @returns {React.ReactElement} The rendered tab
+ */
+const OverviewTab = ({ client, onClientUpdated }) => {
+  const [editOpen, setEditOpen] = useState(false);
+
+  /**
+   * Saves edits from the lead modal
+   * @async
+   * @param {Object} updatedData - Edited client record
+   * @returns {Promise<void>}
+   */
+  const handleSave = async (updatedData) => {
+    try {
+      const response = await axios.put(API_ENDPOINTS.LEADS.UPDATE(updatedData.client_id), updatedData);
+      if (response.data?.status === 'success') {
+        onClientUpdated(updatedData);
+        setEditOpen(false);
+        toast.success('Client updated');
+      }
+    } catch (error) {
+      console.error('Error updating client:', error);
+      toast.error(error.message || 'Failed to update client');
+    }
+  };
+
+  if (!client) {
+    return <TabSection title="Overview" empty emptyMessage="No lead record found for this client." />;
+  }
+
+  const details = [
+    ['Legal name', `${client.First_Legal_Name || ''} ${client.Last_Legal_Name || ''}`.trim()],
+    ['Stage name', client.Stage_Name],
+    ['Email', client.Email_Address],
+    ['Date of birth', client.DOB],
+    ['Timezone', client.Timezone],
+    ['Client ID', client.client_id],
+    ['Snap ID', client.snap_id],
+    ['Payout email', client.payout_email],
+    ['Referred by', client.referred_by_name],
+    ['Monetized by', client.monetized_by_name]
+  ];
+
+  return (
+    <>
+      <TabSection
+        title="Details"
+        actions={
+          <Button size="small" variant="outlined" startIcon={<EditIcon />} onClick={() => setEditOpen(true)}>
+            Edit lead
+          </Button>
+        }
+      >
+        <div className="client360-flags">
+          {PIPELINE_FLAGS.map(({ field, label }) => (
+            <Chip
+              key={field}
+              label={label}
+              size="small"
+              color={client[field] ? (field === 'is_dead' ? 'error' : 'primary') : 'default'}
+              variant={client[field] ? 'filled' : 'outlined'}
+            />
+          ))}
+        </div>
+        <dl className="client360-details">
+          {details.map(([label, value]) => (
+            <React.Fragment key={label}>
+              <dt>{label}</dt>
+              <dd>{value || '—'}</dd>
+            </React.Fragment>
+          ))}
+        </dl>
+      </TabSection>
+
+      <TabSection title="Social reach">
+        <div className="client360-cards">
+          {PLATFORMS.map(({ label, username, audience }) => (
+            <div key={label} className="client360-card">
+              <span className="client360-card__label">{label}</span>
+              <span className="client360-card__value">{formatCount(client[audience])}</span>
+              <span className="client360-card__meta">{client[username] ? `@${client[username]}` : 'Not linked'}</span>
+            </div>
+          ))}
+        </div>
+      </TabSection>
+
+      <EditModal
+        isOpen={editOpen}
+        onClose={() => setEditOpen(false)}
+        data={client}
+        onSave={handleSave}
+      />
+    </>
+  );
+};
+
+export default OverviewTab;
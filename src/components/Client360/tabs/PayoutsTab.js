@@ -0,0 +1,122 @@
+/**
+ * @fileoverview Payouts tab of the client profile: payout totals, pull history
+ * and the revenue split profile.
+ */
+
+import React, { useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { Table, TableBody, TableCell, TableContainer, TableHead, TableRow, Paper } from '@mui/material';
+import axios from '../../../utils/axiosConfig';
+import { API_ENDPOINTS } from '../../../config/api';
+import { useAuth } from '../../../contexts/AuthContext';
+import useTabData from '../hooks/useTabData';
+import TabSection from './TabSection';
+
+/**
+ * Formats a dollar amount with cents
+ * @param {number} [amount] - Amount to format
+ * @returns {string} Formatted amount
+ */
+const formatCurrency = (amount) =>
+  `$${(amount || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+/**
+ * Renders the client's payouts and splits
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.clientId - Client identifier
+ * @returns {React.ReactElement} The rendered tab
+ */
+const PayoutsTab = ({ clientId }) => {
+  const { can } = useAuth();
+
+  const load = useCallback(async () => {
+    const [payoutResponse, splitResponse] = await Promise.all([
+      axios.get(API_ENDPOINTS.LEADS.PAYOUT_INFO(clientId)),
+      axios.get(API_ENDPOINTS.PAYMENTS.GET_SPLIT_PROFILE(clientId))
+    ]);
+    return { payout: payoutResponse.data, splits: splitResponse.data?.splits || [] };
+  }, [clientId]);
+  const { data, loading, error } = useTabData(load);
+  const payout = data?.payout;
+  const pulls = payout?.creator_pulls || [];
+
+  return (
+    <>
+      <TabSection title="Payouts" loading={loading} error={error}>
+        <div className="client360-cards">
+          <div className="client360-card">
+            <span className="client360-card__label">Total paid</span>
+            <span className="client360-card__value">{formatCurrency(payout?.total_paid)}</span>
+          </div>
+          <div className="client360-card">
+            <span className="client360-card__label">Year to date</span>
+            <span className="client360-card__value">{formatCurrency(payout?.year_to_date)}</span>
+          </div>
+          <div className="client360-card">
+            <span className="client360-card__label">Quarter to date</span>
+            <span className="client360-card__value">{formatCurrency(payout?.quarter_to_date)}</span>
+          </div>
+          <div className="client360-card">
+            <span className="client360-card__label">Payout email</span>
+            <span className="client360-card__meta">{payout?.payout_email || 'Not set'}</span>
+          </div>
+        </div>
+        {pulls.length > 0 && (
+          <TableContainer component={Paper}>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Date</TableCell>
+                  <TableCell align="right">Amount</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {pulls.map(pull => (
+                  <TableRow key={pull.pull_date}>
+                    <TableCell>{new Date(pull.pull_date).toLocaleDateString()}</TableCell>
+                    <TableCell align="right">{formatCurrency(pull.pull_amount)}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </TabSection>
+
+      <TabSection
+        title="Revenue splits"
+        actions={can('MANAGE_PAYMENTS') && (
+          <Link to="/payments/splits" className="client360-action-link">Manage splits</Link>
+        )}
+        loading={loading}
+        error={error}
+        empty={!data?.splits.length}
+        emptyMessage="No payment splits configured."
+      >
+        <TableContainer component={Paper}>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Payee</TableCell>
+                <TableCell>Company</TableCell>
+                <TableCell align="right">Percentage</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {(data?.splits || []).map(split => (
+                <TableRow key={split.payeeId}>
+                  <TableCell>{split.payeeName}</TableCell>
+                  <TableCell>{split.companyName || '—'}</TableCell>
+                  <TableCell align="right">{split.percentage}%</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </TabSection>
+    </>
+  );
+};
+
+export default PayoutsTab;
@@ -0,0 +1,55 @@
+/**
+ * @fileoverview Shared frame for client profile tabs: title, actions, and
+ * loading, error and empty states.
+ */
+
+import React from 'react';
+import { Alert, CircularProgress, Typography } from '@mui/material';
+
+/**
+ * @typedef {Object} TabSectionProps
+ * @property {string} title - Section title
+ * @property {React.ReactNode} [actions] - Buttons or links shown next to the title
+ * @property {boolean} [loading] - Shows a spinner instead of the content
+ * @property {string|null} [error] - Shows an error instead of the content
+ * @property {boolean} [empty] - Shows the empty message instead of the content
+ * @property {string} [emptyMessage] - Message for the empty state
+ * @property {React.ReactNode} children - Section content
+ */
+
+/**
+ * Renders a titled tab section with consistent status handling
+ *
+ * @param {TabSectionProps} props - Component props
+ * @returns {React.ReactElement} The rendered section
+ */
+const TabSection = ({
+  title,
+  actions,
+  loading = false,
+  error = null,
+  empty = false,
+  emptyMessage = 'Nothing to show yet.',
+  children
+}) => {
+  let content = children;
+  if (loading) {
+    content = <div className="client360-status"><CircularProgress size={28} /></div>;
+  } else if (error) {
+    content = <Alert severity="error">{error}</Alert>;
+  } else if (empty) {
+    content = <Typography className="client360-empty">{emptyMessage}</Typography>;
+  }
+
+  return (
+    <section className="client360-section">
+      <div className="client360-section__header">
+        <h2>{title}</h2>
+        {actions && <div className="client360-section__actions">{actions}</div>}
+      </div>
+      {content}
+    </section>
+  );
+};
+
+export default TabSection;
@@ -0,0 +1,27 @@
+/**
+ * @fileoverview Timeline tab of the client profile: every note, task, contract version,
+ * approval change and payout email sync in one chronological list.
+ */
+
+import React from 'react';
+import LeadTimeline from '../../Lead/LeadTimeline';
+import TabSection from './TabSection';
+
+/**
+ * @typedef {Object} TimelineTabProps
+ * @property {string} clientId - Client identifier
+ */
+
+/**
+ * Renders the client's activity timeline
+ *
+ * @param {TimelineTabProps} props - Component props
+ * @returns {React.ReactElement} The rendered tab
+ */
+const TimelineTab = ({ clientId }) => (
+  <TabSection title="Activity timeline">
+    <LeadTimeline clientId={clientId} />
+  </TabSection>
+);
+
+export default TimelineTab;
@@ -0,0 +1,92 @@
+/**
+ * @fileoverview Uploads tab of the client profile: per-day upload, spotlight and
+ * saved activity from the upload tracker, filtered to one client.
+ */
+
+import React, { useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { Chip, Table, TableBody, TableCell, TableContainer, TableHead, TableRow, Paper } from '@mui/material';
+import axios from '../../../utils/axiosConfig';
+import { API_ENDPOINTS } from '../../../config/api';
+import { getUploadActivityPath } from '../../../config/navigation';
+import useTabData from '../hooks/useTabData';
+import TabSection from './TabSection';
+
+/**
+ * Upload tracker feeds shown on the tab
+ * @type {Array<{label: string, endpoint: string}>}
+ */
+const FEEDS = [
+  { label: 'Stories', endpoint: API_ENDPOINTS.UPLOAD_ACTIVITY },
+  { label: 'Spotlights', endpoint: API_ENDPOINTS.SPOTLIGHTS },
+  { label: 'Saved', endpoint: API_ENDPOINTS.SAVED_ACTIVITY }
+];
+
+/**
+ * Renders the client's upload history
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.clientId - Client identifier
+ * @returns {React.ReactElement} The rendered tab
+ */
+const UploadsTab = ({ clientId }) => {
+  const load = useCallback(async () => {
+    const responses = await Promise.all(FEEDS.map(feed => axios.get(feed.endpoint)));
+    return responses
+      .flatMap((response, index) => {
+        const row = (response.data?.data || []).find(item => item.client_ID === clientId);
+        return (row?.uploads || []).map(upload => ({ ...upload, feed: FEEDS[index].label }));
+      })
+      .sort((a, b) => b.date.localeCompare(a.date));
+  }, [clientId]);
+  const { data: uploads, loading, error } = useTabData(load);
+
+  return (
+    <TabSection
+      title="Upload activity"
+      actions={<Link to={getUploadActivityPath(clientId)} className="client360-action-link">Open upload tracker</Link>}
+      loading={loading}
+      error={error}
+      empty={!uploads?.length}
+      emptyMessage="No uploads recorded for this client."
+    >
+      <TableContainer component={Paper}>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Date</TableCell>
+              <TableCell>Type</TableCell>
+              <TableCell align="right">Videos</TableCell>
+              <TableCell align="right">Images</TableCell>
+              <TableCell align="right">Video length</TableCell>
+              <TableCell>Status</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {(uploads || []).map(upload => {
+              const approved = upload.sessions?.some(session => session.approved);
+              return (
+                <TableRow key={`${upload.feed}-${upload.date}`}>
+                  <TableCell>{upload.date}</TableCell>
+                  <TableCell>{upload.feed}</TableCell>
+                  <TableCell align="right">{upload.stats?.videoCount ?? 0}</TableCell>
+                  <TableCell align="right">{upload.stats?.imageCount ?? 0}</TableCell>
+                  <TableCell align="right">{upload.stats?.videoMinutes || '0:00'}</TableCell>
+                  <TableCell>
+                    <Chip
+                      size="small"
+                      label={approved ? 'Approved' : 'Pending'}
+                      color={approved ? 'success' : 'default'}
+                    />
+                  </TableCell>
+                </TableRow>
+              );
+            })}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </TabSection>
+  );
+};
+
+export default UploadsTab;
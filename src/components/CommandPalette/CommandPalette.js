@@ -0,0 +1,358 @@
+/**
+ * @fileoverview Global command palette.
+ * Opened with Ctrl/Cmd+K from any screen, it fuzzy-searches clients, CDN session
+ * folders, tasks and screens, and jumps to the matching view with the result
+ * already selected. Clients offer several destinations; the arrow keys pick one.
+ */
+
+import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Dialog, InputBase, CircularProgress } from '@mui/material';
+import { Search as SearchIcon } from '@mui/icons-material';
+import { useAuth } from '../../contexts/AuthContext';
+import {
+  APP_ROUTES,
+  getLeadEditPath,
+  getCdnFolderPath,
+  getUploadActivityPath,
+  getTaskPath
+} from '../../config/navigation';
+import { fuzzySearch } from '../../utils/fuzzyMatch';
+import { getClientPath } from '../Client360/ClientLink';
+import usePaletteSources from './hooks/usePaletteSources';
+import './CommandPalette.css';
+
+/**
+ * Maximum results shown per group
+ * @type {Object<string, number>}
+ */
+const GROUP_LIMITS = { client: 6, session: 5, task: 5, route: 5 };
+
+/**
+ * Number of top client matches whose session folders are fetched
+ * @type {number}
+ */
+const SESSION_LOOKUP_LIMIT = 3;
+
+/**
+ * Group headings in display order
+ * @type {Array<{type: string, label: string}>}
+ */
+const GROUPS = [
+  { type: 'client', label: 'Clients' },
+  { type: 'session', label: 'CDN sessions' },
+  { type: 'task', label: 'Tasks' },
+  { type: 'route', label: 'Screens' }
+];
+
+/**
+ * @typedef {Object} PaletteAction
+ * @property {string} label - Action name shown on the result
+ * @property {string} path - Router path to open
+ */
+
+/**
+ * @typedef {Object} PaletteResult
+ * @property {string} key - Unique result key
+ * @property {string} type - One of the GROUPS types
+ * @property {string} title - Primary text
+ * @property {string} [subtitle] - Secondary text
+ * @property {Array<PaletteAction>} actions - Destinations, the first being the default
+ */
+
+/**
+ * Builds the destinations offered for a client
+ * @param {string} clientId - Client identifier
+ * @returns {Array<PaletteAction>} Client actions
+ */
+const getClientActions = (clientId) => [
+  { label: 'Edit lead', path: getLeadEditPath(clientId) },
+  { label: 'Profile', path: getClientPath(clientId) },
+  { label: 'CDN folder', path: getCdnFolderPath(clientId) },
+  { label: 'Uploads', path: getUploadActivityPath(clientId) }
+];
+
+/**
+ * Renders the command palette and its keyboard shortcut
+ *
+ * @component
+ * @returns {React.ReactElement|null} The palette dialog
+ */
+const CommandPalette = () => {
+  const { isAuthenticated, can } = useAuth();
+  const navigate = useNavigate();
+  const { clients, tasks, loading, sessionsByClient, loadIndex, loadSessions } = usePaletteSources();
+  const [open, setOpen] = useState(false);
+  const [query, setQuery] = useState('');
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [actionIndex, setActionIndex] = useState(0);
+  const listRef = useRef(null);
+
+  useEffect(() => {
+    if (!isAuthenticated) return undefined;
+
+    /**
+     * Toggles the palette on Ctrl/Cmd+K
+     * @param {KeyboardEvent} event - Keydown event
+     */
+    const handleShortcut = (event) => {
+      if ((event.metaKey || event.ctrlKey) && event.key.toLowerCase() === 'k') {
+        event.preventDefault();
+        setOpen(prev => !prev);
+      }
+    };
+    window.addEventListener('keydown', handleShortcut);
+    return () => window.removeEventListener('keydown', handleShortcut);
+  }, [isAuthenticated]);
+
+  useEffect(() => {
+    if (open) {
+      setQuery('');
+      loadIndex();
+    }
+  }, [open, loadIndex]);
+
+  const clientNames = useMemo(
+    () => Object.fromEntries(clients.map(client => [client.id, client.name])),
+    [clients]
+  );
+
+  const matchedClients = useMemo(
+    () => (query.trim()
+      ? fuzzySearch(clients, query, client => `${client.name} ${client.id} ${client.username || ''}`, GROUP_LIMITS.client)
+      : []),
+    [clients, query]
+  );
+
+  // Session folders are fetched per client, so only look them up for the best matches
+  useEffect(() => {
+    if (query.trim().length < 2) return undefined;
+    const timer = setTimeout(() => {
+      matchedClients.slice(0, SESSION_LOOKUP_LIMIT).forEach(client => loadSessions(client.id));
+    }, 200);
+    return () => clearTimeout(timer);
+  }, [matchedClients, query, loadSessions]);
+
+  /** @type {Array<PaletteResult>} */
+  const results = useMemo(() => {
+    const routes = APP_ROUTES.filter(route => !route.permission || can(route.permission));
+    if (!query.trim()) {
+      return routes.map(route => ({
+        key: `route-${route.path}`,
+        type: 'route',
+        title: route.label,
+        subtitle: route.path,
+        actions: [{ label: 'Open', path: route.path }]
+      }));
+    }
+
+    const sessions = Object.values(sessionsByClient).flat();
+    return [
+      ...matchedClients.map(client => ({
+        key: `client-${client.id}`,
+        type: 'client',
+        title: client.name,
+        subtitle: [client.id, client.username && `@${client.username}`].filter(Boolean).join(' · '),
+        actions: getClientActions(client.id)
+      })),
+      ...fuzzySearch(
+        sessions,
+        query,
+        session => `${clientNames[session.clientId] || ''} ${session.clientId} ${session.sessionId} ${session.collection}`,
+        GROUP_LIMITS.session
+      ).map(session => ({
+        key: `session-${session.collection}-${session.sessionId}`,
+        type: 'session',
+        title: session.sessionId,
+        subtitle: [clientNames[session.clientId] || session.clientId, session.collection].join(' · '),
+        actions: [{ label: 'Open folder', path: getCdnFolderPath(session.clientId, session.collection, session.sessionId) }]
+      })),
+      ...fuzzySearch(
+        tasks,
+        query,
+        task => `${task.title} ${clientNames[task.client_id] || ''} ${task.client_id || ''}`,
+        GROUP_LIMITS.task
+      ).map(task => ({
+        key: `task-${task._id}`,
+        type: 'task',
+        title: task.title,
+        subtitle: [clientNames[task.client_id] || task.client_id, task.status].filter(Boolean).join(' · '),
+        actions: [{ label: 'Open task', path: getTaskPath(task._id) }]
+      })),
+      ...fuzzySearch(
+        routes,
+        query,
+        route => `${route.label} ${route.path} ${(route.keywords || []).join(' ')}`,
+        GROUP_LIMITS.route
+      ).map(route => ({
+        key: `route-${route.path}`,
+        type: 'route',
+        title: route.label,
+        subtitle: route.path,
+        actions: [{ label: 'Open', path: route.path }]
+      }))
+    ];
+  }, [query, matchedClients, sessionsByClient, tasks, clientNames, can]);
+
+  useEffect(() => {
+    setActiveIndex(0);
+    setActionIndex(0);
+  }, [query]);
+
+  useEffect(() => {
+    listRef.current
+      ?.querySelector(`[data-index="${activeIndex}"]`)
+      ?.scrollIntoView({ block: 'nearest' });
+  }, [activeIndex]);
+
+  /**
+   * Closes the palette
+   */
+  const close = useCallback(() => setOpen(false), []);
+
+  /**
+   * Navigates to one of a result's destinations and closes the palette
+   * @param {PaletteResult} result - Selected result
+   * @param {number} [index=0] - Index of the chosen action
+   */
+  const select = (result, index = 0) => {
+    const action = result.actions[index] || result.actions[0];
+    close();
+    navigate(action.path);
+  };
+
+  /**
+   * Handles list navigation keys inside the search input
+   * @param {React.KeyboardEvent} event - Keydown event
+   */
+  const handleKeyDown = (event) => {
+    const active = results[activeIndex];
+    switch (event.key) {
+      case 'ArrowDown':
+        event.preventDefault();
+        setActiveIndex(prev => Math.min(prev + 1, results.length - 1));
+        setActionIndex(0);
+        break;
+      case 'ArrowUp':
+        event.preventDefault();
+        setActiveIndex(prev => Math.max(prev - 1, 0));
+        setActionIndex(0);
+        break;
+      case 'ArrowRight':
+        if (active?.actions.length > 1) {
+          event.preventDefault();
+          setActionIndex(prev => (prev + 1) % active.actions.length);
+        }
+        break;
+      case 'ArrowLeft':
+        if (active?.actions.length > 1) {
+          event.preventDefault();
+          setActionIndex(prev => (prev - 1 + active.actions.length) % active.actions.length);
+        }
+        break;
+      case 'Enter':
+        if (active) {
+          event.preventDefault();
+          select(active, actionIndex);
+        }
+        break;
+      default:
+        break;
+    }
+  };
+
+  if (!isAuthenticated) return null;
+
+  let index = -1;
+
+  return (
+    <Dialog
+      open={open}
+      onClose={close}
+      fullWidth
+      maxWidth="sm"
+      PaperProps={{ className: 'command-palette' }}
+      sx={{ '& .MuiDialog-container': { alignItems: 'flex-start' } }}
+    >
+      <div className="command-palette__search">
+        <SearchIcon className="command-palette__search-icon" />
+        <InputBase
+          autoFocus
+          fullWidth
+          placeholder="Search clients, sessions, tasks and screens…"
+          value={query}
+          onChange={event => setQuery(event.target.value)}
+          onKeyDown={handleKeyDown}
+          inputProps={{ 'aria-label': 'Command palette search' }}
+        />
+        {loading && <CircularProgress size={18} />}
+      </div>
+
+      <div className="command-palette__results" ref={listRef} role="listbox">
+        {!results.length && !loading && (
+          <div className="command-palette__empty">No matches for “{query}”</div>
+        )}
+        {GROUPS.map(group => {
+          const groupResults = results.filter(result => result.type === group.type);
+          if (!groupResults.length) return null;
+          return (
+            <div key={group.type} className="command-palette__group">
+              <div className="command-palette__group-label">{group.label}</div>
+              {groupResults.map(result => {
+                index += 1;
+                const resultIndex = index;
+                const isActive = resultIndex === activeIndex;
+                return (
+                  <div
+                    key={result.key}
+                    data-index={resultIndex}
+                    role="option"
+                    aria-selected={isActive}
+                    className={`command-palette__item ${isActive ? 'active' : ''}`}
+                    onMouseMove={() => setActiveIndex(resultIndex)}
+                    onClick={() => select(result, isActive ? actionIndex : 0)}
+                  >
+                    <div className="command-palette__item-text">
+                      <span className="command-palette__item-title">{result.title}</span>
+                      {result.subtitle && (
+                        <span className="command-palette__item-subtitle">{result.subtitle}</span>
+                      )}
+                    </div>
+                    {result.actions.length > 1 && (
+                      <div className="command-palette__actions">
+                        {result.actions.map((action, actionPosition) => (
+                          <button
+                            key={action.label}
+                            type="button"
+                            className={`command-palette__action ${
+                              isActive && actionPosition === actionIndex ? 'active' : ''
+                            }`}
+                            onClick={event => {
+                              event.stopPropagation();
+                              select(result, actionPosition);
+                            }}
+                          >
+                            {action.label}
+                          </button>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="command-palette__footer">
+        <span><kbd>↑</kbd><kbd>↓</kbd> move</span>
+        <span><kbd>←</kbd><kbd>→</kbd> choose view</span>
+        <span><kbd>Enter</kbd> open</span>
+        <span><kbd>Esc</kbd> close</span>
+      </div>
+    </Dialog>
+  );
+};
+
+export default CommandPalette;
@@ -0,0 +1,147 @@
+/**
+ * @fileoverview Data sources for the command palette.
+ * Loads the searchable client and task index when the palette first opens and
+ * fetches a client's CDN session folders on demand, caching both for the session.
+ */
+
+import { useState, useCallback, useRef } from 'react';
+import axios from '../../../utils/axiosConfig';
+import { API_ENDPOINTS } from '../../../config/api';
+import { CDN_COLLECTION_FOLDERS } from '../../../config/navigation';
+
+/**
+ * @typedef {Object} PaletteClient
+ * @property {string} id - Client identifier
+ * @property {string} name - Display name
+ * @property {string} [username] - Snapchat username
+ * @property {boolean} signed - Whether the client appears in the CDN user list
+ */
+
+/**
+ * @typedef {Object} PaletteSession
+ * @property {string} clientId - Owning client identifier
+ * @property {string} collection - Collection name, e.g. 'Uploads'
+ * @property {string} sessionId - Session folder name
+ * @property {number} [fileCount] - Number of files in the session
+ */
+
+/**
+ * Builds a display name from a lead record
+ * @param {Object} lead - Lead grid row
+ * @returns {string} Display name
+ */
+const getLeadName = (lead) =>
+  lead.Stage_Name || [lead.First_Legal_Name, lead.Last_Legal_Name].filter(Boolean).join(' ') || lead.client_id;
+
+/**
+ * Merges the CDN user list and the lead grid into one client list
+ * @param {Array<Object>} users - Users from CDN_MONGO.GET_USERS
+ * @param {Array<Object>} leads - Rows from LEADS.GRID
+ * @returns {Array<PaletteClient>} Clients keyed by id
+ */
+const mergeClients = (users, leads) => {
+  const clients = new Map();
+  leads.forEach(lead => {
+    if (!lead.client_id) return;
+    clients.set(lead.client_id, {
+      id: lead.client_id,
+      name: getLeadName(lead),
+      username: lead.Snap_Username || lead.Snapchat_Username,
+      signed: false
+    });
+  });
+  users.forEach(user => {
+    const id = user.client_ID || user.client_id;
+    if (!id) return;
+    const existing = clients.get(id);
+    clients.set(id, {
+      id,
+      name: existing?.name || user.name || id,
+      username: existing?.username || user.snap_ID,
+      signed: true
+    });
+  });
+  return [...clients.values()];
+};
+
+/**
+ * Resolves the data of a settled request, or a fallback when it failed
+ * @param {PromiseSettledResult} result - Settled request
+ * @param {Function} pick - Extracts the wanted data from a response
+ * @returns {Array<Object>} Extracted data
+ */
+const settledData = (result, pick) => {
+  if (result.status !== 'fulfilled') {
+    console.error('Command palette source failed:', result.reason);
+    return [];
+  }
+  const data = pick(result.value.data);
+  return Array.isArray(data) ? data : [];
+};
+
+/**
+ * Hook providing the searchable clients, tasks and session folders
+ *
+ * @returns {Object} Index state and loaders
+ */
+const usePaletteSources = () => {
+  const [clients, setClients] = useState([]);
+  const [tasks, setTasks] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [sessionsByClient, setSessionsByClient] = useState({});
+  const requestedSessions = useRef(new Set());
+  const indexLoaded = useRef(false);
+
+  /**
+   * Loads clients and tasks. Later calls refresh the index in the background.
+   * @async
+   * @returns {Promise<void>}
+   */
+  const loadIndex = useCallback(async () => {
+    if (!indexLoaded.current) setLoading(true);
+    const [users, leads, taskList] = await Promise.allSettled([
+      axios.get(API_ENDPOINTS.CDN_MONGO.GET_USERS),
+      axios.get(API_ENDPOINTS.LEADS.GRID),
+      axios.get(API_ENDPOINTS.TASKS)
+    ]);
+    setClients(mergeClients(
+      settledData(users, data => data?.users),
+      settledData(leads, data => data)
+    ));
+    setTasks(settledData(taskList, data => data?.tasks));
+    indexLoaded.current = true;
+    setLoading(false);
+  }, []);
+
+  /**
+   * Fetches a client's session folders in every collection, once per client
+   * @async
+   * @param {string} clientId - Client identifier
+   * @returns {Promise<void>}
+   */
+  const loadSessions = useCallback(async (clientId) => {
+    if (requestedSessions.current.has(clientId)) return;
+    requestedSessions.current.add(clientId);
+
+    const results = await Promise.allSettled(
+      Object.keys(CDN_COLLECTION_FOLDERS).map(collection =>
+        axios.get(API_ENDPOINTS.CDN.COLLECTION(collection), {
+          params: { path: `${clientId}.sessions` }
+        }).then(response => (response.data?.arrays?.[0] || []).map(session => ({
+          clientId,
+          collection,
+          sessionId: session.session_id,
+          fileCount: session.total_files_count
+        })))
+      )
+    );
+    setSessionsByClient(prev => ({
+      ...prev,
+      [clientId]: results.flatMap(result => (result.status === 'fulfilled' ? result.value : []))
+    }));
+  }, []);
+
+  return { clients, tasks, loading, sessionsByClient, loadIndex, loadSessions };
+};
+
+export default usePaletteSources;
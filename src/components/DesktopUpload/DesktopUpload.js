@@ -6,10 +6,9 @@
 import React, { useState, useCallback, useEffect } from 'react';
 import { useDropzone } from 'react-dropzone';
 import { useAuth } from '../../contexts/AuthContext';
-import axios from 'axios';
+import axios from '../../utils/axiosConfig';
 import './DesktopUpload.css';
 import { API_ENDPOINTS } from '../../config/api';
-import { fetchAuthSession } from 'aws-amplify/auth';
 import { toast } from 'react-hot-toast';
 
 /**
@@ -25,21 +24,6 @@ import { toast } from 'react-hot-toast';
  * @property {number} [fileId] - Upload progress percentage for each file
  */
 
-// Add axios interceptor for authentication if not already added
-if (!axios.interceptors.request.handlers.some(handler => 
-    handler.fulfilled.toString().includes('fetchAuthSession'))) {
-  axios.interceptors.request.use(async (config) => {
-    try {
-      const { tokens } = await fetchAuthSession();
-      const token = tokens.idToken.toString();
-      config.headers.Authorization = `Bearer ${token}`;
-    } catch (error) {
-      console.error('Error getting auth token:', error);
-    }
-    return config;
-  });
-}
-
 /**
  * Component for handling desktop file uploads to the CDN.
  * Features:
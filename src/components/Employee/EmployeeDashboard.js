@@ -17,12 +17,11 @@ import {
   faSpinner,
   faExclamationTriangle
 } from '@fortawesome/free-solid-svg-icons';
-import axios from 'axios';
+import axios from '../../utils/axiosConfig';
 import { API_ENDPOINTS } from '../../config/api';
 import { useAuth } from '../../contexts/AuthContext';
-import { fetchAuthSession } from 'aws-amplify/auth';
-import axiosInstance from '../../utils/axiosConfig';
 import EmployeeSelector from './EmployeeSelector';
+import ClientLink from '../Client360/ClientLink';
 import './EmployeeDashboard.css';
 
 /**
@@ -97,26 +96,16 @@ const EmployeeDashboard = () => {
     setError(null);
     
     try {
-      const { tokens } = await fetchAuthSession();
-      const token = tokens.idToken.toString();
-      const headers = {
-        Authorization: `Bearer ${token}`
-      };
-
       console.log('Loading employee data for:', selectedEmployee.user_id);
 
       const [metricsResponse, timesheetResponse, invoicesResponse] = await Promise.all([
         axios.get(API_ENDPOINTS.EMPLOYEES.METRICS(selectedEmployee.user_id), {
-          params: dateRange,
-          headers
+          params: dateRange
         }),
         axios.get(API_ENDPOINTS.EMPLOYEES.TIMESHEET(selectedEmployee.user_id), {
-          params: dateRange,
-          headers
+          params: dateRange
         }),
-        axios.get(API_ENDPOINTS.EMPLOYEES.INVOICES(selectedEmployee.user_id), {
-          headers
-        })
+        axios.get(API_ENDPOINTS.EMPLOYEES.INVOICES(selectedEmployee.user_id))
       ]);
 
       console.log('Invoices response:', invoicesResponse.data);
@@ -152,9 +141,6 @@ const EmployeeDashboard = () => {
       console.log('QB ID:', invoice.qb_id);
       console.log('Invoice _id:', invoice._id);
 
-      const { tokens } = await fetchAuthSession();
-      const token = tokens.idToken.toString();
-
       // Get the invoice ID (either QB ID or _id)
       const invoiceId = invoice._id || invoice.qb_id;
       if (!invoiceId) {
@@ -164,23 +150,13 @@ const EmployeeDashboard = () => {
       console.log('Using invoice ID:', invoiceId);
 
       // Make the request to download the statement
-      const response = await fetch(
-        `${API_ENDPOINTS.EMPLOYEES.DOWNLOAD_INVOICE(selectedEmployee.user_id, invoiceId)}`,
-        {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${token}`
-          }
-        }
+      const { data: html } = await axios.post(
+        API_ENDPOINTS.EMPLOYEES.DOWNLOAD_INVOICE(selectedEmployee.user_id, invoiceId),
+        null,
+        { responseType: 'text' }
       );
 
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.detail || 'Failed to download statement');
-      }
-
-      // Get the HTML content and create a blob
-      const html = await response.text();
+      // Create a blob from the HTML content
       const blob = new Blob([html], { type: 'text/html' });
       
       // Create a temporary link to download the file
@@ -284,7 +260,9 @@ const EmployeeDashboard = () => {
               {employeeMetrics.client_work_summary?.map((client, index) => (
                 <div key={index} className="client-work-item">
                   <div className="client-info">
-                    <div className="client-name">{client.client_name}</div>
+                    <div className="client-name">
+                      <ClientLink clientId={client.client_id}>{client.client_name}</ClientLink>
+                    </div>
                     <div className="client-stats">
                       {client.total_hours.toFixed(1)}h • ${client.total_earnings.toFixed(2)}
                     </div>
@@ -333,7 +311,9 @@ const EmployeeDashboard = () => {
             {employeeTimesheet.entries?.map((entry, index) => (
               <div key={index} className="entry-item">
                 <div className="entry-date">{entry.date}</div>
-                <div className="entry-client">{entry.client_name}</div>
+                <div className="entry-client">
+                  <ClientLink clientId={entry.client_id}>{entry.client_name}</ClientLink>
+                </div>
                 <div className="entry-details">
                   <span className="entry-category">{entry.category}</span>
                   <span className="entry-time">{entry.hours}h {entry.minutes}m</span>
@@ -8,8 +8,7 @@ import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
 import { faUser, faChevronDown, faSearch, faSpinner } from '@fortawesome/free-solid-svg-icons';
 import { API_ENDPOINTS } from '../../config/api';
 import { useAuth } from '../../contexts/AuthContext';
-import { fetchAuthSession } from 'aws-amplify/auth';
-import axios from 'axios';
+import axios from '../../utils/axiosConfig';
 import './EmployeeSelector.css';
 
 /**
@@ -69,13 +68,7 @@ const EmployeeSelector = ({ onEmployeeSelect, selectedEmployee }) => {
     setError(null);
     
     try {
-      const { tokens } = await fetchAuthSession();
-      const token = tokens.idToken.toString();
-      const response = await axios.get(API_ENDPOINTS.EMPLOYEES.LIST, {
-        headers: {
-          Authorization: `Bearer ${token}`
-        }
-      });
+      const response = await axios.get(API_ENDPOINTS.EMPLOYEES.LIST);
       
       setEmployees(response.data || []);
     } catch (error) {
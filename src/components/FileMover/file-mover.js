@@ -5,9 +5,11 @@
 
 import React, { useState, useEffect } from 'react';
 import { Amplify } from 'aws-amplify';
-import { getCurrentUser, fetchAuthSession } from 'aws-amplify/auth';
+import { getCurrentUser } from 'aws-amplify/auth';
 import './file-mover.css';
-import axios from 'axios';
+import axios from '../../utils/axiosConfig';
+import { getRuntimeConfig } from '../../config/runtimeConfig';
+import { API_ENDPOINTS } from '../../config/api';
 import EditorNotesSection from '../CDN/EditorNotesSection';
 import { toast } from 'react-hot-toast';
 
@@ -36,7 +38,7 @@ import { toast } from 'react-hot-toast';
  * @property {string} client_ID - Unique client identifier
  */
 
-const API_BASE_URL = 'https://track.snapped.cc';
+const API_BASE_URL = getRuntimeConfig().apiBaseUrl;
 
 /**
  * Formats a duration in seconds to a human-readable string.
@@ -168,43 +170,10 @@ const FileMover = () => {
         loadContentTypes();
     }, []);
 
-    const getAuthToken = async () => {
-        try {
-            const { tokens } = await fetchAuthSession();
-            return tokens.idToken.toString();
-        } catch (error) {
-            console.error('Error getting auth token:', error);
-            throw error;
-        }
-    };
-
-    const fetchWithAuth = async (url, options = {}) => {
-        try {
-            const token = await getAuthToken();
-            const response = await fetch(`${API_BASE_URL}${url}`, {
-            ...options,
-            headers: {
-                ...options.headers,
-                'Authorization': `Bearer ${token}`
-            }
-        });
-            
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            
-            return response;
-        } catch (error) {
-            console.error('Fetch error:', error);
-            throw error;
-        }
-    };
-
     const loadContentTypes = async () => {
         try {
             setIsSourceLoading(true);
-            const response = await fetchWithAuth('/api/cdn-mongo/collections');
-            const data = await response.json();
+            const { data } = await axios.get(`${API_BASE_URL}/api/cdn-mongo/collections`);
             
             if (data.status === 'success') {
                 setContentTypes(data.collections);
@@ -240,27 +209,21 @@ const FileMover = () => {
             } else {
                 setIsSourceLoading(true);
             }
-            const response = await fetchWithAuth(`/api/cdn-mongo/collections/${contentType}/clients`);
-            const data = await response.json();
+            const { data } = await axios.get(`${API_BASE_URL}/api/cdn-mongo/collections/${contentType}/clients`);
             
             if (data.status === 'success') {
                 // Process users sequentially to avoid overwhelming the server
                 const authorizedUsers = [];
                 for (const user of data.clients) {
                     try {
-                        const infoResponse = await fetchWithAuth(`/api/cdn-mongo/get-client-info/${user.client_ID}`);
-                        if (infoResponse.status === 403) {
-                            // Skip unauthorized users
-                            continue;
-                        }
-                        const infoData = await infoResponse.json();
+                        const { data: infoData } = await axios.get(`${API_BASE_URL}/api/cdn-mongo/get-client-info/${user.client_ID}`);
                         authorizedUsers.push({
                             ...user,
                             clientInfo: infoData.client_info
                         });
                     } catch (error) {
                         // If we get a 403, skip this user
-                        if (error.message.includes('403')) {
+                        if (error.status === 403) {
                             continue;
                         }
                         console.error(`Error fetching info for ${user.client_ID}:`, error);
@@ -298,14 +261,11 @@ const FileMover = () => {
             }
             
             // Load user info and sessions
-            const [infoResponse, sessionsResponse] = await Promise.all([
-                fetchWithAuth(`/api/cdn-mongo/get-client-info/${clientId}`),
-                fetchWithAuth(`/api/cdn-mongo/collections/${isDestination ? destSelectedContentType : selectedContentType}/clients/${clientId}/sessions`)
+            const [{ data: infoData }, { data: sessionsData }] = await Promise.all([
+                axios.get(`${API_BASE_URL}/api/cdn-mongo/get-client-info/${clientId}`),
+                axios.get(`${API_BASE_URL}/api/cdn-mongo/collections/${isDestination ? destSelectedContentType : selectedContentType}/clients/${clientId}/sessions`)
             ]);
             
-            const infoData = await infoResponse.json();
-            const sessionsData = await sessionsResponse.json();
-            
             if (infoData.status === 'success') {
                 if (isDestination) {
                     setDestClientInfo(infoData.client_info);
@@ -363,8 +323,7 @@ const FileMover = () => {
             const path = `${selectedClient}/${mongoCollection}/${sessionId}`;
             console.log('Gallery request path:', path);
             
-            const response = await fetchWithAuth(`/api/cdn-mongo/file-gallery?folder_path=${path}`);
-            const data = await response.json();
+            const { data } = await axios.get(`${API_BASE_URL}/api/cdn-mongo/file-gallery?folder_path=${path}`);
             
             if (data.status === 'success') {
                 const processedFiles = data.files.map(file => ({
@@ -468,18 +427,9 @@ const FileMover = () => {
             });
 
             // Make the move file request with proper error handling
-            const response = await fetchWithAuth(`/api/cdn-mongo/move-file/${client_id}/${encodeURIComponent(formattedSourceSessionId)}/${encodeURIComponent(targetSessionId)}/${file_name}`, {
-                method: 'POST'
-            });
-
-            if (!response.ok) {
-                const errorData = await response.json();
-                const errorMessage = errorData.detail || `Failed to move file: ${response.status}`;
-                console.error('Move file error:', errorMessage);
-                throw new Error(errorMessage);
-            }
-
-            const result = await response.json();
+            const { data: result } = await axios.post(
+                API_ENDPOINTS.CDN_MONGO.MOVE_FILE(client_id, formattedSourceSessionId, targetSessionId, file_name)
+            );
             if (result.status === 'success') {
                 // Refresh both source and target galleries
                 await loadGallery(source_session_id, true);
@@ -802,8 +752,7 @@ const FileMover = () => {
             const path = `${destSelectedClient}/${mongoCollection}/${sessionId}`;
             console.log('Destination gallery request path:', path);
             
-            const response = await fetchWithAuth(`/api/cdn-mongo/file-gallery?folder_path=${path}`);
-            const data = await response.json();
+            const { data } = await axios.get(`${API_BASE_URL}/api/cdn-mongo/file-gallery?folder_path=${path}`);
             
             if (data.status === 'success') {
                 const processedFiles = data.files.map(file => ({
@@ -835,7 +784,6 @@ const FileMover = () => {
 
     const createSession = async () => {
         try {
-            const token = await getAuthToken();
             // Map content type to match backend expectations
             const contentTypeMap = {
                 "Uploads": "STORIES",
@@ -845,23 +793,10 @@ const FileMover = () => {
             };
             const mappedContentType = contentTypeMap[destSelectedContentType] || destSelectedContentType;
             
-            const response = await fetch(`${API_BASE_URL}/api/cdn-mongo/create-session`, {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    client_id: destSelectedClient,
-                    content_type: mappedContentType
-                })
+            const { data: result } = await axios.post(`${API_BASE_URL}/api/cdn-mongo/create-session`, {
+                client_id: destSelectedClient,
+                content_type: mappedContentType
             });
-            
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            
-            const result = await response.json();
             if (result.status === 'success') {
                 // Refresh the sessions list for the right gallery
                 await selectUser(destSelectedClient, true);
@@ -930,31 +865,18 @@ const FileMover = () => {
 
     const saveOrganizedFiles = async () => {
         try {
-            const token = await getAuthToken();
-            
             // Create updates array with files in their current visual order
             const updates = destFiles.map((file, index) => ({
                 file_name: file.name,
                 seq_number: index + 1
             }));
 
-            const response = await fetch(`${API_BASE_URL}/api/cdn-mongo/update-sequence-numbers`, {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    client_id: destSelectedClient,
-                    session_id: currentDestSession,
-                    file_updates: updates
-                })
+            await axios.post(`${API_BASE_URL}/api/cdn-mongo/update-sequence-numbers`, {
+                client_id: destSelectedClient,
+                session_id: currentDestSession,
+                file_updates: updates
             });
 
-            if (!response.ok) {
-                throw new Error('Failed to save file order');
-            }
-
             // Refresh the gallery to show updated sequence numbers
             await loadDestGallery(currentDestSession, true);
             setHasUnsavedChanges(false);
@@ -990,16 +912,9 @@ const FileMover = () => {
 
     const saveThumbnailChanges = async () => {
         try {
-            const token = await getAuthToken();
-            
             // Process each selected thumbnail
             const promises = Array.from(selectedThumbnails).map(fileName => 
-                fetch(`${API_BASE_URL}/api/cdn-mongo/toggle-thumbnail/${destSelectedClient}/${currentDestSession}/${fileName}`, {
-                    method: 'POST',
-                    headers: {
-                        'Authorization': `Bearer ${token}`
-                    }
-                })
+                axios.post(`${API_BASE_URL}/api/cdn-mongo/toggle-thumbnail/${destSelectedClient}/${currentDestSession}/${fileName}`)
             );
 
             await Promise.all(promises);
@@ -1084,25 +999,10 @@ const FileMover = () => {
                 destFiles: destFiles.map(f => f.name)
             });
 
-            const token = await getAuthToken();
-            const response = await fetch(`${API_BASE_URL}/api/cdn-mongo/update-caption`, {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    file_path: filePath,
-                    caption: commentText
-                })
+            const { data: result } = await axios.post(`${API_BASE_URL}/api/cdn-mongo/update-caption`, {
+                file_path: filePath,
+                caption: commentText
             });
-
-            if (!response.ok) {
-                const errorData = await response.json();
-                throw new Error(`${response.status}: ${errorData.detail || 'Failed to update comment'}`);
-            }
-
-            const result = await response.json();
             console.log('Update caption response:', result);
 
             // Refresh the galleries to show updated caption
@@ -0,0 +1,82 @@
+/**
+ * @fileoverview Persistent layout for the protected internal screens.
+ * Renders the navigation sidebar and a top bar with breadcrumbs, a
+ * notifications slot and the user menu around the active route.
+ */
+
+import React, { useMemo, useState } from 'react';
+import { Link, Outlet, useLocation } from 'react-router-dom';
+import { Toaster } from 'react-hot-toast';
+import { getBreadcrumbs } from '../../config/navigation';
+import { AppShellContext } from './AppShellContext';
+import AppSidebar from './AppSidebar';
+import UserMenu from './UserMenu';
+import './AppShell.css';
+
+/** @type {string} localStorage key remembering the collapsed sidebar */
+const SIDEBAR_STORAGE_KEY = 'appShell.sidebarCollapsed';
+
+/**
+ * Renders the app shell layout route
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} [props.notifications] - Content for the notifications slot in the top bar
+ * @returns {React.ReactElement} The rendered shell
+ */
+const AppShell = ({ notifications }) => {
+  const { pathname } = useLocation();
+  const [pageLabel, setPageLabel] = useState(null);
+  const [collapsed, setCollapsed] = useState(() => localStorage.getItem(SIDEBAR_STORAGE_KEY) === 'true');
+
+  const breadcrumbs = getBreadcrumbs(pathname);
+  if (pageLabel && breadcrumbs.length) {
+    breadcrumbs[breadcrumbs.length - 1] = { label: pageLabel };
+  }
+
+  const contextValue = useMemo(() => ({ setPageLabel }), []);
+
+  /**
+   * Collapses or expands the sidebar and remembers the choice
+   */
+  const handleToggleSidebar = () => {
+    setCollapsed(prev => {
+      localStorage.setItem(SIDEBAR_STORAGE_KEY, String(!prev));
+      return !prev;
+    });
+  };
+
+  return (
+    <AppShellContext.Provider value={contextValue}>
+      <div className="app-shell">
+        <Toaster position="top-right" />
+        <AppSidebar pathname={pathname} collapsed={collapsed} onToggle={handleToggleSidebar} />
+
+        <div className="app-shell__main">
+          <header className="app-shell__topbar">
+            <nav className="app-shell__breadcrumbs" aria-label="Breadcrumb">
+              {breadcrumbs.map((crumb, index) => (
+                <React.Fragment key={`${crumb.label}-${index}`}>
+                  {index > 0 && <span className="app-shell__breadcrumb-separator">/</span>}
+                  {crumb.path
+                    ? <Link to={crumb.path}>{crumb.label}</Link>
+                    : <span aria-current="page">{crumb.label}</span>}
+                </React.Fragment>
+              ))}
+            </nav>
+            <div className="app-shell__topbar-actions">
+              <div className="app-shell__notifications">{notifications}</div>
+              <UserMenu />
+            </div>
+          </header>
+
+          <main className="app-shell__content">
+            <Outlet />
+          </main>
+        </div>
+      </div>
+    </AppShellContext.Provider>
+  );
+};
+
+export default AppShell;
@@ -0,0 +1,35 @@
+/**
+ * @fileoverview Context shared between the app shell and the pages it renders.
+ * Lets a page replace the label of the last breadcrumb, e.g. with a client's name.
+ */
+
+import { createContext, useContext, useEffect } from 'react';
+
+/**
+ * @typedef {Object} AppShellContextType
+ * @property {Function} setPageLabel - Sets the label of the current breadcrumb, or null to reset it
+ */
+
+/**
+ * React context provided by the app shell
+ * @type {React.Context<AppShellContextType>}
+ */
+export const AppShellContext = createContext({ setPageLabel: () => {} });
+
+/**
+ * Custom hook that labels the current page's breadcrumb while the page is mounted
+ *
+ * @function useBreadcrumbLabel
+ * @param {string} [label] - Breadcrumb text; falsy values keep the default label
+ * @example
+ * // In a page rendered inside the shell:
+ * useBreadcrumbLabel(clientName);
+ */
+export const useBreadcrumbLabel = (label) => {
+  const { setPageLabel } = useContext(AppShellContext);
+
+  useEffect(() => {
+    setPageLabel(label || null);
+    return () => setPageLabel(null);
+  }, [label, setPageLabel]);
+};
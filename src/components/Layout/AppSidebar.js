@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Navigation sidebar of the app shell.
+ * Lists the screens from config/navigation, grouped by section, hiding the
+ * ones the user's Cognito groups do not grant.
+ */
+
+import React from 'react';
+import { Link } from 'react-router-dom';
+import {
+  People as PeopleIcon,
+  Folder as FolderIcon,
+  CloudUpload as CloudUploadIcon,
+  Assignment as AssignmentIcon,
+  BarChart as BarChartIcon,
+  Schedule as ScheduleIcon,
+  PersonAdd as PersonAddIcon,
+  Computer as ComputerIcon,
+  OndemandVideo as OndemandVideoIcon,
+  Payments as PaymentsIcon,
+  DriveFileMove as DriveFileMoveIcon,
+  Poll as PollIcon,
+  Chat as ChatIcon,
+  ChevronLeft as ChevronLeftIcon,
+  ChevronRight as ChevronRightIcon
+} from '@mui/icons-material';
+import { useAuth } from '../../contexts/AuthContext';
+import { APP_ROUTES, NAV_SECTIONS, findAppRoute } from '../../config/navigation';
+
+/**
+ * Sidebar icon for each screen path
+ * @type {Object<string, React.ComponentType>}
+ */
+const ROUTE_ICONS = {
+  '/lead': PeopleIcon,
+  '/cdn-manager': FolderIcon,
+  '/upload-activity': CloudUploadIcon,
+  '/tasks': AssignmentIcon,
+  '/analytics': BarChartIcon,
+  '/timesheet': ScheduleIcon,
+  '/onboarding': PersonAddIcon,
+  '/desktop-upload': ComputerIcon,
+  '/ai-review/video-summary': OndemandVideoIcon,
+  '/payments/splits': PaymentsIcon,
+  '/filemover': DriveFileMoveIcon,
+  '/admin/survey': PollIcon,
+  '/chat': ChatIcon
+};
+
+/**
+ * Renders the app navigation sidebar
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} props.pathname - Current location pathname
+ * @param {boolean} props.collapsed - Whether only icons are shown
+ * @param {Function} props.onToggle - Collapses or expands the sidebar
+ * @returns {React.ReactElement} The rendered sidebar
+ */
+const AppSidebar = ({ pathname, collapsed, onToggle }) => {
+  const { can } = useAuth();
+  const activeRoute = findAppRoute(pathname);
+  const routes = APP_ROUTES.filter(route => !route.permission || can(route.permission));
+
+  return (
+    <nav className={`app-sidebar ${collapsed ? 'collapsed' : ''}`} aria-label="Main navigation">
+      <div className="app-sidebar__brand">
+        {!collapsed && <span>SNAPPED</span>}
+        <button
+          type="button"
+          className="app-sidebar__toggle"
+          onClick={onToggle}
+          aria-label={collapsed ? 'Expand sidebar' : 'Collapse sidebar'}
+        >
+          {collapsed ? <ChevronRightIcon fontSize="small" /> : <ChevronLeftIcon fontSize="small" />}
+        </button>
+      </div>
+
+      {NAV_SECTIONS.map(section => {
+        const sectionRoutes = routes.filter(route => route.section === section);
+        if (!sectionRoutes.length) return null;
+        return (
+          <div key={section} className="app-sidebar__section">
+            {!collapsed && <div className="app-sidebar__section-label">{section}</div>}
+            {sectionRoutes.map(route => {
+              const Icon = ROUTE_ICONS[route.path] || FolderIcon;
+              return (
+                <Link
+                  key={route.path}
+                  to={route.path}
+                  title={collapsed ? route.label : undefined}
+                  className={`app-sidebar__link ${activeRoute?.path === route.path ? 'active' : ''}`}
+                >
+                  <Icon fontSize="small" />
+                  {!collapsed && <span>{route.label}</span>}
+                </Link>
+              );
+            })}
+          </div>
+        );
+      })}
+    </nav>
+  );
+};
+
+export default AppSidebar;
@@ -0,0 +1,81 @@
+/**
+ * @fileoverview User menu of the app shell: who is signed in, their groups,
+ * two-factor enrollment, and the single sign-out action shared by every protected page.
+ */
+
+import React, { useState } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { Avatar, Divider, IconButton, ListItemIcon, Menu, MenuItem } from '@mui/material';
+import { Logout as LogoutIcon, Security as SecurityIcon } from '@mui/icons-material';
+import { useAuth } from '../../contexts/AuthContext';
+import { getLoginRoute } from '../../utils/loginRoutes';
+import TotpEnrollmentDialog from '../Auth/TotpEnrollmentDialog';
+
+/**
+ * Renders the avatar button and user menu
+ *
+ * @component
+ * @returns {React.ReactElement} The rendered user menu
+ */
+const UserMenu = () => {
+  const { user, groups, signOut } = useAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [anchorEl, setAnchorEl] = useState(null);
+  const [mfaOpen, setMfaOpen] = useState(false);
+
+  const displayName = user?.signInDetails?.loginId || user?.username || '';
+
+  /**
+   * Signs out and returns to the login page that serves the current area
+   * @async
+   * @returns {Promise<void>}
+   */
+  const handleSignOut = async () => {
+    setAnchorEl(null);
+    await signOut();
+    navigate(getLoginRoute(location.pathname), { replace: true });
+  };
+
+  return (
+    <>
+      <IconButton
+        size="small"
+        onClick={event => setAnchorEl(event.currentTarget)}
+        aria-label="Account menu"
+        aria-haspopup="true"
+      >
+        <Avatar className="app-shell__avatar">{displayName.charAt(0).toUpperCase()}</Avatar>
+      </IconButton>
+      <Menu
+        anchorEl={anchorEl}
+        open={Boolean(anchorEl)}
+        onClose={() => setAnchorEl(null)}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+        transformOrigin={{ vertical: 'top', horizontal: 'right' }}
+      >
+        <div className="app-shell__user">
+          <span className="app-shell__user-name">{displayName}</span>
+          {groups.length > 0 && <span className="app-shell__user-groups">{groups.join(', ')}</span>}
+        </div>
+        <Divider />
+        <MenuItem
+          onClick={() => {
+            setAnchorEl(null);
+            setMfaOpen(true);
+          }}
+        >
+          <ListItemIcon><SecurityIcon fontSize="small" /></ListItemIcon>
+          Two-factor authentication
+        </MenuItem>
+        <MenuItem onClick={handleSignOut}>
+          <ListItemIcon><LogoutIcon fontSize="small" /></ListItemIcon>
+          Sign out
+        </MenuItem>
+      </Menu>
+      <TotpEnrollmentDialog open={mfaOpen} username={displayName} onClose={() => setMfaOpen(false)} />
+    </>
+  );
+};
+
+export default UserMenu;
@@ -2,50 +2,174 @@
  * @fileoverview Algorithm Controls component for managing scoring thresholds and point allocations
  * for different social media platforms. This component provides an interface to configure
  * engagement metrics, follower thresholds, and performance scoring parameters.
+ * Edits are a draft until they have been previewed against the current leads; saving stores a
+ * new settings version, and any earlier version can be restored with one click.
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { toast } from 'react-hot-toast';
 import './styles/AlgorithmControls.css';
-import axios from 'axios';
+import axios from '../../utils/axiosConfig';
+import { API_ENDPOINTS } from '../../config/api';
+import { useAuth } from '../../contexts/AuthContext';
+import { useAlgorithmSettings } from '../../contexts/AlgorithmSettingsContext';
+import { simulateSettings } from './scoreSimulation';
+import { DEFAULT_GROWTH_SETTINGS } from './performanceCalculator';
+import ScoreSimulationPanel from './ScoreSimulationPanel';
 
 /**
  * @typedef {Object} AlgorithmControlsProps
  * @property {boolean} isOpen - Whether the controls modal is open
  * @property {Function} onClose - Callback function to close the modal
+ * @property {Array<Object>} [leads] - Current lead set used for the what-if preview
+ * @property {Function} [onSaved] - Called after new settings are saved or rolled back
  */
 
+/**
+ * @typedef {Object} SettingsVersion
+ * @property {number} version - Version number
+ * @property {string} created_at - When the version was saved
+ * @property {string} [created_by] - Who saved it
+ * @property {string} [note] - Description of the change
+ * @property {boolean} active - Whether this version is in use
+ */
+
+/**
+ * Capitalizes the first letter of a settings key
+ * @param {string} key - Settings key
+ * @returns {string} Label
+ */
+const toLabel = (key) => key.charAt(0).toUpperCase() + key.slice(1);
+
+/**
+ * Returns a copy of settings with one value replaced
+ * @param {Object} settings - Settings to copy
+ * @param {Array<string>} path - Keys leading to the value
+ * @param {string|number} value - New value
+ * @returns {Object} Updated copy
+ */
+const setSettingAt = (settings, [key, ...rest], value) => ({
+  ...settings,
+  [key]: rest.length ? setSettingAt(settings[key], rest, value) : value
+});
+
+/**
+ * Whether the raw text of an edited value is a number. Inputs keep their raw text while they
+ * are being edited, so a cleared field stays empty instead of turning into 0.
+ * @param {string} value - Input text
+ * @returns {boolean} Whether it can be used as a number
+ */
+const isNumericText = (value) => value.trim() !== '' && Number.isFinite(Number(value));
+
+/**
+ * Lists the settings whose value is empty or not a number
+ * @param {Object} settings - Draft settings
+ * @param {Array<string>} [path=[]] - Keys leading to settings
+ * @returns {Array<string>} Dotted paths of the invalid values
+ */
+const findInvalidSettings = (settings, path = []) =>
+  Object.entries(settings).flatMap(([key, value]) => {
+    if (value && typeof value === 'object') return findInvalidSettings(value, [...path, key]);
+    return typeof value === 'string' && !isNumericText(value) ? [[...path, key].join('.')] : [];
+  });
+
+/**
+ * Converts the raw text of edited values back to numbers
+ * @param {Object} settings - Draft settings with valid values
+ * @returns {Object} Settings as scored and saved
+ */
+const toNumericSettings = (settings) =>
+  Object.fromEntries(Object.entries(settings).map(([key, value]) => {
+    if (value && typeof value === 'object') return [key, toNumericSettings(value)];
+    return [key, typeof value === 'string' ? Number(value) : value];
+  }));
+
 /**
  * Algorithm Controls component that provides an interface for managing scoring thresholds
  * and point allocations across different social media platforms. Handles engagement metrics,
  * follower counts, and performance scoring parameters.
- * 
+ *
  * @param {AlgorithmControlsProps} props - Component props
  * @returns {React.ReactElement|null} The rendered component or null if not open
  */
-const AlgorithmControls = ({ isOpen, onClose }) => {
+const AlgorithmControls = ({ isOpen, onClose, leads = [], onSaved }) => {
+  const { user } = useAuth();
+  const { reload: reloadActiveSettings } = useAlgorithmSettings();
+  const [activeSettings, setActiveSettings] = useState(null);
   const [settings, setSettings] = useState(null);
+  const [versions, setVersions] = useState([]);
+  const [note, setNote] = useState('');
+  const [preview, setPreview] = useState(null);
   const [isSaving, setIsSaving] = useState(false);
+  const [rollingBack, setRollingBack] = useState(null);
+  const [rescoreFailed, setRescoreFailed] = useState(false);
   const [loading, setLoading] = useState(true);
 
+  /**
+   * Loads the active settings and the version history
+   * @async
+   * @returns {Promise<void>}
+   */
+  const loadSettings = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [settingsResponse, versionsResponse] = await Promise.all([
+        axios.get(API_ENDPOINTS.LEADS.SETTINGS),
+        axios.get(API_ENDPOINTS.LEADS.SETTINGS_VERSIONS).catch(error => {
+          console.error('Error loading settings versions:', error);
+          return { data: [] };
+        })
+      ]);
+      setActiveSettings(settingsResponse.data);
+      setSettings(settingsResponse.data);
+      setVersions(versionsResponse.data);
+      setPreview(null);
+      setNote('');
+    } catch (error) {
+      console.error('Error loading algorithm settings:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
   useEffect(() => {
-    const loadSettings = async () => {
-      try {
-        const response = await axios.get('/api/leads/settings');
-        setSettings(response.data);
-      } catch (error) {
-        console.error('Error loading algorithm settings:', error);
-      } finally {
-        setLoading(false);
-      }
-    };
-    
     if (isOpen) {
       loadSettings();
     }
-  }, [isOpen]);
+  }, [isOpen, loadSettings]);
+
+  const invalidSettings = useMemo(() => (settings ? findInvalidSettings(settings) : []), [settings]);
+  const isDirty = useMemo(
+    () => !!settings && (
+      invalidSettings.length > 0 ||
+      JSON.stringify(toNumericSettings(settings)) !== JSON.stringify(activeSettings)
+    ),
+    [settings, activeSettings, invalidSettings]
+  );
 
   if (!isOpen || loading || !settings) return null;
 
+  const isValid = invalidSettings.length === 0;
+  // Saving is allowed only once the exact draft being saved has been previewed
+  const canSave = isDirty && isValid && preview?.settings === settings;
+
+  /**
+   * Handles changes to individual setting values. Any edit invalidates the preview.
+   * @param {Array<string>} path - Keys leading to the value, e.g. ['ranks', 'tiktok', 'points', 'high']
+   * @param {string} value - The raw input text
+   */
+  const handleSettingChange = (path, value) => {
+    setSettings(prev => setSettingAt(prev, path, value));
+  };
+
+  /**
+   * Class name of a setting input, flagging values that are empty or not a number
+   * @param {Array<string>} path - Keys leading to the value
+   * @returns {string} Class name
+   */
+  const inputClassName = (path) =>
+    invalidSettings.includes(path.join('.')) ? 'algorithm-input algorithm-input--invalid' : 'algorithm-input';
+
   /**
    * Renders input fields for threshold settings of a specific platform and category
    * @param {string} category - The category of thresholds (engagement, followers, etc.)
@@ -55,8 +179,8 @@ const AlgorithmControls = ({ isOpen, onClose }) => {
   const renderThresholdInputs = (category, platform) => {
     const data = settings[category][platform];
     return (
-      <div className="algorithm-threshold-group">
-        <h4>{platform.charAt(0).toUpperCase() + platform.slice(1)}</h4>
+      <div key={platform} className="algorithm-threshold-group">
+        <h4>{toLabel(platform)}</h4>
         {Object.entries(data).map(([key, value]) => {
           if (key === 'points') {
             return (
@@ -64,12 +188,12 @@ const AlgorithmControls = ({ isOpen, onClose }) => {
                 <h5>Points</h5>
                 {Object.entries(value).map(([level, points]) => (
                   <div key={level} className="algorithm-input-group">
-                    <label>{level.charAt(0).toUpperCase() + level.slice(1)}:</label>
+                    <label>{toLabel(level)}:</label>
                     <input
                       type="number"
                       value={points}
-                      onChange={(e) => handleSettingChange(category, platform, key, level, e.target.value)}
-                      className="algorithm-input"
+                      onChange={(e) => handleSettingChange([category, platform, key, level], e.target.value)}
+                      className={inputClassName([category, platform, key, level])}
                     />
                   </div>
                 ))}
@@ -78,12 +202,12 @@ const AlgorithmControls = ({ isOpen, onClose }) => {
           }
           return (
             <div key={key} className="algorithm-input-group">
-              <label>{key.charAt(0).toUpperCase() + key.slice(1)} Threshold:</label>
+              <label>{toLabel(key)} Threshold:</label>
               <input
                 type="number"
                 value={value}
-                onChange={(e) => handleSettingChange(category, platform, key, null, e.target.value)}
-                className="algorithm-input"
+                onChange={(e) => handleSettingChange([category, platform, key], e.target.value)}
+                className={inputClassName([category, platform, key])}
               />
             </div>
           );
@@ -93,40 +217,88 @@ const AlgorithmControls = ({ isOpen, onClose }) => {
   };
 
   /**
-   * Handles changes to individual setting values
-   * @param {string} category - The category being modified
-   * @param {string} platform - The platform being modified
-   * @param {string} type - The type of setting being changed
-   * @param {string|null} subtype - Optional subtype for nested settings
-   * @param {string|number} value - The new value
+   * Re-scores the current leads with the draft settings
    */
-  const handleSettingChange = (category, platform, type, subtype, value) => {
-    setSettings(prev => {
-      const newSettings = { ...prev };
-      if (subtype) {
-        newSettings[category][platform][type][subtype] = Number(value);
-      } else {
-        newSettings[category][platform][type] = Number(value);
-      }
-      return newSettings;
+  const handlePreview = () => {
+    setPreview({
+      settings,
+      result: simulateSettings(leads, activeSettings, toNumericSettings(settings))
     });
   };
 
   /**
-   * Saves the current settings and triggers score recalculation
+   * Applies a change of active settings: re-scores the grid with them right away and
+   * recalculates the scores stored on the server. A failure is reported on its own, since the
+   * settings change itself has already been stored.
+   * @async
+   * @returns {Promise<boolean>} Whether the scores were recalculated
+   */
+  const refreshScores = async () => {
+    try {
+      await reloadActiveSettings();
+      await axios.post(API_ENDPOINTS.LEADS.UPDATE_SCORES);
+      setRescoreFailed(false);
+      onSaved?.();
+      return true;
+    } catch (error) {
+      console.error('Error recalculating lead scores:', error);
+      setRescoreFailed(true);
+      toast.error(`Scores were not recalculated: ${error.message}`);
+      return false;
+    }
+  };
+
+  /**
+   * Saves the previewed draft as a new settings version and triggers score recalculation
    * @async
    * @returns {Promise<void>}
    */
   const handleSave = async () => {
     setIsSaving(true);
+    let version;
     try {
-      await axios.post('/api/leads/update-scores');
-      onClose();
+      const { data } = await axios.put(API_ENDPOINTS.LEADS.SETTINGS, {
+        settings: toNumericSettings(settings),
+        note: note.trim(),
+        author: user?.signInDetails?.loginId || user?.username
+      });
+      version = data.version;
     } catch (error) {
-      console.error('Error updating scores:', error);
-      alert('Failed to update scores');
-    } finally {
+      console.error('Error saving algorithm settings:', error);
+      toast.error(`Failed to save settings: ${error.message}`);
       setIsSaving(false);
+      return;
+    }
+
+    toast.success(`Saved algorithm settings v${version}`);
+    const rescored = await refreshScores();
+    setIsSaving(false);
+    // Stay open on a failed re-score so it can be retried without saving the settings again
+    if (rescored) onClose();
+    else await loadSettings();
+  };
+
+  /**
+   * Makes an earlier settings version active again
+   * @async
+   * @param {SettingsVersion} entry - Version to restore
+   * @returns {Promise<void>}
+   */
+  const handleRollback = async (entry) => {
+    if (!window.confirm(`Restore settings v${entry.version}? Scores will be recalculated.`)) {
+      return;
+    }
+    setRollingBack(entry.version);
+    try {
+      const { data } = await axios.post(API_ENDPOINTS.LEADS.ROLLBACK_SETTINGS(entry.version));
+      toast.success(`Restored v${entry.version} as v${data.version}`);
+      await refreshScores();
+      await loadSettings();
+    } catch (error) {
+      console.error('Error rolling back algorithm settings:', error);
+      toast.error(`Failed to restore v${entry.version}: ${error.message}`);
+    } finally {
+      setRollingBack(null);
     }
   };
 
@@ -135,12 +307,12 @@ const AlgorithmControls = ({ isOpen, onClose }) => {
       <div className="algorithm-controls-content">
         <button className="close-modal" onClick={onClose}>&times;</button>
         <h2>Algorithm Settings</h2>
-        
+
         {/* Engagement Section */}
         <div className="algorithm-section">
           <h3>Engagement Thresholds</h3>
           <div className="algorithm-grid">
-            {Object.keys(settings.engagement).map(platform => 
+            {Object.keys(settings.engagement).map(platform =>
               renderThresholdInputs('engagement', platform)
             )}
           </div>
@@ -150,7 +322,7 @@ const AlgorithmControls = ({ isOpen, onClose }) => {
         <div className="algorithm-section">
           <h3>Follower Thresholds</h3>
           <div className="algorithm-grid">
-            {Object.keys(settings.followers).map(platform => 
+            {Object.keys(settings.followers).map(platform =>
               renderThresholdInputs('followers', platform)
             )}
           </div>
@@ -160,7 +332,7 @@ const AlgorithmControls = ({ isOpen, onClose }) => {
         <div className="algorithm-section">
           <h3>Recent Performance Thresholds</h3>
           <div className="algorithm-grid">
-            {Object.keys(settings.recentPerformance).map(platform => 
+            {Object.keys(settings.recentPerformance).map(platform =>
               renderThresholdInputs('recentPerformance', platform)
             )}
           </div>
@@ -170,150 +342,33 @@ const AlgorithmControls = ({ isOpen, onClose }) => {
         <div className="algorithm-section">
           <h3>Platform Ranks Thresholds</h3>
           <div className="algorithm-grid">
-            {/* Instagram */}
-            <div className="algorithm-threshold-group">
-              <h4>Instagram</h4>
-              <div className="algorithm-input-group">
-                <label>High Threshold:</label>
-                <input
-                  type="number"
-                  value={settings.ranks.instagram.high}
-                  onChange={(e) => handleSettingChange('ranks.instagram.high', e.target.value)}
-                />
-              </div>
-              <div className="algorithm-input-group">
-                <label>Medium Threshold:</label>
-                <input
-                  type="number"
-                  value={settings.ranks.instagram.medium}
-                  onChange={(e) => handleSettingChange('ranks.instagram.medium', e.target.value)}
-                />
-              </div>
-              <div className="algorithm-points">
-                <h5>Points</h5>
-                <div className="algorithm-input-group">
-                  <label>High:</label>
-                  <input
-                    type="number"
-                    value={settings.ranks.instagram.points.high}
-                    onChange={(e) => handleSettingChange('ranks.instagram.points.high', e.target.value)}
-                  />
-                </div>
-                <div className="algorithm-input-group">
-                  <label>Medium:</label>
-                  <input
-                    type="number"
-                    value={settings.ranks.instagram.points.medium}
-                    onChange={(e) => handleSettingChange('ranks.instagram.points.medium', e.target.value)}
-                  />
-                </div>
-                <div className="algorithm-input-group">
-                  <label>Low:</label>
-                  <input
-                    type="number"
-                    value={settings.ranks.instagram.points.low}
-                    onChange={(e) => handleSettingChange('ranks.instagram.points.low', e.target.value)}
-                  />
-                </div>
-              </div>
-            </div>
-
-            {/* TikTok */}
-            <div className="algorithm-threshold-group">
-              <h4>TikTok</h4>
-              <div className="algorithm-input-group">
-                <label>High Threshold:</label>
-                <input
-                  type="number"
-                  value={settings.ranks.tiktok.high}
-                  onChange={(e) => handleSettingChange('ranks.tiktok.high', e.target.value)}
-                />
-              </div>
-              <div className="algorithm-input-group">
-                <label>Medium Threshold:</label>
-                <input
-                  type="number"
-                  value={settings.ranks.tiktok.medium}
-                  onChange={(e) => handleSettingChange('ranks.tiktok.medium', e.target.value)}
-                />
-              </div>
-              <div className="algorithm-points">
-                <h5>Points</h5>
-                <div className="algorithm-input-group">
-                  <label>High:</label>
-                  <input
-                    type="number"
-                    value={settings.ranks.tiktok.points.high}
-                    onChange={(e) => handleSettingChange('ranks.tiktok.points.high', e.target.value)}
-                  />
-                </div>
-                <div className="algorithm-input-group">
-                  <label>Medium:</label>
-                  <input
-                    type="number"
-                    value={settings.ranks.tiktok.points.medium}
-                    onChange={(e) => handleSettingChange('ranks.tiktok.points.medium', e.target.value)}
-                  />
-                </div>
-                <div className="algorithm-input-group">
-                  <label>Low:</label>
-                  <input
-                    type="number"
-                    value={settings.ranks.tiktok.points.low}
-                    onChange={(e) => handleSettingChange('ranks.tiktok.points.low', e.target.value)}
-                  />
-                </div>
-              </div>
-            </div>
+            {Object.keys(settings.ranks).map(platform =>
+              renderThresholdInputs('ranks', platform)
+            )}
+          </div>
+        </div>
 
-            {/* YouTube */}
-            <div className="algorithm-threshold-group">
-              <h4>YouTube</h4>
-              <div className="algorithm-input-group">
-                <label>High Threshold:</label>
-                <input
-                  type="number"
-                  value={settings.ranks.youtube.high}
-                  onChange={(e) => handleSettingChange('ranks.youtube.high', e.target.value)}
-                />
-              </div>
-              <div className="algorithm-input-group">
-                <label>Medium Threshold:</label>
-                <input
-                  type="number"
-                  value={settings.ranks.youtube.medium}
-                  onChange={(e) => handleSettingChange('ranks.youtube.medium', e.target.value)}
-                />
-              </div>
-              <div className="algorithm-points">
-                <h5>Points</h5>
-                <div className="algorithm-input-group">
-                  <label>High:</label>
-                  <input
-                    type="number"
-                    value={settings.ranks.youtube.points.high}
-                    onChange={(e) => handleSettingChange('ranks.youtube.points.high', e.target.value)}
-                  />
-                </div>
-                <div className="algorithm-input-group">
-                  <label>Medium:</label>
-                  <input
-                    type="number"
-                    value={settings.ranks.youtube.points.medium}
-                    onChange={(e) => handleSettingChange('ranks.youtube.points.medium', e.target.value)}
-                  />
-                </div>
-                <div className="algorithm-input-group">
-                  <label>Low:</label>
-                  <input
-                    type="number"
-                    value={settings.ranks.youtube.points.low}
-                    onChange={(e) => handleSettingChange('ranks.youtube.points.low', e.target.value)}
-                  />
-                </div>
-              </div>
+        {/* Growth Thresholds */}
+        <div className="algorithm-section">
+          <h3>Growth Thresholds (30-day follower growth, %)</h3>
+          {settings.growth ? (
+            <div className="algorithm-grid">
+              {Object.keys(settings.growth).map(metric =>
+                renderThresholdInputs('growth', metric)
+              )}
             </div>
-          </div>
+          ) : (
+            <>
+              <p className="algorithm-hint">These settings do not score follower growth yet.</p>
+              <button
+                type="button"
+                className="algorithm-cancel-button"
+                onClick={() => setSettings(prev => ({ ...prev, growth: DEFAULT_GROWTH_SETTINGS }))}
+              >
+                Add growth scoring
+              </button>
+            </>
+          )}
         </div>
 
         {/* Verification Points */}
@@ -322,12 +377,12 @@ const AlgorithmControls = ({ isOpen, onClose }) => {
           <div className="algorithm-grid">
             {Object.entries(settings.verification).map(([platform, points]) => (
               <div key={platform} className="algorithm-input-group">
-                <label>{platform.charAt(0).toUpperCase() + platform.slice(1)}:</label>
+                <label>{toLabel(platform)}:</label>
                 <input
                   type="number"
                   value={points}
-                  onChange={(e) => handleSettingChange('verification', platform, null, null, e.target.value)}
-                  className="algorithm-input"
+                  onChange={(e) => handleSettingChange(['verification', platform], e.target.value)}
+                  className={inputClassName(['verification', platform])}
                 />
               </div>
             ))}
@@ -342,21 +397,102 @@ const AlgorithmControls = ({ isOpen, onClose }) => {
             <input
               type="number"
               value={settings.crossPlatform}
-              onChange={(e) => setSettings(prev => ({ ...prev, crossPlatform: Number(e.target.value) }))}
-              className="algorithm-input"
+              onChange={(e) => handleSettingChange(['crossPlatform'], e.target.value)}
+              className={inputClassName(['crossPlatform'])}
             />
           </div>
         </div>
 
+        {/* What-if Preview */}
+        <div className="algorithm-section">
+          <h3>Preview Impact</h3>
+          {!isValid ? (
+            <p className="algorithm-hint algorithm-hint--error">
+              Enter a number in every field before previewing ({invalidSettings.length} empty or invalid).
+            </p>
+          ) : !isDirty ? (
+            <p className="algorithm-hint">Change a setting to preview how it re-scores the {leads.length} current leads.</p>
+          ) : !preview ? (
+            <p className="algorithm-hint">Preview the draft against the {leads.length} current leads before saving.</p>
+          ) : preview.settings !== settings ? (
+            <p className="algorithm-hint">Settings changed since the last preview. Preview again before saving.</p>
+          ) : (
+            <ScoreSimulationPanel simulation={preview.result} />
+          )}
+        </div>
+
+        {/* Version History */}
+        <div className="algorithm-section">
+          <h3>Version History</h3>
+          {versions.length === 0 ? (
+            <p className="algorithm-hint">No saved versions yet.</p>
+          ) : (
+            <table className="algorithm-versions">
+              <tbody>
+                {versions.map(entry => (
+                  <tr key={entry.version} className={entry.active ? 'algorithm-version--active' : ''}>
+                    <td>v{entry.version}</td>
+                    <td>{new Date(entry.created_at).toLocaleString()}</td>
+                    <td>{entry.created_by || '-'}</td>
+                    <td>{entry.note || '-'}</td>
+                    <td>
+                      {entry.active ? (
+                        <span className="algorithm-version-badge">Active</span>
+                      ) : (
+                        <button
+                          className="algorithm-cancel-button"
+                          onClick={() => handleRollback(entry)}
+                          disabled={rollingBack !== null}
+                        >
+                          {rollingBack === entry.version ? 'Restoring...' : 'Roll back'}
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        {rescoreFailed && (
+          <div className="algorithm-rescore-failed">
+            <p className="algorithm-hint algorithm-hint--error">
+              The settings are saved, but the lead scores were not recalculated.
+            </p>
+            <button
+              className="algorithm-cancel-button"
+              onClick={refreshScores}
+            >
+              Retry recalculation
+            </button>
+          </div>
+        )}
+
         <div className="algorithm-actions">
-          <button 
-            className="algorithm-save-button" 
+          <input
+            type="text"
+            className="algorithm-note-input"
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            placeholder="Describe this change (optional)"
+          />
+          <button
+            className="algorithm-cancel-button"
+            onClick={handlePreview}
+            disabled={!isDirty || !isValid || leads.length === 0}
+          >
+            Preview Impact
+          </button>
+          <button
+            className="algorithm-save-button"
             onClick={handleSave}
-            disabled={isSaving}
+            disabled={!canSave || isSaving}
+            title={canSave ? undefined : 'Preview the current draft before saving'}
           >
             {isSaving ? 'Saving...' : 'Save Changes'}
           </button>
-          <button 
+          <button
             className="algorithm-cancel-button"
             onClick={onClose}
           >
@@ -368,4 +504,4 @@ const AlgorithmControls = ({ isOpen, onClose }) => {
   );
 };
 
-export default AlgorithmControls; 
\ No newline at end of file
+export default AlgorithmControls;
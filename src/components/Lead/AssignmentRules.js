@@ -0,0 +1,432 @@
+/**
+ * @fileoverview Admin modal for automatic lead assignment. Rules are tried top to bottom: the
+ * first enabled rule that matches a new lead hands it to the next employee of its pool in
+ * round-robin order, skipping anyone at the rule's cap of open leads. The preview shows who the
+ * currently unassigned leads would go to under the draft rules, and the log lists automatic
+ * assignments and manual overrides of them.
+ */
+
+import React, { useEffect, useMemo, useState } from 'react';
+import { toast } from 'react-hot-toast';
+import { format } from 'date-fns';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faArrowUp, faArrowDown, faTrashAlt, faPlus } from '@fortawesome/free-solid-svg-icons';
+import axios from '../../utils/axiosConfig';
+import { API_ENDPOINTS } from '../../config/api';
+import useAssignmentRules from '../../hooks/useAssignmentRules';
+import { TIMEZONE_OPTIONS } from '../CallForm/utils/constants';
+import './styles/AssignmentRules.css';
+
+/**
+ * @typedef {Object} AssignmentRulesProps
+ * @property {boolean} isOpen - Whether the modal is open
+ * @property {Function} onClose - Callback to close the modal
+ * @property {Function} [onAssigned] - Called after leads were assigned
+ */
+
+/**
+ * Where new leads come from
+ * @type {Array<{value: string, label: string}>}
+ */
+const SOURCE_OPTIONS = [
+  { value: 'call_form', label: 'Call form' },
+  { value: 'moxy', label: 'Moxy call form' },
+  { value: 'import', label: 'Spreadsheet import' }
+];
+
+/**
+ * Timezones the call form offers, without its placeholder and region separators
+ * @type {Array<{value: string, label: string}>}
+ */
+const TIMEZONE_VALUES = TIMEZONE_OPTIONS.filter(option => option.value && !option.disabled);
+
+/**
+ * Values a rule can match, by condition
+ * @type {Object<string, Array<{value: string, label: string}>>}
+ */
+const MATCH_VALUES = {
+  timezone: TIMEZONE_VALUES,
+  source: SOURCE_OPTIONS
+};
+
+const TABS = [
+  { key: 'rules', label: 'Rules' },
+  { key: 'preview', label: 'Preview' },
+  { key: 'log', label: 'Log' }
+];
+
+/**
+ * A new, empty rule
+ * @returns {Object} Rule draft
+ */
+const createRule = () => ({
+  name: '',
+  enabled: true,
+  match: 'all',
+  values: [],
+  employee_ids: [],
+  max_open_leads: null
+});
+
+/**
+ * Renders the assignment rules modal
+ *
+ * @component
+ * @param {AssignmentRulesProps} props - Component props
+ * @returns {React.ReactElement|null} The rendered modal, or null when closed
+ */
+const AssignmentRules = ({ isOpen, onClose, onAssigned }) => {
+  const { rules, log, loading, error, reload, saveRules, preview, runAssignment } = useAssignmentRules();
+  const [draft, setDraft] = useState([]);
+  const [employees, setEmployees] = useState([]);
+  const [activeTab, setActiveTab] = useState('rules');
+  const [plan, setPlan] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [isRunning, setIsRunning] = useState(false);
+
+  useEffect(() => {
+    setDraft(rules);
+  }, [rules]);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    reload();
+    axios.get(API_ENDPOINTS.EMPLOYEES.LIST)
+      .then(response => setEmployees(response.data || []))
+      .catch(err => console.error('Error fetching employees:', err));
+  }, [isOpen, reload]);
+
+  const employeeNames = useMemo(() => employees.reduce((names, employee) => {
+    names[employee.user_id] = `${employee.first_name} ${employee.last_name}`;
+    return names;
+  }, {}), [employees]);
+
+  const isDirty = JSON.stringify(draft) !== JSON.stringify(rules);
+
+  if (!isOpen) return null;
+
+  /**
+   * Changes one field of a draft rule
+   * @param {number} index - Rule position
+   * @param {Object} changes - Fields to change
+   */
+  const updateRule = (index, changes) => {
+    setDraft(prev => prev.map((rule, position) => (position === index ? { ...rule, ...changes } : rule)));
+  };
+
+  /**
+   * Adds or removes a value from a rule list field
+   * @param {number} index - Rule position
+   * @param {string} field - 'values' or 'employee_ids'
+   * @param {string} value - Value to toggle
+   */
+  const toggleListValue = (index, field, value) => {
+    const current = draft[index][field];
+    updateRule(index, {
+      [field]: current.includes(value) ? current.filter(item => item !== value) : [...current, value]
+    });
+  };
+
+  /**
+   * Moves a rule up or down, changing its priority
+   * @param {number} index - Rule position
+   * @param {number} offset - -1 to move up, 1 to move down
+   */
+  const moveRule = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= draft.length) return;
+    setDraft(prev => {
+      const next = [...prev];
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      await saveRules(draft);
+      toast.success('Assignment rules saved');
+    } catch (err) {
+      console.error('Error saving assignment rules:', err);
+      toast.error(err.response?.data?.detail || 'Failed to save assignment rules');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handlePreview = async () => {
+    setActiveTab('preview');
+    try {
+      setPlan(await preview(draft));
+    } catch (err) {
+      console.error('Error previewing assignments:', err);
+      setPlan(null);
+      toast.error(err.response?.data?.detail || 'Failed to preview assignments');
+    }
+  };
+
+  const handleRun = async () => {
+    setIsRunning(true);
+    try {
+      const assigned = await runAssignment();
+      toast.success(`Assigned ${assigned} lead${assigned === 1 ? '' : 's'}`);
+      setPlan(null);
+      setActiveTab('log');
+      if (onAssigned) onAssigned();
+    } catch (err) {
+      console.error('Error assigning leads:', err);
+      toast.error(err.response?.data?.detail || 'Failed to assign leads');
+    } finally {
+      setIsRunning(false);
+    }
+  };
+
+  /**
+   * Names for a list of employee ids
+   * @param {Array<string>} ids - Employee user ids
+   * @returns {string} Comma separated names
+   */
+  const formatEmployees = (ids) => (ids.length ? ids.map(id => employeeNames[id] || id).join(', ') : 'Nobody');
+
+  const renderRules = () => (
+    <>
+      <p className="assignment-hint">
+        Rules are tried from the top. New leads from the call forms and imports go to the next
+        employee of the first matching rule, skipping anyone at the rule's cap of open leads.
+      </p>
+      {draft.length === 0 && <p className="assignment-empty">No rules yet; new leads stay unassigned.</p>}
+      {draft.map((rule, index) => (
+        <div key={rule.rule_id || `new-${index}`} className={`assignment-rule ${rule.enabled ? '' : 'disabled'}`}>
+          <div className="assignment-rule-header">
+            <span className="assignment-rule-order">{index + 1}</span>
+            <input
+              type="text"
+              className="assignment-rule-name"
+              placeholder="Rule name"
+              value={rule.name}
+              onChange={(e) => updateRule(index, { name: e.target.value })}
+            />
+            <label className="assignment-rule-enabled">
+              <input
+                type="checkbox"
+                checked={rule.enabled}
+                onChange={(e) => updateRule(index, { enabled: e.target.checked })}
+              />
+              Enabled
+            </label>
+            <button type="button" title="Move up" onClick={() => moveRule(index, -1)} disabled={index === 0}>
+              <FontAwesomeIcon icon={faArrowUp} />
+            </button>
+            <button type="button" title="Move down" onClick={() => moveRule(index, 1)} disabled={index === draft.length - 1}>
+              <FontAwesomeIcon icon={faArrowDown} />
+            </button>
+            <button
+              type="button"
+              title="Delete rule"
+              onClick={() => setDraft(prev => prev.filter((_, position) => position !== index))}
+            >
+              <FontAwesomeIcon icon={faTrashAlt} />
+            </button>
+          </div>
+
+          <div className="assignment-rule-row">
+            <label>Match</label>
+            <select
+              value={rule.match}
+              onChange={(e) => updateRule(index, { match: e.target.value, values: [] })}
+            >
+              <option value="all">Every lead</option>
+              <option value="timezone">Timezone</option>
+              <option value="source">Lead source</option>
+            </select>
+          </div>
+
+          {rule.match !== 'all' && (
+            <div className="assignment-rule-row">
+              <label>{rule.match === 'timezone' ? 'Timezones' : 'Sources'}</label>
+              <div className="assignment-chips">
+                {MATCH_VALUES[rule.match].map(option => (
+                  <button
+                    key={option.value}
+                    type="button"
+                    className={`assignment-chip ${rule.values.includes(option.value) ? 'active' : ''}`}
+                    title={option.label}
+                    onClick={() => toggleListValue(index, 'values', option.value)}
+                  >
+                    {rule.match === 'timezone' ? option.value : option.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div className="assignment-rule-row">
+            <label>Employees</label>
+            <div className="assignment-chips">
+              {employees.map(employee => (
+                <button
+                  key={employee.user_id}
+                  type="button"
+                  className={`assignment-chip ${rule.employee_ids.includes(employee.user_id) ? 'active' : ''}`}
+                  onClick={() => toggleListValue(index, 'employee_ids', employee.user_id)}
+                >
+                  {employeeNames[employee.user_id]}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="assignment-rule-row">
+            <label>Open lead cap</label>
+            <input
+              type="number"
+              min="1"
+              placeholder="No cap"
+              value={rule.max_open_leads ?? ''}
+              onChange={(e) => updateRule(index, {
+                max_open_leads: e.target.value === '' ? null : parseInt(e.target.value, 10)
+              })}
+            />
+          </div>
+        </div>
+      ))}
+
+      <div className="assignment-actions">
+        <button type="button" onClick={() => setDraft(prev => [...prev, createRule()])}>
+          <FontAwesomeIcon icon={faPlus} /> Add rule
+        </button>
+        <button type="button" onClick={handlePreview}>Preview</button>
+        <button type="button" onClick={() => setDraft(rules)} disabled={!isDirty}>Discard changes</button>
+        <button type="button" className="primary" onClick={handleSave} disabled={!isDirty || isSaving}>
+          {isSaving ? 'Saving...' : 'Save rules'}
+        </button>
+      </div>
+    </>
+  );
+
+  const renderPreview = () => {
+    if (!plan) {
+      return <p className="assignment-empty">Preview the rules to see who the unassigned leads would go to.</p>;
+    }
+    return (
+      <>
+        <div className="assignment-workload">
+          {plan.workload.map(item => (
+            <span key={item.employee_id}>
+              {item.name}: <strong>{item.open_leads}</strong> open
+            </span>
+          ))}
+        </div>
+        {plan.assignments.length === 0 ? (
+          <p className="assignment-empty">There are no unassigned leads.</p>
+        ) : (
+          <table className="assignment-table">
+            <thead>
+              <tr>
+                <th>Lead</th>
+                <th>Goes to</th>
+                <th>Why</th>
+              </tr>
+            </thead>
+            <tbody>
+              {plan.assignments.map(assignment => (
+                <tr key={assignment.client_id} className={assignment.employee_id ? '' : 'assignment-unassigned'}>
+                  <td>{assignment.lead_name}</td>
+                  <td>{assignment.employee_id ? employeeNames[assignment.employee_id] || assignment.employee_id : 'Stays unassigned'}</td>
+                  <td>{assignment.reason}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        <div className="assignment-actions">
+          {isDirty && <span className="assignment-hint">Save the rules to assign with them.</span>}
+          <button
+            type="button"
+            className="primary"
+            onClick={handleRun}
+            disabled={isDirty || isRunning || !plan.assignments.some(assignment => assignment.employee_id)}
+          >
+            {isRunning ? 'Assigning...' : 'Assign leads'}
+          </button>
+        </div>
+      </>
+    );
+  };
+
+  const renderLog = () => (
+    log.length === 0 ? (
+      <p className="assignment-empty">No leads have been assigned automatically yet.</p>
+    ) : (
+      <table className="assignment-table">
+        <thead>
+          <tr>
+            <th>When</th>
+            <th>Lead</th>
+            <th>Change</th>
+            <th>Rule</th>
+          </tr>
+        </thead>
+        <tbody>
+          {log.map(entry => (
+            <tr key={entry.log_id}>
+              <td>{format(new Date(entry.timestamp), 'MMM d, yyyy h:mm a')}</td>
+              <td>{entry.lead_name}</td>
+              <td>
+                {entry.kind === 'override' ? (
+                  <>
+                    <span className="assignment-badge override">Override</span>
+                    {formatEmployees(entry.from)} → {formatEmployees(entry.to)}
+                    {entry.actor && <span className="assignment-actor"> by {entry.actor}</span>}
+                  </>
+                ) : (
+                  <>
+                    <span className="assignment-badge auto">Auto</span>
+                    {formatEmployees(entry.to)}
+                  </>
+                )}
+              </td>
+              <td>{entry.rule_name}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    )
+  );
+
+  return (
+    <div className="assignment-rules-modal">
+      <div className="assignment-rules-content">
+        <button className="assignment-close" onClick={onClose}>&times;</button>
+        <h2>Lead Assignment</h2>
+
+        <div className="assignment-tabs">
+          {TABS.map(tab => (
+            <button
+              key={tab.key}
+              type="button"
+              className={`assignment-tab ${activeTab === tab.key ? 'active' : ''}`}
+              onClick={() => (tab.key === 'preview' && !plan ? handlePreview() : setActiveTab(tab.key))}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+
+        {error && <div className="assignment-error">{error}</div>}
+        {loading ? (
+          <p className="assignment-empty">Loading...</p>
+        ) : (
+          <>
+            {activeTab === 'rules' && renderRules()}
+            {activeTab === 'preview' && renderPreview()}
+            {activeTab === 'log' && renderLog()}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AssignmentRules;
@@ -0,0 +1,205 @@
+/**
+ * @fileoverview Toolbar shown above the lead grid while rows are selected. Runs a bulk action
+ * on every selected lead, shows progress as rows finish and lists the rows that failed.
+ */
+
+import React, { useEffect, useState } from 'react';
+import { toast } from 'react-hot-toast';
+import axios from '../../utils/axiosConfig';
+import { API_ENDPOINTS } from '../../config/api';
+import { useAuth } from '../../contexts/AuthContext';
+import { BULK_ACTIONS, parseTags, runBulkAction } from './bulkActions';
+import './styles/BulkActions.css';
+
+/** @type {number} Delay before searching employees while typing */
+const SEARCH_DEBOUNCE_MS = 300;
+
+/**
+ * @typedef {Object} BulkActionsBarProps
+ * @property {Array<Object>} selectedLeads - Leads selected in the grid
+ * @property {Function} onComplete - Called with the BulkResult after a run
+ * @property {Function} onClearSelection - Clears the grid selection
+ */
+
+/**
+ * Display name for a lead
+ * @param {Object} lead - Lead record
+ * @returns {string} Name
+ */
+const getLeadName = (lead) =>
+  lead.Stage_Name ||
+  [lead.First_Legal_Name, lead.Last_Legal_Name].filter(Boolean).join(' ') ||
+  lead.client_id;
+
+/**
+ * Renders the bulk actions toolbar
+ *
+ * @component
+ * @param {BulkActionsBarProps} props - Component props
+ * @returns {React.ReactElement|null} The rendered toolbar, or null with no selection and no result
+ */
+const BulkActionsBar = ({ selectedLeads, onComplete, onClearSelection }) => {
+  const { user } = useAuth();
+  const [actionKey, setActionKey] = useState('');
+  const [employeeQuery, setEmployeeQuery] = useState('');
+  const [employeeResults, setEmployeeResults] = useState([]);
+  const [employee, setEmployee] = useState(null);
+  const [tagsInput, setTagsInput] = useState('');
+  const [progress, setProgress] = useState(null);
+  const [failures, setFailures] = useState([]);
+
+  const action = BULK_ACTIONS[actionKey];
+  const isRunning = progress !== null && progress.done < progress.total;
+
+  useEffect(() => {
+    if (action?.input !== 'employee' || !employeeQuery.trim() || employee) {
+      setEmployeeResults([]);
+      return undefined;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await axios.get(API_ENDPOINTS.EMPLOYEES.SEARCH, {
+          params: { search: employeeQuery.trim() }
+        });
+        setEmployeeResults(response.data);
+      } catch (error) {
+        console.error('Error searching employees:', error);
+      }
+    }, SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [action, employeeQuery, employee]);
+
+  if (selectedLeads.length === 0 && failures.length === 0) return null;
+
+  const tags = parseTags(tagsInput);
+  const isReady = action &&
+    selectedLeads.length > 0 &&
+    (action.input !== 'employee' || employee) &&
+    (action.input !== 'tags' || tags.length > 0);
+
+  /**
+   * Runs the chosen action on the selected leads
+   * @async
+   * @returns {Promise<void>}
+   */
+  const handleRun = async () => {
+    const leads = [...selectedLeads];
+    if (action.destructive &&
+      !window.confirm(`${action.label} ${leads.length} lead${leads.length === 1 ? '' : 's'}? This cannot be undone.`)) {
+      return;
+    }
+
+    setFailures([]);
+    setProgress({ done: 0, total: leads.length });
+    const movedBy = user?.signInDetails?.loginId || user?.username;
+    const result = await runBulkAction(action, leads, { employee, tags, movedBy }, done =>
+      setProgress({ done, total: leads.length })
+    );
+
+    setFailures(result.failed);
+    if (result.failed.length === 0) {
+      toast.success(`${action.label}: ${result.succeeded.length} lead${result.succeeded.length === 1 ? '' : 's'} updated`);
+    } else {
+      toast.error(`${action.label}: ${result.failed.length} of ${leads.length} failed`);
+    }
+    onComplete(result);
+  };
+
+  return (
+    <div className="bulk-actions-bar">
+      <div className="bulk-actions-row">
+        <strong>{selectedLeads.length} selected</strong>
+        <select
+          className="bulk-actions-select"
+          value={actionKey}
+          onChange={(e) => {
+            setActionKey(e.target.value);
+            setEmployee(null);
+            setEmployeeQuery('');
+          }}
+          disabled={isRunning}
+        >
+          <option value="">Choose action...</option>
+          {Object.entries(BULK_ACTIONS).map(([key, item]) => (
+            <option key={key} value={key}>{item.label}</option>
+          ))}
+        </select>
+
+        {action?.input === 'employee' && (
+          <div className="bulk-actions-employee">
+            <input
+              type="text"
+              className="bulk-actions-input"
+              placeholder="Search employees..."
+              value={employee ? `${employee.first_name} ${employee.last_name}` : employeeQuery}
+              onChange={(e) => {
+                setEmployee(null);
+                setEmployeeQuery(e.target.value);
+              }}
+              disabled={isRunning}
+            />
+            {employeeResults.length > 0 && (
+              <ul className="bulk-actions-results">
+                {employeeResults.map(result => (
+                  <li key={result.user_id}>
+                    <button onClick={() => setEmployee(result)}>
+                      {result.first_name} {result.last_name}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+
+        {action?.input === 'tags' && (
+          <input
+            type="text"
+            className="bulk-actions-input"
+            placeholder="Tags, comma separated"
+            value={tagsInput}
+            onChange={(e) => setTagsInput(e.target.value)}
+            disabled={isRunning}
+          />
+        )}
+
+        <button
+          className={`bulk-actions-run ${action?.destructive ? 'bulk-actions-run--danger' : ''}`}
+          onClick={handleRun}
+          disabled={!isReady || isRunning}
+        >
+          {isRunning ? 'Running...' : 'Apply'}
+        </button>
+        <button className="bulk-actions-clear" onClick={onClearSelection} disabled={isRunning}>
+          Clear selection
+        </button>
+
+        {progress && (
+          <div className="bulk-actions-progress">
+            <progress value={progress.done} max={progress.total} />
+            <span>{progress.done} / {progress.total}</span>
+          </div>
+        )}
+      </div>
+
+      {failures.length > 0 && (
+        <div className="bulk-actions-failures">
+          <div className="bulk-actions-failures-header">
+            <span>{failures.length} failed and stay selected so they can be retried:</span>
+            <button onClick={() => setFailures([])}>Dismiss</button>
+          </div>
+          <ul>
+            {failures.map(({ lead, error }) => (
+              <li key={lead.client_id}>
+                <strong>{getLeadName(lead)}</strong> ({lead.client_id}): {error}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BulkActionsBar;
@@ -1,6 +1,6 @@
 import React, { useState, useEffect, useRef } from 'react';
 import SignaturePad from 'react-signature-canvas';
-import axios from 'axios';
+import axios from '../../utils/axiosConfig';
 import { API_ENDPOINTS } from '../../config/api';
 
 const ContractModal = ({ isOpen, onClose, client, onSave }) => {
@@ -50,11 +50,34 @@ import NotesModal from './NotesModal';
 import ContractModal from './ContractModal';
 import { API_ENDPOINTS } from '../../config/api';
 import { toast } from 'react-hot-toast';
-import axios from 'axios';
+import axios from '../../utils/axiosConfig';
+import ClientLink from '../Client360/ClientLink';
+import LeadExportDialog from './LeadExportDialog';
+import { describeStatusFlags, getLeadFieldColumns, getScoreColumns } from './leadExport';
+import { useAlgorithmSettings } from '../../contexts/AlgorithmSettingsContext';
 import { useAuth } from '../../contexts/AuthContext';
+import { DEFAULT_FIRST_CONTACT_HOURS, countOverdue, getFollowUpState, isFirstContactOverdue } from './followUps';
 
 const COLORS = ['#0088FE', '#00C49F', '#FFBB28', '#FF8042'];
 
+/**
+ * Columns of the clients table, as exported
+ * @type {Array<import('./leadExport').ExportColumn>}
+ */
+const CLIENT_TABLE_EXPORT_COLUMNS = [
+  { header: 'Name', getValue: lead => `${lead.First_Legal_Name || ''} ${lead.Last_Legal_Name || ''}`.trim() },
+  { header: 'Email', getValue: lead => lead.Email_Address },
+  { header: 'Instagram', getValue: lead => lead.IG_Username },
+  { header: 'Instagram Followers', getValue: lead => parseInt(lead.IG_Followers) || 0 },
+  { header: 'TikTok', getValue: lead => lead.TT_Username },
+  { header: 'TikTok Followers', getValue: lead => parseInt(lead.TT_Followers) || 0 },
+  { header: 'YouTube', getValue: lead => lead.YT_Username },
+  { header: 'YouTube Followers', getValue: lead => parseInt(lead.YT_Followers) || 0 },
+  { header: 'Snapchat', getValue: lead => lead.Snap_Username },
+  { header: 'Snapchat Followers', getValue: lead => parseInt(lead.Snap_Followers) || 0 },
+  { header: 'Status', getValue: describeStatusFlags }
+];
+
 /**
  * @typedef {Object} ViewsData
  * @property {boolean} loading - Whether views data is currently loading
@@ -74,6 +97,9 @@ const COLORS = ['#0088FE', '#00C49F', '#FFBB28', '#FF8042'];
 /**
  * @typedef {Object} DashboardProps
  * @property {Array<Object>} filteredData - Filtered list of leads/clients
+ * @property {Array<Object>} [allLeads] - Every lead, used to rank exported leads
+ * @property {Object} [followUps] - Result of useFollowUps, for the first-contact SLA
+ * @property {Function} [onFollowUpChange] - Called when a conversation note changes a lead's follow-up
  * @property {boolean} isLoading - Whether the dashboard is loading
  * @property {Object} totalViews - Total views statistics
  * @property {Function} setActiveTab - Function to set the active tab
@@ -86,6 +112,7 @@ const COLORS = ['#0088FE', '#00C49F', '#FFBB28', '#FF8042'];
  * - Client statistics and performance metrics
  * - Social media platform analytics
  * - Engagement and monetization tracking
+ * - Overdue follow-ups and first-contact SLA breaches
  * - Revenue analytics and reporting
  * 
  * @param {DashboardProps} props - Component props
@@ -93,14 +120,20 @@ const COLORS = ['#0088FE', '#00C49F', '#FFBB28', '#FF8042'];
  */
 const Dashboard = ({ 
   filteredData, 
+  allLeads,
+  followUps,
+  onFollowUpChange,
   isLoading, 
   totalViews = { all: 0, filtered: 0, loading: false, sevenDay: 0, sevenDayFiltered: 0 },
   setActiveTab,
   handleTabClick
 }) => {
-  const { getAccessToken } = useAuth();
   // State declarations
+  const { settings: algorithmSettings } = useAlgorithmSettings();
+  const { can } = useAuth();
+  const slaHours = followUps?.slaHours || DEFAULT_FIRST_CONTACT_HOURS;
   const [searchResults, setSearchResults] = useState([]);
+  const [isExportOpen, setIsExportOpen] = useState(false);
   const [stats, setStats] = useState(null);
   const [error, setError] = useState(null);
   const [selectedUser, setSelectedUser] = useState(null);
@@ -196,23 +229,16 @@ const Dashboard = ({
           ranksResponse,
           // ... other requests ...
         ] = await Promise.all([
-          trackRequest(fetch(API_ENDPOINTS.LEADS.RAW), 'stats'),
-          trackRequest(fetch(API_ENDPOINTS.PARTNERS.LIST), 'partners'),
-          trackRequest(fetch(API_ENDPOINTS.LEADS.RANKS), 'ranks'),
+          trackRequest(axios.get(API_ENDPOINTS.LEADS.RAW), 'stats'),
+          trackRequest(axios.get(API_ENDPOINTS.PARTNERS.LIST), 'partners'),
+          trackRequest(axios.get(API_ENDPOINTS.LEADS.RANKS), 'ranks'),
           // ... add other initial requests ...
         ]);
 
-        // Process responses
-        const [statsData, partnersData, ranksData] = await Promise.all([
-          statsResponse.json(),
-          partnersResponse.json(),
-          ranksResponse.json(),
-        ]);
-
         // Update state with fetched data
-        setStats(statsData);
-        setPartners(partnersData);
-        setRanks(ranksData);
+        setStats(statsResponse.data);
+        setPartners(partnersResponse.data);
+        setRanks(ranksResponse.data);
         // ... update other state ...
 
       } catch (err) {
@@ -753,6 +779,27 @@ const Dashboard = ({
     }
   }, [selectedUser]);
 
+  const overdueCounts = countOverdue(filteredData, slaHours);
+
+  // Admins can change how many hours a new lead may wait for its first contact
+  const handleEditSla = async (event) => {
+    event.stopPropagation();
+    const input = window.prompt('Hours a new lead may wait for its first contact', slaHours);
+    if (input === null) return;
+    const hours = Number(input);
+    if (!Number.isInteger(hours) || hours <= 0) {
+      toast.error('Enter a whole number of hours');
+      return;
+    }
+    try {
+      await followUps.updateSla(hours);
+      toast.success(`New leads must now be contacted within ${hours}h`);
+    } catch (err) {
+      console.error('Error updating the contact SLA:', err);
+      toast.error(`Could not update the SLA: ${err.response?.data?.detail || err.message}`);
+    }
+  };
+
   // Update handleStatCardClick
   const handleStatCardClick = (filterType) => {
     let filteredResults = [];
@@ -764,6 +811,12 @@ const Dashboard = ({
       case 'verified':
         filteredResults = filteredData.filter(lead => lead.Snap_Star);
         break;
+      case 'followUpsOverdue':
+        filteredResults = filteredData.filter(lead => getFollowUpState(lead) === 'overdue');
+        break;
+      case 'firstContactOverdue':
+        filteredResults = filteredData.filter(lead => isFirstContactOverdue(lead, slaHours));
+        break;
       case 'views':
         // We'll show all leads since we're getting views from analytics
         filteredResults = filteredData;
@@ -891,64 +944,51 @@ const Dashboard = ({
   const fetchEarningsData = async () => {
     try {
       setEarningsData(prev => ({ ...prev, loading: true }));
-      const token = await getAccessToken();
-      
-      const response = await fetch('/api/payments/search-payouts', {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        }
-      });
-
-      if (response.ok) {
-        const data = await response.json();
-        if (data.payouts && Array.isArray(data.payouts)) {
-          // Get the relevant payouts based on whether a user is selected
-          const relevantPayouts = selectedUser 
-            ? [data.payouts.find(p => p.client_id === selectedUser.client_id)].filter(Boolean)
-            : data.payouts;
-
-          // Simple monthly totals
-          const monthlyTotals = {};
-
-          // Sum up the pulls by month
-          relevantPayouts.forEach(payout => {
-            if (payout.creator_pulls) {
-              payout.creator_pulls.forEach(pull => {
-                const date = new Date(pull.pull_date);
-                const key = `${date.getFullYear()}-${date.getMonth() - 1}`;
-                monthlyTotals[key] = (monthlyTotals[key] || 0) + pull.pull_amount;
-              });
-            }
-          });
-
-          // Get last 3 complete months
-          const monthlyData = [];
-          const today = new Date();
-          // Start from 2 months ago (to show last 3 complete months)
-          const startMonth = today.getMonth() - 2;
-          
-          for (let i = 2; i >= 0; i--) {
-            const monthDate = new Date(today.getFullYear(), startMonth - i, 1);
-            const key = `${monthDate.getFullYear()}-${monthDate.getMonth()}`;
-            monthlyData.push({
-              date: monthDate.toISOString(),
-              earnings: monthlyTotals[key] || 0
+      const { data } = await axios.get('/api/payments/search-payouts');
+
+      if (data.payouts && Array.isArray(data.payouts)) {
+        // Get the relevant payouts based on whether a user is selected
+        const relevantPayouts = selectedUser 
+          ? [data.payouts.find(p => p.client_id === selectedUser.client_id)].filter(Boolean)
+          : data.payouts;
+
+        // Simple monthly totals
+        const monthlyTotals = {};
+
+        // Sum up the pulls by month
+        relevantPayouts.forEach(payout => {
+          if (payout.creator_pulls) {
+            payout.creator_pulls.forEach(pull => {
+              const date = new Date(pull.pull_date);
+              const key = `${date.getFullYear()}-${date.getMonth() - 1}`;
+              monthlyTotals[key] = (monthlyTotals[key] || 0) + pull.pull_amount;
             });
           }
+        });
 
-          setEarningsData(prev => ({
-            ...prev,
-            loading: false,
-            dailyData: monthlyData,
-            total: Object.values(monthlyTotals).reduce((sum, val) => sum + val, 0)
-          }));
-        } else {
-          console.error('Invalid earnings response:', data);
-          setEarningsData(prev => ({ ...prev, loading: false, total: 0, dailyData: [] }));
+        // Get last 3 complete months
+        const monthlyData = [];
+        const today = new Date();
+        // Start from 2 months ago (to show last 3 complete months)
+        const startMonth = today.getMonth() - 2;
+        
+        for (let i = 2; i >= 0; i--) {
+          const monthDate = new Date(today.getFullYear(), startMonth - i, 1);
+          const key = `${monthDate.getFullYear()}-${monthDate.getMonth()}`;
+          monthlyData.push({
+            date: monthDate.toISOString(),
+            earnings: monthlyTotals[key] || 0
+          });
         }
+
+        setEarningsData(prev => ({
+          ...prev,
+          loading: false,
+          dailyData: monthlyData,
+          total: Object.values(monthlyTotals).reduce((sum, val) => sum + val, 0)
+        }));
       } else {
-        console.error('Failed to fetch earnings data');
+        console.error('Invalid earnings response:', data);
         setEarningsData(prev => ({ ...prev, loading: false, total: 0, dailyData: [] }));
       }
     } catch (error) {
@@ -960,29 +1000,18 @@ const Dashboard = ({
   // Update single client earnings fetch
   const fetchClientEarnings = async (clientId) => {
     try {
-      const token = await getAccessToken();
-      
-      const response = await fetch(`/api/payments/client-monthly-earnings/${clientId}`, {
-        headers: {
-          'Authorization': `Bearer ${token}`
-        }
-      });
+      const { data } = await axios.get(`/api/payments/client-monthly-earnings/${clientId}`);
 
-      if (response.ok) {
-        const data = await response.json();
-        if (data.status === 'success') {
-          setEarningsData(prev => ({
-            ...prev,
-            clientEarnings: {
-              ...prev.clientEarnings,
-              [clientId]: data.total_earnings || 0
-            }
-          }));
-        } else {
-          console.error('Invalid client earnings response:', data);
-        }
+      if (data.status === 'success') {
+        setEarningsData(prev => ({
+          ...prev,
+          clientEarnings: {
+            ...prev.clientEarnings,
+            [clientId]: data.total_earnings || 0
+          }
+        }));
       } else {
-        console.error('Failed to fetch client earnings');
+        console.error('Invalid client earnings response:', data);
       }
     } catch (error) {
       console.error('Error fetching client earnings:', error);
@@ -1346,13 +1375,23 @@ const Dashboard = ({
         <CardContent>
           <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
             <Typography variant="h6">Clients</Typography>
-            <Button 
-              variant="outlined"
-              size="small"
-              onClick={handleClearAllFilters}
-            >
-              Clear All Filters
-            </Button>
+            <Box sx={{ display: 'flex', gap: 1 }}>
+              <Button
+                variant="outlined"
+                size="small"
+                onClick={() => setIsExportOpen(true)}
+                disabled={!searchResults?.length}
+              >
+                Export
+              </Button>
+              <Button 
+                variant="outlined"
+                size="small"
+                onClick={handleClearAllFilters}
+              >
+                Clear All Filters
+              </Button>
+            </Box>
           </Box>
           <TableContainer>
             <Table size="small">
@@ -1378,7 +1417,11 @@ const Dashboard = ({
                       bgcolor: selectedUser?.id === lead.id ? 'action.selected' : 'inherit'
                     }}
                   >
-                    <TableCell>{`${lead.First_Legal_Name} ${lead.Last_Legal_Name}`}</TableCell>
+                    <TableCell>
+                      <ClientLink clientId={lead.client_id}>
+                        {`${lead.First_Legal_Name} ${lead.Last_Legal_Name}`}
+                      </ClientLink>
+                    </TableCell>
                     <TableCell>{lead.Email_Address}</TableCell>
                     <TableCell 
                       onClick={(e) => {
@@ -1540,6 +1583,38 @@ const Dashboard = ({
             </CardContent>
           </Card>
         </Grid>
+        <Grid item xs={12} md={3}>
+          <Card 
+            sx={{ cursor: 'pointer', '&:hover': { bgcolor: 'action.hover' } }}
+            onClick={() => handleStatCardClick('followUpsOverdue')}
+          >
+            <CardContent>
+              <Typography variant="h6">Overdue Follow-ups</Typography>
+              <Typography variant="h4" color={overdueCounts.overdueFollowUps > 0 ? 'error' : 'inherit'}>
+                {overdueCounts.overdueFollowUps}
+              </Typography>
+            </CardContent>
+          </Card>
+        </Grid>
+        <Grid item xs={12} md={3}>
+          <Card 
+            sx={{ cursor: 'pointer', '&:hover': { bgcolor: 'action.hover' } }}
+            onClick={() => handleStatCardClick('firstContactOverdue')}
+          >
+            <CardContent>
+              <Typography variant="h6">Past Contact SLA</Typography>
+              <Typography variant="h4" color={overdueCounts.overdueFirstContact > 0 ? 'error' : 'inherit'}>
+                {overdueCounts.overdueFirstContact}
+              </Typography>
+              <Typography variant="caption" color="textSecondary">
+                New leads not contacted within {slaHours}h
+                {followUps && can('MANAGE_FOLLOW_UP_SLA') && (
+                  <Button size="small" sx={{ ml: 1 }} onClick={handleEditSla}>Change</Button>
+                )}
+              </Typography>
+            </CardContent>
+          </Card>
+        </Grid>
       </Grid>
 
       {/* Charts */}
@@ -1599,6 +1674,25 @@ const Dashboard = ({
       </Grid>
 
       {/* Modals */}
+      <LeadExportDialog
+        isOpen={isExportOpen}
+        onClose={() => setIsExportOpen(false)}
+        label="Dashboard"
+        rowCount={searchResults?.length || 0}
+        description={searchValue ? `matching "${searchValue}"` : ''}
+        getView={scope => {
+          const leads = searchResults || [];
+          // The ranks endpoint returns one entry per lead; key its scores by both ids
+          const storedScores = Object.fromEntries(
+            (Array.isArray(ranks) ? ranks : []).flatMap(item => [[item.id, item.score], [item.client_id, item.score]])
+          );
+          const columns = scope === 'all' ? getLeadFieldColumns(leads) : CLIENT_TABLE_EXPORT_COLUMNS;
+          return {
+            leads,
+            columns: [...columns, ...getScoreColumns(allLeads || filteredData || [], algorithmSettings, storedScores)]
+          };
+        }}
+      />
       <SocialLinksModal
         open={socialModalOpen}
         onClose={() => setSocialModalOpen(false)}
@@ -1617,6 +1711,7 @@ const Dashboard = ({
         onClose={() => setIsNotesModalOpen(false)}
         clientId={selectedUser ? (selectedUser.client_id || `jm${selectedUser.DOB?.replace(/-/g, "")}`) : ''}
         clientName={selectedUser ? `${selectedUser.First_Legal_Name} ${selectedUser.Last_Legal_Name}` : ''}
+        onFollowUpChange={onFollowUpChange}
       />
 
       <ContractModal 
@@ -0,0 +1,371 @@
+/**
+ * @fileoverview Duplicate finder for leads. Lists clusters of leads that share a normalized
+ * username, email or phone number, shows each cluster side by side with differing values
+ * highlighted, and merges the chosen leads into one surviving client_id. The server moves
+ * notes, tasks, partner splits and contract history to the survivor. Only one partner split
+ * profile can stay active, so when several leads have splits the reviewer picks the one to keep
+ * and the server archives the others on the surviving lead.
+ */
+
+import React, { useEffect, useMemo, useState } from 'react';
+import { toast } from 'react-hot-toast';
+import axios from '../../utils/axiosConfig';
+import { API_ENDPOINTS } from '../../config/api';
+import { findDuplicateClusters, buildMergedFields, COMPARE_FIELDS } from './leadDuplicates';
+import './styles/DuplicateFinder.css';
+
+/**
+ * @typedef {Object} DuplicateFinderProps
+ * @property {boolean} isOpen - Whether the finder is open
+ * @property {Function} onClose - Callback to close the finder
+ * @property {Array<Object>} leads - Leads to search for duplicates
+ * @property {Function} [onMerged] - Called after a merge succeeds
+ */
+
+/**
+ * Formats a lead field for the comparison table
+ * @param {*} value - Field value
+ * @returns {string} Display value
+ */
+const formatValue = (value) => {
+  if (value === undefined || value === null || value === '') return '—';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (typeof value === 'number') return value.toLocaleString();
+  return String(value);
+};
+
+/**
+ * Display name for a lead
+ * @param {Object} lead - Lead record
+ * @returns {string} Name
+ */
+const getLeadName = (lead) =>
+  lead.Stage_Name ||
+  [lead.First_Legal_Name, lead.Last_Legal_Name].filter(Boolean).join(' ') ||
+  lead.client_id;
+
+/**
+ * Default field picks: the survivor's value, or the first lead that has one
+ * @param {Array<Object>} leads - Leads being merged
+ * @param {string} survivorId - Client id of the surviving lead
+ * @returns {Object<string, string>} Field key to client id of the lead to take it from
+ */
+const getDefaultPicks = (leads, survivorId) => {
+  const survivor = leads.find(lead => lead.client_id === survivorId);
+  const picks = {};
+  COMPARE_FIELDS.filter(field => field.pick).forEach(({ key }) => {
+    const hasValue = (lead) => lead[key] !== undefined && lead[key] !== null && lead[key] !== '';
+    const source = survivor && hasValue(survivor) ? survivor : leads.find(hasValue);
+    if (source) picks[key] = source.client_id;
+  });
+  return picks;
+};
+
+/**
+ * Formats a split profile for the comparison table
+ * @param {Array<Object>} [splits] - Splits of a lead's profile
+ * @returns {string} Display value
+ */
+const formatSplits = (splits) => {
+  if (!splits) return '…';
+  if (!splits.length) return '—';
+  return splits.map(split => `${split.payeeName || split.payeeId} ${split.percentage}%`).join(', ');
+};
+
+/**
+ * Client ids of the leads being merged that have partner splits
+ * @param {Array<Object>} leads - Leads being merged
+ * @param {Object<string, Array<Object>>} splitProfiles - Splits by client id
+ * @returns {Array<string>} Client ids with splits
+ */
+const getLeadsWithSplits = (leads, splitProfiles) =>
+  leads.filter(lead => splitProfiles[lead.client_id]?.length).map(lead => lead.client_id);
+
+/**
+ * Renders the duplicate finder modal
+ *
+ * @component
+ * @param {DuplicateFinderProps} props - Component props
+ * @returns {React.ReactElement|null} The rendered finder, or null when closed
+ */
+const DuplicateFinder = ({ isOpen, onClose, leads, onMerged }) => {
+  const clusters = useMemo(() => (isOpen ? findDuplicateClusters(leads) : []), [isOpen, leads]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [survivorId, setSurvivorId] = useState(null);
+  const [excluded, setExcluded] = useState([]);
+  const [picks, setPicks] = useState({});
+  const [splitProfiles, setSplitProfiles] = useState({});
+  const [splitStatus, setSplitStatus] = useState('loading');
+  const [splitReload, setSplitReload] = useState(0);
+  const [keepSplitsFrom, setKeepSplitsFrom] = useState(null);
+  const [isMerging, setIsMerging] = useState(false);
+
+  const cluster = clusters.find(item => item.id === selectedId) || clusters[0];
+  const included = useMemo(
+    () => (cluster ? cluster.leads.filter(lead => !excluded.includes(lead.client_id)) : []),
+    [cluster, excluded]
+  );
+
+  // Start each cluster with its oldest lead as the survivor; clusters are rebuilt when leads reload
+  useEffect(() => {
+    if (!cluster) return;
+    const oldest = cluster.leads[0].client_id;
+    setSurvivorId(oldest);
+    setExcluded([]);
+    setPicks(getDefaultPicks(cluster.leads, oldest));
+  }, [cluster]);
+
+  // Split profiles are not on the grid rows, so they are loaded per cluster. Merging stays
+  // disabled until all of them have loaded, so no split profile is merged unseen.
+  useEffect(() => {
+    if (!cluster) return undefined;
+    let cancelled = false;
+    setSplitProfiles({});
+    setSplitStatus('loading');
+    setKeepSplitsFrom(null);
+    Promise.all(cluster.leads.map(lead =>
+      axios.get(API_ENDPOINTS.PAYMENTS.GET_SPLIT_PROFILE(lead.client_id))
+        .then(response => [lead.client_id, response.data.splits || []])
+    )).then(entries => {
+      if (cancelled) return;
+      setSplitProfiles(Object.fromEntries(entries));
+      setSplitStatus('ready');
+    }).catch(error => {
+      console.error('Error fetching split profiles:', error);
+      if (!cancelled) setSplitStatus('error');
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [cluster, splitReload]);
+
+  if (!isOpen) return null;
+
+  const leadsWithSplits = splitStatus === 'ready' ? getLeadsWithSplits(included, splitProfiles) : [];
+  const hasSplitConflict = leadsWithSplits.length > 1;
+  const keptSplits = hasSplitConflict ? leadsWithSplits.find(id => id === keepSplitsFrom) : leadsWithSplits[0];
+  const archivedSplits = leadsWithSplits.filter(id => id !== keptSplits);
+  const canMerge = cluster && included.length >= 2 && splitStatus === 'ready' && (!hasSplitConflict || keptSplits);
+
+  /**
+   * Makes another lead the survivor and resets the picks to its values
+   * @param {string} clientId - Client id of the new survivor
+   */
+  const handleSurvivorChange = (clientId) => {
+    const nextExcluded = excluded.filter(id => id !== clientId);
+    setSurvivorId(clientId);
+    setExcluded(nextExcluded);
+    setPicks(getDefaultPicks(cluster.leads.filter(lead => !nextExcluded.includes(lead.client_id)), clientId));
+  };
+
+  /**
+   * Includes or leaves out a lead from the merge, e.g. for a false match
+   * @param {string} clientId - Client id to toggle
+   */
+  const toggleExcluded = (clientId) => {
+    const nextExcluded = excluded.includes(clientId)
+      ? excluded.filter(id => id !== clientId)
+      : [...excluded, clientId];
+    setExcluded(nextExcluded);
+    setPicks(getDefaultPicks(cluster.leads.filter(lead => !nextExcluded.includes(lead.client_id)), survivorId));
+  };
+
+  /**
+   * Merges the included leads into the survivor
+   * @async
+   * @returns {Promise<void>}
+   */
+  const handleMerge = async () => {
+    const mergedIds = included.map(lead => lead.client_id).filter(id => id !== survivorId);
+    const splitWarning = archivedSplits.length
+      ? ` ${keptSplits}'s partner splits stay active; those of ${archivedSplits.join(', ')} are archived.`
+      : '';
+    if (!window.confirm(
+      `Merge ${mergedIds.join(', ')} into ${survivorId}? The merged leads will be removed.${splitWarning}`
+    )) {
+      return;
+    }
+
+    setIsMerging(true);
+    try {
+      const response = await axios.post(API_ENDPOINTS.LEADS.MERGE, {
+        survivor_id: survivorId,
+        merged_ids: mergedIds,
+        fields: buildMergedFields(included, picks),
+        keep_splits_from: hasSplitConflict ? keptSplits : undefined
+      });
+      const { moved = {}, archived = {} } = response.data;
+      toast.success(
+        `Merged into ${survivorId}: moved ${moved.notes || 0} notes, ${moved.tasks || 0} tasks, ` +
+        `${moved.contract_versions || 0} contract versions and ${moved.splits || 0} partner splits` +
+        (archived.splits ? `; archived ${archived.splits} partner splits` : '')
+      );
+      setSelectedId(null);
+      onMerged?.();
+    } catch (error) {
+      console.error('Error merging leads:', error);
+      toast.error(`Failed to merge leads: ${error.response?.data?.detail || error.message}`);
+    } finally {
+      setIsMerging(false);
+    }
+  };
+
+  const rows = cluster
+    ? COMPARE_FIELDS.filter(({ key }) => cluster.leads.some(lead => formatValue(lead[key]) !== '—'))
+    : [];
+  const splitValues = included.map(lead => formatSplits(splitProfiles[lead.client_id]));
+
+  return (
+    <div className="duplicate-finder-modal">
+      <div className="duplicate-finder-content">
+        <button className="duplicate-close" onClick={onClose}>&times;</button>
+        <h2>Duplicate Leads</h2>
+
+        {clusters.length === 0 ? (
+          <p className="duplicate-empty">No duplicate leads found.</p>
+        ) : (
+          <div className="duplicate-layout">
+            <ul className="duplicate-clusters">
+              {clusters.map(item => (
+                <li key={item.id}>
+                  <button
+                    className={`duplicate-cluster ${item.id === cluster.id ? 'active' : ''}`}
+                    onClick={() => setSelectedId(item.id)}
+                  >
+                    <strong>{item.leads.map(getLeadName).join(' / ')}</strong>
+                    <span>{item.matches.map(match => `${match.field}: ${match.value}`).join(', ')}</span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+
+            <div className="duplicate-compare">
+              <table className="duplicate-table">
+                <thead>
+                  <tr>
+                    <th />
+                    {cluster.leads.map(lead => (
+                      <th key={lead.client_id} className={excluded.includes(lead.client_id) ? 'duplicate-excluded' : ''}>
+                        <label>
+                          <input
+                            type="radio"
+                            name="survivor"
+                            checked={survivorId === lead.client_id}
+                            onChange={() => handleSurvivorChange(lead.client_id)}
+                          />
+                          Keep {lead.client_id}
+                        </label>
+                        {survivorId !== lead.client_id && (
+                          <label className="duplicate-include">
+                            <input
+                              type="checkbox"
+                              checked={!excluded.includes(lead.client_id)}
+                              onChange={() => toggleExcluded(lead.client_id)}
+                            />
+                            Merge
+                          </label>
+                        )}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map(({ key, label, pick }) => {
+                    const values = included.map(lead => formatValue(lead[key]));
+                    const differs = new Set(values).size > 1;
+                    return (
+                      <tr key={key} className={differs ? 'duplicate-row--differs' : ''}>
+                        <th>{label}</th>
+                        {cluster.leads.map(lead => {
+                          const isExcluded = excluded.includes(lead.client_id);
+                          return (
+                            <td key={lead.client_id} className={isExcluded ? 'duplicate-excluded' : ''}>
+                              {pick && differs && !isExcluded && formatValue(lead[key]) !== '—' ? (
+                                <label>
+                                  <input
+                                    type="radio"
+                                    name={`pick-${key}`}
+                                    checked={picks[key] === lead.client_id}
+                                    onChange={() => setPicks(prev => ({ ...prev, [key]: lead.client_id }))}
+                                  />
+                                  {formatValue(lead[key])}
+                                </label>
+                              ) : (
+                                formatValue(lead[key])
+                              )}
+                            </td>
+                          );
+                        })}
+                      </tr>
+                    );
+                  })}
+                  <tr className={new Set(splitValues).size > 1 ? 'duplicate-row--differs' : ''}>
+                    <th>Partner Splits</th>
+                    {cluster.leads.map(lead => (
+                      <td
+                        key={lead.client_id}
+                        className={[
+                          excluded.includes(lead.client_id) ? 'duplicate-excluded' : '',
+                          hasSplitConflict && keptSplits && archivedSplits.includes(lead.client_id) ? 'duplicate-archived' : ''
+                        ].join(' ').trim()}
+                      >
+                        {hasSplitConflict && leadsWithSplits.includes(lead.client_id) ? (
+                          <label>
+                            <input
+                              type="radio"
+                              name="keep-splits"
+                              checked={keptSplits === lead.client_id}
+                              onChange={() => setKeepSplitsFrom(lead.client_id)}
+                            />
+                            {formatSplits(splitProfiles[lead.client_id])}
+                          </label>
+                        ) : (
+                          formatSplits(splitProfiles[lead.client_id])
+                        )}
+                      </td>
+                    ))}
+                  </tr>
+                </tbody>
+              </table>
+              {splitStatus === 'error' && (
+                <p className="duplicate-split-conflict">
+                  Partner splits could not be loaded, so these leads cannot be merged yet.{' '}
+                  <button type="button" className="duplicate-retry" onClick={() => setSplitReload(count => count + 1)}>
+                    Retry
+                  </button>
+                </p>
+              )}
+              {hasSplitConflict && (
+                <p className="duplicate-split-conflict">
+                  More than one lead has partner splits, and only one split profile can stay active.
+                  Choose the profile to keep; the others are archived on the kept lead, not deleted.
+                </p>
+              )}
+              <p className="duplicate-hint">
+                Highlighted rows differ. Pick the value to keep where there is a choice; pipeline flags
+                and assignees are combined, and notes, tasks, partner splits and contract history move
+                to the kept client ID.
+              </p>
+            </div>
+          </div>
+        )}
+
+        <div className="duplicate-actions">
+          <button
+            className="duplicate-merge-button"
+            onClick={handleMerge}
+            disabled={!canMerge || isMerging}
+            title={splitStatus === 'ready' ? undefined : 'Waiting for partner splits to load'}
+          >
+            {isMerging ? 'Merging...' : `Merge ${included.length} leads`}
+          </button>
+          <button className="duplicate-cancel-button" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DuplicateFinder;
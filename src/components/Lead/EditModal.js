@@ -29,7 +29,7 @@
  */
 
 import React, { useState, useEffect } from 'react';
-import axios from 'axios';
+import axios from '../../utils/axiosConfig';
 import { API_ENDPOINTS } from '../../config/api';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
 import { 
@@ -44,12 +44,15 @@ import {
   faVideo,
   faPlay,
   faGhost,
-  faArrowRight
+  faArrowRight,
+  faClockRotateLeft
 } from '@fortawesome/free-solid-svg-icons';
 import { toast } from 'react-hot-toast';
+import FollowerHistoryPanel from './FollowerHistoryPanel';
+import LeadTimeline from './LeadTimeline';
 import './styles/EditLeadModal.css';
 import { useAuth } from '../../contexts/AuthContext';
-import { fetchAuthSession } from 'aws-amplify/auth';
+import { withStageHistory } from './leadPipeline';
 
 /**
  * Edit Modal component for managing client information and settings.
@@ -63,31 +66,12 @@ import { fetchAuthSession } from 'aws-amplify/auth';
  * @returns {React.ReactElement} The rendered modal
  */
 const EditModal = ({ isOpen, onClose, data, onSave, partners }) => {
-  const { user } = useAuth();
+  const { user, can } = useAuth();
   
   // Add debugging logs
   console.log('Auth user:', user);
   
-  const [isAdmin, setIsAdmin] = useState(false);
-
-  // Add this useEffect to check admin status
-  useEffect(() => {
-    const checkAdminStatus = async () => {
-      try {
-        const { tokens } = await fetchAuthSession();
-        const groups = tokens.accessToken.payload['cognito:groups'] || [];
-        console.log('Token groups:', groups);
-        setIsAdmin(groups.includes('ADMIN'));
-      } catch (error) {
-        console.error('Error checking admin status:', error);
-        setIsAdmin(false);
-      }
-    };
-    
-    if (isOpen) {
-      checkAdminStatus();
-    }
-  }, [isOpen]);
+  const isAdmin = can('MANAGE_PAYMENTS');
 
   const [formData, setFormData] = useState({
     First_Legal_Name: '',
@@ -137,9 +121,11 @@ const EditModal = ({ isOpen, onClose, data, onSave, partners }) => {
   const sections = [
     { id: 'personal', label: 'Personal Information', icon: faUser },
     { id: 'socials', label: 'Social Media', icon: faShareNodes },
+    { id: 'growth', label: 'Growth', icon: faChartLine },
     { id: 'contract', label: 'Contract Status', icon: faFileContract },
     { id: 'payout', label: 'Payout Information', icon: faMoneyBill },
-    { id: 'backend', label: 'Backend', icon: faProjectDiagram }
+    { id: 'backend', label: 'Backend', icon: faProjectDiagram },
+    { id: 'activity', label: 'Activity', icon: faClockRotateLeft }
   ];
 
   const socialPlatforms = [
@@ -199,13 +185,9 @@ const EditModal = ({ isOpen, onClose, data, onSave, partners }) => {
   const loadAssignedEmployees = async () => {
     if (formData.assigned_employees?.length) {
       try {
-        const { tokens } = await fetchAuthSession();
         const response = await axios.get(API_ENDPOINTS.EMPLOYEES.GET_ASSIGNED, {
           params: {
             user_ids: formData.assigned_employees.join(',')
-          },
-          headers: {
-            'Authorization': `Bearer ${tokens.accessToken.toString()}`
           }
         });
         setAssignedEmployees(response.data);
@@ -291,12 +273,7 @@ const EditModal = ({ isOpen, onClose, data, onSave, partners }) => {
    */
   const loadPayoutInfo = async () => {
     try {
-      const { tokens } = await fetchAuthSession();
-      const response = await axios.get(API_ENDPOINTS.LEADS.PAYOUT_INFO(data.client_id), {
-        headers: {
-          'Authorization': `Bearer ${tokens.accessToken.toString()}`
-        }
-      });
+      const response = await axios.get(API_ENDPOINTS.LEADS.PAYOUT_INFO(data.client_id));
       const info = response.data;
       setPayoutInfo(info);
       if (info.payout_email) {
@@ -315,14 +292,9 @@ const EditModal = ({ isOpen, onClose, data, onSave, partners }) => {
   const handleSyncPayout = async () => {
     try {
       setIsSyncing(true);
-      const { tokens } = await fetchAuthSession();
       const response = await axios.post(API_ENDPOINTS.LEADS.SYNC_PAYOUT, {
         client_id: data.client_id,
         payout_email: formData.payout_email
-      }, {
-        headers: {
-          'Authorization': `Bearer ${tokens.accessToken.toString()}`
-        }
       });
       
       if (response.data.status === 'success') {
@@ -369,23 +341,17 @@ const EditModal = ({ isOpen, onClose, data, onSave, partners }) => {
   const handleSubmit = async (e) => {
     e.preventDefault();
     
-    const updatedData = { ...formData };
+    // Pipeline checkboxes change the lead's stage, which is recorded like a move on the board
+    const updatedData = withStageHistory(data || {}, { ...formData }, user?.signInDetails?.loginId || user?.username);
     
     try {
       setIsSaving(true);
-      const { tokens } = await fetchAuthSession();
-      
       if (updatedData.client_id) {
         const uploadApprovalResponse = await axios.post(
           API_ENDPOINTS.LEADS.UPDATE_APPROVAL_STATUS,
           { 
             client_id: updatedData.client_id,
             approved: updatedData.approved
-          },
-          {
-            headers: {
-              'Authorization': `Bearer ${tokens.accessToken.toString()}`
-            }
           }
         );
         console.log('Content approval update response:', uploadApprovalResponse.data);
@@ -418,12 +384,7 @@ const EditModal = ({ isOpen, onClose, data, onSave, partners }) => {
     if (!username || username.length < 3) return;
     
     try {
-      const { tokens } = await fetchAuthSession();
-      const response = await axios.get(API_ENDPOINTS.SOCIAL_STATS(platform, username), {
-        headers: {
-          'Authorization': `Bearer ${tokens.accessToken.toString()}`
-        }
-      });
+      const response = await axios.get(API_ENDPOINTS.SOCIAL_STATS(platform, username));
       console.log(`${platform} response:`, response.data);
       
       if (response.data) {
@@ -489,7 +450,6 @@ const EditModal = ({ isOpen, onClose, data, onSave, partners }) => {
     
     setLoading(true);
     try {
-      const { tokens } = await fetchAuthSession();
       const partnerIds = [...new Set([formData.referred_by, formData.monetized_by].filter(Boolean))];
       
       const searchPromises = partnerIds.map(partnerId =>
@@ -497,9 +457,6 @@ const EditModal = ({ isOpen, onClose, data, onSave, partners }) => {
           params: {
             partner_id: partnerId,
             search: searchTerm
-          },
-          headers: {
-            'Authorization': `Bearer ${tokens.accessToken.toString()}`
           }
         })
       );
@@ -540,24 +497,12 @@ const EditModal = ({ isOpen, onClose, data, onSave, partners }) => {
     try {
       setSyncStatus('Syncing...');
       
-      const { tokens } = await fetchAuthSession();
-      const response = await fetch('https://track.snapped.cc/api/analytics/sync/profile', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${tokens.accessToken.toString()}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          profile_name: profileName,
-          snap_id: formData.snap_id,
-          user_id: formData.client_id
-        })
+      await axios.post(API_ENDPOINTS.ANALYTICS.SYNC_PROFILE, {
+        profile_name: profileName,
+        snap_id: formData.snap_id,
+        user_id: formData.client_id
       });
 
-      if (!response.ok) {
-        throw new Error('Sync failed');
-      }
-
       setSyncStatus('Sync successful!');
       setTimeout(() => setSyncStatus(''), 3000);
 
@@ -576,12 +521,7 @@ const EditModal = ({ isOpen, onClose, data, onSave, partners }) => {
    */
   const fetchApprovalStatus = async (clientId) => {
     try {
-      const { tokens } = await fetchAuthSession();
-      const response = await axios.get(API_ENDPOINTS.LEADS.APPROVAL_STATUS(clientId), {
-        headers: {
-          'Authorization': `Bearer ${tokens.accessToken.toString()}`
-        }
-      });
+      const response = await axios.get(API_ENDPOINTS.LEADS.APPROVAL_STATUS(clientId));
       if (response.data && response.data.status === 'success') {
         setFormData(prev => ({
           ...prev, 
@@ -672,28 +612,16 @@ const EditModal = ({ isOpen, onClose, data, onSave, partners }) => {
     }
 
     try {
-      const { tokens } = await fetchAuthSession();
-      const response = await fetch(API_ENDPOINTS.PAYMENTS.SAVE_SPLIT_PROFILE, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${tokens.accessToken.toString()}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          clientId: data.client_id,
-          splits: [...splits, {
-            payeeId: selectedPayee._id,
-            payeeName: selectedPayee.name,
-            companyName: selectedPayee.company_name || '',
-            percentage
-          }]
-        })
+      await axios.post(API_ENDPOINTS.PAYMENTS.SAVE_SPLIT_PROFILE, {
+        clientId: data.client_id,
+        splits: [...splits, {
+          payeeId: selectedPayee._id,
+          payeeName: selectedPayee.name,
+          companyName: selectedPayee.company_name || '',
+          percentage
+        }]
       });
 
-      if (!response.ok) {
-        throw new Error('Failed to add split');
-      }
-
       await loadSplits();
       setShowSplitModal(false);
       setSelectedPayee(null);
@@ -707,18 +635,7 @@ const EditModal = ({ isOpen, onClose, data, onSave, partners }) => {
 
   const handleRemoveSplit = async (payeeId) => {
     try {
-      const { tokens } = await fetchAuthSession();
-      const response = await fetch(API_ENDPOINTS.PAYMENTS.DELETE_SPLIT_PROFILE(data.client_id, payeeId), {
-        method: 'DELETE',
-        headers: {
-          'Authorization': `Bearer ${tokens.accessToken.toString()}`,
-          'Content-Type': 'application/json'
-        }
-      });
-
-      if (!response.ok) {
-        throw new Error('Failed to remove split');
-      }
+      await axios.delete(API_ENDPOINTS.PAYMENTS.DELETE_SPLIT_PROFILE(data.client_id, payeeId));
 
       await loadSplits();
       toast.success('Split removed successfully');
@@ -730,19 +647,7 @@ const EditModal = ({ isOpen, onClose, data, onSave, partners }) => {
 
   const loadPayees = async () => {
     try {
-      const { tokens } = await fetchAuthSession();
-      const response = await fetch(API_ENDPOINTS.PAYMENTS.SEARCH_PAYEES, {
-        headers: {
-          'Authorization': `Bearer ${tokens.accessToken.toString()}`,
-          'Content-Type': 'application/json'
-        }
-      });
-
-      if (!response.ok) {
-        throw new Error('Failed to load payees');
-      }
-
-      const data = await response.json();
+      const { data } = await axios.get(API_ENDPOINTS.PAYMENTS.SEARCH_PAYEES);
       setPayees(data.payees || []);
     } catch (error) {
       console.error('Error loading payees:', error);
@@ -752,19 +657,7 @@ const EditModal = ({ isOpen, onClose, data, onSave, partners }) => {
 
   const loadSplits = async () => {
     try {
-      const { tokens } = await fetchAuthSession();
-      const response = await fetch(API_ENDPOINTS.PAYMENTS.GET_SPLIT_PROFILE(data.client_id), {
-        headers: {
-          'Authorization': `Bearer ${tokens.accessToken.toString()}`,
-          'Content-Type': 'application/json'
-        }
-      });
-
-      if (!response.ok) {
-        throw new Error('Failed to load splits');
-      }
-
-      const splitData = await response.json();
+      const { data: splitData } = await axios.get(API_ENDPOINTS.PAYMENTS.GET_SPLIT_PROFILE(data.client_id));
       setSplits(splitData.splits || []);
     } catch (error) {
       console.error('Error loading splits:', error);
@@ -948,6 +841,12 @@ const EditModal = ({ isOpen, onClose, data, onSave, partners }) => {
                             </div>
                           ))}
                         </div>
+                        {formData.auto_assignment && (
+                          <div className="pm-auto-assignment">
+                            Assigned automatically by "{formData.auto_assignment.rule_name}". Changing the
+                            project managers is recorded as an override in the assignment log.
+                          </div>
+                        )}
                       </div>
                     )}
                   </div>
@@ -1118,6 +1017,26 @@ const EditModal = ({ isOpen, onClose, data, onSave, partners }) => {
                 </div>
               )}
 
+              {/* Growth Section */}
+              {activeSection === 'growth' && (
+                <div className="-editmodel-section">
+                  <div className="-editmodel-section-header">
+                    <h3>Follower Growth</h3>
+                  </div>
+                  <FollowerHistoryPanel clientId={data.client_id} />
+                </div>
+              )}
+
+              {/* Activity Section */}
+              {activeSection === 'activity' && (
+                <div className="-editmodel-section">
+                  <div className="-editmodel-section-header">
+                    <h3>Activity Timeline</h3>
+                  </div>
+                  <LeadTimeline clientId={data.client_id} />
+                </div>
+              )}
+
               {/* Contract Status Section */}
               {activeSection === 'contract' && (
                 <div className="-editmodel-section">
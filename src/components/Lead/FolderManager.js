@@ -23,7 +23,7 @@ import {
 } from '@mui/material';
 import { Folder as FolderIcon, InsertDriveFile as FileIcon, CreateNewFolder as CreateNewFolderIcon } from '@mui/icons-material';
 import { API_ENDPOINTS } from '../../config/api';
-import axios from 'axios';
+import axios from '../../utils/axiosConfig';
 
 /**
  * @typedef {Object} FolderManagerProps
@@ -56,16 +56,10 @@ export default function FolderManager({ contents, onRefresh }) {
     if (!newFolderName) return;
     
     try {
-      const response = await fetch('/api/cdn/folder-operations', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          operation: 'create_folder',
-          destination_path: `${currentPath}/${newFolderName}`.replace('//', '/')
-        })
+      await axios.post(API_ENDPOINTS.CDN.FOLDER_OPERATIONS, {
+        operation: 'create_folder',
+        destination_path: `${currentPath}/${newFolderName}`.replace('//', '/')
       });
-
-      if (!response.ok) throw new Error('Failed to create folder');
       
       setShowNewFolderModal(false);
       setNewFolderName('');
@@ -83,19 +77,13 @@ export default function FolderManager({ contents, onRefresh }) {
    */
   const handleMove = async (destination) => {
     try {
-      const response = await fetch('/api/cdn/folder-operations', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          operation: 'move',
-          source_path: currentPath,
-          destination_path: destination,
-          items: selectedItems
-        })
+      await axios.post(API_ENDPOINTS.CDN.FOLDER_OPERATIONS, {
+        operation: 'move',
+        source_path: currentPath,
+        destination_path: destination,
+        items: selectedItems
       });
 
-      if (!response.ok) throw new Error('Failed to move items');
-
       setSelectedItems([]);
       onRefresh();
     } catch (error) {
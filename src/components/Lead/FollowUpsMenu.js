@@ -0,0 +1,89 @@
+/**
+ * @fileoverview "My follow-ups" menu for the lead grid. Lists the signed-in employee's follow-ups
+ * that are due today or overdue, with the last conversation note, and opens a lead's notes
+ * so the recruiter can log the contact and schedule the next one.
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faBell } from '@fortawesome/free-solid-svg-icons';
+import { formatFollowUpDate } from './followUps';
+import './styles/FollowUps.css';
+
+/**
+ * @typedef {Object} FollowUpsMenuProps
+ * @property {Object} followUps - Result of useFollowUps
+ * @property {Function} onOpenLead - Opens the notes of a lead: (followUp) => void
+ */
+
+/**
+ * Renders the follow-ups menu
+ *
+ * @component
+ * @param {FollowUpsMenuProps} props - Component props
+ * @returns {React.ReactElement} The rendered menu
+ */
+const FollowUpsMenu = ({ followUps, onOpenLead }) => {
+  const { followUps: items, loading, error } = followUps;
+  const [isOpen, setIsOpen] = useState(false);
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (menuRef.current && !menuRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  const overdueCount = items.filter(item => item.overdue).length;
+
+  return (
+    <div className="follow-ups-menu" ref={menuRef}>
+      <button className="action-button" onClick={() => setIsOpen(!isOpen)} title="My follow-ups today">
+        <FontAwesomeIcon icon={faBell} />
+        Follow-ups
+        {items.length > 0 && (
+          <span className={`follow-ups-count ${overdueCount > 0 ? 'overdue' : ''}`}>{items.length}</span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="follow-ups-panel">
+          <h4>My follow-ups today</h4>
+          {loading && <p className="follow-ups-empty">Loading follow-ups...</p>}
+          {!loading && error && <p className="follow-ups-empty">Could not load follow-ups: {error}</p>}
+          {!loading && !error && items.length === 0 && (
+            <p className="follow-ups-empty">Nothing due today.</p>
+          )}
+          <ul className="follow-ups-list">
+            {items.map(item => (
+              <li key={item.client_id}>
+                <button
+                  className="follow-ups-item"
+                  onClick={() => {
+                    onOpenLead(item);
+                    setIsOpen(false);
+                  }}
+                >
+                  <span className="follow-ups-name">
+                    {item.name || item.client_id}
+                    {item.stage_name && <span className="follow-ups-stage"> ({item.stage_name})</span>}
+                  </span>
+                  <span className={`follow-up-badge ${item.overdue ? 'overdue' : 'today'}`}>
+                    {item.overdue ? `Overdue since ${formatFollowUpDate(item.next_contact)}` : 'Today'}
+                  </span>
+                  {item.last_note && <span className="follow-ups-note">{item.last_note}</span>}
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FollowUpsMenu;
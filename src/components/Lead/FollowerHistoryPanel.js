@@ -0,0 +1,172 @@
+/**
+ * @fileoverview Growth chart for one lead, drawn from the snapshots stored on every sync.
+ * Shows 30-day growth per platform, flags fast-growing creators with the same threshold the
+ * growth score uses, and charts followers, engagement or recent likes/views over time.
+ */
+
+import React, { useCallback, useEffect, useState } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { toast } from 'react-hot-toast';
+import axios from '../../utils/axiosConfig';
+import { API_ENDPOINTS } from '../../config/api';
+import { useAlgorithmSettings } from '../../contexts/AlgorithmSettingsContext';
+import {
+  HISTORY_METRICS,
+  formatGrowth,
+  getFastGrowthThreshold,
+  getGrowth,
+  getPlatformsWithMetric,
+  toChartData
+} from './followerHistory';
+import './styles/FollowerHistory.css';
+
+/**
+ * @typedef {Object} FollowerHistoryPanelProps
+ * @property {string} clientId - Lead client id
+ * @property {string} [platform] - Only chart this platform key, e.g. 'instagram'
+ * @property {number} [height=260] - Chart height in pixels
+ */
+
+/**
+ * Formats large counts on the chart axis, e.g. 12500 as "12.5K"
+ * @param {number} value - Count
+ * @returns {string} Short count
+ */
+const formatAxisValue = (value) => {
+  if (Math.abs(value) >= 1000000) return `${Number((value / 1000000).toFixed(1))}M`;
+  if (Math.abs(value) >= 1000) return `${Number((value / 1000).toFixed(1))}K`;
+  return String(value);
+};
+
+/**
+ * Renders the growth summary and history chart of a lead
+ *
+ * @component
+ * @param {FollowerHistoryPanelProps} props - Component props
+ * @returns {React.ReactElement} The rendered panel
+ */
+const FollowerHistoryPanel = ({ clientId, platform, height = 260 }) => {
+  const { settings } = useAlgorithmSettings();
+  const [snapshots, setSnapshots] = useState([]);
+  const [metric, setMetric] = useState('followers');
+  const [loading, setLoading] = useState(true);
+  const [isSyncing, setIsSyncing] = useState(false);
+
+  const loadHistory = useCallback(async () => {
+    if (!clientId) return;
+    try {
+      const response = await axios.get(API_ENDPOINTS.LEADS.STATS_HISTORY(clientId));
+      setSnapshots(response.data.snapshots);
+    } catch (error) {
+      console.error('Error loading stats history:', error);
+      toast.error('Failed to load follower history');
+    } finally {
+      setLoading(false);
+    }
+  }, [clientId]);
+
+  useEffect(() => {
+    setLoading(true);
+    loadHistory();
+  }, [loadHistory]);
+
+  /**
+   * Syncs the lead's stats, which stores a new snapshot, then reloads the history
+   * @async
+   * @returns {Promise<void>}
+   */
+  const handleSync = async () => {
+    setIsSyncing(true);
+    try {
+      await axios.post(API_ENDPOINTS.LEADS.SYNC(clientId));
+      await loadHistory();
+      toast.success('Stats synced');
+    } catch (error) {
+      console.error('Error syncing stats:', error);
+      toast.error(`Sync failed: ${error.response?.data?.detail || error.message}`);
+    } finally {
+      setIsSyncing(false);
+    }
+  };
+
+  if (loading) return <div className="follower-history-empty">Loading follower history...</div>;
+
+  const metrics = HISTORY_METRICS.filter(item =>
+    getPlatformsWithMetric(snapshots, item.key).some(entry => !platform || entry.key === platform)
+  );
+  const platforms = getPlatformsWithMetric(snapshots, metric).filter(entry => !platform || entry.key === platform);
+  const suffix = HISTORY_METRICS.find(item => item.key === metric)?.suffix || '';
+  const threshold = getFastGrowthThreshold(settings);
+  const summaries = [
+    ...(platform ? [] : [{ key: 'total', label: 'All platforms' }]),
+    ...getPlatformsWithMetric(snapshots, 'followers').filter(entry => !platform || entry.key === platform)
+  ].map(entry => ({ ...entry, growth: getGrowth(snapshots, entry.key) }));
+  const headline = summaries[0]?.growth?.percent;
+  const isFast = headline !== null && headline !== undefined && headline >= threshold;
+
+  return (
+    <div className="follower-history">
+      <div className="follower-history-header">
+        <div className="follower-history-summary">
+          {summaries.map(entry => (
+            <div key={entry.key} className="follower-history-stat">
+              <span className="follower-history-stat-label">{entry.label}</span>
+              <span className={`follower-history-stat-value ${entry.growth?.percent < 0 ? 'negative' : ''}`}>
+                {formatGrowth(entry.growth?.percent)}
+              </span>
+            </div>
+          ))}
+          {isFast && (
+            <span className="follower-history-fast" title={`Grew ${threshold}% or more in 30 days`}>
+              Fast growing
+            </span>
+          )}
+        </div>
+        <div className="follower-history-controls">
+          <select value={metric} onChange={(e) => setMetric(e.target.value)}>
+            {metrics.map(item => (
+              <option key={item.key} value={item.key}>{item.label}</option>
+            ))}
+          </select>
+          <button type="button" onClick={handleSync} disabled={isSyncing}>
+            {isSyncing ? 'Syncing...' : 'Sync now'}
+          </button>
+        </div>
+      </div>
+
+      {snapshots.length < 2 ? (
+        <div className="follower-history-empty">
+          {snapshots.length === 0
+            ? 'No stats have been synced for this lead yet.'
+            : 'Only one sync so far; growth shows after the next one.'}
+        </div>
+      ) : (
+        <ResponsiveContainer width="100%" height={height}>
+          <LineChart data={toChartData(snapshots, metric)}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="date" />
+            <YAxis tickFormatter={suffix ? (value) => `${value}${suffix}` : formatAxisValue} width={60} />
+            <Tooltip formatter={(value) => `${Number(value).toLocaleString()}${suffix}`} />
+            <Legend />
+            {platforms.map(entry => (
+              <Line
+                key={entry.key}
+                type="monotone"
+                dataKey={entry.key}
+                name={entry.label}
+                stroke={entry.color}
+                dot={false}
+                connectNulls
+              />
+            ))}
+          </LineChart>
+        </ResponsiveContainer>
+      )}
+      <p className="follower-history-note">
+        Growth compares the latest sync with the newest one at least 30 days older, or the oldest sync.
+      </p>
+    </div>
+  );
+};
+
+export default FollowerHistoryPanel;
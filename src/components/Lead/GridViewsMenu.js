@@ -0,0 +1,240 @@
+/**
+ * @fileoverview Saved views menu for the lead grid. Lists the user's own views and the views
+ * the team shared, applies one when picked, and saves the current grid as a new view or over
+ * the active one. Owners can share, rename or delete their views; anyone can make a view
+ * their default.
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faBookmark, faStar } from '@fortawesome/free-solid-svg-icons';
+import { toast } from 'react-hot-toast';
+import './styles/GridViews.css';
+
+/**
+ * @typedef {Object} GridViewsMenuProps
+ * @property {Object} gridViews - Result of useGridViews
+ * @property {import('../../hooks/useGridViews').GridView|null} activeView - View currently applied
+ * @property {Function} onApply - Applies a view to the grid: (view) => void
+ * @property {Function} onChange - Replaces the active view after it was edited, without re-applying it: (view|null) => void
+ * @property {Function} onReset - Goes back to the standard layout
+ * @property {Function} getState - Returns the current GridViewState
+ */
+
+/**
+ * Error message from a failed request
+ * @param {Error} error - Axios error
+ * @returns {string} Message
+ */
+const getErrorMessage = (error) => error.response?.data?.detail || error.message;
+
+/**
+ * Renders the saved views menu
+ *
+ * @component
+ * @param {GridViewsMenuProps} props - Component props
+ * @returns {React.ReactElement} The rendered menu
+ */
+const GridViewsMenu = ({ gridViews, activeView, onApply, onChange, onReset, getState }) => {
+  const { views, defaultViewId, saveView, updateView, deleteView, setDefaultView } = gridViews;
+  const [isOpen, setIsOpen] = useState(false);
+  const [name, setName] = useState('');
+  const [shared, setShared] = useState(false);
+  const [makeDefault, setMakeDefault] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (menuRef.current && !menuRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  const ownViews = views.filter(view => view.is_owner);
+  const sharedViews = views.filter(view => !view.is_owner);
+
+  /**
+   * Saves the current grid as a new view and switches to it
+   * @async
+   * @returns {Promise<void>}
+   */
+  const handleSaveNew = async () => {
+    setIsSaving(true);
+    try {
+      const view = await saveView({ name: name.trim(), state: getState(), shared });
+      if (makeDefault) await setDefaultView(view.view_id);
+      onChange(view);
+      setName('');
+      setShared(false);
+      setMakeDefault(false);
+      toast.success(`Saved view "${view.name}"`);
+    } catch (error) {
+      console.error('Error saving view:', error);
+      toast.error(`Could not save the view: ${getErrorMessage(error)}`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  /**
+   * Runs a change to the active view and reports the outcome
+   * @async
+   * @param {Function} change - Performs the change and returns the success message
+   * @returns {Promise<void>}
+   */
+  const runChange = async (change) => {
+    setIsSaving(true);
+    try {
+      toast.success(await change());
+    } catch (error) {
+      console.error('Error changing view:', error);
+      toast.error(getErrorMessage(error));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleOverwrite = () => runChange(async () => {
+    onChange(await updateView(activeView.view_id, { state: getState() }));
+    return `Updated view "${activeView.name}"`;
+  });
+
+  const handleToggleShare = () => runChange(async () => {
+    const view = await updateView(activeView.view_id, { shared: !activeView.shared });
+    onChange(view);
+    return view.shared ? `"${view.name}" is shared with the team` : `"${view.name}" is private`;
+  });
+
+  const handleRename = () => {
+    const newName = window.prompt('Rename view', activeView.name);
+    if (!newName || !newName.trim() || newName.trim() === activeView.name) return;
+    runChange(async () => {
+      onChange(await updateView(activeView.view_id, { name: newName.trim() }));
+      return `Renamed view to "${newName.trim()}"`;
+    });
+  };
+
+  const handleDelete = () => {
+    if (!window.confirm(`Delete the view "${activeView.name}"?`)) return;
+    runChange(async () => {
+      await deleteView(activeView.view_id);
+      onChange(null);
+      return `Deleted view "${activeView.name}"`;
+    });
+  };
+
+  const handleToggleDefault = () => runChange(async () => {
+    const isDefault = defaultViewId === activeView.view_id;
+    await setDefaultView(isDefault ? null : activeView.view_id);
+    return isDefault ? 'Default view cleared' : `"${activeView.name}" opens by default`;
+  });
+
+  /**
+   * Renders one view in the list
+   * @param {import('../../hooks/useGridViews').GridView} view - Saved view
+   * @returns {React.ReactElement} List item
+   */
+  const renderView = (view) => (
+    <li key={view.view_id}>
+      <button
+        className={`grid-views-item ${activeView?.view_id === view.view_id ? 'active' : ''}`}
+        onClick={() => {
+          onApply(view);
+          setIsOpen(false);
+        }}
+      >
+        <span>{view.name}</span>
+        {view.view_id === defaultViewId && <FontAwesomeIcon icon={faStar} title="Your default view" />}
+        {view.is_owner
+          ? view.shared && <span className="grid-views-badge">Shared</span>
+          : <span className="grid-views-owner">{view.owner_name}</span>}
+      </button>
+    </li>
+  );
+
+  return (
+    <div className="grid-views-menu" ref={menuRef}>
+      <button className="action-button" onClick={() => setIsOpen(!isOpen)} title="Saved views">
+        <FontAwesomeIcon icon={faBookmark} />
+        {activeView ? activeView.name : 'Views'}
+      </button>
+
+      {isOpen && (
+        <div className="grid-views-panel">
+          <button
+            className={`grid-views-item ${activeView ? '' : 'active'}`}
+            onClick={() => {
+              onReset();
+              setIsOpen(false);
+            }}
+          >
+            Standard layout
+          </button>
+
+          <h4>My views</h4>
+          {ownViews.length > 0
+            ? <ul className="grid-views-list">{ownViews.map(renderView)}</ul>
+            : <p className="grid-views-empty">You have no saved views yet.</p>}
+
+          {sharedViews.length > 0 && (
+            <>
+              <h4>Shared by the team</h4>
+              <ul className="grid-views-list">{sharedViews.map(renderView)}</ul>
+            </>
+          )}
+
+          {activeView && (
+            <div className="grid-views-section">
+              <h4>{activeView.name}</h4>
+              <div className="grid-views-actions">
+                {activeView.is_owner && (
+                  <>
+                    <button onClick={handleOverwrite} disabled={isSaving}>Save current layout</button>
+                    <button onClick={handleToggleShare} disabled={isSaving}>
+                      {activeView.shared ? 'Stop sharing' : 'Share with team'}
+                    </button>
+                    <button onClick={handleRename} disabled={isSaving}>Rename</button>
+                  </>
+                )}
+                <button onClick={handleToggleDefault} disabled={isSaving}>
+                  {defaultViewId === activeView.view_id ? 'Clear default' : 'Make default'}
+                </button>
+                {activeView.is_owner && (
+                  <button className="grid-views-danger" onClick={handleDelete} disabled={isSaving}>Delete</button>
+                )}
+              </div>
+            </div>
+          )}
+
+          <div className="grid-views-section">
+            <h4>Save current layout as a new view</h4>
+            <input
+              type="text"
+              className="grid-views-input"
+              placeholder="View name"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+            />
+            <label className="grid-views-option">
+              <input type="checkbox" checked={shared} onChange={(e) => setShared(e.target.checked)} />
+              Share with the team
+            </label>
+            <label className="grid-views-option">
+              <input type="checkbox" checked={makeDefault} onChange={(e) => setMakeDefault(e.target.checked)} />
+              Open by default
+            </label>
+            <button className="grid-views-save" onClick={handleSaveNew} disabled={!name.trim() || isSaving}>
+              Save view
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GridViewsMenu;
@@ -0,0 +1,95 @@
+/**
+ * @fileoverview Dialog that exports the leads currently shown in a view to CSV or XLSX.
+ * The view decides which rows and columns it shows; the dialog only asks whether to export
+ * the visible columns or all of them, and in which format.
+ */
+
+import React, { useState } from 'react';
+import { toast } from 'react-hot-toast';
+import { EXPORT_FORMATS, exportLeads } from './leadExport';
+import './styles/LeadExport.css';
+
+/**
+ * @typedef {Object} LeadExportDialogProps
+ * @property {boolean} isOpen - Whether the dialog is open
+ * @property {Function} onClose - Callback to close the dialog
+ * @property {string} label - What is exported, e.g. the active tab; used in the file name
+ * @property {number} rowCount - Number of leads in the view
+ * @property {string} [description] - What shapes the view, e.g. the search term and sort
+ * @property {Function} getView - Returns the ExportView for a column scope ('visible' or 'all')
+ */
+
+/**
+ * Renders the export dialog
+ *
+ * @component
+ * @param {LeadExportDialogProps} props - Component props
+ * @returns {React.ReactElement|null} The rendered dialog, or null when closed
+ */
+const LeadExportDialog = ({ isOpen, onClose, label, rowCount, description, getView }) => {
+  const [scope, setScope] = useState('visible');
+  const [format, setFormat] = useState('csv');
+
+  if (!isOpen) return null;
+
+  /**
+   * Builds the file and starts the download
+   */
+  const handleExport = () => {
+    try {
+      exportLeads(getView(scope), format, label);
+      toast.success(`Exported ${rowCount} lead${rowCount === 1 ? '' : 's'}`);
+      onClose();
+    } catch (error) {
+      console.error('Error exporting leads:', error);
+      toast.error(`Export failed: ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="lead-export-modal">
+      <div className="lead-export-content">
+        <button className="lead-export-close" onClick={onClose}>&times;</button>
+        <h2>Export Leads</h2>
+        <p className="lead-export-summary">
+          {rowCount} lead{rowCount === 1 ? '' : 's'} from {label}{description ? `, ${description}` : ''}.
+        </p>
+
+        <fieldset className="lead-export-group">
+          <legend>Columns</legend>
+          <label className="lead-export-option">
+            <input type="radio" checked={scope === 'visible'} onChange={() => setScope('visible')} />
+            Visible columns, in their current order
+          </label>
+          <label className="lead-export-option">
+            <input type="radio" checked={scope === 'all'} onChange={() => setScope('all')} />
+            All columns, including hidden ones
+          </label>
+        </fieldset>
+
+        <fieldset className="lead-export-group">
+          <legend>Format</legend>
+          {Object.entries(EXPORT_FORMATS).map(([key, formatLabel]) => (
+            <label key={key} className="lead-export-option">
+              <input type="radio" checked={format === key} onChange={() => setFormat(key)} />
+              {formatLabel}
+            </label>
+          ))}
+        </fieldset>
+
+        <p className="lead-export-note">
+          Performance_Score, Rank and Stored_Score are added after the chosen columns.
+        </p>
+
+        <div className="lead-export-actions">
+          <button className="lead-export-secondary" onClick={onClose}>Cancel</button>
+          <button className="lead-export-primary" onClick={handleExport} disabled={rowCount === 0}>
+            Export
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LeadExportDialog;
@@ -0,0 +1,351 @@
+/**
+ * @fileoverview Import wizard for leads from a CSV or XLSX file. The file is parsed in the
+ * browser, columns are mapped to lead fields, every row is validated and checked for
+ * duplicates, and a dry run on the server previews the result before the leads are created
+ * in batches.
+ */
+
+import React, { useState } from 'react';
+import { toast } from 'react-hot-toast';
+import axios from '../../utils/axiosConfig';
+import { API_ENDPOINTS } from '../../config/api';
+import { readSpreadsheet } from '../../utils/spreadsheet';
+import { IMPORT_FIELDS, guessMapping, prepareImport } from './leadImport';
+import './styles/LeadImport.css';
+
+/** @type {number} Leads sent per import request */
+const IMPORT_BATCH_SIZE = 200;
+
+/** @type {number} Preview rows rendered at once */
+const PREVIEW_LIMIT = 200;
+
+/**
+ * @typedef {Object} LeadImportWizardProps
+ * @property {boolean} isOpen - Whether the wizard is open
+ * @property {Function} onClose - Callback to close the wizard
+ * @property {Array<Object>} leads - Existing leads, used for duplicate checks
+ * @property {Function} [onImported] - Called after leads were created
+ */
+
+/** @type {Object<string, string>} Labels for row statuses */
+const STATUS_LABELS = {
+  ready: 'Ready',
+  duplicate: 'Duplicate',
+  invalid: 'Invalid'
+};
+
+/**
+ * Short description of an imported lead for the preview table
+ * @param {Object} lead - Normalized lead fields
+ * @returns {string} Summary
+ */
+const describeLead = (lead) => {
+  const name = lead.Stage_Name || [lead.First_Legal_Name, lead.Last_Legal_Name].filter(Boolean).join(' ');
+  const handles = [
+    lead.Snap_Username && `SC @${lead.Snap_Username}`,
+    lead.IG_Username && `IG @${lead.IG_Username}`,
+    lead.TT_Username && `TT @${lead.TT_Username}`,
+    lead.YT_Username && `YT ${lead.YT_Username}`
+  ].filter(Boolean).join(', ');
+  return [name, handles || lead.Email_Address].filter(Boolean).join(' · ');
+};
+
+/**
+ * Renders the import wizard
+ *
+ * @component
+ * @param {LeadImportWizardProps} props - Component props
+ * @returns {React.ReactElement|null} The rendered wizard, or null when closed
+ */
+const LeadImportWizard = ({ isOpen, onClose, leads, onImported }) => {
+  const [step, setStep] = useState('upload');
+  const [fileName, setFileName] = useState('');
+  const [sheet, setSheet] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [rows, setRows] = useState([]);
+  const [dryRun, setDryRun] = useState({});
+  const [includeDuplicates, setIncludeDuplicates] = useState(false);
+  const [isWorking, setIsWorking] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+
+  if (!isOpen) return null;
+
+  /**
+   * Resets the wizard and closes it
+   */
+  const handleClose = () => {
+    setStep('upload');
+    setFileName('');
+    setSheet(null);
+    setRows([]);
+    setDryRun({});
+    setResult(null);
+    setProgress(null);
+    setError('');
+    onClose();
+  };
+
+  /**
+   * Parses the chosen file and suggests a column mapping
+   * @async
+   * @param {React.ChangeEvent<HTMLInputElement>} e - File input change event
+   * @returns {Promise<void>}
+   */
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    setError('');
+    try {
+      const parsed = await readSpreadsheet(file);
+      if (parsed.rows.length === 0) {
+        setError('The file has a header row but no data.');
+        return;
+      }
+      setFileName(file.name);
+      setSheet(parsed);
+      setMapping(guessMapping(parsed.headers));
+      setStep('map');
+    } catch (err) {
+      console.error('Error reading import file:', err);
+      setError(err.message);
+    }
+  };
+
+  const importable = (items) =>
+    items.filter(item => item.status === 'ready' || (includeDuplicates && item.status === 'duplicate'));
+
+  /**
+   * Validates the mapped rows and asks the server for a dry run of the valid ones
+   * @async
+   * @returns {Promise<void>}
+   */
+  const handlePreview = async () => {
+    const prepared = prepareImport(sheet.rows, mapping, leads);
+    const candidates = prepared.filter(item => item.status !== 'invalid');
+    setIsWorking(true);
+    try {
+      const response = await axios.post(API_ENDPOINTS.LEADS.IMPORT, {
+        leads: candidates.map(item => item.lead),
+        dry_run: true
+      });
+      const outcome = {};
+      response.data.created.forEach(({ index, client_id }) => {
+        outcome[candidates[index].row] = { clientId: client_id };
+      });
+      response.data.errors.forEach(({ index, detail }) => {
+        outcome[candidates[index].row] = { error: detail };
+      });
+      setRows(prepared.map(item => (outcome[item.row]?.error
+        ? { ...item, status: 'invalid', errors: [...item.errors, outcome[item.row].error] }
+        : item)));
+      setDryRun(outcome);
+      setStep('preview');
+    } catch (err) {
+      console.error('Error running import dry run:', err);
+      toast.error(`Dry run failed: ${err.response?.data?.detail || err.message}`);
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  /**
+   * Creates the importable rows in batches
+   * @async
+   * @returns {Promise<void>}
+   */
+  const handleImport = async () => {
+    const toImport = importable(rows);
+    const summary = { created: 0, failed: [] };
+    setIsWorking(true);
+    setProgress({ done: 0, total: toImport.length });
+
+    for (let start = 0; start < toImport.length; start += IMPORT_BATCH_SIZE) {
+      const batch = toImport.slice(start, start + IMPORT_BATCH_SIZE);
+      try {
+        const response = await axios.post(API_ENDPOINTS.LEADS.IMPORT, {
+          leads: batch.map(item => item.lead)
+        });
+        summary.created += response.data.created.length;
+        response.data.errors.forEach(({ index, detail }) => {
+          summary.failed.push({ row: batch[index].row, detail });
+        });
+      } catch (err) {
+        const detail = err.response?.data?.detail || err.message;
+        batch.forEach(item => summary.failed.push({ row: item.row, detail }));
+      }
+      setProgress({ done: Math.min(start + IMPORT_BATCH_SIZE, toImport.length), total: toImport.length });
+    }
+
+    setIsWorking(false);
+    setResult(summary);
+    setStep('done');
+    if (summary.created > 0) {
+      toast.success(`Imported ${summary.created} lead${summary.created === 1 ? '' : 's'}`);
+      onImported?.();
+    }
+  };
+
+  const usedFields = Object.values(mapping).filter(Boolean);
+  const counts = rows.reduce((acc, item) => ({ ...acc, [item.status]: (acc[item.status] || 0) + 1 }), {});
+  const importCount = importable(rows).length;
+
+  return (
+    <div className="lead-import-modal">
+      <div className="lead-import-content">
+        <button className="lead-import-close" onClick={handleClose}>&times;</button>
+        <h2>Import Leads</h2>
+
+        {step === 'upload' && (
+          <div className="lead-import-step">
+            <p>Choose a CSV or XLSX file. The first row must contain column headers; only the first sheet of a workbook is read.</p>
+            <input type="file" accept=".csv,.tsv,.txt,.xlsx" onChange={handleFileChange} />
+            {error && <p className="lead-import-error">{error}</p>}
+          </div>
+        )}
+
+        {step === 'map' && (
+          <div className="lead-import-step">
+            <p>{fileName}: {sheet.rows.length} rows. Map each column to a lead field, or skip it.</p>
+            <table className="lead-import-table">
+              <thead>
+                <tr>
+                  <th>Column</th>
+                  <th>Example</th>
+                  <th>Lead field</th>
+                </tr>
+              </thead>
+              <tbody>
+                {sheet.headers.map(header => (
+                  <tr key={header}>
+                    <td>{header}</td>
+                    <td className="lead-import-sample">{sheet.rows.find(row => row[header])?.[header] || '—'}</td>
+                    <td>
+                      <select
+                        value={mapping[header]}
+                        onChange={(e) => setMapping(prev => ({ ...prev, [header]: e.target.value }))}
+                      >
+                        <option value="">Skip</option>
+                        {IMPORT_FIELDS.map(field => (
+                          <option
+                            key={field.key}
+                            value={field.key}
+                            disabled={field.key !== mapping[header] && usedFields.includes(field.key)}
+                          >
+                            {field.label}
+                          </option>
+                        ))}
+                      </select>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div className="lead-import-actions">
+              <button className="lead-import-secondary" onClick={() => setStep('upload')}>Back</button>
+              <button
+                className="lead-import-primary"
+                onClick={handlePreview}
+                disabled={usedFields.length === 0 || isWorking}
+              >
+                {isWorking ? 'Checking...' : 'Preview import'}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {step === 'preview' && (
+          <div className="lead-import-step">
+            <p className="lead-import-summary">
+              Dry run: {counts.ready || 0} ready, {counts.duplicate || 0} duplicates, {counts.invalid || 0} invalid.
+              Nothing has been saved yet.
+            </p>
+            <label className="lead-import-option">
+              <input
+                type="checkbox"
+                checked={includeDuplicates}
+                onChange={(e) => setIncludeDuplicates(e.target.checked)}
+              />
+              Also import rows flagged as duplicates
+            </label>
+            <table className="lead-import-table">
+              <thead>
+                <tr>
+                  <th>Row</th>
+                  <th>Status</th>
+                  <th>Lead</th>
+                  <th>Client ID</th>
+                  <th>Issues</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.slice(0, PREVIEW_LIMIT).map(item => (
+                  <tr key={item.row}>
+                    <td>{item.row}</td>
+                    <td>
+                      <span className={`lead-import-status lead-import-status--${item.status}`}>
+                        {STATUS_LABELS[item.status]}
+                      </span>
+                    </td>
+                    <td>{describeLead(item.lead) || '—'}</td>
+                    <td>{dryRun[item.row]?.clientId || '—'}</td>
+                    <td className="lead-import-issues">
+                      {[
+                        ...item.errors,
+                        ...(item.duplicateOf ? [`Matches ${item.duplicateOf}`] : []),
+                        ...item.warnings
+                      ].join('; ') || '—'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {rows.length > PREVIEW_LIMIT && (
+              <p className="lead-import-note">Showing the first {PREVIEW_LIMIT} of {rows.length} rows.</p>
+            )}
+            {progress && (
+              <div className="lead-import-progress">
+                <progress value={progress.done} max={progress.total} />
+                <span>{progress.done} / {progress.total}</span>
+              </div>
+            )}
+            <div className="lead-import-actions">
+              <button className="lead-import-secondary" onClick={() => setStep('map')} disabled={isWorking}>
+                Back
+              </button>
+              <button
+                className="lead-import-primary"
+                onClick={handleImport}
+                disabled={importCount === 0 || isWorking}
+              >
+                {isWorking ? 'Importing...' : `Import ${importCount} lead${importCount === 1 ? '' : 's'}`}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {step === 'done' && result && (
+          <div className="lead-import-step">
+            <p className="lead-import-summary">
+              Created {result.created} lead{result.created === 1 ? '' : 's'}.
+              {result.failed.length > 0 && ` ${result.failed.length} failed:`}
+            </p>
+            {result.failed.length > 0 && (
+              <ul className="lead-import-failures">
+                {result.failed.map(item => (
+                  <li key={item.row}>Row {item.row}: {item.detail}</li>
+                ))}
+              </ul>
+            )}
+            <div className="lead-import-actions">
+              <button className="lead-import-primary" onClick={handleClose}>Done</button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LeadImportWizard;
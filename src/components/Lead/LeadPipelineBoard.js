@@ -0,0 +1,175 @@
+/**
+ * @fileoverview Kanban view of the lead pipeline. One column per stage; dragging a card to
+ * another column moves the lead to that stage. Cards show the lead's score, assignees and
+ * how long it has been in its current stage.
+ */
+
+import React, { useEffect, useMemo, useState } from 'react';
+import { DragDropContext, Droppable, Draggable } from '@hello-pangea/dnd';
+import axios from '../../utils/axiosConfig';
+import { API_ENDPOINTS } from '../../config/api';
+import { useAlgorithmSettings } from '../../contexts/AlgorithmSettingsContext';
+import ClientLink from '../Client360/ClientLink';
+import { calculateScore, getScoreTier } from './performanceCalculator';
+import { BOARD_STAGES, getLeadStage, getDaysInStage, getTimeToSign } from './leadPipeline';
+import './styles/LeadPipeline.css';
+
+/**
+ * @typedef {Object} LeadPipelineBoardProps
+ * @property {Array<Object>} leads - Leads to place on the board
+ * @property {Function} onMoveLead - Called with (lead, stageKey) when a card is dropped in another column
+ */
+
+/**
+ * Display name for a lead card
+ * @param {Object} lead - Lead record
+ * @returns {string} Name
+ */
+const getLeadName = (lead) =>
+  lead.Stage_Name ||
+  [lead.First_Legal_Name, lead.Last_Legal_Name].filter(Boolean).join(' ') ||
+  lead.client_id;
+
+/**
+ * Formats the time a lead has spent in its stage
+ * @param {number|null} days - Whole days
+ * @returns {string} Label
+ */
+const formatDaysInStage = (days) => {
+  if (days === null) return 'Time in stage unknown';
+  if (days === 0) return 'Entered today';
+  return `${days} day${days === 1 ? '' : 's'} in stage`;
+};
+
+/**
+ * Renders the pipeline board
+ *
+ * @component
+ * @param {LeadPipelineBoardProps} props - Component props
+ * @returns {React.ReactElement} The rendered board
+ */
+const LeadPipelineBoard = ({ leads, onMoveLead }) => {
+  const { settings } = useAlgorithmSettings();
+  const [employeeNames, setEmployeeNames] = useState({});
+
+  const assigneeIds = useMemo(
+    () => [...new Set(leads.flatMap(lead => lead.assigned_employees || []))].sort().join(','),
+    [leads]
+  );
+
+  useEffect(() => {
+    if (!assigneeIds) return;
+
+    const loadEmployees = async () => {
+      try {
+        const response = await axios.get(API_ENDPOINTS.EMPLOYEES.GET_ASSIGNED, {
+          params: { user_ids: assigneeIds }
+        });
+        const names = {};
+        response.data.forEach(employee => {
+          names[employee.user_id] = `${employee.first_name} ${employee.last_name}`.trim();
+        });
+        setEmployeeNames(names);
+      } catch (error) {
+        console.error('Error loading assigned employees:', error);
+      }
+    };
+
+    loadEmployees();
+  }, [assigneeIds]);
+
+  const columns = useMemo(() => {
+    const grouped = Object.fromEntries(BOARD_STAGES.map(stage => [stage.key, []]));
+    leads.forEach(lead => {
+      grouped[getLeadStage(lead)].push({
+        lead,
+        score: settings ? calculateScore(lead, settings).total : null,
+        daysInStage: getDaysInStage(lead)
+      });
+    });
+    Object.values(grouped).forEach(cards =>
+      cards.sort((a, b) => (b.score ?? 0) - (a.score ?? 0))
+    );
+    return grouped;
+  }, [leads, settings]);
+
+  const averageTimeToSign = useMemo(() => {
+    const times = leads.map(getTimeToSign).filter(days => days !== null);
+    return times.length ? Math.round((times.reduce((sum, days) => sum + days, 0) / times.length) * 10) / 10 : null;
+  }, [leads]);
+
+  /**
+   * Moves the dropped lead to the column it was dropped on
+   * @param {Object} result - Drag result from @hello-pangea/dnd
+   */
+  const handleDragEnd = ({ source, destination, draggableId }) => {
+    if (!destination || destination.droppableId === source.droppableId) return;
+    const card = columns[source.droppableId].find(item => item.lead.client_id === draggableId);
+    if (card) {
+      onMoveLead(card.lead, destination.droppableId);
+    }
+  };
+
+  return (
+    <div className="pipeline-board">
+      <div className="pipeline-summary">
+        {averageTimeToSign === null
+          ? 'Time-to-sign is measured once leads are moved to Signed on this board.'
+          : `Average time to sign: ${averageTimeToSign} days`}
+      </div>
+      <DragDropContext onDragEnd={handleDragEnd}>
+        <div className="pipeline-columns">
+          {BOARD_STAGES.map(stage => (
+            <Droppable key={stage.key} droppableId={stage.key}>
+              {(provided, snapshot) => (
+                <div
+                  ref={provided.innerRef}
+                  {...provided.droppableProps}
+                  className={`pipeline-column pipeline-column--${stage.key} ${snapshot.isDraggingOver ? 'pipeline-column--over' : ''}`}
+                >
+                  <div className="pipeline-column-header">
+                    <span>{stage.label}</span>
+                    <span className="pipeline-count">{columns[stage.key].length}</span>
+                  </div>
+                  {columns[stage.key].map(({ lead, score, daysInStage }, index) => (
+                    <Draggable key={lead.client_id} draggableId={lead.client_id} index={index}>
+                      {(dragProvided, dragSnapshot) => (
+                        <div
+                          ref={dragProvided.innerRef}
+                          {...dragProvided.draggableProps}
+                          {...dragProvided.dragHandleProps}
+                          className={`pipeline-card ${dragSnapshot.isDragging ? 'pipeline-card--dragging' : ''}`}
+                        >
+                          <div className="pipeline-card-title">
+                            <ClientLink clientId={lead.client_id}>{getLeadName(lead)}</ClientLink>
+                            {score !== null && (
+                              <span
+                                className="pipeline-score"
+                                style={{ backgroundColor: getScoreTier(score).color }}
+                              >
+                                {score}
+                              </span>
+                            )}
+                          </div>
+                          <div className="pipeline-card-meta">
+                            {(lead.assigned_employees || []).length
+                              ? lead.assigned_employees.map(id => employeeNames[id] || id).join(', ')
+                              : 'Unassigned'}
+                          </div>
+                          <div className="pipeline-card-meta">{formatDaysInStage(daysInStage)}</div>
+                        </div>
+                      )}
+                    </Draggable>
+                  ))}
+                  {provided.placeholder}
+                </div>
+              )}
+            </Droppable>
+          ))}
+        </div>
+      </DragDropContext>
+    </div>
+  );
+};
+
+export default LeadPipelineBoard;
@@ -0,0 +1,130 @@
+/**
+ * @fileoverview Activity timeline of one lead: notes, tasks, contract versions, approval changes
+ * and payout email syncs in one chronological list, filterable by event type.
+ */
+
+import React, { useCallback, useEffect, useState } from 'react';
+import { format } from 'date-fns';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import {
+  faNoteSticky,
+  faListCheck,
+  faFileSignature,
+  faCheckCircle,
+  faMoneyBill,
+  faSync
+} from '@fortawesome/free-solid-svg-icons';
+import { TIMELINE_EVENT_TYPES, loadLeadTimeline } from './timelineEvents';
+import './styles/LeadTimeline.css';
+
+/**
+ * Icon per event type
+ * @type {Object<string, Object>}
+ */
+const EVENT_ICONS = {
+  note: faNoteSticky,
+  task: faListCheck,
+  contract: faFileSignature,
+  approval: faCheckCircle,
+  payout: faMoneyBill
+};
+
+/**
+ * @typedef {Object} LeadTimelineProps
+ * @property {string} clientId - Lead client id
+ */
+
+/**
+ * Renders the activity timeline of a lead
+ *
+ * @component
+ * @param {LeadTimelineProps} props - Component props
+ * @returns {React.ReactElement} The rendered timeline
+ */
+const LeadTimeline = ({ clientId }) => {
+  const [events, setEvents] = useState([]);
+  const [failed, setFailed] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [hiddenTypes, setHiddenTypes] = useState([]);
+
+  const load = useCallback(async () => {
+    if (!clientId) return;
+    setLoading(true);
+    const timeline = await loadLeadTimeline(clientId);
+    setEvents(timeline.events);
+    setFailed(timeline.failed);
+    setLoading(false);
+  }, [clientId]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  /**
+   * Shows or hides one event type
+   * @param {string} type - Event type key
+   */
+  const toggleType = (type) => {
+    setHiddenTypes(prev => (prev.includes(type) ? prev.filter(item => item !== type) : [...prev, type]));
+  };
+
+  const visibleEvents = events.filter(event => !hiddenTypes.includes(event.type));
+
+  return (
+    <div className="lead-timeline">
+      <div className="lead-timeline-toolbar">
+        <div className="lead-timeline-filters">
+          {TIMELINE_EVENT_TYPES.map(type => (
+            <button
+              key={type.key}
+              type="button"
+              className={`lead-timeline-filter ${hiddenTypes.includes(type.key) ? '' : 'active'}`}
+              onClick={() => toggleType(type.key)}
+            >
+              <FontAwesomeIcon icon={EVENT_ICONS[type.key]} />
+              {type.label}
+              <span className="lead-timeline-count">
+                {events.filter(event => event.type === type.key).length}
+              </span>
+            </button>
+          ))}
+        </div>
+        <button type="button" className="lead-timeline-refresh" onClick={load} disabled={loading} title="Refresh">
+          <FontAwesomeIcon icon={faSync} spin={loading} />
+        </button>
+      </div>
+
+      {failed.length > 0 && (
+        <div className="lead-timeline-warning">Could not load {failed.join(', ')}.</div>
+      )}
+
+      {loading && events.length === 0 ? (
+        <div className="lead-timeline-empty">Loading activity...</div>
+      ) : visibleEvents.length === 0 ? (
+        <div className="lead-timeline-empty">
+          {events.length === 0 ? 'No activity recorded yet.' : 'No activity of the selected types.'}
+        </div>
+      ) : (
+        <ol className="lead-timeline-list">
+          {visibleEvents.map(event => (
+            <li key={event.id} className={`lead-timeline-event ${event.type}`}>
+              <span className="lead-timeline-icon">
+                <FontAwesomeIcon icon={EVENT_ICONS[event.type]} />
+              </span>
+              <div className="lead-timeline-body">
+                <div className="lead-timeline-title">{event.title}</div>
+                {event.detail && <div className="lead-timeline-detail">{event.detail}</div>}
+                <div className="lead-timeline-meta">
+                  <span>{event.actor || 'Unknown'}</span>
+                  <span>{format(new Date(event.timestamp), 'MMM d, yyyy h:mm a')}</span>
+                </div>
+              </div>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+export default LeadTimeline;
@@ -2,11 +2,11 @@ import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react'
 import { AgGridReact } from 'ag-grid-react';
 import 'ag-grid-community/styles/ag-grid.css';
 import 'ag-grid-community/styles/ag-theme-alpine.css';
-import { getCurrentUser, fetchAuthSession } from 'aws-amplify/auth';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
-import { faPencilAlt, faTrashAlt, faSync, faCompress, faExpand, faNoteSticky, faShare, faComments, faCog, faChartLine, faFileSignature, faPlus, faDownload, faUsers, faFileAlt, faClock, faDollarSign, faUser, faSpinner, faExclamationTriangle, faCaretDown, faBook, faClipboardList, faUserTie } from '@fortawesome/free-solid-svg-icons';
+import { faPencilAlt, faTrashAlt, faSync, faCompress, faExpand, faNoteSticky, faShare, faComments, faCog, faChartLine, faFileSignature, faPlus, faDownload, faUsers, faFileAlt, faClock, faDollarSign, faUser, faSpinner, faExclamationTriangle, faCaretDown, faBook, faClipboardList, faUserTie, faClone, faFileImport, faUserCheck } from '@fortawesome/free-solid-svg-icons';
 import { API_ENDPOINTS } from '../../config/api';
-import axios from 'axios';
+import { getRuntimeConfig } from '../../config/runtimeConfig';
+import axios from '../../utils/axiosConfig';
 import './styles/LeadTracker.css';
 import './styles/Contracting.css';
 import { 
@@ -16,40 +16,48 @@ import {
 import NotesModal from './NotesModal';
 import EditModal from './EditModal';
 import AlgorithmControls from './AlgorithmControls';
-import { Link, useNavigate } from 'react-router-dom';
+import DuplicateFinder from './DuplicateFinder';
+import AssignmentRules from './AssignmentRules';
+import BulkActionsBar from './BulkActionsBar';
+import LeadImportWizard from './LeadImportWizard';
+import LeadExportDialog from './LeadExportDialog';
+import GridViewsMenu from './GridViewsMenu';
+import useGridViews from '../../hooks/useGridViews';
+import FollowUpsMenu from './FollowUpsMenu';
+import useFollowUps from '../../hooks/useFollowUps';
+import { formatFollowUpDate, getFollowUpState, isFirstContactOverdue } from './followUps';
+import StatsRefreshMenu from './StatsRefreshMenu';
+import useStatsRefresh from '../../hooks/useStatsRefresh';
+import { findStaleLeads, formatStatsAge, isStatsStale } from './statsRefresh';
+import { describeStatusFlags, getGridView, getScoreColumns } from './leadExport';
+import ScoreBreakdownCell from './ScoreBreakdownCell';
+import LeadPipelineBoard from './LeadPipelineBoard';
+import { buildStageUpdate, withStageHistory, BOARD_STAGES } from './leadPipeline';
+import { Link, useSearchParams } from 'react-router-dom';
 import Dashboard from './Dashboard';
 import ContractModal from './ContractModal';
 import TaskGrid from '../TaskManager/TaskGrid';
 import UploadTracker from '../UploadTracker/UploadTracker';
 import TikTokDownloadModal from './TikTokDownloadModal';
 import PartnersModal from './PartnersModal';
-import { signOut } from 'aws-amplify/auth';
 import AnalyticsDashboard from '../Analytics/AnalyticsDashboard';
 import AdminSurvey from '../survey/AdminDashboard';
 import EmployeeDashboard from '../Employee/EmployeeDashboard';
 import { toast } from 'react-hot-toast';
+import ClientLink from '../Client360/ClientLink';
 import { useAuth } from '../../contexts/AuthContext';
+import { useAlgorithmSettings } from '../../contexts/AlgorithmSettingsContext';
+import { calculateScore } from './performanceCalculator';
+import { formatGrowth, getFastGrowthThreshold, isFastGrowing } from './followerHistory';
 
-// Define base URL directly to ensure it's available
-const API_BASE_URL = 'https://track.snapped.cc';
+// Base URL of the tracking API from the active config profile
+const API_BASE_URL = getRuntimeConfig().apiBaseUrl;
 
 // Register the required modules
 ModuleRegistry.registerModules([
   ClientSideRowModelModule
 ]);
 
-// Add this after your imports, before the EditModal component
-axios.interceptors.request.use(async (config) => {
-  try {
-    const { tokens } = await fetchAuthSession();
-    const token = tokens.idToken.toString();
-    config.headers.Authorization = `Bearer ${token}`;
-  } catch (error) {
-    console.error('Error getting auth token:', error);
-  }
-  return config;
-});
-
 const SocialLinksModal = ({ isOpen, onClose, data }) => {
   if (!isOpen) return null;
 
@@ -182,9 +190,23 @@ const TAB_FILTERS = {
 };
 
 const LeadTracker = () => {
-  const { user } = useAuth();
-  const [isAdmin, setIsAdmin] = useState(false);
+  const { user, can } = useAuth();
+  const isAdmin = can('VIEW_ADMIN_SHEETS');
+  const { settings: algorithmSettings } = useAlgorithmSettings();
+  const gridViews = useGridViews();
+  const followUps = useFollowUps();
   const [rowData, setRowData] = useState([]);
+  // Synced leads come back with fresh stats; merge them into their rows as each batch finishes
+  const statsRefresh = useStatsRefresh({
+    leads: rowData,
+    enabled: can('MANAGE_STATS_REFRESH'),
+    onLeadsSynced: (synced) => setRowData(prevData => prevData.map(row => {
+      const lead = synced.find(item => item.client_id === row.client_id);
+      return lead ? { ...row, ...lead } : row;
+    }))
+  });
+  const staleAfterDays = statsRefresh.settings.stale_after_days;
+  const staleCount = useMemo(() => findStaleLeads(rowData, staleAfterDays).length, [rowData, staleAfterDays]);
   const [gridApi, setGridApi] = useState(null);
   const [columnApi, setColumnApi] = useState(null);
   const [isFullscreen, setIsFullscreen] = useState(false);
@@ -207,6 +229,14 @@ const LeadTracker = () => {
   const [selectedTiktokClient, setSelectedTiktokClient] = useState(null);
   const [partners, setPartners] = useState([]);
   const [showPartnersModal, setShowPartnersModal] = useState(false);
+  const [showDuplicateFinder, setShowDuplicateFinder] = useState(false);
+  const [showAssignmentRules, setShowAssignmentRules] = useState(false);
+  const [showImportWizard, setShowImportWizard] = useState(false);
+  const [showExportDialog, setShowExportDialog] = useState(false);
+  const [activeView, setActiveView] = useState(null);
+  const [appliedViewState, setAppliedViewState] = useState(null);
+  const defaultViewOpenedRef = useRef(false);
+  const [selectedLeads, setSelectedLeads] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [totalViews, setTotalViews] = useState({
     all: 0,
@@ -219,7 +249,7 @@ const LeadTracker = () => {
   const [partnersLoading, setPartnersLoading] = useState(true);
   const [error, setError] = useState(null);
   const [isSheetDropdownOpen, setIsSheetDropdownOpen] = useState(false);
-  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
   const [lastFetchTime, setLastFetchTime] = useState(0);
   const FETCH_COOLDOWN = 5000; // 5 seconds cooldown
   const [moreMenuOpen, setMoreMenuOpen] = useState(false);
@@ -237,6 +267,51 @@ const LeadTracker = () => {
     setSearchTerm('');
   }, []);
 
+  // Switch to a saved view; the grid part is applied once the grid is ready
+  const applyView = useCallback((view) => {
+    setActiveView(view);
+    setAppliedViewState(view.state);
+    setActiveTab(view.state.activeTab in TAB_FILTERS ? view.state.activeTab : 'All Leads');
+    setSearchTerm(view.state.searchTerm || '');
+  }, []);
+
+  const resetView = () => {
+    setActiveView(null);
+    setAppliedViewState(null);
+    setActiveTab('All Leads');
+    setSearchTerm('');
+    if (gridApi) {
+      gridApi.resetColumnState();
+      gridApi.setFilterModel(null);
+    }
+  };
+
+  const captureViewState = () => ({
+    columnState: gridApi ? gridApi.getColumnState() : [],
+    filterModel: gridApi ? gridApi.getFilterModel() : {},
+    activeTab,
+    searchTerm
+  });
+
+  // Columns, sort and filters of the applied view; runs again when the grid is mounted anew
+  useEffect(() => {
+    if (!gridApi || !appliedViewState) return;
+    gridApi.applyColumnState({
+      state: appliedViewState.columnState || [],
+      applyOrder: true,
+      defaultState: { sort: null }
+    });
+    gridApi.setFilterModel(appliedViewState.filterModel || null);
+  }, [gridApi, appliedViewState]);
+
+  // Open the user's default view once the saved views have loaded
+  useEffect(() => {
+    if (gridViews.loading || defaultViewOpenedRef.current) return;
+    defaultViewOpenedRef.current = true;
+    const defaultView = gridViews.views.find(view => view.view_id === gridViews.defaultViewId);
+    if (defaultView) applyView(defaultView);
+  }, [gridViews.loading, gridViews.views, gridViews.defaultViewId, applyView]);
+
   // Memoized filtered data calculation
   const filteredData = useMemo(() => {
     console.log('Starting filter calculation:', {
@@ -328,6 +403,21 @@ const LeadTracker = () => {
     }
   }, [gridApi, filteredData]);
 
+  // Re-score and re-sort the grid whenever the active algorithm settings change
+  useEffect(() => {
+    if (gridApi && algorithmSettings) {
+      gridApi.refreshCells({ force: true, columns: ['SCORE', 'GROWTH'] });
+      gridApi.onSortChanged();
+    }
+  }, [gridApi, algorithmSettings]);
+
+  // Re-mark stale stats when the staleness threshold changes
+  useEffect(() => {
+    if (gridApi) {
+      gridApi.refreshCells({ force: true, columns: ['SCORE', 'GROWTH', 'stats_updated'] });
+    }
+  }, [gridApi, staleAfterDays]);
+
   // Remove the duplicate useEffect for filtering data
   useEffect(() => {
     console.log('Filtering data:', { activeTab, rowDataLength: rowData?.length });
@@ -338,36 +428,19 @@ const LeadTracker = () => {
     }
   }, [activeTab, rowData]);
 
-  // Fix the useEffect to correctly access token payload
-  useEffect(() => {
-    const checkAdminStatus = async () => {
-      try {
-        const { tokens } = await fetchAuthSession();
-        const groups = tokens.accessToken.payload['cognito:groups'] || [];
-        console.log('Cognito groups:', groups); // Debug log
-        setIsAdmin(groups.includes('ADMIN'));
-      } catch (error) {
-        console.error('Error checking admin status:', error);
-        setIsAdmin(false);
-      }
-    };
-    
-    if (user) {
-      checkAdminStatus();
-    }
-  }, [user]);
-
-  // Add debug log to help troubleshoot
-  useEffect(() => {
-    console.log('Admin status:', isAdmin);
-  }, [isAdmin]);
+  // A conversation note was added or removed: show the lead's new follow-up and refresh "my follow-ups"
+  const handleFollowUpChange = (clientId, followUp) => {
+    setRowData(prevData =>
+      prevData.map(row => (row.client_id === clientId ? { ...row, ...followUp } : row))
+    );
+    followUps.reload();
+  };
 
   // Handle status changes (checkboxes)
   const handleStatusChange = async (leadId, field, value) => {
     try {
-      const updateData = {
-        [field]: value
-      };
+      const lead = rowData.find(row => row.client_id === leadId) || {};
+      const updateData = withStageHistory(lead, { [field]: value }, user?.signInDetails?.loginId || user?.username);
       
       console.log('Sending status update:', {
         leadId,
@@ -379,7 +452,7 @@ const LeadTracker = () => {
       // Update UI optimistically
       setRowData(prevData => 
         prevData.map(row => 
-          row.client_id === leadId ? { ...row, [field]: value } : row
+          row.client_id === leadId ? { ...row, ...updateData } : row
         )
       );
 
@@ -412,6 +485,54 @@ const LeadTracker = () => {
     }
   };
 
+  // Reload after a bulk run; rows that failed stay selected so they can be retried
+  const handleBulkComplete = async ({ succeeded }) => {
+    await fetchLeads();
+    if (gridApi) {
+      const succeededIds = new Set(succeeded.map(lead => lead.client_id));
+      gridApi.forEachNode(node => {
+        if (succeededIds.has(node.data?.client_id)) {
+          node.setSelected(false);
+        }
+      });
+    }
+  };
+
+  // Search term and sort of the grid, shown in the export dialog
+  const describeExportView = () => {
+    const sorted = (gridApi?.getColumnState() || [])
+      .filter(column => column.sort)
+      .sort((a, b) => (a.sortIndex ?? 0) - (b.sortIndex ?? 0))
+      .map(column => `${gridApi.getDisplayNameForColumn(gridApi.getColumn(column.colId), null)} ${column.sort}`);
+    return [
+      searchTerm && `matching "${searchTerm}"`,
+      sorted.length > 0 && `sorted by ${sorted.join(', ')}`
+    ].filter(Boolean).join(', ');
+  };
+
+  // Move a lead to another pipeline stage from the board
+  const handleStageMove = async (lead, stageKey) => {
+    const updateData = buildStageUpdate(lead, stageKey, user?.signInDetails?.loginId || user?.username);
+    const stageLabel = BOARD_STAGES.find(stage => stage.key === stageKey).label;
+
+    // Update UI optimistically
+    setRowData(prevData =>
+      prevData.map(row =>
+        row.client_id === lead.client_id ? { ...row, ...updateData } : row
+      )
+    );
+
+    try {
+      await axios.put(API_ENDPOINTS.LEADS.UPDATE(lead.client_id), updateData);
+      toast.success(`Moved ${lead.Stage_Name || lead.client_id} to ${stageLabel}`);
+    } catch (error) {
+      console.error('Error moving lead:', error);
+      toast.error(`Failed to move lead to ${stageLabel}`);
+      // Revert the optimistic update on error
+      fetchLeads();
+    }
+  };
+
   const gridOptions = useMemo(() => ({
     defaultColDef: {
       sortable: true,
@@ -429,7 +550,18 @@ const LeadTracker = () => {
     suppressCellFocus: false,
     rowHeight: 48,
     headerHeight: 48,
-    rowSelection: 'single',
+    rowSelection: {
+      mode: 'multiRow',
+      checkboxes: true,
+      headerCheckbox: true,
+      selectAll: 'filtered',
+      enableClickSelection: false
+    },
+    // Stable row ids keep the selection across data reloads
+    getRowId: params => params.data.client_id || params.data._id,
+    onSelectionChanged: (params) => {
+      setSelectedLeads(params.api.getSelectedRows());
+    },
     animateRows: true,
     domLayout: 'normal',
     onFirstDataRendered: (params) => {
@@ -510,37 +642,55 @@ const LeadTracker = () => {
           pinned: 'left',
           sort: 'desc',
           sortable: true,
+          cellClassRules: { 'stats-stale-cell': params => isStatsStale(params.data, staleAfterDays) },
           valueGetter: (params) => {
+            // Score with the live settings; the stored server score is only shown until they load
+            if (algorithmSettings && params.data) {
+              return calculateScore(params.data, algorithmSettings).total;
+            }
             const id = params.data?._id || params.data?.id;  // Try both _id and id
             const clientId = params.data?.client_id;
             return rankData[id] || rankData[clientId] || 0;  // Try both IDs for score lookup
           },
-          cellRenderer: params => {
-            const score = params.value;
-            let backgroundColor;
-            
-            if (score <= 30) backgroundColor = '#ffcdd2';
-            else if (score <= 50) backgroundColor = '#ffe6e6';
-            else if (score <= 60) backgroundColor = '#e6ffe6';
-            else if (score <= 80) backgroundColor = '#ccffcc';
-            else backgroundColor = '#99ff99';
-
-            return (
-              <div 
-                style={{
-                  width: '100%',
-                  height: '100%',
-                  display: 'flex',
-                  alignItems: 'center',
-                  justifyContent: 'center',
-                  backgroundColor,
-                  color: '#000000'
-                }}
-              >
-                {score || 'N/A'}
-              </div>
-            );
-          }
+          cellRenderer: params => <ScoreBreakdownCell score={params.value} lead={params.data} />
+        },
+        {
+          headerName: 'GROWTH',
+          colId: 'GROWTH',
+          field: 'Follower_Growth_30d',
+          width: 130,
+          sortable: true,
+          headerTooltip: 'Total follower growth over the last 30 days of synced stats',
+          cellClassRules: { 'stats-stale-cell': params => isStatsStale(params.data, staleAfterDays) },
+          valueFormatter: params => formatGrowth(params.value),
+          cellRenderer: params => (
+            <div className={`growth-cell ${params.value < 0 ? 'negative' : ''}`}>
+              {params.valueFormatted}
+              {isFastGrowing(params.data, algorithmSettings) && (
+                <span
+                  className="growth-cell-fast"
+                  title={`Grew ${getFastGrowthThreshold(algorithmSettings)}% or more in 30 days`}
+                >
+                  Fast
+                </span>
+              )}
+            </div>
+          )
+        },
+        {
+          headerName: 'UPDATED',
+          colId: 'stats_updated',
+          field: 'stats_updated_at',
+          width: 130,
+          sortable: true,
+          headerTooltip: `When the social stats were last synced; older than ${staleAfterDays} days is stale`,
+          valueFormatter: params => formatStatsAge(params.data),
+          cellRenderer: params => (
+            <div className="stats-age-cell">
+              {params.valueFormatted}
+              {isStatsStale(params.data, staleAfterDays) && <span className="stats-age-stale">Stale</span>}
+            </div>
+          )
         }
       ]
     },
@@ -551,17 +701,23 @@ const LeadTracker = () => {
       children: [
         {
           headerName: 'LEGAL NAME',
+          colId: 'legal_name',
           valueGetter: params => {
             const firstName = params.data?.First_Legal_Name || '';
             const lastName = params.data?.Last_Legal_Name || '';
             return `${firstName} ${lastName}`.trim();
           },
+          cellRenderer: params => (
+            <ClientLink clientId={params.data?.client_id}>{params.value}</ClientLink>
+          ),
           width: 200,
           pinned: 'left'
         },
         {
           headerName: 'G / S / V / M / D',
+          colId: 'status',
           width: 180,
+          valueGetter: params => describeStatusFlags(params.data),
           headerClass: 'centered-header',
           cellStyle: { display: 'flex', justifyContent: 'center' },
           cellRenderer: params => (
@@ -603,6 +759,35 @@ const LeadTracker = () => {
             </div>
           )
         },
+        {
+          headerName: 'FOLLOW UP',
+          colId: 'follow_up',
+          field: 'Next_Follow_Up',
+          width: 170,
+          headerTooltip: `Next contact date; new leads must be contacted within ${followUps.slaHours}h`,
+          valueFormatter: params => formatFollowUpDate(params.value),
+          cellRenderer: params => {
+            const state = getFollowUpState(params.data);
+            return (
+              <div className="follow-up-cell">
+                {params.valueFormatted}
+                {state === 'overdue' && <span className="follow-up-badge overdue">Overdue</span>}
+                {state === 'today' && <span className="follow-up-badge today">Today</span>}
+                {isFirstContactOverdue(params.data, followUps.slaHours) && (
+                  <span className="follow-up-badge sla" title={`Not contacted within ${followUps.slaHours}h`}>
+                    No contact
+                  </span>
+                )}
+              </div>
+            );
+          }
+        },
+        {
+          headerName: 'TAGS',
+          field: 'tags',
+          width: 160,
+          valueGetter: params => (params.data?.tags || []).join(', ')
+        },
         {
           headerName: 'Referred By',
           field: 'referred_by_name',
@@ -632,6 +817,7 @@ const LeadTracker = () => {
           headerName: 'Client ID',
           field: 'client_id',
           width: 150,
+          cellRenderer: params => <ClientLink clientId={params.value} />
         },
         {
           headerName: 'Snap ID',
@@ -735,6 +921,25 @@ const LeadTracker = () => {
     document.title = 'Leads | Snapped';
   }, []);
 
+  // Open the edit modal for a client deep linked as /lead?edit=<clientId>
+  useEffect(() => {
+    const clientId = searchParams.get('edit');
+    if (!clientId || !rowData.length) return;
+
+    const lead = rowData.find(row => row.client_id === clientId);
+    if (lead) {
+      setCurrentView('VIEW_LEADS');
+      setSelectedLead(lead);
+      setEditModalOpen(true);
+    } else {
+      toast.error(`Client ${clientId} was not found`);
+    }
+    setSearchParams(params => {
+      params.delete('edit');
+      return params;
+    }, { replace: true });
+  }, [searchParams, setSearchParams, rowData]);
+
   const toggleFullscreen = () => {
     const element = document.querySelector('.lead-tracker-view');
     
@@ -799,17 +1004,6 @@ const LeadTracker = () => {
     try {
         console.log('Starting update with data:', updatedData);
         
-        // Get the auth token using fetchAuthSession
-        let authToken;
-        try {
-            const { tokens } = await fetchAuthSession();
-            authToken = tokens.accessToken.toString();
-        } catch (error) {
-            console.error('Error getting auth token:', error);
-            toast.error('Authentication error');
-            return;
-        }
-        
         // Use client_id for the update
         const clientId = updatedData.client_id;
         if (!clientId) {
@@ -822,33 +1016,26 @@ const LeadTracker = () => {
         const updateUrl = API_ENDPOINTS.LEADS.UPDATE(clientId);
         console.log('Making request to:', updateUrl);
         console.log('With data:', JSON.stringify(updatedData, null, 2));
-        console.log('Auth token present:', !!authToken);
         
-        const response = await axios.put(
-            updateUrl,
-            updatedData,
-            {
-                headers: {
-                    'Authorization': `Bearer ${authToken}`,
-                    'Content-Type': 'application/json'
-                }
-            }
-        );
+        const response = await axios.put(updateUrl, updatedData);
         
         console.log('Received response:', response.data);
         
         if (response.data && response.data.status === "success") {
+            // The server owns some fields (e.g. auto_assignment), so show the lead it stored
+            const savedLead = response.data.data || updatedData;
+
             // Update the row data in place
             setRowData(prevData => 
                 prevData.map(row => 
-                    row.client_id === clientId ? updatedData : row
+                    row.client_id === clientId ? savedLead : row
                 )
             );
             
             // Update grid if it exists
             if (gridApi) {
                 const transaction = {
-                    update: [updatedData]
+                    update: [savedLead]
                 };
                 gridApi.applyTransaction(transaction);
             }
@@ -1072,8 +1259,6 @@ const LeadTracker = () => {
 
     try {
       setTotalViews(prev => ({ ...prev, loading: true }));
-      const { tokens } = await fetchAuthSession();
-      const token = tokens.idToken.toString();
 
       // If no client IDs, return zero views
       if (!clientIds || clientIds.length === 0) {
@@ -1095,8 +1280,7 @@ const LeadTracker = () => {
         params: { 
           user_ids: validClientIds.join(','),
           days: 7  // Request 7-day view count
-        },
-        headers: { Authorization: `Bearer ${token}` }
+        }
       });
 
       if (response.data?.status === 'success') {
@@ -1152,14 +1336,7 @@ const LeadTracker = () => {
   const loadData = async () => {
     try {
       setIsLoading(true);
-      const { tokens } = await fetchAuthSession();
-      const token = tokens.idToken.toString();
-      
-      const response = await axios.get(`${API_BASE_URL}/api/leads`, {
-        headers: {
-          Authorization: `Bearer ${token}`
-        }
-      });
+      const response = await axios.get(`${API_BASE_URL}/api/leads`);
 
       if (response.data) {
         setRowData(response.data);
@@ -1191,15 +1368,6 @@ const LeadTracker = () => {
     loadData();
   }, []); // Empty dependency array for initial load
 
-  const handleSignOut = async () => {
-    try {
-      await signOut();
-      navigate('/login');
-    } catch (error) {
-      console.error('Error signing out:', error);
-    }
-  };
-
   // Modify the refresh button handler to show loading state
   const handleManualRefresh = async () => {
     try {
@@ -1290,6 +1458,9 @@ const LeadTracker = () => {
         return (
           <Dashboard 
             filteredData={filteredData} 
+            allLeads={rowData}
+            followUps={followUps}
+            onFollowUpChange={handleFollowUpChange}
             isLoading={isLoading}
             totalViews={totalViews || { all: 0, filtered: 0, loading: false }}
             handleTabClick={handleTabClick}
@@ -1312,6 +1483,24 @@ const LeadTracker = () => {
                 ))}
               </div>
               <div className="controls-right">
+                <FollowUpsMenu
+                  followUps={followUps}
+                  onOpenLead={(item) => {
+                    setSelectedClient({ client_id: item.client_id, name: item.name });
+                    setNotesModalOpen(true);
+                  }}
+                />
+                {can('MANAGE_STATS_REFRESH') && (
+                  <StatsRefreshMenu statsRefresh={statsRefresh} staleCount={staleCount} />
+                )}
+                <GridViewsMenu
+                  gridViews={gridViews}
+                  activeView={activeView}
+                  onApply={applyView}
+                  onChange={setActiveView}
+                  onReset={resetView}
+                  getState={captureViewState}
+                />
                 <input
                   type="text"
                   className="quick-search-input"
@@ -1353,11 +1542,42 @@ const LeadTracker = () => {
                       }}>
                         <FontAwesomeIcon icon={faUsers} /> Partners
                       </button>
+                      <button onClick={() => {
+                        setShowDuplicateFinder(true);
+                        setSettingsDropdownOpen(false);
+                      }}>
+                        <FontAwesomeIcon icon={faClone} /> Duplicates
+                      </button>
+                      {can('EDIT_ASSIGNMENTS') && (
+                        <button onClick={() => {
+                          setShowAssignmentRules(true);
+                          setSettingsDropdownOpen(false);
+                        }}>
+                          <FontAwesomeIcon icon={faUserCheck} /> Assignment
+                        </button>
+                      )}
+                      <button onClick={() => {
+                        setShowImportWizard(true);
+                        setSettingsDropdownOpen(false);
+                      }}>
+                        <FontAwesomeIcon icon={faFileImport} /> Import
+                      </button>
+                      <button onClick={() => {
+                        setShowExportDialog(true);
+                        setSettingsDropdownOpen(false);
+                      }}>
+                        <FontAwesomeIcon icon={faDownload} /> Export
+                      </button>
                     </div>
                   )}
                 </div>
               </div>
             </div>
+            <BulkActionsBar
+              selectedLeads={selectedLeads}
+              onComplete={handleBulkComplete}
+              onClearSelection={() => gridApi?.deselectAll()}
+            />
             <div 
               className={`ag-theme-alpine lead-tracker-grid ${isFullscreen ? 'fullscreen' : ''}`}
               style={{ 
@@ -1385,6 +1605,8 @@ const LeadTracker = () => {
             </div>
           </div>
         );
+      case 'PIPELINE':
+        return <LeadPipelineBoard leads={rowData} onMoveLead={handleStageMove} />;
       case 'TASKS':
         return <TaskGrid />;
       case 'UPLOADS':
@@ -1463,6 +1685,12 @@ const LeadTracker = () => {
           >
             CLIENTS
           </button>
+          <button 
+            className={`nav-link ${currentView === 'PIPELINE' ? 'active' : ''}`}
+            onClick={() => handleNavClick('PIPELINE')}
+          >
+            PIPELINE
+          </button>
           <button 
             className={`nav-link ${currentView === 'UPLOADS' ? 'active' : ''}`}
             onClick={() => handleNavClick('UPLOADS')}
@@ -1548,12 +1776,6 @@ const LeadTracker = () => {
                     </div>
                   </>
                 )}
-                <div className="docs-grid-item sign-out" onClick={() => {
-                  handleSignOut();
-                  setDocsMenuOpen(false);
-                }}>
-                  <span>SIGN OUT</span>
-                </div>
               </div>
             </div>
           </div>
@@ -1580,6 +1802,8 @@ const LeadTracker = () => {
         isOpen={notesModalOpen}
         onClose={() => setNotesModalOpen(false)}
         clientId={selectedClient?.client_id}
+        clientName={selectedClient?.name}
+        onFollowUpChange={handleFollowUpChange}
       />
       <ContractModal
         isOpen={contractModalOpen}
@@ -1592,6 +1816,34 @@ const LeadTracker = () => {
         clientData={selectedTiktokClient}
         onDownload={handleTikTokDownload}
       />
+      <LeadImportWizard
+        isOpen={showImportWizard}
+        onClose={() => setShowImportWizard(false)}
+        leads={rowData}
+        onImported={fetchLeads}
+      />
+      <LeadExportDialog
+        isOpen={showExportDialog}
+        onClose={() => setShowExportDialog(false)}
+        label={activeTab}
+        rowCount={gridApi ? gridApi.getDisplayedRowCount() : filteredData.length}
+        description={showExportDialog ? describeExportView() : ''}
+        getView={scope => {
+          const view = getGridView(gridApi, scope);
+          return { ...view, columns: [...view.columns, ...getScoreColumns(rowData, algorithmSettings, rankData)] };
+        }}
+      />
+      <DuplicateFinder
+        isOpen={showDuplicateFinder}
+        onClose={() => setShowDuplicateFinder(false)}
+        leads={rowData}
+        onMerged={fetchLeads}
+      />
+      <AssignmentRules
+        isOpen={showAssignmentRules}
+        onClose={() => setShowAssignmentRules(false)}
+        onAssigned={fetchLeads}
+      />
       <PartnersModal
         isOpen={showPartnersModal}
         onClose={() => setShowPartnersModal(false)}
@@ -1623,6 +1875,8 @@ const LeadTracker = () => {
       <AlgorithmControls 
         isOpen={showAlgorithmControls}
         onClose={() => setShowAlgorithmControls(false)}
+        leads={rowData}
+        onSaved={fetchRanks}
       />
     </div>
   );
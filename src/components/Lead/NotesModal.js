@@ -5,12 +5,13 @@
  */
 
 import React, { useState, useEffect } from 'react';
-import axios from 'axios';
+import axios from '../../utils/axiosConfig';
 import { format } from 'date-fns';
 import './styles/NotesModal.css';
 import { Box, Button } from '@mui/material';
 import TaskModal from '../TaskManager/TaskModal';
 import { API_ENDPOINTS } from '../../config/api';
+import { formatFollowUpDate, toDateKey } from './followUps';
 
 /**
  * @typedef {Object} NotesModalProps
@@ -18,6 +19,8 @@ import { API_ENDPOINTS } from '../../config/api';
  * @property {Function} onClose - Callback function to close the modal
  * @property {string} clientId - ID of the client
  * @property {string} clientName - Name of the client
+ * @property {Function} [onFollowUpChange] - Called with (clientId, FollowUpFields) after a
+ * conversation note changes the lead's follow-up
  */
 
 /**
@@ -25,6 +28,7 @@ import { API_ENDPOINTS } from '../../config/api';
  * @property {string} content - Content of the note
  * @property {string} timestamp - When the note was created
  * @property {string} author - Author of the note
+ * @property {string} [next_contact] - Follow-up date the note scheduled, as YYYY-MM-DD
  */
 
 /**
@@ -41,19 +45,21 @@ import { API_ENDPOINTS } from '../../config/api';
  * Features include:
  * - Adding and deleting notes
  * - Viewing note history
+ * - Scheduling the next contact from a conversation note
  * - Managing tasks and their status
  * - Task creation and updates
  * 
  * @param {NotesModalProps} props - Component props
  * @returns {React.ReactElement|null} The rendered modal or null if not open
  */
-const NotesModal = ({ isOpen, onClose, clientId, clientName }) => {
+const NotesModal = ({ isOpen, onClose, clientId, clientName, onFollowUpChange }) => {
   const [notes, setNotes] = useState({
     conversation: [],
     status: [],
     tasks: []
   });
   const [newNote, setNewNote] = useState('');
+  const [nextContact, setNextContact] = useState('');
   const [activeTab, setActiveTab] = useState('conversation');
   const [loading, setLoading] = useState(true);
   const [isTaskModalOpen, setIsTaskModalOpen] = useState(false);
@@ -161,7 +167,8 @@ const NotesModal = ({ isOpen, onClose, clientId, clientName }) => {
 
       const response = await axios.post(API_ENDPOINTS.LEADS.NOTES.CREATE(clientId, activeTab), {
         text: newNote,
-        author: 'Current User'
+        author: 'Current User',
+        ...(activeTab === 'conversation' && nextContact && { next_contact: nextContact })
       });
 
       if (response.data.status === 'success') {
@@ -170,6 +177,8 @@ const NotesModal = ({ isOpen, onClose, clientId, clientName }) => {
           [activeTab]: [response.data.data, ...prev[activeTab]]
         }));
         setNewNote('');
+        setNextContact('');
+        if (response.data.follow_up) onFollowUpChange?.(clientId, response.data.follow_up);
       }
     } catch (error) {
       console.error('Error adding note:', error.response?.data || error);
@@ -191,6 +200,7 @@ const NotesModal = ({ isOpen, onClose, clientId, clientName }) => {
           ...prev,
           [activeTab]: prev[activeTab].filter(note => note.timestamp !== timestamp)
         }));
+        if (response.data.follow_up) onFollowUpChange?.(clientId, response.data.follow_up);
       }
     } catch (error) {
       console.error('Error deleting note:', error);
@@ -342,9 +352,22 @@ const NotesModal = ({ isOpen, onClose, clientId, clientName }) => {
                 placeholder={`Add new ${activeTab} note...`}
                 rows="3"
               />
-              <button className="add-note-button" onClick={handleAddNote}>
-                Add Note
-              </button>
+              <div className="notes-input-actions">
+                {activeTab === 'conversation' && (
+                  <label className="next-contact-field">
+                    Next contact
+                    <input
+                      type="date"
+                      value={nextContact}
+                      min={toDateKey()}
+                      onChange={(e) => setNextContact(e.target.value)}
+                    />
+                  </label>
+                )}
+                <button className="add-note-button" onClick={handleAddNote}>
+                  Add Note
+                </button>
+              </div>
             </div>
             <div className="notes-list">
               {loading ? (
@@ -355,6 +378,11 @@ const NotesModal = ({ isOpen, onClose, clientId, clientName }) => {
                     <div className="note-content">{note.text}</div>
                     <div className="note-metadata">
                       <span className="note-author">{note.author}</span>
+                      {note.next_contact && (
+                        <span className="note-next-contact">
+                          Follow up {formatFollowUpDate(note.next_contact)}
+                        </span>
+                      )}
                       <span className="note-timestamp">
                         {format(new Date(note.timestamp), 'MMM d, yyyy h:mm a')}
                       </span>
@@ -4,10 +4,11 @@
  */
 
 import React, { useState, useEffect } from 'react';
-import axios from 'axios';
+import { Link } from 'react-router-dom';
+import axios from '../../utils/axiosConfig';
 import { API_ENDPOINTS } from '../../config/api';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
-import { faTimes, faTrash, faEdit } from '@fortawesome/free-solid-svg-icons';
+import { faTimes, faTrash, faEdit, faDollarSign } from '@fortawesome/free-solid-svg-icons';
 
 /**
  * @typedef {Object} PartnersModalProps
@@ -106,6 +107,13 @@ const PartnersModal = ({ isOpen, onClose, onPartnerAdded }) => {
             <div key={partner.id} className="partner-item">
               <span className="partner-name">{partner.name}</span>
               <div className="partner-actions">
+                <Link
+                  to={`/payments/commissions?partner=${encodeURIComponent(partner.id)}`}
+                  className="edit-button"
+                  title="Commission plans and statements"
+                >
+                  <FontAwesomeIcon icon={faDollarSign} />
+                </Link>
                 <button className="edit-button" title="Edit">
                   <FontAwesomeIcon icon={faEdit} />
                 </button>
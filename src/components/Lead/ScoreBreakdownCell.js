@@ -0,0 +1,105 @@
+/**
+ * @fileoverview SCORE cell of the lead grid. Shows the lead's score and opens a drill-down
+ * that explains it component by component: which thresholds each metric hit and the points
+ * they awarded. Both use the active algorithm settings from AlgorithmSettingsContext.
+ */
+
+import React, { useMemo, useState } from 'react';
+import { Popover } from '@mui/material';
+import { calculateScore, getScoreTier } from './performanceCalculator';
+import { useAlgorithmSettings } from '../../contexts/AlgorithmSettingsContext';
+import './styles/ScoreBreakdown.css';
+
+/**
+ * Table of every component and metric in a score breakdown
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {import('./performanceCalculator').ScoreBreakdown} props.breakdown - Breakdown to show
+ * @returns {React.ReactElement} The rendered breakdown
+ */
+export const ScoreBreakdown = ({ breakdown }) => (
+  <table className="score-breakdown__table">
+    <tbody>
+      {breakdown.components.filter(component => component.rules.length > 0).map(component => (
+        <React.Fragment key={component.key}>
+          <tr className="score-breakdown__component">
+            <th colSpan={3}>{component.label}</th>
+            <th className="score-breakdown__points">
+              {component.score} / {component.maxScore}
+            </th>
+          </tr>
+          {component.rules.map(rule => (
+            <tr key={rule.label} className={rule.points > 0 ? 'score-breakdown__rule--hit' : ''}>
+              <td>{rule.label}</td>
+              <td className="score-breakdown__value">{rule.value}</td>
+              <td className="score-breakdown__reason">
+                {rule.tier && <span className={`score-breakdown__tier score-breakdown__tier--${rule.tier}`}>{rule.tier}</span>}
+                {rule.reason}
+              </td>
+              <td className="score-breakdown__points">+{rule.points}</td>
+            </tr>
+          ))}
+        </React.Fragment>
+      ))}
+    </tbody>
+  </table>
+);
+
+/**
+ * Renders the score cell and its breakdown popover
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {number} props.score - Score shown in the grid
+ * @param {Object} props.lead - Lead row the score belongs to
+ * @returns {React.ReactElement} The rendered cell
+ */
+const ScoreBreakdownCell = ({ score, lead }) => {
+  const { settings } = useAlgorithmSettings();
+  const [anchorEl, setAnchorEl] = useState(null);
+  const open = Boolean(anchorEl);
+
+  // Only computed while the drill-down is open
+  const breakdown = useMemo(
+    () => (open && lead && settings ? calculateScore(lead, settings) : null),
+    [open, lead, settings]
+  );
+
+  return (
+    <>
+      <button
+        type="button"
+        className="score-breakdown__cell"
+        style={{ backgroundColor: getScoreTier(score).color }}
+        onClick={event => setAnchorEl(event.currentTarget)}
+        title="Show score breakdown"
+      >
+        {score || 'N/A'}
+      </button>
+      <Popover
+        open={open}
+        anchorEl={anchorEl}
+        onClose={() => setAnchorEl(null)}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'left' }}
+        transformOrigin={{ vertical: 'top', horizontal: 'left' }}
+      >
+        <div className="score-breakdown">
+          {breakdown ? (
+            <>
+              <div className="score-breakdown__header">
+                <span>Score breakdown</span>
+                <strong>{breakdown.total}</strong>
+              </div>
+              <ScoreBreakdown breakdown={breakdown} />
+            </>
+          ) : (
+            <p className="score-breakdown__note">Algorithm settings are still loading.</p>
+          )}
+        </div>
+      </Popover>
+    </>
+  );
+};
+
+export default ScoreBreakdownCell;
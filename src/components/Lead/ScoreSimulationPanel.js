@@ -0,0 +1,152 @@
+/**
+ * @fileoverview Results of a what-if run in AlgorithmControls: score distribution before and
+ * after the draft settings, leads per tier, leads that cross into another tier and the
+ * biggest rank movements.
+ */
+
+import React from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+
+/** @type {number} Rows shown in the movers and tier-change tables */
+const TABLE_LIMIT = 15;
+
+/**
+ * Formats a signed change, e.g. +3 or -2
+ * @param {number} value - Change
+ * @returns {string} Formatted change
+ */
+const formatChange = (value) => (value > 0 ? `+${value}` : String(value));
+
+/**
+ * Table of simulated leads
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Array<import('./scoreSimulation').SimulatedLead>} props.rows - Leads to list
+ * @param {string} props.emptyText - Text shown when there are no rows
+ * @returns {React.ReactElement} The rendered table
+ */
+const SimulationTable = ({ rows, emptyText }) => {
+  if (rows.length === 0) {
+    return <p className="simulation-empty">{emptyText}</p>;
+  }
+
+  return (
+    <table className="simulation-table">
+      <thead>
+        <tr>
+          <th>Lead</th>
+          <th>Score</th>
+          <th>Rank</th>
+          <th>Tier</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.slice(0, TABLE_LIMIT).map(lead => (
+          <tr key={lead.id}>
+            <td>{lead.name}</td>
+            <td>
+              {lead.before} → {lead.after}
+              <span className={lead.delta >= 0 ? 'simulation-up' : 'simulation-down'}> ({formatChange(lead.delta)})</span>
+            </td>
+            <td>
+              #{lead.rankBefore} → #{lead.rankAfter}
+              {lead.rankChange !== 0 && (
+                <span className={lead.rankChange > 0 ? 'simulation-up' : 'simulation-down'}>
+                  {' '}({lead.rankChange > 0 ? '▲' : '▼'}{Math.abs(lead.rankChange)})
+                </span>
+              )}
+            </td>
+            <td>
+              {lead.tierBefore.key === lead.tierAfter.key
+                ? lead.tierAfter.label
+                : `${lead.tierBefore.label} → ${lead.tierAfter.label}`}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+      {rows.length > TABLE_LIMIT && (
+        <tfoot>
+          <tr>
+            <td colSpan={4}>and {rows.length - TABLE_LIMIT} more</td>
+          </tr>
+        </tfoot>
+      )}
+    </table>
+  );
+};
+
+/**
+ * Renders the simulation results
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {import('./scoreSimulation').SimulationResult} props.simulation - Simulation to show
+ * @returns {React.ReactElement} The rendered panel
+ */
+const ScoreSimulationPanel = ({ simulation }) => {
+  const { summary } = simulation;
+
+  return (
+    <div className="simulation-panel">
+      <p className="simulation-summary">
+        {summary.changed} of {summary.count} leads change score. Average score{' '}
+        {summary.averageBefore} → {summary.averageAfter}.{' '}
+        {simulation.tierChanges.length} cross into another tier and {simulation.movers.length} change rank.
+      </p>
+
+      <div className="simulation-charts">
+        <div className="simulation-chart">
+          <h4>Score distribution</h4>
+          <ResponsiveContainer width="100%" height={220}>
+            <BarChart data={simulation.distribution}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="range" />
+              <YAxis allowDecimals={false} />
+              <Tooltip />
+              <Legend />
+              <Bar dataKey="before" name="Current" fill="#b0bec5" />
+              <Bar dataKey="after" name="Draft" fill="#1976d2" />
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+        <div className="simulation-chart">
+          <h4>Leads per tier</h4>
+          <table className="simulation-table">
+            <thead>
+              <tr>
+                <th>Tier</th>
+                <th>Current</th>
+                <th>Draft</th>
+              </tr>
+            </thead>
+            <tbody>
+              {simulation.tierCounts.map(row => (
+                <tr key={row.tier}>
+                  <td>{row.tier}</td>
+                  <td>{row.before}</td>
+                  <td>
+                    {row.after}
+                    {row.after !== row.before && (
+                      <span className={row.after > row.before ? 'simulation-up' : 'simulation-down'}>
+                        {' '}({formatChange(row.after - row.before)})
+                      </span>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <h4>Leads crossing tiers</h4>
+      <SimulationTable rows={simulation.tierChanges} emptyText="No lead changes tier." />
+
+      <h4>Biggest rank movements</h4>
+      <SimulationTable rows={simulation.movers} emptyText="No lead changes rank." />
+    </div>
+  );
+};
+
+export default ScoreSimulationPanel;
@@ -11,18 +11,29 @@ import {
   Typography,
 } from '@mui/material';
 import CloseIcon from '@mui/icons-material/Close';
+import FollowerHistoryPanel from './FollowerHistoryPanel';
+
+/**
+ * @typedef {Object} SocialProfileModalProps
+ * @property {boolean} open - Whether the modal is open
+ * @property {Function} onClose - Callback function to close the modal
+ * @property {string} url - Profile URL to embed
+ * @property {string} platform - Platform name, e.g. 'Instagram'
+ * @property {string} [clientId] - Lead client id; when set, the platform's growth chart is shown above the profile
+ */
 
 /**
  * Social Profile Modal component for displaying social media profiles.
  * Features include:
  * - Embedded profile preview
  * - Platform-specific display handling
+ * - Follower growth of the platform when the lead is known
  * - Responsive modal interface
  * 
  * @param {SocialProfileModalProps} props - Component props
  * @returns {React.ReactElement} The rendered modal
  */
-const SocialProfileModal = ({ open, onClose, url, platform }) => {
+const SocialProfileModal = ({ open, onClose, url, platform, clientId }) => {
   return (
     <Modal
       open={open}
@@ -56,6 +67,12 @@ const SocialProfileModal = ({ open, onClose, url, platform }) => {
             <CloseIcon />
           </IconButton>
         </Box>
+
+        {clientId && (
+          <Box sx={{ p: 2, borderBottom: '1px solid rgba(0, 0, 0, 0.12)' }}>
+            <FollowerHistoryPanel clientId={clientId} platform={platform.toLowerCase()} height={180} />
+          </Box>
+        )}
         
         <Box sx={{ 
           flex: 1,
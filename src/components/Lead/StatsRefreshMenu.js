@@ -0,0 +1,170 @@
+/**
+ * @fileoverview Stats refresh menu for the lead grid. Shows how many leads have stale social
+ * stats, the progress and failures of the scheduled refresh, and lets an admin start or stop a
+ * run and change when stats count as stale and how fast they are synced.
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import { toast } from 'react-hot-toast';
+import { format } from 'date-fns';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faSync } from '@fortawesome/free-solid-svg-icons';
+import './styles/StatsRefresh.css';
+
+/**
+ * @typedef {Object} StatsRefreshMenuProps
+ * @property {Object} statsRefresh - Result of useStatsRefresh
+ * @property {number} staleCount - Leads whose stats are stale
+ */
+
+/**
+ * Renders the stats refresh menu
+ *
+ * @component
+ * @param {StatsRefreshMenuProps} props - Component props
+ * @returns {React.ReactElement} The rendered menu
+ */
+const StatsRefreshMenu = ({ statsRefresh, staleCount }) => {
+  const { settings, run, start, stop, updateSettings } = statsRefresh;
+  const [isOpen, setIsOpen] = useState(false);
+  const [draft, setDraft] = useState(settings);
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    setDraft(settings);
+  }, [settings]);
+
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (menuRef.current && !menuRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  const handleSave = async () => {
+    try {
+      await updateSettings({
+        stale_after_days: parseInt(draft.stale_after_days, 10),
+        batch_size: parseInt(draft.batch_size, 10),
+        batch_interval_seconds: parseInt(draft.batch_interval_seconds, 10),
+        auto_refresh: draft.auto_refresh
+      });
+      toast.success('Stats refresh settings saved');
+    } catch (err) {
+      console.error('Error saving stats refresh settings:', err);
+      toast.error(err.response?.data?.detail || 'Failed to save stats refresh settings');
+    }
+  };
+
+  const percent = run.total ? Math.round((run.done / run.total) * 100) : 0;
+
+  return (
+    <div className="stats-refresh-menu" ref={menuRef}>
+      <button className="action-button" onClick={() => setIsOpen(!isOpen)} title="Stale social stats">
+        <FontAwesomeIcon icon={faSync} spin={run.running} />
+        {run.running ? `Stats ${run.done}/${run.total}` : 'Stats'}
+        {!run.running && staleCount > 0 && <span className="stats-refresh-count">{staleCount}</span>}
+      </button>
+
+      {isOpen && (
+        <div className="stats-refresh-panel">
+          <h4>Stats refresh</h4>
+          <p className="stats-refresh-summary">
+            {staleCount === 0
+              ? `All leads were updated in the last ${settings.stale_after_days} days.`
+              : `${staleCount} lead${staleCount === 1 ? ' has' : 's have'} not been updated in ${settings.stale_after_days} days.`}
+          </p>
+
+          {run.running && (
+            <div className="stats-refresh-progress">
+              <div className="stats-refresh-bar">
+                <div className="stats-refresh-bar-fill" style={{ width: `${percent}%` }} />
+              </div>
+              <span>Synced {run.done} of {run.total}</span>
+            </div>
+          )}
+
+          {!run.running && run.finishedAt && (
+            <p className="stats-refresh-summary">
+              Last run {run.cancelled ? 'stopped' : 'finished'} {format(new Date(run.finishedAt), 'h:mm a')}:
+              {' '}{run.done - run.failed.length} synced, {run.failed.length} failed.
+            </p>
+          )}
+
+          {!run.running && run.blocked && (
+            <p className="stats-refresh-summary stats-refresh-blocked">
+              Another session is refreshing stats right now. Try again when it finishes.
+            </p>
+          )}
+
+          {run.failed.length > 0 && (
+            <ul className="stats-refresh-failures">
+              {run.failed.map(({ lead, error }) => (
+                <li key={lead.client_id}>
+                  <strong>{lead.Stage_Name || lead.client_id}</strong>
+                  <span>{error}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <div className="stats-refresh-actions">
+            {run.running ? (
+              <button type="button" onClick={stop}>Stop</button>
+            ) : (
+              <button type="button" className="primary" onClick={() => start()} disabled={staleCount === 0}>
+                Refresh stale leads
+              </button>
+            )}
+          </div>
+
+          <div className="stats-refresh-settings">
+            <label>
+              Stale after (days)
+              <input
+                type="number"
+                min="1"
+                value={draft.stale_after_days}
+                onChange={(e) => setDraft(prev => ({ ...prev, stale_after_days: e.target.value }))}
+              />
+            </label>
+            <label>
+              Leads per batch
+              <input
+                type="number"
+                min="1"
+                value={draft.batch_size}
+                onChange={(e) => setDraft(prev => ({ ...prev, batch_size: e.target.value }))}
+              />
+            </label>
+            <label>
+              Pause between batches (s)
+              <input
+                type="number"
+                min="1"
+                value={draft.batch_interval_seconds}
+                onChange={(e) => setDraft(prev => ({ ...prev, batch_interval_seconds: e.target.value }))}
+              />
+            </label>
+            <label className="stats-refresh-checkbox">
+              <input
+                type="checkbox"
+                checked={draft.auto_refresh}
+                onChange={(e) => setDraft(prev => ({ ...prev, auto_refresh: e.target.checked }))}
+              />
+              Refresh automatically every hour while the grid is open
+            </label>
+            <div className="stats-refresh-actions">
+              <button type="button" onClick={handleSave} disabled={run.running}>Save settings</button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StatsRefreshMenu;
@@ -0,0 +1,140 @@
+/**
+ * @fileoverview Bulk actions for the lead grid. Each action runs one request per selected lead
+ * so a failure only affects its own row; `runBulkAction` reports progress as rows finish and
+ * returns the rows that failed with their error messages.
+ */
+
+import axios from '../../utils/axiosConfig';
+import { API_ENDPOINTS } from '../../config/api';
+import { buildStageUpdate, DEAD_STAGE, getLeadStage } from './leadPipeline';
+
+/** @type {number} Requests in flight at once during a bulk run */
+const BULK_CONCURRENCY = 4;
+
+/**
+ * @typedef {Object} BulkAction
+ * @property {string} label - Button label
+ * @property {string} [input] - Extra input the action needs: 'employee' or 'tags'
+ * @property {boolean} [destructive] - Whether the action asks for confirmation first
+ * @property {Function} run - Performs the action for one lead: (lead, options) => Promise.
+ *   Options carry the action input and `movedBy`, the user running the action.
+ */
+
+/**
+ * @typedef {Object} BulkFailure
+ * @property {Object} lead - Lead the action failed for
+ * @property {string} error - Error message
+ */
+
+/**
+ * @typedef {Object} BulkResult
+ * @property {Array<Object>} succeeded - Leads the action succeeded for
+ * @property {Array<BulkFailure>} failed - Leads the action failed for
+ */
+
+/**
+ * Parses a comma separated tag list
+ * @param {string} value - Raw input
+ * @returns {Array<string>} Trimmed, unique, non-empty tags
+ */
+export const parseTags = (value) =>
+  [...new Set(String(value || '').split(',').map(tag => tag.trim()).filter(Boolean))];
+
+/**
+ * Updates fields on one lead
+ * @param {Object} lead - Lead record
+ * @param {Object} fields - Fields to set
+ * @returns {Promise<Object>} Axios response
+ */
+const updateLead = (lead, fields) => axios.put(API_ENDPOINTS.LEADS.UPDATE(lead.client_id), fields);
+
+/**
+ * Actions available for a grid selection, keyed by action id
+ * @type {Object<string, BulkAction>}
+ */
+export const BULK_ACTIONS = {
+  assign: {
+    label: 'Assign employee',
+    input: 'employee',
+    run: (lead, { employee }) => updateLead(lead, {
+      assigned_employees: [...new Set([...(lead.assigned_employees || []), employee.user_id])]
+    })
+  },
+  unassign: {
+    label: 'Unassign employee',
+    input: 'employee',
+    run: (lead, { employee }) => updateLead(lead, {
+      assigned_employees: (lead.assigned_employees || []).filter(id => id !== employee.user_id)
+    })
+  },
+  markDead: {
+    label: 'Mark dead',
+    run: (lead, { movedBy }) => updateLead(lead, buildStageUpdate(lead, DEAD_STAGE.key, movedBy))
+  },
+  revive: {
+    label: 'Revive',
+    // Back to the stage the lead's flags still mark, as when dragged out of the dead column
+    run: (lead, { movedBy }) =>
+      updateLead(lead, buildStageUpdate(lead, getLeadStage({ ...lead, is_dead: false }), movedBy))
+  },
+  approve: {
+    label: 'Approve',
+    run: (lead) => axios.post(API_ENDPOINTS.LEADS.UPDATE_APPROVAL_STATUS, { client_id: lead.client_id, approved: true })
+  },
+  unapprove: {
+    label: 'Unapprove',
+    run: (lead) => axios.post(API_ENDPOINTS.LEADS.UPDATE_APPROVAL_STATUS, { client_id: lead.client_id, approved: false })
+  },
+  addTags: {
+    label: 'Add tags',
+    input: 'tags',
+    run: (lead, { tags }) => updateLead(lead, {
+      tags: [...new Set([...(lead.tags || []), ...tags])]
+    })
+  },
+  sync: {
+    label: 'Sync',
+    run: (lead) => axios.post(API_ENDPOINTS.LEADS.SYNC(lead.client_id))
+  },
+  delete: {
+    label: 'Delete',
+    destructive: true,
+    run: (lead) => axios.delete(API_ENDPOINTS.LEADS.DELETE(lead.client_id))
+  }
+};
+
+/**
+ * Runs an action for every lead, a few at a time
+ *
+ * @async
+ * @function runBulkAction
+ * @param {BulkAction} action - Action to run
+ * @param {Array<Object>} leads - Selected leads
+ * @param {Object} options - Action input, e.g. `{ employee }` or `{ tags }`, and `movedBy`
+ * @param {Function} [onProgress] - Called with the number of finished rows after each one
+ * @returns {Promise<BulkResult>} Which rows succeeded and which failed
+ */
+export const runBulkAction = async (action, leads, options, onProgress) => {
+  const result = { succeeded: [], failed: [] };
+  let next = 0;
+
+  const worker = async () => {
+    while (next < leads.length) {
+      const lead = leads[next];
+      next += 1;
+      try {
+        await action.run(lead, options);
+        result.succeeded.push(lead);
+      } catch (error) {
+        result.failed.push({
+          lead,
+          error: error.response?.data?.detail || error.response?.data?.message || error.message
+        });
+      }
+      onProgress?.(result.succeeded.length + result.failed.length);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(BULK_CONCURRENCY, leads.length) }, worker));
+  return result;
+};
@@ -0,0 +1,72 @@
+/**
+ * @fileoverview Follow-up and first-contact SLA helpers for leads. A conversation note can set
+ * the next contact date, which the server copies onto the lead as `Next_Follow_Up`; new leads
+ * must get their first conversation note within the SLA.
+ */
+
+import { differenceInHours, format, parseISO } from 'date-fns';
+
+/** @type {number} First-contact SLA used until the configured one has loaded */
+export const DEFAULT_FIRST_CONTACT_HOURS = 48;
+
+/**
+ * @typedef {Object} FollowUpFields
+ * @property {string|null} Next_Follow_Up - Next contact date as YYYY-MM-DD
+ * @property {string|null} Follow_Up_Owner - User id of who scheduled the follow-up
+ * @property {string|null} Last_Contacted - Timestamp of the newest conversation note
+ */
+
+/**
+ * Today's date as YYYY-MM-DD in local time
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {string} Date string
+ */
+export const toDateKey = (now = new Date()) => format(now, 'yyyy-MM-dd');
+
+/**
+ * Where a lead's scheduled follow-up stands
+ * @param {Object} lead - Lead record
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {'overdue'|'today'|'upcoming'|null} Follow-up state, null when none is scheduled
+ */
+export const getFollowUpState = (lead, now = new Date()) => {
+  if (!lead?.Next_Follow_Up || lead.is_dead) return null;
+  const today = toDateKey(now);
+  if (lead.Next_Follow_Up < today) return 'overdue';
+  if (lead.Next_Follow_Up === today) return 'today';
+  return 'upcoming';
+};
+
+/**
+ * Whether a new lead has gone longer than the SLA without a conversation note. Signed and dead
+ * leads are past the point where first contact matters.
+ * @param {Object} lead - Lead record
+ * @param {number} slaHours - First-contact SLA in hours
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {boolean} Whether the first contact is overdue
+ */
+export const isFirstContactOverdue = (lead, slaHours, now = new Date()) => {
+  if (!lead?.created_at || lead.Last_Contacted || lead.is_signed || lead.is_dead) return false;
+  return differenceInHours(now, parseISO(lead.created_at)) >= slaHours;
+};
+
+/**
+ * Counts leads needing attention
+ * @param {Array<Object>} leads - Leads
+ * @param {number} slaHours - First-contact SLA in hours
+ * @returns {{overdueFollowUps: number, overdueFirstContact: number}} Counts
+ */
+export const countOverdue = (leads, slaHours) => {
+  const now = new Date();
+  return (leads || []).reduce((counts, lead) => ({
+    overdueFollowUps: counts.overdueFollowUps + (getFollowUpState(lead, now) === 'overdue' ? 1 : 0),
+    overdueFirstContact: counts.overdueFirstContact + (isFirstContactOverdue(lead, slaHours, now) ? 1 : 0)
+  }), { overdueFollowUps: 0, overdueFirstContact: 0 });
+};
+
+/**
+ * Formats a YYYY-MM-DD follow-up date for display, e.g. "Oct 19"
+ * @param {string|null} date - Follow-up date
+ * @returns {string} Formatted date, or an empty string
+ */
+export const formatFollowUpDate = (date) => (date ? format(parseISO(date), 'MMM d') : '');
@@ -0,0 +1,139 @@
+/**
+ * @fileoverview Helpers for a lead's stats history: the dated snapshots of followers,
+ * engagement and recent likes/views the server stores on every sync. Turns snapshots into
+ * chart rows, measures growth over a window and decides which creators count as fast-growing.
+ */
+
+import { format } from 'date-fns';
+import { DEFAULT_GROWTH_SETTINGS } from './performanceCalculator';
+
+/** @type {number} Default window growth is measured over, matching Follower_Growth_30d */
+export const GROWTH_WINDOW_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} StatsSnapshot
+ * @property {string} client_id - Lead client id
+ * @property {string} taken_at - ISO timestamp of the sync
+ * @property {Object<string, Object<string, number>>} platforms - Metrics per platform, e.g.
+ * `{ instagram: { followers, engagement, recent_likes } }`
+ */
+
+/**
+ * @typedef {Object} Growth
+ * @property {number} change - Difference between the latest value and the baseline
+ * @property {number|null} percent - Change relative to the baseline, null when it was 0
+ * @property {string} since - ISO timestamp of the baseline snapshot
+ */
+
+/**
+ * Platforms in a snapshot, with their chart colours
+ * @type {Array<{key: string, label: string, color: string}>}
+ */
+export const HISTORY_PLATFORMS = [
+  { key: 'snapchat', label: 'Snapchat', color: '#eab308' },
+  { key: 'instagram', label: 'Instagram', color: '#e1306c' },
+  { key: 'tiktok', label: 'TikTok', color: '#111827' },
+  { key: 'youtube', label: 'YouTube', color: '#dc2626' }
+];
+
+/**
+ * Metrics that can be charted
+ * @type {Array<{key: string, label: string, suffix: string}>}
+ */
+export const HISTORY_METRICS = [
+  { key: 'followers', label: 'Followers', suffix: '' },
+  { key: 'engagement', label: 'Engagement rate', suffix: '%' },
+  { key: 'recent_likes', label: 'Recent likes', suffix: '' },
+  { key: 'recent_views', label: 'Recent views', suffix: '' }
+];
+
+/**
+ * Value of a metric in a snapshot; the 'total' platform sums followers across platforms
+ * @param {StatsSnapshot} snapshot - Snapshot
+ * @param {string} platform - Platform key, or 'total'
+ * @param {string} metric - Metric key
+ * @returns {number|undefined} Value, or undefined when the platform does not track the metric
+ */
+const valueOf = (snapshot, platform, metric) => {
+  if (platform === 'total') {
+    return Object.values(snapshot.platforms).reduce((sum, metrics) => sum + (metrics[metric] || 0), 0);
+  }
+  return snapshot.platforms[platform]?.[metric];
+};
+
+/**
+ * Platforms that track a metric in any snapshot
+ * @param {Array<StatsSnapshot>} snapshots - Snapshots
+ * @param {string} metric - Metric key
+ * @returns {Array<{key: string, label: string, color: string}>} Platforms
+ */
+export const getPlatformsWithMetric = (snapshots, metric) =>
+  HISTORY_PLATFORMS.filter(platform => snapshots.some(snapshot => valueOf(snapshot, platform.key, metric) !== undefined));
+
+/**
+ * Chart rows for one metric, one row per snapshot
+ * @param {Array<StatsSnapshot>} snapshots - Snapshots, oldest first
+ * @param {string} metric - Metric key
+ * @returns {Array<Object>} Rows with a `date` label and one value per platform
+ */
+export const toChartData = (snapshots, metric) =>
+  snapshots.map(snapshot => ({
+    date: format(new Date(snapshot.taken_at), 'MMM d'),
+    ...Object.fromEntries(HISTORY_PLATFORMS.map(platform => [platform.key, valueOf(snapshot, platform.key, metric)]))
+  }));
+
+/**
+ * Growth of a metric from the newest snapshot at least `days` old (or the oldest one) to the latest
+ * @param {Array<StatsSnapshot>} snapshots - Snapshots, oldest first
+ * @param {string} platform - Platform key, or 'total' for all followers
+ * @param {string} [metric='followers'] - Metric key
+ * @param {number} [days=GROWTH_WINDOW_DAYS] - Window in days
+ * @returns {Growth|null} Growth, or null without two snapshots to compare
+ */
+export const getGrowth = (snapshots, platform, metric = 'followers', days = GROWTH_WINDOW_DAYS) => {
+  if (snapshots.length < 2) return null;
+  const latest = snapshots[snapshots.length - 1];
+  const cutoff = new Date(latest.taken_at).getTime() - days * DAY_MS;
+  const baseline = [...snapshots].reverse().find(item => new Date(item.taken_at).getTime() <= cutoff) || snapshots[0];
+  const before = valueOf(baseline, platform, metric);
+  const after = valueOf(latest, platform, metric);
+  if (baseline === latest || before === undefined || after === undefined) return null;
+  return {
+    change: after - before,
+    percent: before > 0 ? ((after - before) / before) * 100 : null,
+    since: baseline.taken_at
+  };
+};
+
+/**
+ * 30-day growth, in percent, from which a creator counts as fast-growing: the high growth
+ * threshold of the scoring settings
+ * @param {Object|null} settings - Active algorithm settings
+ * @returns {number} Threshold in percent
+ */
+export const getFastGrowthThreshold = (settings) =>
+  (settings?.growth || DEFAULT_GROWTH_SETTINGS).followers.high;
+
+/**
+ * Whether a lead grew its followers faster than the fast-growth threshold over the last 30 days
+ * @param {Object} lead - Lead record
+ * @param {Object|null} settings - Active algorithm settings
+ * @returns {boolean} Whether the lead is fast-growing
+ */
+export const isFastGrowing = (lead, settings) => {
+  const growth = parseFloat(lead?.Follower_Growth_30d);
+  return !Number.isNaN(growth) && growth >= getFastGrowthThreshold(settings);
+};
+
+/**
+ * Formats a growth percentage with its sign, e.g. "+12.5%"
+ * @param {number|null} percent - Growth in percent
+ * @returns {string} Formatted growth, or an em dash when unknown
+ */
+export const formatGrowth = (percent) => {
+  if (percent === null || percent === undefined || Number.isNaN(Number(percent))) return '—';
+  const value = Number(percent);
+  return `${value > 0 ? '+' : ''}${value.toFixed(1)}%`;
+};
@@ -0,0 +1,203 @@
+/**
+ * @fileoverview Duplicate lead detection. Leads arrive from the call forms and manual entry,
+ * so the same creator often exists several times under slightly different handles. Leads are
+ * clustered when any normalized Snapchat, Instagram or TikTok username, email or phone number
+ * matches, directly or through another lead in the cluster.
+ */
+
+/**
+ * @typedef {Object} DuplicateMatch
+ * @property {string} field - Identity that matched, e.g. "Instagram"
+ * @property {string} value - Normalized value shared by the leads
+ */
+
+/**
+ * @typedef {Object} DuplicateCluster
+ * @property {string} id - Stable cluster id, built from its client ids
+ * @property {Array<Object>} leads - Leads in the cluster, oldest first; leads without a creation date last
+ * @property {Array<DuplicateMatch>} matches - Identities the leads share
+ */
+
+/**
+ * Normalizes a social handle: lowercase, without a profile URL, leading @ or punctuation,
+ * so "@Avery.B", "avery_b" and "instagram.com/averyb" compare equal
+ * @param {string} value - Raw username
+ * @returns {string} Normalized username, or an empty string
+ */
+export const normalizeUsername = (value) =>
+  String(value || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^https?:\/\//, '')
+    .replace(/^(www\.)?[a-z]+\.com\/(@)?/, '')
+    .replace(/[^a-z0-9]/g, '');
+
+/**
+ * Normalizes an email address: lowercase, without a +tag, and without dots in Gmail local parts
+ * @param {string} value - Raw email
+ * @returns {string} Normalized email, or an empty string
+ */
+export const normalizeEmail = (value) => {
+  const [local, domain] = String(value || '').trim().toLowerCase().split('@');
+  if (!local || !domain) return '';
+  const base = local.split('+')[0];
+  return `${domain === 'gmail.com' || domain === 'googlemail.com' ? base.replace(/\./g, '') : base}@${domain}`;
+};
+
+/**
+ * Normalizes a phone number to its digits, without a leading US country code
+ * @param {string} value - Raw phone number
+ * @returns {string} Normalized number, or an empty string when too short to compare
+ */
+export const normalizePhone = (value) => {
+  const digits = String(value || '').replace(/\D/g, '');
+  const national = digits.length === 11 && digits.startsWith('1') ? digits.slice(1) : digits;
+  return national.length >= 7 ? national : '';
+};
+
+/**
+ * Identities used to match leads
+ * @type {Array<{field: string, getValue: Function}>}
+ */
+const MATCH_KEYS = [
+  { field: 'Snapchat', getValue: lead => normalizeUsername(lead.Snap_Username || lead.Snapchat_Username) },
+  { field: 'Instagram', getValue: lead => normalizeUsername(lead.IG_Username) },
+  { field: 'TikTok', getValue: lead => normalizeUsername(lead.TT_Username) },
+  { field: 'Email', getValue: lead => normalizeEmail(lead.Email_Address) },
+  { field: 'Phone', getValue: lead => normalizePhone(lead.Phone) }
+];
+
+/**
+ * Normalized identities of a lead, e.g. "Instagram:averyb"; two leads with a shared key
+ * are duplicate candidates
+ * @param {Object} lead - Lead record
+ * @returns {Array<string>} Identity keys
+ */
+export const getIdentityKeys = (lead) =>
+  MATCH_KEYS
+    .map(({ field, getValue }) => [field, getValue(lead)])
+    .filter(([, value]) => value)
+    .map(([field, value]) => `${field}:${value}`);
+
+/**
+ * Fields compared side by side when reviewing a cluster. Fields marked `pick` can be taken
+ * from any lead in the merge; the rest are shown for context only.
+ * @type {Array<{key: string, label: string, pick?: boolean}>}
+ */
+export const COMPARE_FIELDS = [
+  { key: 'client_id', label: 'Client ID' },
+  { key: 'created_at', label: 'Created' },
+  { key: 'First_Legal_Name', label: 'First name', pick: true },
+  { key: 'Last_Legal_Name', label: 'Last name', pick: true },
+  { key: 'Stage_Name', label: 'Stage name', pick: true },
+  { key: 'Email_Address', label: 'Email', pick: true },
+  { key: 'Phone', label: 'Phone', pick: true },
+  { key: 'DOB', label: 'Date of birth', pick: true },
+  { key: 'Timezone', label: 'Timezone', pick: true },
+  { key: 'Snap_Username', label: 'Snapchat', pick: true },
+  { key: 'Snap_Followers', label: 'Snapchat followers', pick: true },
+  { key: 'IG_Username', label: 'Instagram', pick: true },
+  { key: 'IG_Followers', label: 'Instagram followers', pick: true },
+  { key: 'TT_Username', label: 'TikTok', pick: true },
+  { key: 'TT_Followers', label: 'TikTok followers', pick: true },
+  { key: 'YT_Username', label: 'YouTube', pick: true },
+  { key: 'YT_Subscribers', label: 'YouTube subscribers', pick: true },
+  { key: 'referred_by_name', label: 'Referred by', pick: true },
+  { key: 'monetized_by_name', label: 'Monetized by', pick: true },
+  { key: 'payout_email', label: 'Payout email', pick: true },
+  { key: 'is_signed', label: 'Signed' },
+  { key: 'Snap_Star', label: 'Snap Star' },
+  { key: 'Snap_Monetized', label: 'Monetized' },
+  { key: 'is_dead', label: 'Dead' }
+];
+
+/** @type {Object<string, Array<string>>} Fields that always travel with a picked field */
+export const LINKED_FIELDS = {
+  referred_by_name: ['referred_by'],
+  monetized_by_name: ['monetized_by'],
+  Snap_Username: ['Snapchat_Username', 'snap_id']
+};
+
+/**
+ * Groups leads that share any normalized identity
+ * @param {Array<Object>} leads - Leads to check
+ * @returns {Array<DuplicateCluster>} Clusters of two or more leads, largest first
+ */
+export const findDuplicateClusters = (leads) => {
+  const parent = leads.map((_, index) => index);
+  const find = (index) => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+
+  // Leads holding each normalized identity
+  const holders = new Map();
+  leads.forEach((lead, index) => {
+    MATCH_KEYS.forEach(({ field, getValue }) => {
+      const value = getValue(lead);
+      if (!value) return;
+      const key = `${field}:${value}`;
+      if (holders.has(key)) {
+        parent[find(index)] = find(holders.get(key).indexes[0]);
+        holders.get(key).indexes.push(index);
+      } else {
+        holders.set(key, { field, value, indexes: [index] });
+      }
+    });
+  });
+
+  const groups = new Map();
+  leads.forEach((lead, index) => {
+    const root = find(index);
+    if (!groups.has(root)) groups.set(root, { leads: [], matches: [] });
+    groups.get(root).leads.push(lead);
+  });
+  holders.forEach(({ field, value, indexes }) => {
+    if (indexes.length > 1) groups.get(find(indexes[0])).matches.push({ field, value });
+  });
+
+  return [...groups.values()]
+    .filter(group => group.leads.length > 1)
+    .map(group => {
+      const createdAt = (lead) => (lead.created_at ? new Date(lead.created_at).getTime() : Infinity);
+      const sorted = [...group.leads].sort((a, b) => createdAt(a) - createdAt(b));
+      return {
+        id: sorted.map(lead => lead.client_id).join('+'),
+        leads: sorted,
+        matches: group.matches
+      };
+    })
+    .sort((a, b) => b.leads.length - a.leads.length);
+};
+
+/** @type {Array<string>} Pipeline flags the survivor keeps if any merged lead has them */
+const COMBINED_FLAGS = ['is_groupchat', 'is_signed', 'Snap_Star', 'Snap_Monetized', 'approved'];
+
+/**
+ * Builds the field values the surviving lead keeps: for every pickable field, the value from
+ * the lead chosen for it, plus any linked fields from that same lead. Pipeline flags are
+ * combined so the survivor is as far along as the furthest duplicate, and it is only dead
+ * if every duplicate is.
+ * @param {Array<Object>} leads - Leads being merged
+ * @param {Object<string, string>} picks - Field key to client id of the lead to take it from
+ * @returns {Object} Fields to apply to the survivor
+ */
+export const buildMergedFields = (leads, picks) => {
+  const fields = {};
+  COMBINED_FLAGS.forEach(flag => {
+    fields[flag] = leads.some(lead => lead[flag] === true);
+  });
+  fields.is_dead = leads.every(lead => lead.is_dead === true);
+  fields.assigned_employees = [...new Set(leads.flatMap(lead => lead.assigned_employees || []))];
+  Object.entries(picks).forEach(([key, clientId]) => {
+    const source = leads.find(lead => lead.client_id === clientId);
+    if (!source) return;
+    [key, ...(LINKED_FIELDS[key] || [])].forEach(field => {
+      if (source[field] !== undefined) fields[field] = source[field];
+    });
+  });
+  return fields;
+};
@@ -0,0 +1,171 @@
+/**
+ * @fileoverview Spreadsheet exports of lead lists. The lead grid exports its current view:
+ * the rows left after the tab, search and column filters, in sort order, with the visible or
+ * all columns in their current order. Other views pass their own columns. Every export ends
+ * with the lead's Performance_Score under the active settings, its rank among all leads and
+ * the score stored on the server.
+ */
+
+import { calculateScore } from './performanceCalculator';
+import { rankScores } from './scoreSimulation';
+import { downloadFile, toCsv, toXlsx } from '../../utils/spreadsheet';
+
+/**
+ * @typedef {Object} ExportColumn
+ * @property {string} header - Column header
+ * @property {Function} getValue - Cell value for a lead: (lead, rowIndex) => *
+ */
+
+/**
+ * @typedef {Object} ExportView
+ * @property {Array<Object>} leads - Leads to export, in order
+ * @property {Array<ExportColumn>} columns - Columns to export, in order
+ */
+
+/** @type {Object<string, string>} Export file formats and their labels */
+export const EXPORT_FORMATS = {
+  csv: 'CSV',
+  xlsx: 'Excel (XLSX)'
+};
+
+/** @type {Array<string>} Grid columns that the appended score columns replace */
+const SCORE_COLUMN_IDS = ['SCORE'];
+
+/** @type {Array<Array<string>>} Pipeline flags and their labels, in pipeline order */
+const STATUS_FLAGS = [
+  ['is_groupchat', 'Group chat'],
+  ['is_signed', 'Signed'],
+  ['Snap_Star', 'Verified'],
+  ['Snap_Monetized', 'Monetized'],
+  ['is_dead', 'Dead']
+];
+
+/**
+ * Lists the pipeline flags set on a lead
+ * @param {Object} lead - Lead record
+ * @returns {string} Flag labels, e.g. "Signed, Monetized"
+ */
+export const describeStatusFlags = (lead) =>
+  STATUS_FLAGS.filter(([field]) => lead?.[field]).map(([, label]) => label).join(', ');
+
+/**
+ * Converts a value to something a spreadsheet cell can hold
+ * @param {*} value - Raw value
+ * @returns {string|number} Cell value
+ */
+const toCellValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return Number.isFinite(value) ? value : '';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (Array.isArray(value)) return value.map(toCellValue).join(', ');
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+/**
+ * Reads the current view of the lead grid. Columns without a value (actions, row selection)
+ * are left out.
+ * @param {Object} gridApi - AG Grid API
+ * @param {string} scope - 'visible' for the displayed columns, 'all' to include hidden ones
+ * @returns {ExportView} Rows after filtering and sorting, with their columns
+ */
+export const getGridView = (gridApi, scope) => {
+  const nodes = [];
+  gridApi.forEachNodeAfterFilterAndSort(node => {
+    if (node.data) nodes.push(node);
+  });
+
+  const gridColumns = scope === 'all' ? gridApi.getAllGridColumns() : gridApi.getAllDisplayedColumns();
+  const columns = gridColumns
+    .filter(column => {
+      const colDef = column.getColDef();
+      return (colDef.field || colDef.valueGetter) &&
+        colDef.field !== 'actions' &&
+        !SCORE_COLUMN_IDS.includes(column.getColId());
+    })
+    .map(column => ({
+      header: gridApi.getDisplayNameForColumn(column, null),
+      getValue: (lead, rowIndex) => gridApi.getCellValue({ rowNode: nodes[rowIndex], colKey: column, useFormatter: true })
+    }));
+
+  return { leads: nodes.map(node => node.data), columns };
+};
+
+/**
+ * One column per field found on any of the leads, in the order the fields first appear
+ * @param {Array<Object>} leads - Lead records
+ * @returns {Array<ExportColumn>} Field columns
+ */
+export const getLeadFieldColumns = (leads) => {
+  const fields = new Set();
+  leads.forEach(lead => Object.keys(lead).forEach(field => fields.add(field)));
+  return [...fields].map(field => ({ header: field, getValue: lead => lead[field] }));
+};
+
+/**
+ * Score columns appended to every export. Ranks are competition ranks (equal scores share a
+ * rank) over all leads, not only the exported ones, so they match the tracker.
+ * @param {Array<Object>} allLeads - Every lead in the tracker
+ * @param {Object|null} settings - Active algorithm settings; scores are blank until they load
+ * @param {Object<string, number>} [rankData={}] - Stored server scores keyed by lead id and client id
+ * @returns {Array<ExportColumn>} Performance_Score, Rank and Stored_Score columns
+ */
+export const getScoreColumns = (allLeads, settings, rankData = {}) => {
+  const leadKey = (lead) => lead.client_id || lead._id;
+  const scores = settings ? allLeads.map(lead => calculateScore(lead, settings).total) : [];
+  const ranks = rankScores(scores);
+  const ranked = new Map(allLeads.map((lead, index) => [leadKey(lead), { score: scores[index], rank: ranks[index] }]));
+
+  return [
+    {
+      header: 'Performance_Score',
+      getValue: lead => ranked.get(leadKey(lead))?.score ?? (settings ? calculateScore(lead, settings).total : '')
+    },
+    {
+      header: 'Rank',
+      getValue: lead => ranked.get(leadKey(lead))?.rank ?? ''
+    },
+    {
+      header: 'Stored_Score',
+      getValue: lead => rankData[lead._id || lead.id] ?? rankData[lead.client_id] ?? ''
+    }
+  ];
+};
+
+/**
+ * Lays out an export as rows of cells, the header row first
+ * @param {ExportView} view - Leads and columns
+ * @returns {Array<Array<string|number>>} Rows of cell values
+ */
+export const buildExportRows = ({ leads, columns }) => [
+  columns.map(column => column.header),
+  ...leads.map((lead, rowIndex) => columns.map(column => toCellValue(column.getValue(lead, rowIndex))))
+];
+
+/**
+ * File name for an export, e.g. "leads-signed-2024-05-01.csv"
+ * @param {string} label - What is exported, e.g. the active tab
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @returns {string} File name
+ */
+export const getExportFileName = (label, format) => {
+  const slug = label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `leads-${slug || 'export'}-${new Date().toISOString().slice(0, 10)}.${format}`;
+};
+
+/**
+ * Writes an export and downloads it
+ * @param {ExportView} view - Leads and columns
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {string} label - What is exported, used for the file and sheet name
+ */
+export const exportLeads = (view, format, label) => {
+  const rows = buildExportRows(view);
+  const fileName = getExportFileName(label, format);
+  if (format === 'xlsx') {
+    downloadFile(toXlsx(rows, label || 'Leads'), fileName);
+  } else {
+    downloadFile(new Blob([toCsv(rows)], { type: 'text/csv;charset=utf-8' }), fileName);
+  }
+};
@@ -0,0 +1,232 @@
+/**
+ * @fileoverview Mapping, validation and duplicate checks for importing leads from a spreadsheet.
+ * Columns are mapped to lead fields, each row is normalized (handles without @ or profile URLs,
+ * follower counts such as "12.5k" as numbers) and checked against existing leads and earlier
+ * rows of the same file.
+ */
+
+import { getIdentityKeys } from './leadDuplicates';
+
+/**
+ * @typedef {Object} ImportField
+ * @property {string} key - Lead field
+ * @property {string} label - Display name
+ * @property {string} type - 'text', 'handle', 'number', 'email', 'phone' or 'date'
+ * @property {Array<string>} aliases - Normalized header names that map to the field
+ */
+
+/**
+ * @typedef {Object} ImportRow
+ * @property {number} row - Spreadsheet row number (the header is row 1)
+ * @property {Object} lead - Normalized lead fields
+ * @property {Array<string>} errors - Problems that block the import of the row
+ * @property {Array<string>} warnings - Values that were dropped or adjusted
+ * @property {string|null} duplicateOf - Existing client id, or "row N", the row duplicates
+ * @property {string} status - 'ready', 'duplicate' or 'invalid'
+ */
+
+/**
+ * Lead fields a spreadsheet column can be mapped to
+ * @type {Array<ImportField>}
+ */
+export const IMPORT_FIELDS = [
+  { key: 'First_Legal_Name', label: 'First name', type: 'text', aliases: ['firstname', 'first', 'firstlegalname', 'givenname'] },
+  { key: 'Last_Legal_Name', label: 'Last name', type: 'text', aliases: ['lastname', 'last', 'lastlegalname', 'surname'] },
+  { key: 'Stage_Name', label: 'Stage name', type: 'text', aliases: ['stagename', 'name', 'creator', 'displayname'] },
+  { key: 'Email_Address', label: 'Email', type: 'email', aliases: ['email', 'emailaddress', 'mail'] },
+  { key: 'Phone', label: 'Phone', type: 'phone', aliases: ['phone', 'phonenumber', 'mobile', 'cell'] },
+  { key: 'DOB', label: 'Date of birth', type: 'date', aliases: ['dob', 'dateofbirth', 'birthday', 'birthdate'] },
+  { key: 'Timezone', label: 'Timezone', type: 'text', aliases: ['timezone', 'tz'] },
+  { key: 'Snap_Username', label: 'Snapchat username', type: 'handle', aliases: ['snapusername', 'snapchat', 'snapchatusername', 'snap'] },
+  { key: 'Snap_Followers', label: 'Snapchat followers', type: 'number', aliases: ['snapfollowers', 'snapchatfollowers'] },
+  { key: 'IG_Username', label: 'Instagram username', type: 'handle', aliases: ['igusername', 'instagram', 'instagramusername', 'ig'] },
+  { key: 'IG_Followers', label: 'Instagram followers', type: 'number', aliases: ['igfollowers', 'instagramfollowers'] },
+  { key: 'TT_Username', label: 'TikTok username', type: 'handle', aliases: ['ttusername', 'tiktok', 'tiktokusername', 'tt'] },
+  { key: 'TT_Followers', label: 'TikTok followers', type: 'number', aliases: ['ttfollowers', 'tiktokfollowers'] },
+  { key: 'YT_Username', label: 'YouTube username', type: 'handle', aliases: ['ytusername', 'youtube', 'youtubeusername', 'yt', 'youtubechannel'] },
+  { key: 'YT_Subscribers', label: 'YouTube subscribers', type: 'number', aliases: ['ytsubscribers', 'youtubesubscribers', 'subscribers'] }
+];
+
+/** @type {Array<string>} At least one of these is needed to identify an imported lead */
+const IDENTITY_FIELDS = ['Snap_Username', 'IG_Username', 'TT_Username', 'YT_Username', 'Email_Address'];
+
+/**
+ * Fields that hold a copy of an imported field. Scoring reads the Snapchat handle from
+ * Snapchat_Username; snap_id is the Snapchat account id, which a spreadsheet does not have.
+ * @type {Object<string, Array<string>>}
+ */
+const MIRRORED_FIELDS = {
+  Snap_Username: ['Snapchat_Username']
+};
+
+const NUMBER_SUFFIXES = { k: 1e3, m: 1e6, b: 1e9 };
+
+/**
+ * Reduces a header to lowercase letters and digits for alias matching
+ * @param {string} header - Column header
+ * @returns {string} Normalized header
+ */
+const normalizeHeader = (header) => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Suggests a lead field for each column from its header
+ * @param {Array<string>} headers - Column headers
+ * @returns {Object<string, string>} Column header to lead field key, or '' to skip
+ */
+export const guessMapping = (headers) => {
+  const used = new Set();
+  return Object.fromEntries(headers.map(header => {
+    const normalized = normalizeHeader(header);
+    const field = IMPORT_FIELDS.find(item =>
+      !used.has(item.key) && (normalizeHeader(item.key) === normalized || item.aliases.includes(normalized))
+    );
+    if (field) used.add(field.key);
+    return [header, field ? field.key : ''];
+  }));
+};
+
+/**
+ * Cleans a social handle: strips a profile URL, leading @ and whitespace, keeping the case
+ * @param {string} value - Raw handle
+ * @returns {string} Handle
+ */
+export const cleanHandle = (value) =>
+  value
+    .trim()
+    .replace(/^https?:\/\//i, '')
+    .replace(/^(www\.)?[a-z]+\.com\/(@)?/i, '')
+    .replace(/[/?#].*$/, '')
+    .replace(/^@/, '')
+    .trim();
+
+/**
+ * Parses a count such as "12,500", "12.5k" or "1.2M"
+ * @param {string} value - Raw count
+ * @returns {number|null} Count, or null if it is not a number
+ */
+export const parseCount = (value) => {
+  const match = value.trim().toLowerCase().replace(/[,\s]/g, '').match(/^(\d+(?:\.\d+)?)([kmb])?$/);
+  if (!match) return null;
+  return Math.round(Number(match[1]) * (NUMBER_SUFFIXES[match[2]] || 1));
+};
+
+/**
+ * Parses a date as YYYY-MM-DD, accepting ISO dates, US M/D/YYYY dates and Excel serial numbers
+ * @param {string} value - Raw date
+ * @returns {string|null} Date string, or null if it cannot be read
+ */
+export const parseDate = (value) => {
+  const trimmed = value.trim();
+  let date = null;
+  if (/^\d{4}-\d{1,2}-\d{1,2}/.test(trimmed)) {
+    const [year, month, day] = trimmed.slice(0, 10).split('-').map(Number);
+    date = new Date(Date.UTC(year, month - 1, day));
+  } else if (/^\d{1,2}\/\d{1,2}\/\d{2,4}$/.test(trimmed)) {
+    const [month, day, year] = trimmed.split('/').map(Number);
+    date = new Date(Date.UTC(year < 100 ? 1900 + year : year, month - 1, day));
+  } else if (/^\d{4,5}$/.test(trimmed)) {
+    // Excel stores dates as days since 1899-12-30
+    date = new Date(Date.UTC(1899, 11, 30) + Number(trimmed) * 24 * 60 * 60 * 1000);
+  }
+  return date && !Number.isNaN(date.getTime()) ? date.toISOString().slice(0, 10) : null;
+};
+
+/**
+ * Normalizes one value for its field type
+ * @param {ImportField} field - Target field
+ * @param {string} raw - Raw cell value
+ * @returns {{value: *, error: string|null}} Normalized value, or an error
+ */
+const normalizeValue = (field, raw) => {
+  switch (field.type) {
+    case 'handle': {
+      const handle = cleanHandle(raw);
+      return /^[\w.-]+$/.test(handle)
+        ? { value: handle, error: null }
+        : { value: null, error: `${field.label} "${raw}" is not a valid handle` };
+    }
+    case 'number': {
+      const count = parseCount(raw);
+      return count === null
+        ? { value: null, error: `${field.label} "${raw}" is not a number` }
+        : { value: count, error: null };
+    }
+    case 'email': {
+      const email = raw.trim().toLowerCase();
+      return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)
+        ? { value: email, error: null }
+        : { value: null, error: `Email "${raw}" is not valid` };
+    }
+    case 'phone': {
+      const digits = raw.replace(/\D/g, '');
+      const national = digits.length === 11 && digits.startsWith('1') ? digits.slice(1) : digits;
+      return national.length === 10
+        ? { value: `(${national.slice(0, 3)}) ${national.slice(3, 6)}-${national.slice(6)}`, error: null }
+        : { value: null, error: `Phone "${raw}" is not a 10-digit number` };
+    }
+    case 'date': {
+      const date = parseDate(raw);
+      return date ? { value: date, error: null } : { value: null, error: `Date "${raw}" cannot be read` };
+    }
+    default:
+      return { value: raw.trim(), error: null };
+  }
+};
+
+/**
+ * Normalizes and validates every row and flags duplicates of existing leads or earlier rows.
+ * Invalid optional values are dropped with a warning; a row is invalid only when nothing
+ * identifies the creator.
+ * @param {Array<Object<string, string>>} rows - Spreadsheet rows keyed by header
+ * @param {Object<string, string>} mapping - Column header to lead field key
+ * @param {Array<Object>} existingLeads - Leads already in the tracker
+ * @returns {Array<ImportRow>} Checked rows
+ */
+export const prepareImport = (rows, mapping, existingLeads) => {
+  const known = new Map();
+  existingLeads.forEach(lead => {
+    getIdentityKeys(lead).forEach(key => {
+      if (!known.has(key)) known.set(key, lead.client_id);
+    });
+  });
+
+  return rows.map((raw, index) => {
+    const rowNumber = index + 2;
+    const lead = {};
+    const warnings = [];
+
+    Object.entries(mapping).forEach(([header, key]) => {
+      const field = IMPORT_FIELDS.find(item => item.key === key);
+      const value = raw[header];
+      if (!field || value === undefined || value === '') return;
+      const result = normalizeValue(field, value);
+      if (result.error) warnings.push(result.error);
+      else lead[field.key] = result.value;
+    });
+    Object.entries(MIRRORED_FIELDS).forEach(([key, copies]) => {
+      if (lead[key]) copies.forEach(copy => { lead[copy] = lead[key]; });
+    });
+
+    const errors = IDENTITY_FIELDS.some(key => lead[key])
+      ? []
+      : ['Needs a username or email to identify the creator'];
+
+    const keys = getIdentityKeys(lead);
+    const duplicateKey = keys.find(key => known.has(key));
+    const duplicateOf = duplicateKey ? known.get(duplicateKey) : null;
+    if (!errors.length) {
+      keys.forEach(key => {
+        if (!known.has(key)) known.set(key, `row ${rowNumber}`);
+      });
+    }
+
+    return {
+      row: rowNumber,
+      lead,
+      errors,
+      warnings,
+      duplicateOf,
+      status: errors.length ? 'invalid' : duplicateOf ? 'duplicate' : 'ready'
+    };
+  });
+};
@@ -0,0 +1,139 @@
+/**
+ * @fileoverview Lead pipeline stages. The lead record stores the pipeline as boolean flags
+ * (`is_groupchat`, `is_signed`, `Snap_Star`, `Snap_Monetized`, `is_dead`); these helpers map
+ * the flags to a single stage, build the flag update for moving a lead to another stage and
+ * keep a timestamped history of stage transitions in `stage_history`. Every change of the flags,
+ * from the board, a grid checkbox, the edit modal or a bulk action, goes through
+ * `withStageHistory` so days-in-stage and time-to-sign see it.
+ */
+
+/**
+ * @typedef {Object} PipelineStage
+ * @property {string} key - Stage identifier
+ * @property {string} label - Column title, matching the LeadTracker tab
+ * @property {string} flag - Lead field that marks the stage
+ */
+
+/**
+ * @typedef {Object} StageTransition
+ * @property {string} stage - Stage the lead entered
+ * @property {string|null} from - Stage the lead left, or null if unknown
+ * @property {string} at - ISO timestamp of the move
+ * @property {string|null} by - Who moved the lead
+ */
+
+/**
+ * Pipeline stages in order. Every flag of an earlier stage stays set when a lead moves on,
+ * matching how the tabs filter: a monetized lead is also signed.
+ * @type {Array<PipelineStage>}
+ */
+export const PIPELINE_STAGES = [
+  { key: 'new', label: 'New', flag: 'is_groupchat' },
+  { key: 'signed', label: 'Signed', flag: 'is_signed' },
+  { key: 'verified', label: 'Verified', flag: 'Snap_Star' },
+  { key: 'monetized', label: 'Monetized', flag: 'Snap_Monetized' }
+];
+
+/** @type {PipelineStage} Dead leads sit outside the ordered stages */
+export const DEAD_STAGE = { key: 'dead', label: 'Dead', flag: 'is_dead' };
+
+/** @type {Array<PipelineStage>} Board columns, left to right */
+export const BOARD_STAGES = [...PIPELINE_STAGES, DEAD_STAGE];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Current stage of a lead: dead, otherwise the furthest stage whose flag is set.
+ * Leads with no flags set are treated as new.
+ * @param {Object} lead - Lead record
+ * @returns {string} Stage key
+ */
+export const getLeadStage = (lead) => {
+  if (lead.is_dead) return DEAD_STAGE.key;
+  const reached = [...PIPELINE_STAGES].reverse().find(stage => lead[stage.flag]);
+  return (reached || PIPELINE_STAGES[0]).key;
+};
+
+/**
+ * Adds the stage transition to an update of a lead's fields. An update that leaves the lead in
+ * the same stage, e.g. a flag of an earlier stage, is returned unchanged.
+ * @param {Object} lead - Lead record before the update
+ * @param {Object} changes - Fields being updated
+ * @param {string} [movedBy] - Who made the change
+ * @returns {Object} The changes, with `stage_history` and `stage_entered_at` when the stage changes
+ */
+export const withStageHistory = (lead, changes, movedBy) => {
+  const from = getLeadStage(lead);
+  const stage = getLeadStage({ ...lead, ...changes });
+  if (stage === from) return changes;
+
+  const at = new Date().toISOString();
+  return {
+    ...changes,
+    stage_history: [...(lead.stage_history || []), { stage, from, at, by: movedBy || null }],
+    stage_entered_at: at
+  };
+};
+
+/**
+ * Builds the update that moves a lead into a stage. Ordered stages set the flags up to and
+ * including the target and clear the later ones; moving to dead only sets `is_dead`, so the
+ * lead keeps its place if it is revived. The transition is appended to `stage_history`.
+ * @param {Object} lead - Lead record
+ * @param {string} stageKey - Target stage
+ * @param {string} [movedBy] - Who made the move
+ * @returns {Object} Fields to send to LEADS.UPDATE
+ */
+export const buildStageUpdate = (lead, stageKey, movedBy) => {
+  const update = { is_dead: stageKey === DEAD_STAGE.key };
+
+  if (stageKey !== DEAD_STAGE.key) {
+    const targetIndex = PIPELINE_STAGES.findIndex(stage => stage.key === stageKey);
+    if (targetIndex === -1) {
+      throw new Error(`Unknown pipeline stage: ${stageKey}`);
+    }
+    PIPELINE_STAGES.forEach((stage, index) => {
+      update[stage.flag] = index <= targetIndex;
+    });
+  }
+
+  return withStageHistory(lead, update, movedBy);
+};
+
+/**
+ * When the lead entered its current stage: the last recorded transition into it, or the
+ * lead's creation date for leads that were never moved on the board
+ * @param {Object} lead - Lead record
+ * @returns {Date|null} Entry time, or null if unknown
+ */
+export const getStageEnteredAt = (lead) => {
+  const stage = getLeadStage(lead);
+  const entry = [...(lead.stage_history || [])].reverse().find(item => item.stage === stage);
+  const value = entry?.at || lead.created_at;
+  return value ? new Date(value) : null;
+};
+
+/**
+ * Whole days the lead has spent in its current stage
+ * @param {Object} lead - Lead record
+ * @param {Date} [now] - Reference time
+ * @returns {number|null} Days, or null if unknown
+ */
+export const getDaysInStage = (lead, now = new Date()) => {
+  const enteredAt = getStageEnteredAt(lead);
+  return enteredAt ? Math.max(0, Math.floor((now - enteredAt) / DAY_MS)) : null;
+};
+
+/**
+ * Days from lead creation to its first move into the signed stage or beyond
+ * @param {Object} lead - Lead record
+ * @returns {number|null} Days, or null if the lead was never moved to signed on the board
+ */
+export const getTimeToSign = (lead) => {
+  const signedIndex = PIPELINE_STAGES.findIndex(stage => stage.key === 'signed');
+  const signed = (lead.stage_history || []).find(item =>
+    PIPELINE_STAGES.findIndex(stage => stage.key === item.stage) >= signedIndex
+  );
+  if (!signed || !lead.created_at) return null;
+  return Math.max(0, (new Date(signed.at) - new Date(lead.created_at)) / DAY_MS);
+};
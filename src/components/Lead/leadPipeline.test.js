@@ -0,0 +1,112 @@
+import {
+  buildStageUpdate,
+  getDaysInStage,
+  getLeadStage,
+  getTimeToSign,
+  withStageHistory
+} from './leadPipeline';
+
+const NOW = '2026-10-19T12:00:00.000Z';
+
+const SIGNED_LEAD = {
+  client_id: 'c1',
+  created_at: '2026-10-01T12:00:00.000Z',
+  is_groupchat: true,
+  is_signed: true,
+  Snap_Star: false,
+  Snap_Monetized: false,
+  is_dead: false
+};
+
+beforeEach(() => {
+  jest.useFakeTimers('modern');
+  jest.setSystemTime(new Date(NOW));
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('getLeadStage', () => {
+  it('returns the furthest stage whose flag is set', () => {
+    expect(getLeadStage(SIGNED_LEAD)).toBe('signed');
+    expect(getLeadStage({ Snap_Monetized: true })).toBe('monetized');
+  });
+
+  it('treats leads without flags as new and dead leads as dead', () => {
+    expect(getLeadStage({})).toBe('new');
+    expect(getLeadStage({ ...SIGNED_LEAD, is_dead: true })).toBe('dead');
+  });
+});
+
+describe('withStageHistory', () => {
+  it('records the transition when a flag change moves the lead to another stage', () => {
+    expect(withStageHistory(SIGNED_LEAD, { Snap_Star: true }, 'sam')).toEqual({
+      Snap_Star: true,
+      stage_history: [{ stage: 'verified', from: 'signed', at: NOW, by: 'sam' }],
+      stage_entered_at: NOW
+    });
+  });
+
+  it('appends to the existing history', () => {
+    const lead = { ...SIGNED_LEAD, stage_history: [{ stage: 'signed', from: 'new', at: '2026-10-05T00:00:00.000Z', by: null }] };
+
+    expect(withStageHistory(lead, { is_dead: true }).stage_history).toEqual([
+      ...lead.stage_history,
+      { stage: 'dead', from: 'signed', at: NOW, by: null }
+    ]);
+  });
+
+  it('returns changes that keep the lead in its stage unchanged', () => {
+    const changes = { is_groupchat: false, notes: 'Called back' };
+
+    expect(withStageHistory(SIGNED_LEAD, changes, 'sam')).toBe(changes);
+  });
+});
+
+describe('buildStageUpdate', () => {
+  it('sets the flags up to the target stage and clears the later ones', () => {
+    expect(buildStageUpdate({ Snap_Monetized: true, Snap_Star: true, is_signed: true }, 'signed', 'sam')).toMatchObject({
+      is_dead: false,
+      is_groupchat: true,
+      is_signed: true,
+      Snap_Star: false,
+      Snap_Monetized: false,
+      stage_history: [{ stage: 'signed', from: 'monetized', at: NOW, by: 'sam' }]
+    });
+  });
+
+  it('only sets is_dead when moving to dead, so a revived lead keeps its place', () => {
+    const update = buildStageUpdate(SIGNED_LEAD, 'dead');
+
+    expect(update).toMatchObject({ is_dead: true, stage_entered_at: NOW });
+    expect(update).not.toHaveProperty('is_signed');
+    expect(getLeadStage({ ...SIGNED_LEAD, ...update, is_dead: false })).toBe('signed');
+  });
+
+  it('rejects unknown stages', () => {
+    expect(() => buildStageUpdate(SIGNED_LEAD, 'archived')).toThrow('Unknown pipeline stage: archived');
+  });
+});
+
+describe('stage timing', () => {
+  it('counts days in stage from the last move into it, or from creation', () => {
+    expect(getDaysInStage(SIGNED_LEAD)).toBe(18);
+
+    const moved = { ...SIGNED_LEAD, ...withStageHistory(SIGNED_LEAD, { Snap_Star: true }) };
+    expect(getDaysInStage(moved, new Date('2026-10-22T12:00:00.000Z'))).toBe(3);
+  });
+
+  it('measures time to sign from the first move into signed or beyond', () => {
+    const lead = {
+      ...SIGNED_LEAD,
+      stage_history: [
+        { stage: 'verified', from: 'new', at: '2026-10-04T12:00:00.000Z', by: null },
+        { stage: 'signed', from: 'verified', at: '2026-10-10T12:00:00.000Z', by: null }
+      ]
+    };
+
+    expect(getTimeToSign(lead)).toBe(3);
+    expect(getTimeToSign(SIGNED_LEAD)).toBeNull();
+  });
+});
@@ -1,234 +1,345 @@
 /**
  * @fileoverview Performance calculator utilities for computing lead/client performance scores.
  * Provides functions for calculating engagement, follower counts, and overall performance metrics.
+ * Every score comes with a breakdown of the thresholds each metric hit, so the total can be explained.
+ * The calculator is pure: callers pass the algorithm settings to score with, normally the active
+ * server version from AlgorithmSettingsContext.
  */
 
-import algorithmSettings from '../config/algorithmSettings.json';
-
 /**
  * @typedef {Object} Lead
  * @property {number} IG_Followers - Instagram follower count
  * @property {number} TT_Followers - TikTok follower count
- * @property {number} YT_Followers - YouTube follower count
+ * @property {number} YT_Subscribers - YouTube subscriber count
+ * @property {number} Snapchat_Followers - Snapchat follower count used for scoring
  * @property {boolean} IG_Verified - Instagram verification status
  * @property {boolean} TT_Verified - TikTok verification status
  * @property {boolean} YT_Verified - YouTube verification status
+ * @property {boolean} Snap_Star - Snap Star status
  * @property {number} IG_Engagement - Instagram engagement rate
  * @property {number} TT_Engagement - TikTok engagement rate
- * @property {number} YT_Engagement - YouTube engagement rate
+ * @property {number} Average_Engagement - Average engagement rate
+ * @property {number|null} Follower_Growth_30d - Total follower growth over the last 30 days in
+ * percent, kept up to date by the server from the synced stats history
+ */
+
+/**
+ * @typedef {Object} ScoreRule
+ * @property {string} label - Metric that was scored, e.g. "TikTok engagement"
+ * @property {string} value - Formatted metric value
+ * @property {string|null} tier - Tier reached ('high', 'medium', 'low'), or null for none
+ * @property {number} points - Points awarded
+ * @property {number} maxPoints - Most points the metric can award
+ * @property {string} reason - Which threshold was hit, or why none was
+ */
+
+/**
+ * @typedef {Object} ScoreComponent
+ * @property {string} key - Settings category, e.g. "engagement"
+ * @property {string} label - Display name of the component
+ * @property {number} score - Points awarded by the component
+ * @property {number} maxScore - Most points the component can award
+ * @property {Array<ScoreRule>} rules - How each metric in the component was scored
+ */
+
+/**
+ * @typedef {Object} ScoreBreakdown
+ * @property {number} total - Overall performance score
+ * @property {Array<ScoreComponent>} components - Engagement, followers, recent performance,
+ * verification, cross-platform, rank and growth components, in that order
+ */
+
+/**
+ * @typedef {Object} ScoreTier
+ * @property {string} key - Tier identifier
+ * @property {string} label - Display name
+ * @property {number} max - Highest score in the tier
+ * @property {string} color - Background colour used for the tier in the grid
+ */
+
+/**
+ * Bands the lead grid colours scores by, from lowest to highest
+ * @type {Array<ScoreTier>}
+ */
+export const SCORE_TIERS = [
+  { key: 'low', label: 'Low (0-30)', max: 30, color: '#ffcdd2' },
+  { key: 'fair', label: 'Fair (31-50)', max: 50, color: '#ffe6e6' },
+  { key: 'good', label: 'Good (51-60)', max: 60, color: '#e6ffe6' },
+  { key: 'strong', label: 'Strong (61-80)', max: 80, color: '#ccffcc' },
+  { key: 'top', label: 'Top (81+)', max: Infinity, color: '#99ff99' }
+];
+
+/**
+ * Finds the band a score falls in
+ * @param {number} score - Lead score
+ * @returns {ScoreTier} The score's tier
+ */
+export const getScoreTier = (score) => SCORE_TIERS.find(tier => score <= tier.max);
+
+/**
+ * Growth thresholds (30-day follower growth in percent) for settings saved before growth
+ * became a scoring input
+ * @type {Object}
+ */
+export const DEFAULT_GROWTH_SETTINGS = {
+  followers: { high: 10, medium: 3, points: { high: 10, medium: 5, low: 2 } }
+};
+
+/** @type {Array<string>} Tiers from best to worst */
+const TIERS = ['high', 'medium', 'low'];
+
+/**
+ * Formats a number for display in a breakdown
+ * @param {number} value - Value to format
+ * @param {string} [suffix=''] - Unit appended to the value
+ * @returns {string} Formatted value
+ */
+const formatValue = (value, suffix = '') =>
+  `${Number(value.toFixed(2)).toLocaleString()}${suffix}`;
+
+/**
+ * Highest number of points any tier of a threshold setting can award
+ * @param {Object} tierSettings - Threshold setting with a `points` map
+ * @returns {number} Maximum points
  */
+const maxTierPoints = (tierSettings) => Math.max(0, ...Object.values(tierSettings.points));
 
 /**
- * Calculates the overall performance score for a lead
+ * Scores a metric where higher is better: the high and medium tiers need the value to be
+ * above their threshold, and the low tier needs it to be above `floor`
+ *
+ * @param {string} label - Metric label
+ * @param {number} value - Metric value
+ * @param {Object} tierSettings - Thresholds and points for the metric
+ * @param {Object} [options] - Scoring options
+ * @param {number} [options.floor=0] - Value the low tier must exceed
+ * @param {string} [options.suffix=''] - Unit shown after values
+ * @returns {ScoreRule} The scored metric
+ */
+const scoreAbove = (label, value, tierSettings, { floor = 0, suffix = '' } = {}) => {
+  const thresholds = { high: tierSettings.high, medium: tierSettings.medium, low: floor };
+  const tier = TIERS.find(name => value > thresholds[name]) || null;
+
+  return {
+    label,
+    value: formatValue(value, suffix),
+    tier,
+    points: tier ? tierSettings.points[tier] : 0,
+    maxPoints: maxTierPoints(tierSettings),
+    reason: tier
+      ? `Above the ${tier} threshold of ${formatValue(thresholds[tier], suffix)}`
+      : `Not above ${formatValue(floor, suffix)}`
+  };
+};
+
+/**
+ * Scores a rank where lower is better: the high and medium tiers need the rank to be at or
+ * below their threshold, and any other positive rank reaches the low tier
+ *
+ * @param {string} label - Metric label
+ * @param {number} rank - Rank value, 0 when the lead has no rank
+ * @param {Object} tierSettings - Thresholds and points for the rank
+ * @returns {ScoreRule} The scored rank
+ */
+const scoreRank = (label, rank, tierSettings) => {
+  let tier = null;
+  if (rank <= tierSettings.high) tier = 'high';
+  else if (rank <= tierSettings.medium) tier = 'medium';
+  else if (rank > 0) tier = 'low';
+
+  let reason = 'No rank';
+  if (tier === 'low') {
+    reason = `Ranked below #${formatValue(tierSettings.medium)}`;
+  } else if (tier) {
+    reason = rank > 0
+      ? `Within the ${tier} threshold of #${formatValue(tierSettings[tier])}`
+      : `No rank recorded; a rank of 0 counts as within #${formatValue(tierSettings.high)}`;
+  }
+
+  return {
+    label,
+    value: rank > 0 ? `#${formatValue(rank)}` : 'none',
+    tier,
+    points: tier ? tierSettings.points[tier] : 0,
+    maxPoints: maxTierPoints(tierSettings),
+    reason
+  };
+};
+
+/**
+ * Scores a yes/no metric
+ *
+ * @param {string} label - Metric label
+ * @param {boolean} met - Whether the condition is met
+ * @param {number} points - Points awarded when it is
+ * @param {string} metReason - Reason shown when it is
+ * @param {string} unmetReason - Reason shown when it is not
+ * @returns {ScoreRule} The scored metric
+ */
+const scoreFlag = (label, met, points, metReason, unmetReason) => ({
+  label,
+  value: met ? 'yes' : 'no',
+  tier: null,
+  points: met ? points : 0,
+  maxPoints: points,
+  reason: met ? metReason : unmetReason
+});
+
+/**
+ * Sums a list of scored metrics into a component
+ *
+ * @param {string} key - Settings category
+ * @param {string} label - Component label
+ * @param {Array<ScoreRule>} rules - Scored metrics
+ * @returns {ScoreComponent} The component
+ */
+const buildComponent = (key, label, rules) => ({
+  key,
+  label,
+  score: rules.reduce((sum, rule) => sum + rule.points, 0),
+  maxScore: rules.reduce((sum, rule) => sum + rule.maxPoints, 0),
+  rules
+});
+
+/**
+ * Calculates the overall performance score for a lead and explains how it was reached
  * @param {Lead} lead - Lead data object
- * @returns {number} The calculated performance score
- */
-export const calculateScore = (lead) => {
-  let score = 0;
-  
-  // Add debugging
-  console.log('Calculating score for:', lead);
-  
-  // Engagement Scores
-  const engagementScore = calculateEngagementScore(lead);
-  console.log('Engagement Score:', engagementScore);
-  score += engagementScore;
-  
-  // Follower Base
-  const followerScore = calculateFollowerScore(lead);
-  console.log('Follower Score:', followerScore);
-  score += followerScore;
-  
-  // Recent Performance
-  const performanceScore = calculateRecentPerformanceScore(lead);
-  console.log('Performance Score:', performanceScore);
-  score += performanceScore;
-  
-  // Verification Points
-  const verificationScore = calculateVerificationScore(lead);
-  console.log('Verification Score:', verificationScore);
-  score += verificationScore;
-  
-  // Cross-Platform Presence
-  const crossPlatformScore = calculateCrossPlatformScore(lead);
-  console.log('Cross Platform Score:', crossPlatformScore);
-  score += crossPlatformScore;
-  
-  // Add Rank Score
-  const rankScore = calculateRankScore(lead);
-  console.log('Rank Score:', rankScore);
-  score += rankScore;
-  
-  console.log('Final Score:', score);
-  return score;
+ * @param {Object} settings - Algorithm settings to score with
+ * @returns {ScoreBreakdown} The score and its per-component breakdown
+ */
+export const calculateScore = (lead, settings) => {
+  const components = [
+    calculateEngagementScore(lead, settings.engagement),
+    calculateFollowerScore(lead, settings.followers),
+    calculateRecentPerformanceScore(lead, settings.recentPerformance),
+    calculateVerificationScore(lead, settings.verification),
+    calculateCrossPlatformScore(lead, settings.crossPlatform),
+    calculateRankScore(lead, settings.ranks),
+    calculateGrowthScore(lead, settings.growth)
+  ];
+
+  return {
+    total: components.reduce((sum, component) => sum + component.score, 0),
+    components
+  };
 };
 
 /**
  * Calculates the engagement score based on platform engagement rates
  * @param {Lead} lead - Lead data object
- * @returns {number} The calculated engagement score
- */
-const calculateEngagementScore = (lead) => {
-  let score = 0;
-  const settings = algorithmSettings.engagement;
-
-  // TikTok Engagement
-  const ttEng = parseFloat(lead.TT_Engagement) || 0;
-  if (ttEng > settings.tiktok.high) score += settings.tiktok.points.high;
-  else if (ttEng > settings.tiktok.medium) score += settings.tiktok.points.medium;
-  else if (ttEng > 0) score += settings.tiktok.points.low;
-
-  // Instagram Engagement
-  const igEng = parseFloat(lead.IG_Engagement) || 0;
-  if (igEng > settings.instagram.high) score += settings.instagram.points.high;
-  else if (igEng > settings.instagram.medium) score += settings.instagram.points.medium;
-  else if (igEng > 0) score += settings.instagram.points.low;
-
-  // Average Engagement
-  const avgEng = parseFloat(lead.Average_Engagement) || 0;
-  if (avgEng > settings.average.high) score += settings.average.points.high;
-  else if (avgEng > settings.average.medium) score += settings.average.points.medium;
-  else if (avgEng > 0) score += settings.average.points.low;
-
-  return score;
+ * @param {Object} settings - Engagement thresholds
+ * @returns {ScoreComponent} The engagement component
+ */
+const calculateEngagementScore = (lead, settings) => {
+
+  return buildComponent('engagement', 'Engagement', [
+    scoreAbove('TikTok engagement', parseFloat(lead.TT_Engagement) || 0, settings.tiktok, { suffix: '%' }),
+    scoreAbove('Instagram engagement', parseFloat(lead.IG_Engagement) || 0, settings.instagram, { suffix: '%' }),
+    scoreAbove('Average engagement', parseFloat(lead.Average_Engagement) || 0, settings.average, { suffix: '%' })
+  ]);
 };
 
 /**
  * Calculates the follower score based on platform follower counts
  * @param {Lead} lead - Lead data object
- * @returns {number} The calculated follower score
- */
-const calculateFollowerScore = (lead) => {
-  let score = 0;
-  const settings = algorithmSettings.followers;
-
-  // Snapchat Followers
-  const snapFol = parseInt(lead.Snapchat_Followers) || 0;
-  if (snapFol > settings.snapchat.high) score += settings.snapchat.points.high;
-  else if (snapFol > settings.snapchat.medium) score += settings.snapchat.points.medium;
-  else if (snapFol > 0) score += settings.snapchat.points.low;
-
-  // TikTok Followers
-  const ttFol = parseInt(lead.TT_Followers) || 0;
-  if (ttFol > settings.tiktok.high) score += settings.tiktok.points.high;
-  else if (ttFol > settings.tiktok.medium) score += settings.tiktok.points.medium;
-  else if (ttFol > 0) score += settings.tiktok.points.low;
-
-  // Instagram Followers
-  const igFol = parseInt(lead.IG_Followers) || 0;
-  if (igFol > settings.instagram.high) score += settings.instagram.points.high;
-  else if (igFol > settings.instagram.medium) score += settings.instagram.points.medium;
-  else if (igFol > 0) score += settings.instagram.points.low;
-
-  // YouTube Subscribers
-  const ytSub = parseInt(lead.YT_Subscribers) || 0;
-  if (ytSub > settings.youtube.high) score += settings.youtube.points.high;
-  else if (ytSub > settings.youtube.medium) score += settings.youtube.points.medium;
-  else if (ytSub > 0) score += settings.youtube.points.low;
-
-  return score;
+ * @param {Object} settings - Follower thresholds
+ * @returns {ScoreComponent} The followers component
+ */
+const calculateFollowerScore = (lead, settings) => {
+  const snapFollowers = parseInt(lead.Snapchat_Followers) || 0;
+
+  return buildComponent('followers', 'Followers', [
+    scoreAbove('Snapchat followers', snapFollowers, settings.snapchat),
+    scoreAbove('TikTok followers', parseInt(lead.TT_Followers) || 0, settings.tiktok),
+    scoreAbove('Instagram followers', parseInt(lead.IG_Followers) || 0, settings.instagram),
+    scoreAbove('YouTube subscribers', parseInt(lead.YT_Subscribers) || 0, settings.youtube)
+  ]);
+};
+
+/**
+ * Calculates a recent activity rate as a percentage of the audience
+ * @param {number|string} recent - Recent likes or views
+ * @param {number|string} audience - Followers or subscribers
+ * @returns {number} Rate in percent, 0 without an audience
+ */
+const recentRate = (recent, audience) => {
+  const audienceSize = parseInt(audience) || 0;
+  return audienceSize > 0 ? ((parseInt(recent) || 0) / audienceSize) * 100 : 0;
 };
 
 /**
  * Calculates the recent performance score based on recent metrics
  * @param {Lead} lead - Lead data object
- * @returns {number} The calculated recent performance score
- */
-const calculateRecentPerformanceScore = (lead) => {
-  let score = 0;
-  const settings = algorithmSettings.recentPerformance;
-
-  // TikTok Recent Performance
-  const ttFol = parseInt(lead.TT_Followers) || 0;
-  const ttLikes = parseInt(lead.TT_Recent_Likes) || 0;
-  const ttLikeRate = ttFol > 0 ? (ttLikes / ttFol) * 100 : 0;
-  
-  if (ttLikeRate > settings.tiktok.high) score += settings.tiktok.points.high;
-  else if (ttLikeRate > settings.tiktok.medium) score += settings.tiktok.points.medium;
-  else if (ttLikeRate > settings.tiktok.low) score += settings.tiktok.points.low;
-
-  // Instagram Recent Performance
-  const igFol = parseInt(lead.IG_Followers) || 0;
-  const igLikes = parseInt(lead.IG_Recent_Likes) || 0;
-  const igLikeRate = igFol > 0 ? (igLikes / igFol) * 100 : 0;
-  
-  if (igLikeRate > settings.instagram.high) score += settings.instagram.points.high;
-  else if (igLikeRate > settings.instagram.medium) score += settings.instagram.points.medium;
-  else if (igLikeRate > settings.instagram.low) score += settings.instagram.points.low;
-
-  // YouTube Recent Performance
-  const ytSub = parseInt(lead.YT_Subscribers) || 0;
-  const ytViews = parseInt(lead.YT_Recent_Views) || 0;
-  const ytViewRate = ytSub > 0 ? (ytViews / ytSub) * 100 : 0;
-  
-  if (ytViewRate > settings.youtube.high) score += settings.youtube.points.high;
-  else if (ytViewRate > settings.youtube.medium) score += settings.youtube.points.medium;
-  else if (ytViewRate > settings.youtube.low) score += settings.youtube.points.low;
-
-  return score;
+ * @param {Object} settings - Recent performance thresholds
+ * @returns {ScoreComponent} The recent performance component
+ */
+const calculateRecentPerformanceScore = (lead, settings) => {
+
+  return buildComponent('recentPerformance', 'Recent performance', [
+    scoreAbove('TikTok recent likes / followers', recentRate(lead.TT_Recent_Likes, lead.TT_Followers),
+      settings.tiktok, { floor: settings.tiktok.low, suffix: '%' }),
+    scoreAbove('Instagram recent likes / followers', recentRate(lead.IG_Recent_Likes, lead.IG_Followers),
+      settings.instagram, { floor: settings.instagram.low, suffix: '%' }),
+    scoreAbove('YouTube recent views / subscribers', recentRate(lead.YT_Recent_Views, lead.YT_Subscribers),
+      settings.youtube, { floor: settings.youtube.low, suffix: '%' })
+  ]);
 };
 
 /**
  * Calculates the verification score based on platform verification status
  * @param {Lead} lead - Lead data object
- * @returns {number} The calculated verification score
+ * @param {Object} settings - Verification points
+ * @returns {ScoreComponent} The verification component
  */
-const calculateVerificationScore = (lead) => {
-  let score = 0;
-  const settings = algorithmSettings.verification;
+const calculateVerificationScore = (lead, settings) => {
 
-  if (lead.Snap_Star) score += settings.snapchat;
-  if (lead.TT_Verified) score += settings.tiktok;
-  if (lead.IG_Verified) score += settings.instagram;
-  if (lead.YT_Verified) score += settings.youtube;
-
-  return score;
+  return buildComponent('verification', 'Verification', [
+    scoreFlag('Snap Star', !!lead.Snap_Star, settings.snapchat, 'Snap Star', 'Not a Snap Star'),
+    scoreFlag('TikTok verified', !!lead.TT_Verified, settings.tiktok, 'Verified', 'Not verified'),
+    scoreFlag('Instagram verified', !!lead.IG_Verified, settings.instagram, 'Verified', 'Not verified'),
+    scoreFlag('YouTube verified', !!lead.YT_Verified, settings.youtube, 'Verified', 'Not verified')
+  ]);
 };
 
 /**
  * Calculates the cross-platform score based on presence across platforms
  * @param {Lead} lead - Lead data object
- * @returns {number} The calculated cross-platform score
- */
-const calculateCrossPlatformScore = (lead) => {
-  // Check if the lead has presence on all platforms
-  if (lead.Snapchat_Username && 
-      lead.IG_Username && 
-      lead.TT_Username && 
-      lead.YT_Username) {
-    return algorithmSettings.crossPlatform;
-  }
-  return 0;
+ * @param {number} points - Points for a presence on every platform
+ * @returns {ScoreComponent} The cross-platform component
+ */
+const calculateCrossPlatformScore = (lead, points) => {
+  const platforms = [
+    ['Snapchat', lead.Snapchat_Username],
+    ['Instagram', lead.IG_Username],
+    ['TikTok', lead.TT_Username],
+    ['YouTube', lead.YT_Username]
+  ];
+  const missing = platforms.filter(([, username]) => !username).map(([name]) => name);
+
+  return buildComponent('crossPlatform', 'Cross-platform', [
+    scoreFlag(
+      'All four platforms',
+      missing.length === 0,
+      points,
+      'Has a username on Snapchat, Instagram, TikTok and YouTube',
+      `Missing ${missing.join(', ')}`
+    )
+  ]);
 };
 
 /**
  * Calculates the rank score based on platform rankings
  * @param {Lead} lead - Lead data object
- * @returns {number} The calculated rank score
- */
-const calculateRankScore = (lead) => {
-  let score = 0;
-  const settings = algorithmSettings.ranks;
-
-  // Instagram Ranks
-  const igRank = parseInt(lead.IG_Rank) || 0;
-  if (igRank <= settings.instagram.high) score += settings.instagram.points.high;
-  else if (igRank <= settings.instagram.medium) score += settings.instagram.points.medium;
-  else if (igRank > 0) score += settings.instagram.points.low;
-
-  // TikTok Ranks
-  const ttRank = parseInt(lead.TT_Rank) || 0;
-  if (ttRank <= settings.tiktok.high) score += settings.tiktok.points.high;
-  else if (ttRank <= settings.tiktok.medium) score += settings.tiktok.points.medium;
-  else if (ttRank > 0) score += settings.tiktok.points.low;
-
-  // YouTube Ranks
-  const ytRank = parseInt(lead.YT_Rank) || 0;
-  if (ytRank <= settings.youtube.high) score += settings.youtube.points.high;
-  else if (ytRank <= settings.youtube.medium) score += settings.youtube.points.medium;
-  else if (ytRank > 0) score += settings.youtube.points.low;
-
-  return score;
+ * @param {Object} settings - Rank thresholds
+ * @returns {ScoreComponent} The rank component
+ */
+const calculateRankScore = (lead, settings) => {
+
+  return buildComponent('ranks', 'Rank', [
+    scoreRank('Instagram rank', parseInt(lead.IG_Rank) || 0, settings.instagram),
+    scoreRank('TikTok rank', parseInt(lead.TT_Rank) || 0, settings.tiktok),
+    scoreRank('YouTube rank', parseInt(lead.YT_Rank) || 0, settings.youtube)
+  ]);
 };
 
 /**
@@ -244,7 +355,7 @@ export const getCellStyle = (params) => {
     justifyContent: 'center',
     height: '100%'
   };
-  
+
   // Return only base styling for score cells
   if (params.colDef.field === 'Performance_Score') {
     return baseStyle;
@@ -252,4 +363,32 @@ export const getCellStyle = (params) => {
 
   // Keep other cell styling logic...
   return baseStyle;
-}; 
\ No newline at end of file
+};
+
+/**
+ * Calculates the growth score from the lead's 30-day follower growth. Settings saved before
+ * growth was scored have no growth section and award no growth points.
+ * @param {Lead} lead - Lead data object
+ * @param {Object} [settings] - Growth thresholds
+ * @returns {ScoreComponent} The growth component
+ */
+const calculateGrowthScore = (lead, settings) => {
+  if (!settings) return buildComponent('growth', 'Growth', []);
+
+  const label = 'Follower growth (30 days)';
+  const growth = parseFloat(lead.Follower_Growth_30d);
+  if (Number.isNaN(growth)) {
+    return buildComponent('growth', 'Growth', [{
+      label,
+      value: 'none',
+      tier: null,
+      points: 0,
+      maxPoints: maxTierPoints(settings.followers),
+      reason: 'Not enough synced history yet'
+    }]);
+  }
+
+  return buildComponent('growth', 'Growth', [
+    scoreAbove(label, growth, settings.followers, { suffix: '%' })
+  ]);
+};
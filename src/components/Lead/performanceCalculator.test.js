@@ -0,0 +1,78 @@
+import { calculateScore, getScoreTier } from './performanceCalculator';
+import SETTINGS from '../../../mock-server/fixtures/settings.json';
+
+const findRule = (breakdown, key, label) =>
+  breakdown.components.find(component => component.key === key).rules.find(rule => rule.label === label);
+
+describe('calculateScore', () => {
+  it('returns every component in order and totals their scores', () => {
+    const breakdown = calculateScore({ TT_Engagement: 9, IG_Followers: 60000, Snap_Star: true }, SETTINGS);
+
+    expect(breakdown.components.map(component => component.key)).toEqual([
+      'engagement', 'followers', 'recentPerformance', 'verification', 'crossPlatform', 'ranks', 'growth'
+    ]);
+    expect(breakdown.total).toBe(breakdown.components.reduce((sum, component) => sum + component.score, 0));
+  });
+
+  it('awards the points of the highest threshold a metric is above', () => {
+    const breakdown = calculateScore({ TT_Engagement: 9, IG_Engagement: '3', Average_Engagement: 0 }, SETTINGS);
+
+    expect(findRule(breakdown, 'engagement', 'TikTok engagement')).toMatchObject({
+      tier: 'high', points: 15, maxPoints: 15, reason: 'Above the high threshold of 8%'
+    });
+    expect(findRule(breakdown, 'engagement', 'Instagram engagement')).toMatchObject({ tier: 'medium', points: 8 });
+    expect(findRule(breakdown, 'engagement', 'Average engagement')).toMatchObject({
+      tier: null, points: 0, reason: 'Not above 0%'
+    });
+  });
+
+  it('scores Snapchat followers from Snapchat_Followers', () => {
+    const breakdown = calculateScore({ Snapchat_Followers: '300000', Snap_Followers: 0 }, SETTINGS);
+
+    expect(findRule(breakdown, 'followers', 'Snapchat followers')).toMatchObject({ tier: 'high', points: 25 });
+  });
+
+  it('treats lower ranks as better', () => {
+    const breakdown = calculateScore({ IG_Rank: 5000, TT_Rank: 20000, YT_Rank: 90000 }, SETTINGS);
+
+    expect(findRule(breakdown, 'ranks', 'Instagram rank')).toMatchObject({ tier: 'high', points: 10 });
+    expect(findRule(breakdown, 'ranks', 'TikTok rank')).toMatchObject({ tier: 'medium', points: 5 });
+    expect(findRule(breakdown, 'ranks', 'YouTube rank')).toMatchObject({ tier: 'low', points: 1 });
+  });
+
+  it('lists the platforms a lead is missing for the cross-platform bonus', () => {
+    const breakdown = calculateScore({ Snapchat_Username: 'ava', IG_Username: 'ava' }, SETTINGS);
+
+    expect(findRule(breakdown, 'crossPlatform', 'All four platforms')).toMatchObject({
+      points: 0, maxPoints: 8, reason: 'Missing TikTok, YouTube'
+    });
+  });
+
+  it('scores follower growth once the server has computed it', () => {
+    const label = 'Follower growth (30 days)';
+
+    expect(findRule(calculateScore({ Follower_Growth_30d: 12.5 }, SETTINGS), 'growth', label))
+      .toMatchObject({ tier: 'high', points: 10 });
+    expect(findRule(calculateScore({ Follower_Growth_30d: null }, SETTINGS), 'growth', label))
+      .toMatchObject({ points: 0, maxPoints: 10, reason: 'Not enough synced history yet' });
+  });
+
+  it('awards no growth points with settings saved before growth was scored', () => {
+    const { growth, ...legacySettings } = SETTINGS;
+    const breakdown = calculateScore({ Follower_Growth_30d: 12.5 }, legacySettings);
+
+    expect(breakdown.components.find(component => component.key === 'growth')).toEqual({
+      key: 'growth', label: 'Growth', score: 0, maxScore: 0, rules: []
+    });
+  });
+});
+
+describe('getScoreTier', () => {
+  it('finds the band a score falls in', () => {
+    expect(getScoreTier(0).key).toBe('low');
+    expect(getScoreTier(30).key).toBe('low');
+    expect(getScoreTier(31).key).toBe('fair');
+    expect(getScoreTier(80).key).toBe('strong');
+    expect(getScoreTier(120).key).toBe('top');
+  });
+});
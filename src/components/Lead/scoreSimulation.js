@@ -0,0 +1,151 @@
+/**
+ * @fileoverview What-if simulation for algorithm settings. Re-scores a set of leads with the
+ * active settings and with a draft, then compares the two: rank movements, score distribution
+ * and leads that move into another score tier.
+ */
+
+import { calculateScore, getScoreTier, SCORE_TIERS } from './performanceCalculator';
+
+/** @type {number} Width of each bucket in the score distribution */
+const DISTRIBUTION_BUCKET_SIZE = 10;
+
+/**
+ * @typedef {Object} SimulatedLead
+ * @property {string} id - Lead id
+ * @property {string} name - Display name
+ * @property {number} before - Score with the active settings
+ * @property {number} after - Score with the draft settings
+ * @property {number} delta - Score change
+ * @property {number} rankBefore - Position with the active settings (1 = best)
+ * @property {number} rankAfter - Position with the draft settings
+ * @property {number} rankChange - Places gained (positive) or lost (negative)
+ * @property {import('./performanceCalculator').ScoreTier} tierBefore - Tier with the active settings
+ * @property {import('./performanceCalculator').ScoreTier} tierAfter - Tier with the draft settings
+ */
+
+/**
+ * @typedef {Object} DistributionBucket
+ * @property {string} range - Score range label, e.g. "40-49"
+ * @property {number} before - Leads in the range with the active settings
+ * @property {number} after - Leads in the range with the draft settings
+ */
+
+/**
+ * @typedef {Object} SimulationResult
+ * @property {Array<SimulatedLead>} leads - Every lead, best draft rank first
+ * @property {Array<SimulatedLead>} movers - Leads whose rank changed, biggest move first
+ * @property {Array<SimulatedLead>} tierChanges - Leads that moved into another tier
+ * @property {Array<DistributionBucket>} distribution - Score histogram before and after
+ * @property {Array<{tier: string, before: number, after: number}>} tierCounts - Leads per tier
+ * @property {Object} summary - Totals for the whole lead set
+ * @property {number} summary.count - Number of leads scored
+ * @property {number} summary.changed - Leads whose score changed
+ * @property {number} summary.averageBefore - Mean score with the active settings
+ * @property {number} summary.averageAfter - Mean score with the draft settings
+ */
+
+/**
+ * Display name for a lead
+ * @param {Object} lead - Lead record
+ * @returns {string} Name
+ */
+const getLeadName = (lead) => {
+  const legalName = [lead.First_Legal_Name, lead.Last_Legal_Name].filter(Boolean).join(' ');
+  return lead.Stage_Name || legalName || lead.client_id || 'Unnamed lead';
+};
+
+/**
+ * Ranks scores from best to worst; equal scores share a rank
+ * @param {Array<number>} scores - Scores in lead order
+ * @returns {Array<number>} Rank of each score
+ */
+export const rankScores = (scores) => {
+  const firstPosition = new Map();
+  [...scores].sort((a, b) => b - a).forEach((score, index) => {
+    if (!firstPosition.has(score)) firstPosition.set(score, index);
+  });
+  return scores.map(score => firstPosition.get(score) + 1);
+};
+
+/**
+ * Counts scores per distribution bucket
+ * @param {Array<number>} scores - Scores
+ * @param {number} bucketCount - Number of buckets
+ * @returns {Array<number>} Count per bucket
+ */
+const bucketScores = (scores, bucketCount) => {
+  const counts = new Array(bucketCount).fill(0);
+  scores.forEach(score => {
+    const bucket = Math.min(bucketCount - 1, Math.max(0, Math.floor(score / DISTRIBUTION_BUCKET_SIZE)));
+    counts[bucket] += 1;
+  });
+  return counts;
+};
+
+/**
+ * Mean of a list of numbers, rounded to one decimal
+ * @param {Array<number>} values - Values
+ * @returns {number} Mean, or 0 for an empty list
+ */
+const average = (values) =>
+  values.length ? Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 10) / 10 : 0;
+
+/**
+ * Re-scores leads with the active and draft settings and compares the results
+ *
+ * @function simulateSettings
+ * @param {Array<Object>} leads - Leads to score
+ * @param {Object} activeSettings - Settings currently in use
+ * @param {Object} draftSettings - Settings being edited
+ * @returns {SimulationResult} Comparison of the two
+ */
+export const simulateSettings = (leads, activeSettings, draftSettings) => {
+  const before = leads.map(lead => calculateScore(lead, activeSettings).total);
+  const after = leads.map(lead => calculateScore(lead, draftSettings).total);
+  const ranksBefore = rankScores(before);
+  const ranksAfter = rankScores(after);
+
+  const simulated = leads.map((lead, index) => ({
+    id: lead._id || lead.id || lead.client_id || String(index),
+    name: getLeadName(lead),
+    before: before[index],
+    after: after[index],
+    delta: after[index] - before[index],
+    rankBefore: ranksBefore[index],
+    rankAfter: ranksAfter[index],
+    rankChange: ranksBefore[index] - ranksAfter[index],
+    tierBefore: getScoreTier(before[index]),
+    tierAfter: getScoreTier(after[index])
+  }));
+
+  const maxScore = Math.max(0, ...before, ...after);
+  const bucketCount = Math.floor(maxScore / DISTRIBUTION_BUCKET_SIZE) + 1;
+  const bucketsBefore = bucketScores(before, bucketCount);
+  const bucketsAfter = bucketScores(after, bucketCount);
+
+  return {
+    leads: [...simulated].sort((a, b) => a.rankAfter - b.rankAfter),
+    movers: simulated
+      .filter(lead => lead.rankChange !== 0)
+      .sort((a, b) => Math.abs(b.rankChange) - Math.abs(a.rankChange)),
+    tierChanges: simulated
+      .filter(lead => lead.tierBefore.key !== lead.tierAfter.key)
+      .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta)),
+    distribution: bucketsBefore.map((count, index) => ({
+      range: `${index * DISTRIBUTION_BUCKET_SIZE}-${(index + 1) * DISTRIBUTION_BUCKET_SIZE - 1}`,
+      before: count,
+      after: bucketsAfter[index]
+    })),
+    tierCounts: SCORE_TIERS.map(tier => ({
+      tier: tier.label,
+      before: simulated.filter(lead => lead.tierBefore.key === tier.key).length,
+      after: simulated.filter(lead => lead.tierAfter.key === tier.key).length
+    })),
+    summary: {
+      count: simulated.length,
+      changed: simulated.filter(lead => lead.delta !== 0).length,
+      averageBefore: average(before),
+      averageAfter: average(after)
+    }
+  };
+};
@@ -0,0 +1,167 @@
+/**
+ * @fileoverview Staleness and scheduled refresh helpers for lead social stats. A lead's stats are
+ * stale once `stats_updated_at`, set by every sync, is older than the configured number of days;
+ * `refreshStatsInBatches` syncs stale leads a batch at a time with a pause between batches and
+ * waits out the server's rate limit when it answers 429.
+ */
+
+import { differenceInDays, differenceInHours, differenceInMinutes, parseISO } from 'date-fns';
+import axios from '../../utils/axiosConfig';
+import { API_ENDPOINTS } from '../../config/api';
+
+/** @type {Object} Refresh settings used until the configured ones have loaded */
+export const DEFAULT_STATS_REFRESH_SETTINGS = {
+  stale_after_days: 7,
+  batch_size: 5,
+  batch_interval_seconds: 10,
+  auto_refresh: true
+};
+
+/** @type {number} Times a lead is retried after the rate limit before it counts as failed */
+const MAX_RATE_LIMIT_RETRIES = 3;
+
+/** @type {number} Wait used when a 429 response does not say how long to wait */
+const DEFAULT_RETRY_SECONDS = 10;
+
+/**
+ * @typedef {Object} StatsRefreshResult
+ * @property {Array<Object>} succeeded - Synced leads as returned by the server
+ * @property {Array<{lead: Object, error: string}>} failed - Leads that could not be synced
+ * @property {boolean} cancelled - Whether the run was stopped before the end
+ */
+
+/**
+ * Whole days since a lead's stats were last synced
+ * @param {Object} lead - Lead record
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {number|null} Age in days, null when the stats were never synced
+ */
+export const getStatsAgeDays = (lead, now = new Date()) =>
+  (lead?.stats_updated_at ? differenceInDays(now, parseISO(lead.stats_updated_at)) : null);
+
+/**
+ * Whether a lead's stats need a refresh. Dead leads are not kept up to date.
+ * @param {Object} lead - Lead record
+ * @param {number} staleAfterDays - Age in days at which stats are stale
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {boolean} Whether the stats are stale
+ */
+export const isStatsStale = (lead, staleAfterDays, now = new Date()) => {
+  if (!lead || lead.is_dead) return false;
+  const age = getStatsAgeDays(lead, now);
+  return age === null || age >= staleAfterDays;
+};
+
+/**
+ * Short last-updated age for the grid, e.g. "5h ago" or "12d ago"
+ * @param {Object} lead - Lead record
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {string} Age
+ */
+export const formatStatsAge = (lead, now = new Date()) => {
+  if (!lead?.stats_updated_at) return 'Never';
+  const updatedAt = parseISO(lead.stats_updated_at);
+  const minutes = differenceInMinutes(now, updatedAt);
+  if (minutes < 60) return minutes < 1 ? 'Just now' : `${minutes}m ago`;
+  const hours = differenceInHours(now, updatedAt);
+  if (hours < 24) return `${hours}h ago`;
+  return `${differenceInDays(now, updatedAt)}d ago`;
+};
+
+/**
+ * Leads whose stats are stale, never-synced and oldest first
+ * @param {Array<Object>} leads - Leads
+ * @param {number} staleAfterDays - Age in days at which stats are stale
+ * @returns {Array<Object>} Stale leads
+ */
+export const findStaleLeads = (leads, staleAfterDays) => {
+  const now = new Date();
+  return (leads || [])
+    .filter(lead => isStatsStale(lead, staleAfterDays, now))
+    .sort((a, b) => (a.stats_updated_at || '').localeCompare(b.stats_updated_at || ''));
+};
+
+/**
+ * Waits, resolving early when the run is stopped
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} [signal] - Stops the wait
+ * @returns {Promise<void>}
+ */
+const wait = (ms, signal) => new Promise(resolve => {
+  if (signal?.aborted) return resolve();
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    resolve();
+  }, { once: true });
+});
+
+/**
+ * Syncs one lead, waiting out the rate limit a few times before giving up
+ * @async
+ * @param {Object} lead - Lead to sync
+ * @param {AbortSignal} [signal] - Stops the retries
+ * @returns {Promise<Object>} Synced lead as returned by the server
+ */
+const syncLead = async (lead, signal) => {
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      const response = await axios.post(API_ENDPOINTS.LEADS.SYNC(lead.client_id));
+      return response.data.data;
+    } catch (error) {
+      if (error.response?.status !== 429 || attempt >= MAX_RATE_LIMIT_RETRIES || signal?.aborted) throw error;
+      await wait((error.response.data?.retry_after || DEFAULT_RETRY_SECONDS) * 1000, signal);
+    }
+  }
+};
+
+/**
+ * Syncs leads a batch at a time, pausing between batches
+ *
+ * @async
+ * @function refreshStatsInBatches
+ * @param {Array<Object>} leads - Leads to sync, in order
+ * @param {Object} options - Run options
+ * @param {number} options.batchSize - Leads synced at once
+ * @param {number} options.intervalSeconds - Pause between batches
+ * @param {AbortSignal} [options.signal] - Stops the run after the current batch
+ * @param {Function} [options.onBatchStart] - Awaited before each batch; the run stops when it
+ * resolves to false, e.g. when the run's lease was lost
+ * @param {Function} [options.onProgress] - Called after each batch with the result so far
+ * @returns {Promise<StatsRefreshResult>} Which leads were synced and which failed
+ */
+export const refreshStatsInBatches = async (
+  leads,
+  { batchSize, intervalSeconds, signal, onBatchStart, onProgress }
+) => {
+  const result = { succeeded: [], failed: [], cancelled: false };
+
+  for (let start = 0; start < leads.length; start += batchSize) {
+    if (signal?.aborted) {
+      result.cancelled = true;
+      break;
+    }
+    if (start > 0) await wait(intervalSeconds * 1000, signal);
+    if (signal?.aborted || (onBatchStart && !(await onBatchStart()))) {
+      result.cancelled = true;
+      break;
+    }
+
+    const batch = leads.slice(start, start + batchSize);
+    const outcomes = await Promise.allSettled(batch.map(lead => syncLead(lead, signal)));
+    outcomes.forEach((outcome, index) => {
+      if (outcome.status === 'fulfilled') {
+        result.succeeded.push(outcome.value);
+      } else {
+        const error = outcome.reason;
+        result.failed.push({
+          lead: batch[index],
+          error: error.response?.data?.detail || error.message
+        });
+      }
+    });
+    onProgress?.({ ...result, done: result.succeeded.length + result.failed.length });
+  }
+
+  return result;
+};
@@ -0,0 +1,141 @@
+/**
+ * @fileoverview Builds a lead's activity timeline. Loads notes, tasks, contract versions and the
+ * logged approval and payout email changes, and turns each into a timeline event with an actor
+ * and a timestamp. A source that fails to load is reported instead of failing the whole timeline.
+ */
+
+import axios from '../../utils/axiosConfig';
+import { API_ENDPOINTS } from '../../config/api';
+
+/**
+ * @typedef {Object} TimelineEvent
+ * @property {string} id - Unique key of the event
+ * @property {string} type - Event type, a key of TIMELINE_EVENT_TYPES
+ * @property {string} title - One-line summary
+ * @property {string} [detail] - Longer text, e.g. the note body
+ * @property {string|null} actor - Who did it, when known
+ * @property {string} timestamp - ISO timestamp
+ */
+
+/**
+ * Event types in filter order
+ * @type {Array<{key: string, label: string}>}
+ */
+export const TIMELINE_EVENT_TYPES = [
+  { key: 'note', label: 'Notes' },
+  { key: 'task', label: 'Tasks' },
+  { key: 'contract', label: 'Contract' },
+  { key: 'approval', label: 'Approval' },
+  { key: 'payout', label: 'Payout' }
+];
+
+/**
+ * Labels of the note types, matching the tabs of the notes modal
+ * @type {Object<string, string>}
+ */
+const NOTE_LABELS = {
+  conversation: 'Conversation note',
+  status: 'Creative idea'
+};
+
+/**
+ * Loaders per source: each fetches one endpoint and returns timeline events
+ * @type {Array<{label: string, load: Function}>}
+ */
+const SOURCES = [
+  {
+    label: 'notes',
+    load: async (clientId) => {
+      const response = await axios.get(API_ENDPOINTS.LEADS.NOTES.GET(clientId));
+      const notes = response.data?.data || {};
+      return Object.entries(NOTE_LABELS).flatMap(([noteType, label]) =>
+        (notes[noteType] || []).map(note => ({
+          id: `note-${noteType}-${note.timestamp}`,
+          type: 'note',
+          title: note.next_contact ? `${label}, follow up on ${note.next_contact}` : label,
+          detail: note.text,
+          actor: note.author || null,
+          timestamp: note.timestamp
+        }))
+      );
+    }
+  },
+  {
+    label: 'tasks',
+    load: async (clientId) => {
+      const response = await axios.get(`${API_ENDPOINTS.TASKS}/client/${clientId}`);
+      return (response.data?.tasks || []).map(task => ({
+        id: `task-${task._id}`,
+        type: 'task',
+        title: `Task created: ${task.title}`,
+        detail: [task.status && `Status ${task.status}`, task.due_date && `due ${task.due_date}`]
+          .filter(Boolean)
+          .join(', '),
+        actor: task.created_by || null,
+        timestamp: task.created_at
+      }));
+    }
+  },
+  {
+    label: 'contract versions',
+    load: async (clientId) => {
+      const response = await axios.get(API_ENDPOINTS.CONTRACTS.VERSIONS(clientId));
+      return (response.data?.versions || []).map(version => ({
+        id: `contract-${version.version}`,
+        type: 'contract',
+        title: `Contract version ${version.version} saved`,
+        actor: version.edited_by || null,
+        timestamp: version.timestamp
+      }));
+    }
+  },
+  {
+    label: 'approval and payout changes',
+    load: async (clientId) => {
+      const response = await axios.get(API_ENDPOINTS.LEADS.EVENTS(clientId));
+      return (response.data?.events || []).map(event => (event.type === 'approval'
+        ? {
+          id: event.event_id,
+          type: 'approval',
+          title: event.approved ? 'Content approved' : 'Content approval removed',
+          actor: event.actor,
+          timestamp: event.timestamp
+        }
+        : {
+          id: event.event_id,
+          type: 'payout',
+          title: 'Payout email synced',
+          detail: event.previous_email
+            ? `${event.previous_email} → ${event.payout_email}`
+            : event.payout_email,
+          actor: event.actor,
+          timestamp: event.timestamp
+        }));
+    }
+  }
+];
+
+/**
+ * Loads every source of a lead's timeline
+ * @async
+ * @param {string} clientId - Lead client id
+ * @returns {Promise<{events: Array<TimelineEvent>, failed: Array<string>}>} Events, newest first,
+ * and the labels of the sources that could not be loaded
+ */
+export const loadLeadTimeline = async (clientId) => {
+  const results = await Promise.allSettled(SOURCES.map(source => source.load(clientId)));
+  const failed = [];
+  const events = results.flatMap((result, index) => {
+    if (result.status === 'fulfilled') return result.value;
+    console.error(`Error loading ${SOURCES[index].label} for the timeline:`, result.reason);
+    failed.push(SOURCES[index].label);
+    return [];
+  });
+
+  return {
+    events: events
+      .filter(event => event.timestamp)
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp)),
+    failed
+  };
+};
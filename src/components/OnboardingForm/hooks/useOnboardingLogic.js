@@ -4,7 +4,7 @@
  */
 
 import { useState } from 'react';
-import axios from 'axios';
+import axios from '../../../utils/axiosConfig';
 import { API_ENDPOINTS } from '../../../config/api';
 
 /**
@@ -0,0 +1,654 @@
+/**
+ * @fileoverview Partner Commissions component for commission plans and the commission ledger.
+ * Each partner gets percentage, flat or tiered plans with an effective date range; commission
+ * is computed from the payouts of the clients they referred or monetized and shown as monthly
+ * statements, which are marked paid by recording a payment against them. Paid months are closed,
+ * so plans that apply in them can no longer be deleted or changed for those months.
+ */
+
+import React, { useMemo, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { format } from 'date-fns';
+import {
+  Select,
+  Button,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  MenuItem,
+  Alert,
+  Snackbar,
+  Chip
+} from '@mui/material';
+import { Add as AddIcon } from '@mui/icons-material';
+import useCommissionLedger from '../../hooks/useCommissionLedger';
+import {
+  COMMISSION_BASES,
+  COMMISSION_TYPES,
+  buildStatements,
+  describePlan,
+  formatCurrency,
+  formatMonth,
+  isPlanEffective,
+  planCoversMonth
+} from './commissionLedger';
+import './PartnerCommissions.css';
+
+/**
+ * New plan for a partner, starting today
+ * @param {string} partnerId - Partner ID
+ * @returns {Object} Plan draft
+ */
+const createPlanDraft = (partnerId) => ({
+  partner_id: partnerId,
+  basis: 'referred',
+  type: 'percentage',
+  rate: '',
+  flat_amount: '',
+  tiers: [{ up_to: '', rate: '' }, { up_to: null, rate: '' }],
+  effective_from: format(new Date(), 'yyyy-MM-dd'),
+  effective_to: ''
+});
+
+/**
+ * Converts a plan draft from the form into the plan the API expects
+ * @param {Object} draft - Plan draft with string inputs
+ * @returns {Object} Plan
+ */
+const toPlan = (draft) => ({
+  ...draft,
+  rate: draft.type === 'percentage' ? parseFloat(draft.rate) : null,
+  flat_amount: draft.type === 'flat' ? parseFloat(draft.flat_amount) : null,
+  tiers: draft.type === 'tiered'
+    ? draft.tiers.map(tier => ({
+      up_to: tier.up_to === null ? null : parseFloat(tier.up_to),
+      rate: parseFloat(tier.rate)
+    }))
+    : [],
+  effective_to: draft.effective_to || null
+});
+
+/**
+ * Whether a plan is running, has ended or has not started yet
+ * @param {Object} plan - Plan
+ * @param {string} today - Today as YYYY-MM-DD
+ * @returns {{label: string, color: string}} Chip props
+ */
+const getPlanState = (plan, today) => {
+  if (isPlanEffective(plan, today)) return { label: 'Active', color: 'success' };
+  if (plan.effective_from > today) return { label: 'Upcoming', color: 'info' };
+  return { label: 'Ended', color: 'default' };
+};
+
+/** @type {Object<string, {label: string, color: string}>} Chip props per statement status */
+const STATEMENT_STATUS = {
+  accrued: { label: 'Accrued', color: 'warning' },
+  paid: { label: 'Paid', color: 'success' },
+  overpaid: { label: 'Overpaid', color: 'error' }
+};
+
+/**
+ * Partner Commissions component.
+ * Features include:
+ * - Commission plans per partner with effective date ranges
+ * - Monthly statements computed from client payouts
+ * - Per-payout ledger entries of a statement
+ * - Accrued vs paid status, settled by recording payments
+ *
+ * @returns {React.ReactElement} The rendered commissions page
+ */
+const PartnerCommissions = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const {
+    partners,
+    plans,
+    entries,
+    undated,
+    payments,
+    loading,
+    error,
+    savePlan,
+    deletePlan,
+    recordPayment,
+    deletePayment
+  } = useCommissionLedger();
+  const [planDraft, setPlanDraft] = useState(null);
+  const [paymentDraft, setPaymentDraft] = useState(null);
+  const [openMonth, setOpenMonth] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
+
+  const partnerId = searchParams.get('partner') || partners[0]?.id || '';
+  const partner = partners.find(item => item.id === partnerId);
+  const today = format(new Date(), 'yyyy-MM-dd');
+
+  const partnerPlans = useMemo(
+    () => plans
+      .filter(plan => plan.partner_id === partnerId)
+      .sort((a, b) => b.effective_from.localeCompare(a.effective_from)),
+    [plans, partnerId]
+  );
+  const statements = useMemo(
+    () => buildStatements(entries, payments, partnerId),
+    [entries, payments, partnerId]
+  );
+  const totals = statements.reduce((sum, statement) => ({
+    commission: sum.commission + statement.commission,
+    paid: sum.paid + statement.paid,
+    accrued: sum.accrued + Math.max(statement.accrued, 0)
+  }), { commission: 0, paid: 0, accrued: 0 });
+  const openStatement = statements.find(statement => statement.month === openMonth);
+  const paidMonths = statements.filter(statement => statement.payments.length).map(statement => statement.month);
+
+  /**
+   * Shows a message in the snackbar
+   * @param {string} message - Message
+   * @param {string} [severity='success'] - Alert severity
+   */
+  const notify = (message, severity = 'success') => setSnackbar({ open: true, message, severity });
+
+  /**
+   * Changes one field of the plan draft
+   * @param {Object} changes - Fields to change
+   */
+  const updatePlanDraft = (changes) => setPlanDraft(prev => ({ ...prev, ...changes }));
+
+  /**
+   * Changes one tier of the plan draft
+   * @param {number} index - Tier position
+   * @param {Object} changes - Fields to change
+   */
+  const updateTier = (index, changes) => updatePlanDraft({
+    tiers: planDraft.tiers.map((tier, position) => (position === index ? { ...tier, ...changes } : tier))
+  });
+
+  const handleEditPlan = (plan) => {
+    setPlanDraft({
+      ...plan,
+      rate: plan.rate ?? '',
+      flat_amount: plan.flat_amount ?? '',
+      tiers: plan.tiers.length ? plan.tiers : createPlanDraft(partnerId).tiers,
+      effective_to: plan.effective_to || ''
+    });
+  };
+
+  const handleSavePlan = async () => {
+    try {
+      setSaving(true);
+      await savePlan(toPlan(planDraft));
+      setPlanDraft(null);
+      notify('Commission plan saved');
+    } catch (err) {
+      console.error('Error saving commission plan:', err);
+      notify(err.response?.data?.detail || 'Failed to save commission plan', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDeletePlan = async (plan) => {
+    if (!window.confirm(`Delete the ${describePlan(plan)} plan? Unpaid commission computed with it leaves the ledger.`)) return;
+    try {
+      await deletePlan(plan.plan_id);
+      notify('Commission plan deleted');
+    } catch (err) {
+      console.error('Error deleting commission plan:', err);
+      notify(err.response?.data?.detail || 'Failed to delete commission plan', 'error');
+    }
+  };
+
+  const handleRecordPayment = async () => {
+    try {
+      setSaving(true);
+      await recordPayment({ ...paymentDraft, amount: parseFloat(paymentDraft.amount) });
+      setPaymentDraft(null);
+      notify('Payment recorded');
+    } catch (err) {
+      console.error('Error recording commission payment:', err);
+      notify(err.response?.data?.detail || 'Failed to record payment', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDeletePayment = async (payment) => {
+    if (!window.confirm(`Remove the ${formatCurrency(payment.amount)} payment? The statement goes back to accrued.`)) return;
+    try {
+      await deletePayment(payment.payment_id);
+      notify('Payment removed');
+    } catch (err) {
+      console.error('Error removing commission payment:', err);
+      notify(err.response?.data?.detail || 'Failed to remove payment', 'error');
+    }
+  };
+
+  return (
+    <div className="partner-commissions-container">
+      <h1>Partner Commissions</h1>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>Failed to load commissions: {error}</Alert>}
+      {undated.length > 0 && (
+        <Alert severity="warning" sx={{ mb: 2 }}>
+          {undated.length} client payout{undated.length === 1 ? ' has' : 's have'} no payout date, so no commission is
+          computed on {undated.length === 1 ? 'it' : 'them'}. Clients: {[...new Set(undated.map(item => item.client_id))].join(', ')}
+        </Alert>
+      )}
+
+      <div className="commissions-controls">
+        <Select
+          value={partnerId}
+          onChange={(e) => {
+            setSearchParams({ partner: e.target.value });
+            setOpenMonth(null);
+          }}
+          disabled={loading}
+          displayEmpty
+          sx={{ minWidth: 280 }}
+        >
+          <MenuItem value="" disabled>
+            Select a partner
+          </MenuItem>
+          {partners.map(item => (
+            <MenuItem key={item.id} value={item.id}>{item.name}</MenuItem>
+          ))}
+        </Select>
+
+        <div className="commissions-totals">
+          <div>
+            <span>Earned</span>
+            <strong>{formatCurrency(totals.commission)}</strong>
+          </div>
+          <div>
+            <span>Paid</span>
+            <strong>{formatCurrency(totals.paid)}</strong>
+          </div>
+          <div className={totals.accrued > 0 ? 'accrued' : ''}>
+            <span>Accrued</span>
+            <strong>{formatCurrency(totals.accrued)}</strong>
+          </div>
+        </div>
+      </div>
+
+      <div className="commissions-header">
+        <h2>Commission plans</h2>
+        <Button
+          variant="contained"
+          startIcon={<AddIcon />}
+          onClick={() => setPlanDraft(createPlanDraft(partnerId))}
+          disabled={!partner}
+        >
+          Add Plan
+        </Button>
+      </div>
+
+      <TableContainer component={Paper}>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Pays for</TableCell>
+              <TableCell>Commission</TableCell>
+              <TableCell>Effective</TableCell>
+              <TableCell>Status</TableCell>
+              <TableCell>Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {partnerPlans.length === 0 && (
+              <TableRow>
+                <TableCell colSpan={5} className="commissions-empty">
+                  {partner ? `${partner.name} has no commission plan yet.` : 'Select a partner.'}
+                </TableCell>
+              </TableRow>
+            )}
+            {partnerPlans.map(plan => {
+              const state = getPlanState(plan, today);
+              const closedMonths = paidMonths.filter(month => planCoversMonth(plan, month));
+              return (
+                <TableRow key={plan.plan_id}>
+                  <TableCell>{COMMISSION_BASES.find(basis => basis.value === plan.basis)?.label}</TableCell>
+                  <TableCell>{describePlan(plan)}</TableCell>
+                  <TableCell>{plan.effective_from} – {plan.effective_to || 'ongoing'}</TableCell>
+                  <TableCell><Chip size="small" label={state.label} color={state.color} /></TableCell>
+                  <TableCell>
+                    <Button size="small" variant="outlined" onClick={() => handleEditPlan(plan)} sx={{ mr: 1 }}>
+                      Edit
+                    </Button>
+                    <span
+                      title={closedMonths.length
+                        ? `Applies in paid months (${closedMonths.map(formatMonth).join(', ')}); end it instead`
+                        : undefined}
+                    >
+                      <Button
+                        size="small"
+                        variant="outlined"
+                        color="error"
+                        onClick={() => handleDeletePlan(plan)}
+                        disabled={closedMonths.length > 0}
+                      >
+                        Delete
+                      </Button>
+                    </span>
+                  </TableCell>
+                </TableRow>
+              );
+            })}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      <div className="commissions-header">
+        <h2>Monthly statements</h2>
+      </div>
+
+      <TableContainer component={Paper}>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Month</TableCell>
+              <TableCell align="right">Client payouts</TableCell>
+              <TableCell align="right">Commission</TableCell>
+              <TableCell align="right">Paid</TableCell>
+              <TableCell align="right">Accrued</TableCell>
+              <TableCell>Status</TableCell>
+              <TableCell>Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {statements.length === 0 && (
+              <TableRow>
+                <TableCell colSpan={7} className="commissions-empty">
+                  {loading ? 'Loading...' : 'No commission earned yet.'}
+                </TableCell>
+              </TableRow>
+            )}
+            {statements.map(statement => (
+              <TableRow
+                key={statement.month}
+                selected={statement.month === openMonth}
+                hover
+                onClick={() => setOpenMonth(statement.month === openMonth ? null : statement.month)}
+                className="commissions-statement-row"
+              >
+                <TableCell>{formatMonth(statement.month)}</TableCell>
+                <TableCell align="right">{formatCurrency(statement.payout_total)}</TableCell>
+                <TableCell align="right">{formatCurrency(statement.commission)}</TableCell>
+                <TableCell align="right">{formatCurrency(statement.paid)}</TableCell>
+                <TableCell align="right">{formatCurrency(statement.accrued)}</TableCell>
+                <TableCell>
+                  <Chip
+                    size="small"
+                    label={STATEMENT_STATUS[statement.status].label}
+                    color={STATEMENT_STATUS[statement.status].color}
+                  />
+                </TableCell>
+                <TableCell>
+                  {statement.status === 'accrued' && (
+                    <Button
+                      size="small"
+                      variant="contained"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        setPaymentDraft({
+                          partner_id: partnerId,
+                          month: statement.month,
+                          amount: String(statement.accrued),
+                          reference: ''
+                        });
+                      }}
+                    >
+                      Mark Paid
+                    </Button>
+                  )}
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      {openStatement && (
+        <div className="commissions-statement">
+          <div className="commissions-header">
+            <h2>{formatMonth(openStatement.month)} ledger</h2>
+          </div>
+          <TableContainer component={Paper}>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Date</TableCell>
+                  <TableCell>Client</TableCell>
+                  <TableCell>Pays for</TableCell>
+                  <TableCell>Plan</TableCell>
+                  <TableCell align="right">Payout</TableCell>
+                  <TableCell align="right">Commission</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {openStatement.entries.map(entry => {
+                  const plan = plans.find(item => item.plan_id === entry.plan_id);
+                  return (
+                    <TableRow key={entry.entry_id}>
+                      <TableCell>{entry.payout_date}</TableCell>
+                      <TableCell>{entry.client_name}</TableCell>
+                      <TableCell>{entry.basis === 'referred' ? 'Referred' : 'Monetized'}</TableCell>
+                      <TableCell>{plan ? describePlan(plan) : ''}</TableCell>
+                      <TableCell align="right">{formatCurrency(entry.payout_amount)}</TableCell>
+                      <TableCell align="right">{formatCurrency(entry.commission)}</TableCell>
+                    </TableRow>
+                  );
+                })}
+              </TableBody>
+            </Table>
+          </TableContainer>
+
+          {openStatement.payments.length > 0 && (
+            <ul className="commissions-payments">
+              {openStatement.payments.map(payment => (
+                <li key={payment.payment_id}>
+                  <span>
+                    Paid {formatCurrency(payment.amount)} on {payment.paid_at.slice(0, 10)}
+                    {payment.reference && ` (${payment.reference})`}
+                    {payment.paid_by && ` by ${payment.paid_by}`}
+                  </span>
+                  <Button size="small" color="error" onClick={() => handleDeletePayment(payment)}>
+                    Remove
+                  </Button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      <Dialog open={Boolean(planDraft)} onClose={() => setPlanDraft(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>{planDraft?.plan_id ? 'Edit Commission Plan' : 'Add Commission Plan'}</DialogTitle>
+        {planDraft && (
+          <DialogContent>
+            {paidMonths.length > 0 && (
+              <Alert severity="info" sx={{ mb: 2 }}>
+                Paid months are closed (latest: {formatMonth(paidMonths[0])}). A plan change may not alter
+                their commission, so for new terms end the plan after them and add a new one.
+              </Alert>
+            )}
+            <TextField
+              select
+              fullWidth
+              label="Pays for"
+              value={planDraft.basis}
+              onChange={(e) => updatePlanDraft({ basis: e.target.value })}
+              sx={{ mt: 1, mb: 2 }}
+            >
+              {COMMISSION_BASES.map(basis => (
+                <MenuItem key={basis.value} value={basis.value}>{basis.label}</MenuItem>
+              ))}
+            </TextField>
+
+            <TextField
+              select
+              fullWidth
+              label="Commission"
+              value={planDraft.type}
+              onChange={(e) => updatePlanDraft({ type: e.target.value })}
+              sx={{ mb: 2 }}
+            >
+              {COMMISSION_TYPES.map(type => (
+                <MenuItem key={type.value} value={type.value}>{type.label}</MenuItem>
+              ))}
+            </TextField>
+
+            {planDraft.type === 'percentage' && (
+              <TextField
+                fullWidth
+                label="Percentage"
+                type="number"
+                value={planDraft.rate}
+                onChange={(e) => updatePlanDraft({ rate: e.target.value })}
+                InputProps={{ inputProps: { min: 0, max: 100, step: 0.1 } }}
+                sx={{ mb: 2 }}
+              />
+            )}
+
+            {planDraft.type === 'flat' && (
+              <TextField
+                fullWidth
+                label="Fee per payout ($)"
+                type="number"
+                value={planDraft.flat_amount}
+                onChange={(e) => updatePlanDraft({ flat_amount: e.target.value })}
+                InputProps={{ inputProps: { min: 0, step: 0.01 } }}
+                sx={{ mb: 2 }}
+              />
+            )}
+
+            {planDraft.type === 'tiered' && (
+              <div className="commissions-tiers">
+                <p>Each part of the month's client payouts earns the rate of the tier it falls in.</p>
+                {planDraft.tiers.map((tier, index) => (
+                  <div key={index} className="commissions-tier">
+                    {tier.up_to === null ? (
+                      <span className="commissions-tier-limit">
+                        {index ? 'Everything above' : 'All volume'}
+                      </span>
+                    ) : (
+                      <TextField
+                        size="small"
+                        label="Up to ($ a month)"
+                        type="number"
+                        value={tier.up_to}
+                        onChange={(e) => updateTier(index, { up_to: e.target.value })}
+                      />
+                    )}
+                    <TextField
+                      size="small"
+                      label="Percentage"
+                      type="number"
+                      value={tier.rate}
+                      onChange={(e) => updateTier(index, { rate: e.target.value })}
+                    />
+                    {tier.up_to !== null && (
+                      <Button
+                        size="small"
+                        color="error"
+                        onClick={() => updatePlanDraft({ tiers: planDraft.tiers.filter((_, position) => position !== index) })}
+                      >
+                        Remove
+                      </Button>
+                    )}
+                  </div>
+                ))}
+                <Button
+                  size="small"
+                  onClick={() => updatePlanDraft({
+                    tiers: [...planDraft.tiers.slice(0, -1), { up_to: '', rate: '' }, planDraft.tiers[planDraft.tiers.length - 1]]
+                  })}
+                >
+                  Add Tier
+                </Button>
+              </div>
+            )}
+
+            <div className="commissions-dates">
+              <TextField
+                label="Effective from"
+                type="date"
+                value={planDraft.effective_from}
+                onChange={(e) => updatePlanDraft({ effective_from: e.target.value })}
+                InputLabelProps={{ shrink: true }}
+              />
+              <TextField
+                label="Effective to"
+                type="date"
+                value={planDraft.effective_to}
+                onChange={(e) => updatePlanDraft({ effective_to: e.target.value })}
+                InputLabelProps={{ shrink: true }}
+                helperText="Leave empty while the plan runs"
+              />
+            </div>
+          </DialogContent>
+        )}
+        <DialogActions>
+          <Button onClick={() => setPlanDraft(null)}>Cancel</Button>
+          <Button onClick={handleSavePlan} variant="contained" color="primary" disabled={saving}>
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={Boolean(paymentDraft)} onClose={() => setPaymentDraft(null)}>
+        <DialogTitle>
+          Mark {paymentDraft && formatMonth(paymentDraft.month)} Paid
+        </DialogTitle>
+        {paymentDraft && (
+          <DialogContent>
+            <TextField
+              fullWidth
+              label="Amount paid ($)"
+              type="number"
+              value={paymentDraft.amount}
+              onChange={(e) => setPaymentDraft(prev => ({ ...prev, amount: e.target.value }))}
+              sx={{ mt: 1, mb: 2 }}
+            />
+            <TextField
+              fullWidth
+              label="Reference"
+              placeholder="e.g. ACH or check number"
+              value={paymentDraft.reference}
+              onChange={(e) => setPaymentDraft(prev => ({ ...prev, reference: e.target.value }))}
+            />
+          </DialogContent>
+        )}
+        <DialogActions>
+          <Button onClick={() => setPaymentDraft(null)}>Cancel</Button>
+          <Button onClick={handleRecordPayment} variant="contained" color="primary" disabled={saving}>
+            Record Payment
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={() => setSnackbar({ ...snackbar, open: false })}
+      >
+        <Alert
+          onClose={() => setSnackbar({ ...snackbar, open: false })}
+          severity={snackbar.severity}
+          sx={{ width: '100%' }}
+        >
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+    </div>
+  );
+};
+
+export default PartnerCommissions;
@@ -1,4 +1,5 @@
 import React, { useState } from 'react';
+import axios from '../../utils/axiosConfig';
 import '../CallForm/CallForm.css';
 
 const PayeeForm = () => {
@@ -72,36 +73,27 @@ const PayeeForm = () => {
             setSubmitStatus('submitting');
             
             // First save the payee
-            const saveResponse = await fetch('/api/payments/payee', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(formData)
-            });
+            await axios.post('/api/payments/payee', formData);
             
-            if (saveResponse.ok) {
-                // Then trigger QuickBooks sync
-                await fetch('/api/payments/quickbooks/sync', {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ payee_email: formData.primary_email })
-                });
-                
-                setSubmitStatus('success');
-                // Clear form
-                setFormData({
-                    name: '',
-                    company_name: '',
-                    legal_first_name: '',
-                    legal_last_name: '',
-                    primary_email: '',
-                    billing_address: '',
-                    phone_number: '',
-                    tax_id: '',
-                    routing_number: '',
-                    account_number: '',
-                    bank: ''
-                });
-            }
+            // Then trigger QuickBooks sync
+            await axios.post('/api/payments/quickbooks/sync', { payee_email: formData.primary_email })
+                .catch(error => console.error('QuickBooks sync failed:', error));
+            
+            setSubmitStatus('success');
+            // Clear form
+            setFormData({
+                name: '',
+                company_name: '',
+                legal_first_name: '',
+                legal_last_name: '',
+                primary_email: '',
+                billing_address: '',
+                phone_number: '',
+                tax_id: '',
+                routing_number: '',
+                account_number: '',
+                bank: ''
+            });
         } catch (error) {
             console.error('Error:', error);
             setSubmitStatus('error');
@@ -25,7 +25,7 @@ import {
 } from '@mui/material';
 import { Add as AddIcon, Save as SaveIcon } from '@mui/icons-material';
 import { API_ENDPOINTS } from '../../config/api';
-import { useAuth } from '../../contexts/AuthContext';
+import axios from '../../utils/axiosConfig';
 import './SplitAssignment.css';
 
 /**
@@ -61,7 +61,6 @@ import './SplitAssignment.css';
  * @returns {React.ReactElement} The rendered split assignment interface
  */
 const SplitAssignment = () => {
-  const { getAccessToken } = useAuth();
   const [selectedPayout, setSelectedPayout] = useState(null);
   const [payouts, setPayouts] = useState([]);
   const [splits, setSplits] = useState([]);
@@ -83,22 +82,7 @@ const SplitAssignment = () => {
   const loadPayouts = async () => {
     try {
       setLoading(true);
-      const token = await getAccessToken();
-      console.log('Got token:', token?.substring(0, 20) + '...');
-      
-      const response = await fetch('/api/payments/search-payouts', {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        }
-      });
-      
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`Failed to fetch payouts: ${errorText}`);
-      }
-      
-      const data = await response.json();
+      const { data } = await axios.get('/api/payments/search-payouts');
       console.log('Raw payout data:', data);
       
       if (!data.payouts || !Array.isArray(data.payouts)) {
@@ -128,20 +112,7 @@ const SplitAssignment = () => {
   const loadPayees = async () => {
     try {
       setLoadingPayees(true);
-      const token = await getAccessToken();
-      const response = await fetch('/api/payments/search-payees', {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        }
-      });
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`Failed to fetch payees: ${errorText}`);
-      }
-
-      const data = await response.json();
+      const { data } = await axios.get('/api/payments/search-payees');
       setPayees(data.payees || []);
     } catch (error) {
       console.error('Error loading payees:', error);
@@ -185,22 +156,9 @@ const SplitAssignment = () => {
         return;
       }
 
-      const token = await getAccessToken();
       console.info(`Loading splits for client_id: ${payout.client_id}`);
       
-      const response = await fetch(`/api/payments/split-profile/${payout.client_id}`, {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        }
-      });
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`Failed to fetch splits: ${errorText}`);
-      }
-
-      const data = await response.json();
+      const { data } = await axios.get(`/api/payments/split-profile/${payout.client_id}`);
       console.info('Received splits data:', data);
       
       setSplits(data.splits || []);
@@ -268,24 +226,11 @@ const SplitAssignment = () => {
 
     try {
       setSavingChanges(true);
-      const token = await getAccessToken();
-      const response = await fetch(API_ENDPOINTS.PAYMENTS.SAVE_SPLIT_PROFILE, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          clientId: selectedPayout.client_id,
-          splits: splits
-        })
+      await axios.post(API_ENDPOINTS.PAYMENTS.SAVE_SPLIT_PROFILE, {
+        clientId: selectedPayout.client_id,
+        splits: splits
       });
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`Failed to save splits: ${errorText}`);
-      }
-
       setSnackbar({
         open: true,
         message: 'All splits saved successfully',
@@ -321,19 +266,7 @@ const SplitAssignment = () => {
         return;
       }
 
-      const token = await getAccessToken();
-      const response = await fetch(API_ENDPOINTS.PAYMENTS.DELETE_SPLIT_PROFILE(selectedPayout.client_id, payeeId), {
-        method: 'DELETE',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        }
-      });
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`Failed to delete split: ${errorText}`);
-      }
+      await axios.delete(API_ENDPOINTS.PAYMENTS.DELETE_SPLIT_PROFILE(selectedPayout.client_id, payeeId));
 
       setSplits(prev => prev.filter(split => split.payeeId !== payeeId));
       setSnackbar({
@@ -0,0 +1,267 @@
+/**
+ * @fileoverview Partner commission ledger. Turns client payouts into commission entries using the
+ * plan of the partner who referred or monetized the client that was in effect on the payout
+ * date, and groups the entries into monthly statements per partner with what has accrued and
+ * what has been paid. A month with a recorded payment is closed: the server refuses plan
+ * changes that would change its commission, so a paid statement keeps its amounts.
+ */
+
+import { format, parseISO } from 'date-fns';
+
+/** @type {Array<{value: string, label: string}>} Commission types */
+export const COMMISSION_TYPES = [
+  { value: 'percentage', label: 'Percentage of each payout' },
+  { value: 'flat', label: 'Flat fee per payout' },
+  { value: 'tiered', label: 'Tiered by monthly payout volume' }
+];
+
+/** @type {Array<{value: string, label: string}>} Which client link a plan pays for */
+export const COMMISSION_BASES = [
+  { value: 'referred', label: 'Clients they referred' },
+  { value: 'monetized', label: 'Clients they monetized' }
+];
+
+/**
+ * @typedef {Object} CommissionTier
+ * @property {number|null} up_to - Monthly volume the tier ends at, null for the last tier
+ * @property {number} rate - Percentage earned on the volume inside the tier
+ */
+
+/**
+ * @typedef {Object} CommissionPlan
+ * @property {string} plan_id - Plan ID
+ * @property {string} partner_id - Partner the plan pays
+ * @property {'referred'|'monetized'} basis - Which client link the plan pays for
+ * @property {'percentage'|'flat'|'tiered'} type - How the commission is computed
+ * @property {number|null} rate - Percentage of each payout, for percentage plans
+ * @property {number|null} flat_amount - Fee per payout, for flat plans
+ * @property {Array<CommissionTier>} tiers - Marginal tiers, for tiered plans
+ * @property {string} effective_from - First day the plan applies, YYYY-MM-DD
+ * @property {string|null} effective_to - Last day the plan applies, null while it runs
+ */
+
+/**
+ * @typedef {Object} LedgerEntry
+ * @property {string} entry_id - Entry ID, stable across reloads
+ * @property {string} partner_id - Partner who earns the commission
+ * @property {string} plan_id - Plan the commission was computed with
+ * @property {string} basis - 'referred' or 'monetized'
+ * @property {string} client_id - Client whose payout it is
+ * @property {string} client_name - Client display name
+ * @property {string} payout_date - Payout date, YYYY-MM-DD
+ * @property {string} month - Statement month, YYYY-MM
+ * @property {number} payout_amount - Client payout
+ * @property {number} commission - Commission earned on it
+ */
+
+/**
+ * @typedef {Object} UndatedPayout
+ * @property {string} payout_id - Payout record the pull belongs to
+ * @property {string} client_id - Client whose payout it is
+ * @property {number} amount - Pull amount
+ */
+
+/**
+ * @typedef {Object} CommissionStatement
+ * @property {string} month - Statement month, YYYY-MM
+ * @property {Array<LedgerEntry>} entries - Entries of the month
+ * @property {number} payout_total - Client payouts the commission was earned on
+ * @property {number} commission - Commission earned in the month
+ * @property {number} paid - Payments made against the statement
+ * @property {number} accrued - Commission not paid yet
+ * @property {'accrued'|'paid'|'overpaid'} status - Whether anything is still owed, or more was paid than earned
+ * @property {Array<Object>} payments - Payments made against the statement
+ */
+
+/**
+ * Rounds an amount to cents
+ * @param {number} value - Amount
+ * @returns {number} Rounded amount
+ */
+const roundCents = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+/**
+ * Reads the day of a payout pull
+ * @param {Object} pull - Creator pull
+ * @returns {string|null} Day as YYYY-MM-DD, or null when the pull has no usable date
+ */
+const getPullDay = (pull) => {
+  const day = typeof pull.pull_date === 'string' ? pull.pull_date.slice(0, 10) : '';
+  return /^\d{4}-\d{2}-\d{2}$/.test(day) ? day : null;
+};
+
+/**
+ * Formats a dollar amount with cents
+ * @param {number} [amount] - Amount to format
+ * @returns {string} Formatted amount
+ */
+export const formatCurrency = (amount) =>
+  `$${(amount || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+/**
+ * Formats a statement month for display
+ * @param {string} month - Month as YYYY-MM
+ * @returns {string} e.g. "September 2026"
+ */
+export const formatMonth = (month) => format(parseISO(`${month}-01`), 'MMMM yyyy');
+
+/**
+ * One-line description of how a plan computes commission
+ * @param {CommissionPlan} plan - Plan
+ * @returns {string} Description
+ */
+export const describePlan = (plan) => {
+  if (plan.type === 'flat') return `${formatCurrency(plan.flat_amount)} per payout`;
+  if (plan.type === 'tiered') {
+    const tiers = plan.tiers.map((tier, index) => {
+      if (tier.up_to === null) return index ? `then ${tier.rate}%` : `${tier.rate}%`;
+      return `${tier.rate}% up to ${formatCurrency(tier.up_to)}`;
+    });
+    return `Monthly volume: ${tiers.join(', ')}`;
+  }
+  return `${plan.rate}% of payouts`;
+};
+
+/**
+ * Whether a plan applies on a day
+ * @param {CommissionPlan} plan - Plan
+ * @param {string} day - Day as YYYY-MM-DD
+ * @returns {boolean} Whether the plan is in effect
+ */
+export const isPlanEffective = (plan, day) =>
+  plan.effective_from <= day && (!plan.effective_to || day <= plan.effective_to);
+
+/**
+ * Whether a plan applies on any day of a month
+ * @param {CommissionPlan} plan - Plan
+ * @param {string} month - Month as YYYY-MM
+ * @returns {boolean} Whether the plan overlaps the month
+ */
+export const planCoversMonth = (plan, month) =>
+  plan.effective_from.slice(0, 7) <= month && (!plan.effective_to || month <= plan.effective_to.slice(0, 7));
+
+/**
+ * Commission on a payout under tiered rates: each part of the payout earns the rate of the tier
+ * the month's volume is in at that point
+ * @param {Array<CommissionTier>} tiers - Tiers, lowest first
+ * @param {number} volumeBefore - Volume of the month before this payout
+ * @param {number} amount - Payout
+ * @returns {number} Commission
+ */
+export const tieredCommission = (tiers, volumeBefore, amount) => {
+  const volumeAfter = volumeBefore + amount;
+  let lower = 0;
+  return tiers.reduce((total, tier) => {
+    const upper = tier.up_to === null ? Infinity : tier.up_to;
+    const inTier = Math.max(0, Math.min(upper, volumeAfter) - Math.max(lower, volumeBefore));
+    lower = upper;
+    return total + (inTier * tier.rate) / 100;
+  }, 0);
+};
+
+/**
+ * Computes a commission entry for every client payout that falls under a partner's plan.
+ * Payouts without a date cannot be placed in a month or matched to a plan, so they are left
+ * out of the ledger and returned separately to be flagged.
+ *
+ * @function buildLedger
+ * @param {Object} sources - Ledger sources
+ * @param {Array<Object>} sources.payouts - Client payouts from PAYMENTS.SEARCH_PAYOUTS
+ * @param {Array<Object>} sources.leads - Leads with their referred_by and monetized_by partners
+ * @param {Array<CommissionPlan>} sources.plans - Commission plans
+ * @returns {{entries: Array<LedgerEntry>, undated: Array<UndatedPayout>}} Entries, oldest
+ * first, and the payouts that were skipped
+ */
+export const buildLedger = ({ payouts, leads, plans }) => {
+  const leadsById = new Map(leads.map(lead => [lead.client_id, lead]));
+
+  const pulls = payouts.flatMap(payout => (payout.creator_pulls || []).map((pull, index) => ({
+    key: `${payout._id}-${index}`,
+    payoutId: payout._id,
+    clientId: payout.client_id,
+    lead: leadsById.get(payout.client_id),
+    day: getPullDay(pull),
+    amount: Number(pull.pull_amount) || 0
+  })));
+  const undated = pulls
+    .filter(pull => !pull.day)
+    .map(pull => ({ payout_id: pull.payoutId, client_id: pull.clientId, amount: pull.amount }));
+  const dated = pulls.filter(pull => pull.day);
+  dated.sort((a, b) => a.day.localeCompare(b.day));
+
+  // Tiered plans earn on the month's running volume, so payouts are walked oldest first
+  const volumes = {};
+  const entries = [];
+  dated.forEach(pull => {
+    if (!pull.lead) return;
+    COMMISSION_BASES.forEach(({ value: basis }) => {
+      const partnerId = pull.lead[`${basis}_by`];
+      const plan = partnerId && plans.find(item =>
+        item.partner_id === partnerId && item.basis === basis && isPlanEffective(item, pull.day)
+      );
+      if (!plan) return;
+
+      const month = pull.day.slice(0, 7);
+      let commission = (pull.amount * plan.rate) / 100;
+      if (plan.type === 'flat') commission = plan.flat_amount;
+      if (plan.type === 'tiered') {
+        const volumeKey = `${plan.plan_id}:${month}`;
+        commission = tieredCommission(plan.tiers, volumes[volumeKey] || 0, pull.amount);
+        volumes[volumeKey] = (volumes[volumeKey] || 0) + pull.amount;
+      }
+
+      entries.push({
+        entry_id: `${pull.key}-${basis}`,
+        partner_id: partnerId,
+        plan_id: plan.plan_id,
+        basis,
+        client_id: pull.lead.client_id,
+        client_name: pull.lead.Stage_Name ||
+          [pull.lead.First_Legal_Name, pull.lead.Last_Legal_Name].filter(Boolean).join(' ') ||
+          pull.lead.client_id,
+        payout_date: pull.day,
+        month,
+        payout_amount: pull.amount,
+        commission: roundCents(commission)
+      });
+    });
+  });
+
+  return { entries, undated };
+};
+
+/**
+ * Groups a partner's entries and payments into monthly statements
+ *
+ * @function buildStatements
+ * @param {Array<LedgerEntry>} entries - Ledger entries of all partners
+ * @param {Array<Object>} payments - Commission payments of all partners
+ * @param {string} partnerId - Partner to build statements for
+ * @returns {Array<CommissionStatement>} Statements, newest month first
+ */
+export const buildStatements = (entries, payments, partnerId) => {
+  const partnerEntries = entries.filter(entry => entry.partner_id === partnerId);
+  const partnerPayments = payments.filter(payment => payment.partner_id === partnerId);
+  const months = [...new Set([...partnerEntries, ...partnerPayments].map(item => item.month))].sort().reverse();
+
+  return months.map(month => {
+    const monthEntries = partnerEntries.filter(entry => entry.month === month);
+    const monthPayments = partnerPayments.filter(payment => payment.month === month);
+    const commission = roundCents(monthEntries.reduce((sum, entry) => sum + entry.commission, 0));
+    const paid = roundCents(monthPayments.reduce((sum, payment) => sum + payment.amount, 0));
+    const accrued = roundCents(commission - paid);
+    let status = 'paid';
+    if (accrued > 0) status = 'accrued';
+    if (accrued < 0) status = 'overpaid';
+    return {
+      month,
+      entries: monthEntries,
+      payout_total: roundCents(monthEntries.reduce((sum, entry) => sum + entry.payout_amount, 0)),
+      commission,
+      paid,
+      accrued,
+      status,
+      payments: monthPayments
+    };
+  });
+};
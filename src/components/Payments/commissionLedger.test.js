@@ -0,0 +1,139 @@
+import { buildLedger, buildStatements, tieredCommission } from './commissionLedger';
+
+const TIERS = [
+  { up_to: 1000, rate: 10 },
+  { up_to: null, rate: 20 }
+];
+
+const LEAD = { client_id: 'c1', Stage_Name: 'Ava', referred_by: 'p1', monetized_by: 'p2' };
+
+const plan = (fields) => ({
+  rate: null,
+  flat_amount: null,
+  tiers: [],
+  effective_from: '2026-01-01',
+  effective_to: null,
+  ...fields
+});
+
+describe('tieredCommission', () => {
+  it('applies the rate of the tier the volume is in', () => {
+    expect(tieredCommission(TIERS, 0, 500)).toBe(50);
+    expect(tieredCommission(TIERS, 1500, 100)).toBe(20);
+  });
+
+  it('splits a payout that crosses a tier limit', () => {
+    expect(tieredCommission(TIERS, 800, 500)).toBe(80);
+  });
+});
+
+describe('buildLedger', () => {
+  it('uses the plan in effect on each payout date for every partner of the client', () => {
+    const { entries } = buildLedger({
+      leads: [LEAD],
+      plans: [
+        plan({ plan_id: 'referral', partner_id: 'p1', basis: 'referred', type: 'percentage', rate: 10 }),
+        plan({ plan_id: 'monetize', partner_id: 'p2', basis: 'monetized', type: 'flat', flat_amount: 25, effective_from: '2026-02-01' })
+      ],
+      payouts: [{
+        _id: 'pay1',
+        client_id: 'c1',
+        creator_pulls: [
+          { pull_date: '2026-02-03', pull_amount: 100 },
+          { pull_date: '2026-01-15T12:00:00Z', pull_amount: '200' }
+        ]
+      }]
+    });
+
+    expect(entries.map(({ entry_id, partner_id, month, commission }) => ({ entry_id, partner_id, month, commission }))).toEqual([
+      { entry_id: 'pay1-1-referred', partner_id: 'p1', month: '2026-01', commission: 20 },
+      { entry_id: 'pay1-0-referred', partner_id: 'p1', month: '2026-02', commission: 10 },
+      { entry_id: 'pay1-0-monetized', partner_id: 'p2', month: '2026-02', commission: 25 }
+    ]);
+    expect(entries[0].client_name).toBe('Ava');
+  });
+
+  it('walks tiered plans on the running volume of each month', () => {
+    const { entries } = buildLedger({
+      leads: [LEAD],
+      plans: [plan({ plan_id: 'tiered', partner_id: 'p1', basis: 'referred', type: 'tiered', tiers: TIERS })],
+      payouts: [{
+        _id: 'pay1',
+        client_id: 'c1',
+        creator_pulls: [
+          { pull_date: '2026-03-02', pull_amount: 500 },
+          { pull_date: '2026-02-20', pull_amount: 500 },
+          { pull_date: '2026-02-10', pull_amount: 800 }
+        ]
+      }]
+    });
+
+    expect(entries.map(entry => [entry.payout_date, entry.commission])).toEqual([
+      ['2026-02-10', 80],
+      ['2026-02-20', 80],
+      ['2026-03-02', 50]
+    ]);
+  });
+
+  it('returns payouts without a pull date separately instead of placing them in a month', () => {
+    const { entries, undated } = buildLedger({
+      leads: [LEAD],
+      plans: [plan({ plan_id: 'referral', partner_id: 'p1', basis: 'referred', type: 'percentage', rate: 10 })],
+      payouts: [{
+        _id: 'pay1',
+        client_id: 'c1',
+        creator_pulls: [{ pull_amount: 50 }, { pull_date: 'soon', pull_amount: 30 }]
+      }]
+    });
+
+    expect(entries).toEqual([]);
+    expect(undated).toEqual([
+      { payout_id: 'pay1', client_id: 'c1', amount: 50 },
+      { payout_id: 'pay1', client_id: 'c1', amount: 30 }
+    ]);
+  });
+
+  it('skips payouts of clients without a lead', () => {
+    const { entries, undated } = buildLedger({
+      leads: [],
+      plans: [plan({ plan_id: 'referral', partner_id: 'p1', basis: 'referred', type: 'percentage', rate: 10 })],
+      payouts: [{ _id: 'pay1', client_id: 'c1', creator_pulls: [{ pull_date: '2026-01-15', pull_amount: 100 }] }]
+    });
+
+    expect(entries).toEqual([]);
+    expect(undated).toEqual([]);
+  });
+});
+
+describe('buildStatements', () => {
+  const entries = [
+    { partner_id: 'p1', month: '2026-01', payout_amount: 100, commission: 0.1 },
+    { partner_id: 'p1', month: '2026-01', payout_amount: 200, commission: 0.2 },
+    { partner_id: 'p1', month: '2026-02', payout_amount: 100, commission: 10 },
+    { partner_id: 'p1', month: '2026-03', payout_amount: 400, commission: 40 },
+    { partner_id: 'p2', month: '2026-02', payout_amount: 100, commission: 25 }
+  ];
+  const payments = [
+    { partner_id: 'p1', month: '2026-01', amount: 0.3 },
+    { partner_id: 'p1', month: '2026-02', amount: 15 },
+    { partner_id: 'p2', month: '2026-02', amount: 5 }
+  ];
+
+  it('groups one partner into monthly statements, newest first', () => {
+    const statements = buildStatements(entries, payments, 'p1');
+
+    expect(statements.map(({ month, payout_total, commission, paid, accrued, status }) =>
+      ({ month, payout_total, commission, paid, accrued, status })
+    )).toEqual([
+      { month: '2026-03', payout_total: 400, commission: 40, paid: 0, accrued: 40, status: 'accrued' },
+      { month: '2026-02', payout_total: 100, commission: 10, paid: 15, accrued: -5, status: 'overpaid' },
+      { month: '2026-01', payout_total: 300, commission: 0.3, paid: 0.3, accrued: 0, status: 'paid' }
+    ]);
+  });
+
+  it('includes months that only have a payment', () => {
+    const [statement] = buildStatements([], payments, 'p2');
+
+    expect(statement).toMatchObject({ month: '2026-02', commission: 0, paid: 5, accrued: -5, status: 'overpaid' });
+  });
+});
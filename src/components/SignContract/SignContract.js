@@ -6,7 +6,7 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import SignaturePad from 'react-signature-canvas';
-import axios from 'axios';
+import axios from '../../utils/axiosConfig';
 import './SignContract.css';
 import { API_ENDPOINTS } from '../../config/api';
 
@@ -1,5 +1,6 @@
 import React, { useState } from 'react';
 import '../../styles/components/VistaGroupForm.css';
+import { API_ENDPOINTS } from '../../config/api';
 import { COUNTRIES } from './countries';
 import { TIMEZONES } from './timezones';
 
@@ -20,7 +21,7 @@ const VistaGroupForm = () => {
     e.preventDefault();
     
     try {
-      const response = await fetch('https://hook.us2.make.com/7nl3muuf5ltpvinggj8r1tbndvacms2c', {
+      const response = await fetch(API_ENDPOINTS.WEBHOOKS.VISTA_GROUP, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
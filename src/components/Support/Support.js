@@ -4,6 +4,7 @@
  */
 
 import React, { useState } from 'react';
+import axios from '../../utils/axiosConfig';
 import './Support.css';  // Change to import local CSS file
 
 /**
@@ -72,20 +73,9 @@ const Support = () => {
     setStatus('sending');
 
     try {
-      const response = await fetch('/api/support/submit', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(formData)
-      });
-
-      if (response.ok) {
-        setStatus('success');
-        setFormData({ name: '', email: '', subject: '', message: '' });
-      } else {
-        setStatus('error');
-      }
+      await axios.post('/api/support/submit', formData);
+      setStatus('success');
+      setFormData({ name: '', email: '', subject: '', message: '' });
     } catch (error) {
       setStatus('error');
     }
@@ -4,8 +4,10 @@
  */
 
 import React, { useState, useEffect, useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { useTaskLogic } from './hooks/useTaskLogic';
 import TaskModal from './TaskModal';
+import ClientLink from '../Client360/ClientLink';
 import './styles/TaskGrid.css';
 // Import Material UI icons
 import EditIcon from '@mui/icons-material/Edit';
@@ -37,6 +39,7 @@ const TaskGrid = () => {
     editMode,
     setEditMode
   } = useTaskLogic();
+  const [searchParams, setSearchParams] = useSearchParams();
 
   /**
    * Handles closing the task modal.
@@ -72,6 +75,21 @@ const TaskGrid = () => {
     setShowTaskModal(true);
   };
 
+  // Open a task deep linked as /tasks?task=<taskId> once tasks have loaded
+  useEffect(() => {
+    const taskId = searchParams.get('task');
+    if (!taskId || !tasks.length) return;
+
+    const task = tasks.find(item => item._id === taskId);
+    if (task) {
+      handleEditTask(task);
+    }
+    setSearchParams(params => {
+      params.delete('task');
+      return params;
+    }, { replace: true });
+  }, [searchParams, setSearchParams, tasks, handleEditTask]);
+
   /**
    * Handles adding a new task.
    * 
@@ -159,6 +177,7 @@ const TaskGrid = () => {
             <thead>
               <tr>
                 <th>Title</th>
+                <th>Client</th>
                 <th>Description</th>
                 <th>Priority</th>
                 <th>Due Date</th>
@@ -171,6 +190,7 @@ const TaskGrid = () => {
               {tasks.map(task => (
                 <tr key={task._id}>
                   <td>{task.title}</td>
+                  <td>{task.client_id ? <ClientLink clientId={task.client_id} /> : '—'}</td>
                   <td>{task.description}</td>
                   <td>
                     <span className={`priority-badge ${task.priority}`}>
@@ -4,7 +4,7 @@
  */
 
 import React, { useState, useEffect, useCallback } from 'react';
-import axios from 'axios';
+import axios from '../../utils/axiosConfig';
 import './styles/TaskModal.css';
 import { fetchAuthSession } from 'aws-amplify/auth';
 
@@ -7,10 +7,7 @@
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../../contexts/AuthContext';
 import { API_ENDPOINTS } from '../../config/api';
-import axios from 'axios';
-import { fetchAuthSession, signOut } from 'aws-amplify/auth';
-import axiosInstance from '../../utils/axiosConfig';
-import { useNavigate } from 'react-router-dom';
+import axios from '../../utils/axiosConfig';
 import './TimeSheet.css';
 import '../Employee/EmployeeDashboard.css';
 import { format, subDays, startOfToday, endOfToday, parse, isValid } from 'date-fns';
@@ -147,7 +144,6 @@ const TimeSheet = () => {
   const [isEditModalOpen, setIsEditModalOpen] = useState(false);
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [isDeleting, setIsDeleting] = useState(false);
-  const navigate = useNavigate();
   const [startDate, setStartDate] = useState(format(startOfToday(), 'yyyy-MM-dd'));
   const [endDate, setEndDate] = useState(format(endOfToday(), 'yyyy-MM-dd'));
 
@@ -170,14 +166,7 @@ const TimeSheet = () => {
    */
   const fetchEntries = async () => {
     try {
-      const { tokens } = await fetchAuthSession();
-      const token = tokens.idToken.toString();
-
-      const response = await axiosInstance.get(API_ENDPOINTS.TIMESHEET.ENTRIES, {
-        headers: {
-          'Authorization': `Bearer ${token}`
-        }
-      });
+      const response = await axios.get(API_ENDPOINTS.TIMESHEET.ENTRIES);
 
       // Log the raw response to see the data structure
       console.log('Raw entries response:', response.data);
@@ -248,16 +237,8 @@ const TimeSheet = () => {
   const handleClientSearch = async (query) => {
     if (query.length >= 2) {
       try {
-        const { tokens } = await fetchAuthSession();
-        const token = tokens.idToken.toString();
-
-        const response = await axiosInstance.get(
-          API_ENDPOINTS.TIMESHEET.SEARCH_ASSIGNEES(query),
-          {
-            headers: {
-              'Authorization': `Bearer ${token}`
-            }
-          }
+        const response = await axios.get(
+          API_ENDPOINTS.TIMESHEET.SEARCH_ASSIGNEES(query)
         );
 
         if (response.data?.assignees) {
@@ -344,21 +325,13 @@ const TimeSheet = () => {
     
     try {
       setIsSubmitting(true);
-      const { tokens } = await fetchAuthSession();
-      const token = tokens.idToken.toString();
-
-      const response = await axiosInstance.post(
+      const response = await axios.post(
         API_ENDPOINTS.TIMESHEET.ENTRIES,
         {
           ...newEntry,
           type: 'item based',
           hours: parseInt(newEntry.hours) || 0,
           minutes: parseInt(newEntry.minutes) || 0
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${token}`
-          }
         }
       );
 
@@ -393,16 +366,8 @@ const TimeSheet = () => {
    */
   const handleGenerateInvoice = async () => {
     try {
-      const { tokens } = await fetchAuthSession();
-      const token = tokens.idToken.toString();
-
-      const response = await axiosInstance.get(
-        API_ENDPOINTS.TIMESHEET.PREVIEW_INVOICE,
-        {
-          headers: {
-            'Authorization': `Bearer ${token}`
-          }
-        }
+      const response = await axios.get(
+        API_ENDPOINTS.TIMESHEET.PREVIEW_INVOICE
       );
 
       setInvoicePreview(response.data);
@@ -425,17 +390,9 @@ const TimeSheet = () => {
    */
   const handleQbIdSubmit = async () => {
     try {
-      const { tokens } = await fetchAuthSession();
-      const token = tokens.idToken.toString();
-
-      const response = await axiosInstance.post(
+      const response = await axios.post(
         `${API_ENDPOINTS.TIMESHEET.SET_QB_ID}?qb_id=${qbId}`,
-        {},  // Empty body
-        {
-          headers: {
-            'Authorization': `Bearer ${token}`
-          }
-        }
+        {}  // Empty body
       );
       if (response.status === 200) {
         setIsQbIdModalOpen(false);
@@ -455,17 +412,9 @@ const TimeSheet = () => {
    */
   const handleSubmitInvoice = async () => {
     try {
-      const { tokens } = await fetchAuthSession();
-      const token = tokens.idToken.toString();
-
-      const response = await axiosInstance.post(
+      const response = await axios.post(
         API_ENDPOINTS.TIMESHEET.SUBMIT_INVOICE,
-        {},
-        {
-          headers: {
-            'Authorization': `Bearer ${token}`
-          }
-        }
+        {}
       );
       if (response.status === 200) {
         setIsPreviewOpen(false);
@@ -482,22 +431,6 @@ const TimeSheet = () => {
     }
   };
 
-  /**
-   * Handles user sign out.
-   * Clears session and redirects to login.
-   * 
-   * @async
-   * @returns {Promise<void>}
-   */
-  const handleSignOut = async () => {
-    try {
-      await signOut();
-      navigate('/timesheet-login');
-    } catch (error) {
-      console.error('Error signing out:', error);
-    }
-  };
-
   const handleEditEntry = async (e) => {
     e.preventDefault();
     
@@ -507,16 +440,13 @@ const TimeSheet = () => {
     console.log('Editing entry:', editingEntry);
     try {
       setIsSubmitting(true);
-      const { tokens } = await fetchAuthSession();
-      const token = tokens.idToken.toString();
-
       // Check if we have a valid item
       if (!editingEntry.item) {
         console.error('No entry item found:', editingEntry);
         return;
       }
 
-      const response = await axiosInstance.put(
+      const response = await axios.put(
         API_ENDPOINTS.TIMESHEET.UPDATE_ENTRY(editingEntry.item),
         {
           date: editingEntry.date,
@@ -527,11 +457,6 @@ const TimeSheet = () => {
           item: editingEntry.item,
           description: editingEntry.description,
           category: editingEntry.category
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${token}`
-          }
         }
       );
 
@@ -558,16 +483,8 @@ const TimeSheet = () => {
     
     try {
       setIsDeleting(true);
-      const { tokens } = await fetchAuthSession();
-      const token = tokens.idToken.toString();
-      
-      const response = await axiosInstance.delete(
-        API_ENDPOINTS.TIMESHEET.DELETE_ENTRY(entryItem),
-        {
-          headers: {
-            'Authorization': `Bearer ${token}`
-          }
-        }
+      const response = await axios.delete(
+        API_ENDPOINTS.TIMESHEET.DELETE_ENTRY(entryItem)
       );
       
       if (response.data.status === 'success') {
@@ -587,25 +504,6 @@ const TimeSheet = () => {
 
   return (
     <div className="timesheet-container">
-      <button 
-        onClick={handleSignOut}
-        className="timesheet-logout-button"
-        style={{
-          position: 'absolute',
-          top: '10px',
-          right: '10px',
-          padding: '6px 14px',
-          background: 'none',
-          border: '1px solid rgb(26 26 26)',
-          borderRadius: '4px',
-          color: 'rgb(26 26 26)',
-          cursor: 'pointer',
-          fontSize: '12px',
-          zIndex: 1000
-        }}
-      >
-        Sign Out
-      </button>
       <h1 className="timesheet-title">Time Tracking</h1>
 
       <DateRangeSelector
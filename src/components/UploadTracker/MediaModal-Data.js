@@ -5,8 +5,9 @@
 
 import React, { useState, useEffect, useRef } from 'react';
 import './MediaModal.css';
-import axios from 'axios';
+import axios from '../../utils/axiosConfig';
 import { API_ENDPOINTS } from '../../config/api';
+import { getRuntimeConfig } from '../../config/runtimeConfig';
 import { toast } from 'react-hot-toast';
 import { fetchAuthSession } from '@aws-amplify/auth';
 
@@ -204,19 +205,13 @@ const MediaModal = ({ media, onClose }) => {
       const formattedDate = media.date;
 
       try {
-        const { tokens } = await fetchAuthSession();
-        const token = tokens.idToken.toString();
-        
         // Get all metrics from /metrics endpoint
         const response = await axios.get(
-          `https://track.snapped.cc/api/analytics/snapchat/metrics`,
+          `${getRuntimeConfig().apiBaseUrl}${API_ENDPOINTS.ANALYTICS.GET_SNAPCHAT_METRICS}`,
           {
             params: {
               client_id: userId,
               date: formattedDate
-            },
-            headers: {
-              'Authorization': `Bearer ${token}`
             }
           }
         );
@@ -469,7 +464,7 @@ const MediaModal = ({ media, onClose }) => {
       const sessionFolder = getSessionFolder();
 
       const response = await axios.delete(
-        `${API_ENDPOINTS.CONTENT_NOTES}/delete-note/${media.client_ID}/${sessionFolder}`,
+        `${API_ENDPOINTS.UPLOAD.CONTENT_NOTES}/delete-note/${media.client_ID}/${sessionFolder}`,
         { data: note }
       );
       
@@ -5,7 +5,7 @@
 
 import React, { useState, useEffect, useRef } from 'react';
 import './MediaModal.css';
-import axios from 'axios';
+import axios from '../../utils/axiosConfig';
 import { API_ENDPOINTS } from '../../config/api';
 import { toast } from 'react-hot-toast';
 import { fetchAuthSession, getCurrentUser } from '@aws-amplify/auth';
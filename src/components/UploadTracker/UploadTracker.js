@@ -4,11 +4,11 @@
  */
 
 import { useEffect, useState, useRef, useMemo } from 'react';
-import axios from 'axios';
+import { useSearchParams } from 'react-router-dom';
+import axios from '../../utils/axiosConfig';
 import { API_ENDPOINTS } from '../../config/api';
 import './UploadTracker.css';
 import MediaModal from './MediaModal';
-import { fetchAuthSession } from 'aws-amplify/auth';
 import MediaModalData from './MediaModal-Data';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
 import { 
@@ -22,8 +22,8 @@ import {
   faChartBar,
   faExclamationTriangle
 } from '@fortawesome/free-solid-svg-icons';
-import axiosInstance from '../../utils/axiosConfig';
 import { toast } from 'react-hot-toast';
+import ClientLink from '../Client360/ClientLink';
 
 /**
  * @typedef {Object} MediaItem
@@ -42,18 +42,6 @@ import { toast } from 'react-hot-toast';
  * @property {number} shares - Number of shares
  */
 
-// Add auth interceptor for all requests
-axios.interceptors.request.use(async (config) => {
-  try {
-    const { tokens } = await fetchAuthSession();
-    const token = tokens.idToken.toString();
-    config.headers.Authorization = `Bearer ${token}`;
-  } catch (error) {
-    console.error('Error getting auth token:', error);
-  }
-  return config;
-});
-
 /**
  * UploadTracker component for monitoring and managing media uploads.
  * Provides a grid view of uploads by client and date, with detailed analytics
@@ -98,6 +86,10 @@ const UploadTracker = () => {
   // Add new state for content flags
   const [contentFlags, setContentFlags] = useState({});
 
+  // Client row highlighted after a deep link
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [highlightedClient, setHighlightedClient] = useState(null);
+
   // Add filter functions for each section
   const filteredUploadData = useMemo(() => {
     const currentDate = new Date().toISOString().split('T')[0];
@@ -238,6 +230,29 @@ const UploadTracker = () => {
     document.title = 'Content | Snapped';
   }, []);
 
+  // Scroll to a client's row when deep linked as /upload-activity?client=<clientId>
+  useEffect(() => {
+    const clientId = searchParams.get('client');
+    if (!clientId || !filteredUploadData.some(client => client.client_ID === clientId)) return;
+
+    setActiveView('uploads');
+    setHighlightedClient(clientId);
+    setSearchParams(params => {
+      params.delete('client');
+      return params;
+    }, { replace: true });
+  }, [searchParams, setSearchParams, filteredUploadData]);
+
+  useEffect(() => {
+    if (!highlightedClient) return undefined;
+
+    containerRef.current
+      ?.querySelector(`[data-client-id="${CSS.escape(highlightedClient)}"]`)
+      ?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    const timer = setTimeout(() => setHighlightedClient(null), 4000);
+    return () => clearTimeout(timer);
+  }, [highlightedClient]);
+
   // Debug log to see client data structure
   useEffect(() => {
     console.log('Client data:', clientData.map(client => ({
@@ -984,8 +999,14 @@ const UploadTracker = () => {
               filteredSavedData */
               filteredSpotlightData
             ).map(client => (
-              <div key={client.client_ID} className="table-row">
-                <div className="cell client-column">{client.clientName}</div>
+              <div
+                key={client.client_ID}
+                data-client-id={client.client_ID}
+                className={`table-row ${client.client_ID === highlightedClient ? 'highlighted' : ''}`}
+              >
+                <div className="cell client-column">
+                  <ClientLink clientId={client.client_ID}>{client.clientName}</ClientLink>
+                </div>
                 {dates.map(date => {
                   if (activeView === 'uploads') {
                     const dayData = client.uploads.find(u => u.date === date);
@@ -1182,7 +1203,9 @@ const UploadTracker = () => {
           <div className="table-body">
             {filteredPostData.map(client => (
               <div key={client.client_ID} className="table-row">
-                <div className="cell client-column">{client.clientName}</div>
+                <div className="cell client-column">
+                  <ClientLink clientId={client.client_ID}>{client.clientName}</ClientLink>
+                </div>
                 {dates.map(date => {
                   const postStats = client.posts.find(p => p.date === date)?.stats;
                   const hasActivity = postStats?.hasActivity;
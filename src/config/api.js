@@ -4,16 +4,19 @@
  * Centralizes API route management and provides a single source of truth for API URLs.
  */
 
-// Get the API base URL from environment variable or fallback to production
-const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'https://track.snapped.cc';
-const BUNNY_CDN_URL = 'https://snapped2.b-cdn.net';
+import { createEndpointRegistry } from './endpointRegistry';
+import { getRuntimeConfig } from './runtimeConfig';
+
+// Base URLs come from the active runtime config profile
+const { apiBaseUrl: API_BASE_URL, bunnyCdnUrl: BUNNY_CDN_URL, webhooks: WEBHOOK_URLS } = getRuntimeConfig();
 
 /**
  * @namespace API_ENDPOINTS
  * @description Collection of all API endpoints used in the application.
  * Organized by feature/domain for better maintainability.
+ * Reading a key that is not defined here throws an UnknownEndpointError.
  */
-export const API_ENDPOINTS = {
+export const API_ENDPOINTS = createEndpointRegistry({
   /** @property {string} CALL_FORM - Endpoint for call form submissions */
   CALL_FORM: `${API_BASE_URL}/call`,
   
@@ -61,18 +64,72 @@ export const API_ENDPOINTS = {
     RAW: '/api/leads/raw',
     /** @property {string} RANKS - Endpoint for lead rankings */
     RANKS: '/api/leads/ranks',
+    /** @property {string} SETTINGS - Active scoring algorithm settings; PUT saves a new version */
+    SETTINGS: '/api/leads/settings',
+    /** @property {string} SETTINGS_VERSIONS - Saved versions of the algorithm settings, newest first */
+    SETTINGS_VERSIONS: '/api/leads/settings/versions',
+    /** 
+     * @function ROLLBACK_SETTINGS
+     * @param {number} version - Settings version to restore
+     * @returns {string} Endpoint that makes an earlier settings version active again
+     */
+    ROLLBACK_SETTINGS: (version) => `/api/leads/settings/versions/${version}/rollback`,
+    /** @property {string} UPDATE_SCORES - Recalculates stored scores with the active settings */
+    UPDATE_SCORES: '/api/leads/update-scores',
     /** 
      * @function UPDATE
      * @param {string} leadId - ID of the lead to update
      * @returns {string} Lead update endpoint
      */
     UPDATE: (leadId) => `${API_BASE_URL}/api/leads/${leadId}`,
+    /** 
+     * @function DELETE
+     * @param {string} leadId - ID of the lead to delete
+     * @returns {string} Lead delete endpoint
+     */
+    DELETE: (leadId) => `${API_BASE_URL}/api/leads/${leadId}`,
     /** 
      * @function SYNC
      * @param {string} leadId - ID of the lead to sync
      * @returns {string} Lead sync endpoint
      */
     SYNC: (leadId) => `${API_BASE_URL}/api/leads/sync/${leadId}`,
+    /** 
+     * @function STATS_HISTORY
+     * @param {string} leadId - ID of the lead
+     * @returns {string} Dated follower and engagement snapshots of the lead, one per sync
+     */
+    STATS_HISTORY: (leadId) => `/api/leads/stats-history/${leadId}`,
+    /** @property {string} STATS_REFRESH_SETTINGS - When stats count as stale and how fast the scheduled refresh syncs */
+    STATS_REFRESH_SETTINGS: '/api/leads/stats-refresh/settings',
+    /** @property {string} STATS_REFRESH_LEASE - Lease a stats refresh run holds so only one session syncs at a time */
+    STATS_REFRESH_LEASE: '/api/leads/stats-refresh/lease',
+    /** @property {string} MERGE - Merges duplicate leads into a surviving client_id */
+    MERGE: '/api/leads/merge',
+    /** @property {string} IMPORT - Creates leads in batch; `dry_run: true` validates without saving */
+    IMPORT: '/api/leads/import',
+    /** @property {string} VIEWS - Saved grid views the signed-in user owns or that were shared */
+    VIEWS: '/api/leads/views',
+    /** @property {string} DEFAULT_VIEW - Sets or clears the signed-in user's default grid view */
+    DEFAULT_VIEW: '/api/leads/views/default',
+    /** 
+     * @function VIEW
+     * @param {string} viewId - ID of the saved view
+     * @returns {string} Endpoint to update or delete a saved grid view
+     */
+    VIEW: (viewId) => `/api/leads/views/${viewId}`,
+    /** @property {string} FOLLOW_UPS - Follow-ups due today or overdue for the signed-in employee */
+    FOLLOW_UPS: '/api/leads/follow-ups',
+    /** @property {string} FOLLOW_UP_SETTINGS - First-contact SLA for new leads */
+    FOLLOW_UP_SETTINGS: '/api/leads/follow-ups/settings',
+    /** @property {string} ASSIGNMENT_RULES - Ordered rules that assign new leads to employees */
+    ASSIGNMENT_RULES: '/api/leads/assignment/rules',
+    /** @property {string} ASSIGNMENT_PREVIEW - Who the unassigned leads would go to under the given rules */
+    ASSIGNMENT_PREVIEW: '/api/leads/assignment/preview',
+    /** @property {string} ASSIGNMENT_RUN - Assigns the unassigned leads with the saved rules */
+    ASSIGNMENT_RUN: '/api/leads/assignment/run',
+    /** @property {string} ASSIGNMENT_LOG - Automatic assignments and manual overrides of them */
+    ASSIGNMENT_LOG: '/api/leads/assignment/log',
     
     /** 
      * @namespace NOTES
@@ -88,7 +145,13 @@ export const API_ENDPOINTS = {
     PAYOUT_INFO: (clientId) => `${API_BASE_URL}/api/leads/payout-info/${clientId}`,
     SYNC_PAYOUT: `${API_BASE_URL}/api/leads/sync-payout-email`,
     UPDATE_APPROVAL_STATUS: `${API_BASE_URL}/api/leads/update-approval-status`,
-    APPROVAL_STATUS: (clientId) => `${API_BASE_URL}/api/leads/approval-status/${clientId}`
+    APPROVAL_STATUS: (clientId) => `${API_BASE_URL}/api/leads/approval-status/${clientId}`,
+    /** 
+     * @function EVENTS
+     * @param {string} leadId - ID of the lead
+     * @returns {string} Approval changes and payout email syncs of the lead, for the activity timeline
+     */
+    EVENTS: (leadId) => `/api/leads/events/${leadId}`
   },
   
   /** 
@@ -160,6 +223,8 @@ export const API_ENDPOINTS = {
     UPDATE_CAPTION: `${API_BASE_URL}/api/cdn/update-caption`,
     SCAN_PATH: '/api/bunnyscan/scan-path',
     REMOVE_FILE_RECORD: `${API_BASE_URL}/api/cdn/remove-file-record`,
+    SYNC: `${API_BASE_URL}/api/cdn/sync`,
+    VIDEO_DURATION: (videoId) => `${API_BASE_URL}/api/cdn/video-duration/${videoId}`,
     LIST_FOLDERS: '/api/cdn-mongo/list-folders',
     FILE_GALLERY: '/api/cdn-mongo/file-gallery',
     COLLECTIONS: '/api/cdn-mongo/collections',
@@ -231,7 +296,8 @@ export const API_ENDPOINTS = {
     UPLOAD_SNAPCHAT: '/api/analytics/upload/snapchat',
     GET_SNAPCHAT_METRICS: '/api/analytics/snapchat/metrics',
     GET_MOBILE: '/api/analytics/mobile',
-    SYNC_VISTA: '/api/analytics/sync/vista'
+    SYNC_VISTA: '/api/analytics/sync/vista',
+    SYNC_PROFILE: `${API_BASE_URL}/api/analytics/sync/profile`
   },
   
   /** 
@@ -382,6 +448,13 @@ export const API_ENDPOINTS = {
       SYNC: '/api/payments/quickbooks/sync',
       STATUS: (email) => `/api/payments/quickbooks/sync-status/${email}`,
       BULK_SYNC: '/api/payments/quickbooks/bulk-sync'
+    },
+    /** Partner commission plans and payments against their monthly statements */
+    COMMISSIONS: {
+      PLANS: '/api/payments/commissions/plans',
+      PLAN: (planId) => `/api/payments/commissions/plans/${planId}`,
+      PAYMENTS: '/api/payments/commissions/payments',
+      PAYMENT: (paymentId) => `/api/payments/commissions/payments/${paymentId}`
     }
   },
   
@@ -395,7 +468,13 @@ export const API_ENDPOINTS = {
     FILE_GALLERY: `${API_BASE_URL}/api/cdn-mongo/file-gallery`,
     GET_CLIENT_INFO: (clientId) => `${API_BASE_URL}/api/cdn-mongo/get-client-info/${clientId}`,
     PARENT_PATH: `${API_BASE_URL}/api/cdn-mongo/parent-path`,
-    EDITOR_NOTES: (clientId) => `/api/cdn-mongo/editor-notes/${clientId}`
+    EDITOR_NOTES: (clientId) => `/api/cdn-mongo/editor-notes/${clientId}`,
+    MOVE_FILE: (clientId, sourceSessionId, targetSessionId, fileName) =>
+      `${API_BASE_URL}/api/cdn-mongo/move-file/${clientId}/${encodeURIComponent(sourceSessionId)}/${encodeURIComponent(targetSessionId)}/${encodeURIComponent(fileName)}`,
+    DUMP_FILES: `${API_BASE_URL}/api/cdn-mongo/dump-files`,
+    CREATE_FOLDER: `${API_BASE_URL}/api/cdn-mongo/create-folder`,
+    REORDER_FILES: `${API_BASE_URL}/api/cdn-mongo/reorder-files`,
+    UPDATE_THUMBNAILS: `${API_BASE_URL}/api/cdn-mongo/update-thumbnails`
   },
   
   /** 
@@ -414,4 +493,13 @@ export const API_ENDPOINTS = {
     GET_AI_NOTES: (clientId, date) => `${API_BASE_URL}/api/messages/ai-notes/${clientId}/${date}`,
     GET_AI_TASKS: (clientId, date) => `${API_BASE_URL}/api/messages/tasks/${clientId}/${date}`
   },
-};
\ No newline at end of file
+
+  /** 
+   * @namespace WEBHOOKS
+   * @description Third-party automation webhooks
+   */
+  WEBHOOKS: {
+    /** @property {string} VISTA_GROUP - Make.com scenario that creates a Vista Social group and returns its connect link */
+    VISTA_GROUP: WEBHOOK_URLS.vistaGroup
+  },
+});
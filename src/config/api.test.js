@@ -0,0 +1,38 @@
+import fs from 'fs';
+import path from 'path';
+import { API_ENDPOINTS } from './api';
+import { createEndpointRegistry, hasEndpoint, UnknownEndpointError } from './endpointRegistry';
+
+const SRC_DIR = path.resolve(__dirname, '..');
+const REFERENCE = /API_ENDPOINTS((?:\.[A-Z][A-Z0-9_]*)+)/g;
+
+const listSourceFiles = (dir) =>
+  fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) return listSourceFiles(fullPath);
+    return /\.jsx?$/.test(entry.name) && !/\.test\.jsx?$/.test(entry.name) ? [fullPath] : [];
+  });
+
+describe('API_ENDPOINTS', () => {
+  it('defines every endpoint referenced in src', () => {
+    const missing = [];
+    listSourceFiles(SRC_DIR).forEach(file => {
+      const source = fs.readFileSync(file, 'utf8');
+      for (const [, keyPath] of source.matchAll(REFERENCE)) {
+        if (!hasEndpoint(API_ENDPOINTS, keyPath.slice(1))) {
+          missing.push(`${path.relative(SRC_DIR, file)}: API_ENDPOINTS${keyPath}`);
+        }
+      }
+    });
+    expect(missing).toEqual([]);
+  });
+
+  it('throws on unknown keys', () => {
+    expect(() => API_ENDPOINTS.CDN.NOT_A_REAL_ENDPOINT).toThrow(UnknownEndpointError);
+    expect(() => API_ENDPOINTS.CDN.NOT_A_REAL_ENDPOINT).toThrow('API_ENDPOINTS.CDN.NOT_A_REAL_ENDPOINT');
+  });
+
+  it('rejects invalid definitions at creation time', () => {
+    expect(() => createEndpointRegistry({ CDN: { SYNC: undefined } })).toThrow('API_ENDPOINTS.CDN.SYNC');
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * @fileoverview Strict wrapper for the API endpoint registry.
+ * Validates every endpoint definition when the registry is built and throws on
+ * access to a key that does not exist, so a typo or a missing endpoint surfaces
+ * immediately instead of sending a request to `undefined`.
+ */
+
+/**
+ * @typedef {string|function(...*): string} EndpointDefinition
+ * A fixed URL, or a builder that returns a URL from path parameters.
+ */
+
+/**
+ * @typedef {Object<string, (EndpointDefinition|EndpointNamespace)>} EndpointNamespace
+ * A group of endpoint definitions and nested namespaces.
+ */
+
+/**
+ * Registry keys follow the SCREAMING_SNAKE_CASE convention. Anything else
+ * (symbols, `toJSON`, `$$typeof`, `then`, ...) is left to the underlying object
+ * so logging, serialization and dev tooling keep working.
+ * @type {RegExp}
+ */
+const REGISTRY_KEY = /^[A-Z][A-Z0-9_]*$/;
+
+/**
+ * Error thrown when code reads an endpoint key that is not defined
+ * @class UnknownEndpointError
+ * @extends Error
+ */
+export class UnknownEndpointError extends Error {
+  /**
+   * @param {string} path - Dotted path of the missing key, e.g. `CDN.SYNC`
+   */
+  constructor(path) {
+    super(`Unknown API endpoint: API_ENDPOINTS.${path}`);
+    this.name = 'UnknownEndpointError';
+    this.path = path;
+  }
+}
+
+/**
+ * Checks that every leaf of a namespace is a URL string or a URL builder
+ *
+ * @function validateNamespace
+ * @param {EndpointNamespace} namespace - Namespace to validate
+ * @param {string} prefix - Dotted path of the namespace
+ * @throws {Error} If a definition is neither a string, a function nor a namespace
+ */
+const validateNamespace = (namespace, prefix) => {
+  Object.entries(namespace).forEach(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (typeof value === 'string' && value.length > 0) return;
+    if (typeof value === 'function') return;
+    if (value && typeof value === 'object') {
+      validateNamespace(value, path);
+      return;
+    }
+    throw new Error(`Invalid API endpoint definition for API_ENDPOINTS.${path}: ${String(value)}`);
+  });
+};
+
+/**
+ * Wraps a namespace so unknown registry keys throw instead of returning undefined
+ *
+ * @function strictNamespace
+ * @param {EndpointNamespace} namespace - Namespace to wrap
+ * @param {string} prefix - Dotted path of the namespace
+ * @returns {EndpointNamespace} Frozen, strict namespace
+ */
+const strictNamespace = (namespace, prefix) => {
+  const wrapped = Object.fromEntries(
+    Object.entries(namespace).map(([key, value]) => [
+      key,
+      value && typeof value === 'object'
+        ? strictNamespace(value, prefix ? `${prefix}.${key}` : key)
+        : value
+    ])
+  );
+
+  return new Proxy(Object.freeze(wrapped), {
+    get(target, key, receiver) {
+      if (typeof key === 'string' && REGISTRY_KEY.test(key) && !(key in target)) {
+        throw new UnknownEndpointError(prefix ? `${prefix}.${key}` : key);
+      }
+      return Reflect.get(target, key, receiver);
+    }
+  });
+};
+
+/**
+ * Builds the endpoint registry from its definitions.
+ * Definitions are validated up front, so a broken entry fails at startup.
+ *
+ * @function createEndpointRegistry
+ * @param {EndpointNamespace} definitions - Endpoint definitions
+ * @returns {EndpointNamespace} Strict, read-only registry
+ * @throws {Error} If any definition is invalid
+ */
+export const createEndpointRegistry = (definitions) => {
+  validateNamespace(definitions, '');
+  return strictNamespace(definitions, '');
+};
+
+/**
+ * Checks whether a dotted key path exists in a registry without throwing
+ *
+ * @function hasEndpoint
+ * @param {EndpointNamespace} registry - Registry created by createEndpointRegistry
+ * @param {string} path - Dotted key path, e.g. `CDN_MONGO.MOVE_FILE`
+ * @returns {boolean} True when every segment of the path is defined
+ */
+export const hasEndpoint = (registry, path) => {
+  let node = registry;
+  return path.split('.').every(key => {
+    if (!node || typeof node !== 'object' || !(key in node)) return false;
+    node = node[key];
+    return true;
+  });
+};
@@ -0,0 +1,141 @@
+/**
+ * @fileoverview Navigation configuration for the Snapped application.
+ * Lists the internal screens shown in the app sidebar and command palette,
+ * derives breadcrumbs from the current path, and builds the deep links that
+ * open a screen with a client, folder or task already selected.
+ */
+
+/**
+ * @typedef {Object} AppRoute
+ * @property {string} path - Router path of the screen
+ * @property {string} label - Human readable screen name
+ * @property {string} section - Sidebar section the screen is listed under
+ * @property {Array<string>} [keywords] - Extra search terms for the screen
+ * @property {Array<string>} [aliases] - Other paths that render the same screen
+ * @property {string} [permission] - Key of a permission in config/permissions required to open it
+ */
+
+/**
+ * Sidebar sections in display order
+ * @type {Array<string>}
+ */
+export const NAV_SECTIONS = ['Workspace', 'Tools', 'Admin'];
+
+/**
+ * Internal screens in the order they should be offered to users
+ * @type {Array<AppRoute>}
+ */
+export const APP_ROUTES = [
+  { path: '/lead', label: 'Lead Tracker', section: 'Workspace', keywords: ['leads', 'clients', 'dashboard'] },
+  { path: '/cdn-manager', label: 'CDN Manager', section: 'Workspace', keywords: ['files', 'content', 'folders', 'sessions'] },
+  { path: '/upload-activity', label: 'Upload Activity', section: 'Workspace', keywords: ['uploads', 'spotlights', 'dumps'] },
+  { path: '/tasks', label: 'Tasks', section: 'Workspace', keywords: ['todo', 'assignments'] },
+  { path: '/analytics', label: 'Analytics', section: 'Workspace', keywords: ['stats', 'views', 'charts'], aliases: ['/data'] },
+  { path: '/timesheet', label: 'Timesheet', section: 'Workspace', keywords: ['hours', 'time'] },
+  { path: '/onboarding', label: 'Onboarding Form', section: 'Tools', keywords: ['signup'] },
+  { path: '/desktop-upload', label: 'Desktop Upload', section: 'Tools', keywords: ['upload'] },
+  { path: '/ai-review/video-summary', label: 'AI Video Summary', section: 'Tools', keywords: ['review'] },
+  { path: '/payments/splits', label: 'Payment Splits', section: 'Admin', keywords: ['payouts', 'payees'], permission: 'MANAGE_PAYMENTS' },
+  { path: '/payments/commissions', label: 'Partner Commissions', section: 'Admin', keywords: ['partners', 'referrals', 'ledger', 'statements'], permission: 'MANAGE_PAYMENTS' },
+  { path: '/filemover', label: 'File Mover', section: 'Admin', keywords: ['move', 'storage'], permission: 'MOVE_FILES' },
+  { path: '/admin/survey', label: 'Survey Admin', section: 'Admin', keywords: ['survey', 'responses'], permission: 'MANAGE_SURVEYS' },
+  { path: '/chat', label: 'AI Chat', section: 'Admin', keywords: ['assistant'], permission: 'USE_AI_CHAT' }
+];
+
+/**
+ * Detail screens that are not listed in the sidebar, with the screen they belong under
+ * @type {Array<{pattern: RegExp, parent: string, label: string}>}
+ */
+const DETAIL_ROUTES = [
+  { pattern: /^\/client\/[^/]+/, parent: '/lead', label: 'Client' }
+];
+
+/**
+ * @typedef {Object} Breadcrumb
+ * @property {string} label - Crumb text
+ * @property {string} [path] - Router path, absent for the current page
+ */
+
+/**
+ * Finds the listed screen a path belongs to
+ *
+ * @function findAppRoute
+ * @param {string} pathname - Current location pathname
+ * @returns {AppRoute|undefined} The longest matching screen
+ */
+export const findAppRoute = (pathname = '') =>
+  APP_ROUTES
+    .filter(route => [route.path, ...(route.aliases || [])]
+      .some(path => pathname === path || pathname.startsWith(`${path}/`)))
+    .sort((a, b) => b.path.length - a.path.length)[0];
+
+/**
+ * Builds the breadcrumb trail for a path
+ *
+ * @function getBreadcrumbs
+ * @param {string} pathname - Current location pathname
+ * @returns {Array<Breadcrumb>} Crumbs from the top-level screen to the current page
+ */
+export const getBreadcrumbs = (pathname = '') => {
+  const detail = DETAIL_ROUTES.find(route => route.pattern.test(pathname));
+  if (detail) {
+    const parent = findAppRoute(detail.parent);
+    return [{ label: parent.label, path: parent.path }, { label: detail.label }];
+  }
+  const route = findAppRoute(pathname);
+  return route ? [{ label: route.label }] : [];
+};
+
+/**
+ * CDN sidebar folder keys for each per-client collection
+ * @type {Object<string, string>}
+ */
+export const CDN_COLLECTION_FOLDERS = {
+  Uploads: 'STORIES',
+  Spotlights: 'SPOTLIGHT',
+  Saved: 'SAVED',
+  Content_Dump: 'CONTENT_DUMP'
+};
+
+/**
+ * Builds a link to the lead tracker with the edit modal open for a client
+ *
+ * @function getLeadEditPath
+ * @param {string} clientId - Client identifier
+ * @returns {string} Router path
+ */
+export const getLeadEditPath = (clientId) => `/lead?edit=${encodeURIComponent(clientId)}`;
+
+/**
+ * Builds a link to the CDN manager opened at a client's folder, or at one of
+ * the client's session folders when a collection and session are given
+ *
+ * @function getCdnFolderPath
+ * @param {string} clientId - Client identifier
+ * @param {string} [collection] - Collection name, e.g. 'Uploads'
+ * @param {string} [sessionId] - Session folder name
+ * @returns {string} Router path
+ */
+export const getCdnFolderPath = (clientId, collection, sessionId) => {
+  const folder = CDN_COLLECTION_FOLDERS[collection];
+  const segments = ['public', clientId, folder, folder && sessionId].filter(Boolean);
+  return `/cdn-manager?path=${encodeURIComponent(`${segments.join('/')}/`)}`;
+};
+
+/**
+ * Builds a link to the upload activity grid scrolled to a client's row
+ *
+ * @function getUploadActivityPath
+ * @param {string} clientId - Client identifier
+ * @returns {string} Router path
+ */
+export const getUploadActivityPath = (clientId) => `/upload-activity?client=${encodeURIComponent(clientId)}`;
+
+/**
+ * Builds a link to the task manager with a task open for editing
+ *
+ * @function getTaskPath
+ * @param {string} taskId - Task identifier
+ * @returns {string} Router path
+ */
+export const getTaskPath = (taskId) => `/tasks?task=${encodeURIComponent(taskId)}`;
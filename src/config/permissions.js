@@ -0,0 +1,77 @@
+/**
+ * @fileoverview Role-based permission configuration for the Snapped application.
+ * Maps named permissions to the Cognito groups that are allowed to use them.
+ * Centralizes access rules so routes and components can be gated declaratively.
+ */
+
+/**
+ * @namespace GROUPS
+ * @description Cognito user pool groups known to the application
+ */
+export const GROUPS = {
+  /** @property {string} ADMIN - Full administrative access */
+  ADMIN: 'ADMIN'
+};
+
+/**
+ * @namespace PERMISSIONS
+ * @description Collection of all permissions used in the application.
+ * Each permission lists the Cognito groups that are granted it.
+ */
+export const PERMISSIONS = {
+  /** @property {Array<string>} MANAGE_PAYMENTS - Edit payout splits and payees */
+  MANAGE_PAYMENTS: [GROUPS.ADMIN],
+
+  /** @property {Array<string>} MANAGE_SURVEYS - Edit survey questions and read responses */
+  MANAGE_SURVEYS: [GROUPS.ADMIN],
+
+  /** @property {Array<string>} MOVE_FILES - Move content between CDN storage locations */
+  MOVE_FILES: [GROUPS.ADMIN],
+
+  /** @property {Array<string>} USE_AI_CHAT - Query client data through the AI chat */
+  USE_AI_CHAT: [GROUPS.ADMIN],
+
+  /** @property {Array<string>} VIEW_ADMIN_SHEETS - Open the internal Google Sheets tabs */
+  VIEW_ADMIN_SHEETS: [GROUPS.ADMIN],
+
+  /** @property {Array<string>} EDIT_ASSIGNMENTS - Assign employees to leads */
+  EDIT_ASSIGNMENTS: [GROUPS.ADMIN],
+
+  /** @property {Array<string>} MANAGE_FOLLOW_UP_SLA - Change how soon new leads must be contacted */
+  MANAGE_FOLLOW_UP_SLA: [GROUPS.ADMIN],
+
+  /** @property {Array<string>} MANAGE_STATS_REFRESH - Run the scheduled stats refresh and change its settings */
+  MANAGE_STATS_REFRESH: [GROUPS.ADMIN]
+};
+
+/**
+ * Checks whether a set of groups satisfies at least one of the required groups
+ *
+ * @function hasAnyGroup
+ * @param {Array<string>} userGroups - Groups the user belongs to
+ * @param {Array<string>} requiredGroups - Groups that grant access
+ * @returns {boolean} True if no groups are required or the user is in one of them
+ */
+export const hasAnyGroup = (userGroups = [], requiredGroups = []) => {
+  if (!requiredGroups || requiredGroups.length === 0) {
+    return true;
+  }
+  return requiredGroups.some(group => userGroups.includes(group));
+};
+
+/**
+ * Checks whether a set of groups is granted a named permission
+ *
+ * @function hasPermission
+ * @param {Array<string>} userGroups - Groups the user belongs to
+ * @param {string} permission - Key of the permission in PERMISSIONS
+ * @returns {boolean} True if the user is granted the permission
+ */
+export const hasPermission = (userGroups = [], permission) => {
+  const allowedGroups = PERMISSIONS[permission];
+  if (!allowedGroups) {
+    console.error(`Unknown permission: ${permission}`);
+    return false;
+  }
+  return hasAnyGroup(userGroups, allowedGroups);
+};
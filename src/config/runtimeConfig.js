@@ -0,0 +1,197 @@
+/**
+ * @fileoverview Runtime configuration for the Snapped application.
+ * Holds the values that differ between deployments (API and CDN base URLs, Cognito
+ * pool and OAuth settings, third-party webhooks) as named profiles. The build picks a
+ * default profile, and a `config.json` served next to the build can select another
+ * profile or override single values, so one build artifact can be deployed anywhere.
+ *
+ * `loadRuntimeConfig` must finish before any module that reads the config is imported;
+ * src/index.js loads it before importing the app.
+ */
+
+/**
+ * @typedef {Object} CognitoConfig
+ * @property {string} userPoolId - Cognito user pool ID
+ * @property {string} userPoolClientId - Cognito app client ID
+ * @property {string} oauthDomain - Hosted UI domain
+ * @property {string} redirectSignIn - OAuth sign-in redirect URL
+ * @property {string} redirectSignOut - OAuth sign-out redirect URL
+ */
+
+/**
+ * @typedef {Object} RuntimeConfig
+ * @property {string} profile - Name of the profile the config is based on
+ * @property {string} apiBaseUrl - Base URL of the tracking API
+ * @property {string} bunnyCdnUrl - Base URL of the Bunny CDN media host
+ * @property {CognitoConfig} cognito - Cognito settings
+ * @property {Object} webhooks - Third-party webhook URLs
+ * @property {string} webhooks.vistaGroup - Make.com scenario that creates Vista Social groups
+ */
+
+/** @type {Omit<RuntimeConfig, 'profile'>} Live backend, pool and CDN */
+const PRODUCTION = {
+  apiBaseUrl: 'https://track.snapped.cc',
+  bunnyCdnUrl: 'https://snapped2.b-cdn.net',
+  cognito: {
+    userPoolId: 'us-east-2_iIfwSsdCU',
+    userPoolClientId: '1rv7iijlcgv4cortina322ntri',
+    oauthDomain: 'us-east-2iifwssdcu.auth.us-east-2.amazoncognito.com/login',
+    redirectSignIn: 'https://d84l1y8p4kdic.cloudfront.net',
+    redirectSignOut: 'https://d84l1y8p4kdic.cloudfront.net'
+  },
+  webhooks: {
+    vistaGroup: 'https://hook.us2.make.com/7nl3muuf5ltpvinggj8r1tbndvacms2c'
+  }
+};
+
+/**
+ * Named configuration profiles
+ * @type {Object<string, Omit<RuntimeConfig, 'profile'>>}
+ */
+export const PROFILES = {
+  production: PRODUCTION,
+
+  // Shares the production pool and CDN; the staging deployment's config.json
+  // sets its API host and OAuth redirects
+  staging: PRODUCTION,
+
+  // Mock API from `npm run mock-api` and the dev server on port 3000
+  local: {
+    ...PRODUCTION,
+    apiBaseUrl: 'http://localhost:4000',
+    cognito: {
+      ...PRODUCTION.cognito,
+      redirectSignIn: 'http://localhost:3000',
+      redirectSignOut: 'http://localhost:3000'
+    }
+  }
+};
+
+/** @type {string} Profile used when neither the build nor config.json selects one */
+export const DEFAULT_PROFILE = 'production';
+
+/** @type {string} Where the deployment's config file is served */
+export const RUNTIME_CONFIG_URL = `${process.env.PUBLIC_URL || ''}/config.json`;
+
+/**
+ * Error thrown when a config selects a profile that does not exist
+ *
+ * @class
+ * @extends Error
+ */
+export class UnknownProfileError extends Error {
+  /**
+   * @param {string} profile - Requested profile name
+   */
+  constructor(profile) {
+    super(`Unknown config profile "${profile}". Expected one of: ${Object.keys(PROFILES).join(', ')}`);
+    this.name = 'UnknownProfileError';
+    this.profile = profile;
+  }
+}
+
+/**
+ * Checks whether a value is a plain object that should be merged key by key
+ *
+ * @function isPlainObject
+ * @param {*} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Deep merges overrides onto a base object without mutating either
+ *
+ * @function mergeConfig
+ * @param {Object} base - Base values
+ * @param {Object} overrides - Values that replace the base ones
+ * @returns {Object} Merged copy
+ */
+const mergeConfig = (base, overrides = {}) =>
+  Object.entries(overrides).reduce((merged, [key, value]) => {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key])
+      ? mergeConfig(base[key], value)
+      : value;
+    return merged;
+  }, { ...base });
+
+/**
+ * Builds a config from a profile and optional overrides
+ *
+ * @function resolveRuntimeConfig
+ * @param {string} profile - Profile name
+ * @param {Object} [overrides] - Values that replace the profile ones
+ * @returns {RuntimeConfig} Resolved config
+ * @throws {UnknownProfileError} When the profile does not exist
+ */
+export const resolveRuntimeConfig = (profile, overrides = {}) => {
+  if (!PROFILES[profile]) {
+    throw new UnknownProfileError(profile);
+  }
+  return Object.freeze({ ...mergeConfig(PROFILES[profile], overrides), profile });
+};
+
+/**
+ * Builds the config chosen at build time: REACT_APP_CONFIG_PROFILE selects the profile
+ * and REACT_APP_API_BASE_URL still overrides the API base URL
+ *
+ * @function getBuildConfig
+ * @returns {RuntimeConfig} Build-time config
+ */
+const getBuildConfig = () => {
+  const overrides = {};
+  if (process.env.REACT_APP_API_BASE_URL) {
+    overrides.apiBaseUrl = process.env.REACT_APP_API_BASE_URL;
+  }
+  return resolveRuntimeConfig(process.env.REACT_APP_CONFIG_PROFILE || DEFAULT_PROFILE, overrides);
+};
+
+/** @type {RuntimeConfig} Active config */
+let activeConfig = getBuildConfig();
+
+/**
+ * Returns the active runtime config
+ *
+ * @function getRuntimeConfig
+ * @returns {RuntimeConfig} Active config
+ */
+export const getRuntimeConfig = () => activeConfig;
+
+/**
+ * Loads `config.json` from the deployment and makes it the active config.
+ * The file may name a `profile` and override any of its values:
+ * `{ "profile": "staging", "apiBaseUrl": "https://api.example.com" }`.
+ * A missing or unreadable file keeps the build-time config.
+ * Uses fetch rather than the shared API client, which needs Amplify to be configured
+ * from this config first.
+ *
+ * @async
+ * @function loadRuntimeConfig
+ * @param {string} [url=RUNTIME_CONFIG_URL] - Location of the config file
+ * @returns {Promise<RuntimeConfig>} The active config
+ */
+export const loadRuntimeConfig = async (url = RUNTIME_CONFIG_URL) => {
+  let fileConfig;
+  try {
+    const response = await fetch(url, { cache: 'no-cache' });
+    if (!response.ok) {
+      if (response.status !== 404) {
+        console.warn(`Could not load runtime config (HTTP ${response.status}), using build defaults`);
+      }
+      return activeConfig;
+    }
+    fileConfig = await response.json();
+  } catch (error) {
+    // Also reached when the dev server answers with index.html instead of JSON
+    return activeConfig;
+  }
+
+  if (!isPlainObject(fileConfig)) {
+    return activeConfig;
+  }
+
+  const { profile, ...overrides } = fileConfig;
+  const base = profile ? resolveRuntimeConfig(profile) : activeConfig;
+  activeConfig = Object.freeze(mergeConfig(base, overrides));
+  return activeConfig;
+};
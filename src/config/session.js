@@ -0,0 +1,42 @@
+/**
+ * @fileoverview Session lifetime settings for signed-in users.
+ * Controls the inactivity timeout, its warning period, and the keys used to
+ * keep every open tab of the app in sync.
+ */
+
+/**
+ * Reads a positive number of minutes from an environment variable
+ *
+ * @function readMinutes
+ * @param {string|undefined} value - Raw environment value
+ * @param {number} fallback - Minutes to use when the value is missing or invalid
+ * @returns {number} Duration in milliseconds
+ */
+const readMinutes = (value, fallback) => {
+  const minutes = Number(value);
+  return (Number.isFinite(minutes) && minutes > 0 ? minutes : fallback) * 60 * 1000;
+};
+
+/**
+ * @namespace SESSION_CONFIG
+ * @description Idle timeout and cross-tab sync settings
+ */
+export const SESSION_CONFIG = {
+  /** @property {number} idleTimeoutMs - Inactivity before the user is signed out (REACT_APP_IDLE_TIMEOUT_MINUTES) */
+  idleTimeoutMs: readMinutes(process.env.REACT_APP_IDLE_TIMEOUT_MINUTES, 30),
+
+  /** @property {number} warningMs - How long the warning dialog is shown before signing out (REACT_APP_IDLE_WARNING_MINUTES) */
+  warningMs: readMinutes(process.env.REACT_APP_IDLE_WARNING_MINUTES, 1),
+
+  /** @property {number} activityThrottleMs - Minimum time between recorded activity events */
+  activityThrottleMs: 5000,
+
+  /** @property {string} channelName - BroadcastChannel used for auth events */
+  channelName: 'snapped-auth',
+
+  /** @property {string} eventStorageKey - localStorage key used for auth events when BroadcastChannel is unavailable */
+  eventStorageKey: 'auth.event',
+
+  /** @property {string} activityStorageKey - localStorage key holding the last activity time across tabs */
+  activityStorageKey: 'auth.lastActivity'
+};
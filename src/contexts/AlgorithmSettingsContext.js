@@ -0,0 +1,81 @@
+/**
+ * @fileoverview Context holding the active lead-scoring algorithm settings.
+ * Loads the settings version that is active on the server, so every score computed in the
+ * browser uses the same weights as the ones admins save in AlgorithmControls. Consumers
+ * re-render with the new settings as soon as they are reloaded after a save or rollback.
+ */
+
+import React, { createContext, useCallback, useContext, useEffect, useState } from 'react';
+import axios from '../utils/axiosConfig';
+import { API_ENDPOINTS } from '../config/api';
+
+/**
+ * @typedef {Object} AlgorithmSettingsContextType
+ * @property {Object|null} settings - Active algorithm settings, or null until loaded
+ * @property {boolean} loading - Whether the settings are being fetched
+ * @property {Error|null} error - Error from the last fetch, if it failed
+ * @property {Function} reload - Fetches the active settings again
+ */
+
+/**
+ * React context for the active algorithm settings
+ * @type {React.Context<AlgorithmSettingsContextType>}
+ */
+const AlgorithmSettingsContext = createContext({
+  settings: null,
+  loading: false,
+  error: null,
+  reload: async () => {}
+});
+
+/**
+ * Provider that loads the active algorithm settings from the server
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Child components to render
+ * @returns {React.ReactElement} The rendered provider
+ */
+export const AlgorithmSettingsProvider = ({ children }) => {
+  const [settings, setSettings] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  /**
+   * Fetches the active settings version
+   * @async
+   * @returns {Promise<void>}
+   */
+  const reload = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await axios.get(API_ENDPOINTS.LEADS.SETTINGS);
+      setSettings(response.data);
+      setError(null);
+    } catch (err) {
+      console.error('Error loading algorithm settings:', err);
+      setError(err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  return (
+    <AlgorithmSettingsContext.Provider value={{ settings, loading, error, reload }}>
+      {children}
+    </AlgorithmSettingsContext.Provider>
+  );
+};
+
+/**
+ * Custom hook to access the active algorithm settings
+ * @function useAlgorithmSettings
+ * @returns {AlgorithmSettingsContextType} The algorithm settings context value
+ */
+export const useAlgorithmSettings = () => {
+  return useContext(AlgorithmSettingsContext);
+};
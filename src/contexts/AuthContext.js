@@ -1,12 +1,19 @@
 /**
  * @fileoverview Authentication context provider for managing user authentication state.
- * Provides authentication functionality using AWS Amplify Cognito service.
+ * Provides authentication functionality using AWS Amplify Cognito service,
+ * signs out idle sessions and keeps sign-in state in sync across open tabs.
  */
 
-import React, { createContext, useState, useContext, useEffect } from 'react';
+import React, { createContext, useState, useContext, useEffect, useCallback } from 'react';
 import { Amplify } from 'aws-amplify';
 import { signOut, getCurrentUser, fetchAuthSession } from 'aws-amplify/auth';
 import { Hub } from 'aws-amplify/utils';
+import { hasAnyGroup, hasPermission } from '../config/permissions';
+import { getRuntimeConfig } from '../config/runtimeConfig';
+import { SESSION_CONFIG } from '../config/session';
+import { AUTH_EVENTS, publishAuthEvent, subscribeAuthEvents } from '../utils/authBroadcast';
+import useIdleTimeout from '../hooks/useIdleTimeout';
+import IdleTimeoutDialog from '../components/Auth/IdleTimeoutDialog';
 
 /**
  * @typedef {Object} AwsConfig
@@ -17,17 +24,18 @@ import { Hub } from 'aws-amplify/utils';
  * @property {Object} Auth.Cognito.loginWith - Login configuration
  * @property {Object} Auth.Cognito.loginWith.oauth - OAuth configuration
  */
+const { cognito } = getRuntimeConfig();
 const awsConfig = {
   Auth: {
     Cognito: {
-      userPoolId: 'us-east-2_iIfwSsdCU',
-      userPoolClientId: '1rv7iijlcgv4cortina322ntri',
+      userPoolId: cognito.userPoolId,
+      userPoolClientId: cognito.userPoolClientId,
       loginWith: {
         oauth: {
-          domain: 'us-east-2iifwssdcu.auth.us-east-2.amazoncognito.com/login',
+          domain: cognito.oauthDomain,
           scope: ['email', 'openid', 'phone'],
-          redirectSignIn: 'https://d84l1y8p4kdic.cloudfront.net',
-          redirectSignOut: 'https://d84l1y8p4kdic.cloudfront.net',
+          redirectSignIn: cognito.redirectSignIn,
+          redirectSignOut: cognito.redirectSignOut,
           responseType: 'code'
         }
       }
@@ -42,6 +50,9 @@ Amplify.configure(awsConfig);
  * @property {Object|null} user - Current authenticated user object
  * @property {boolean} loading - Loading state of authentication
  * @property {boolean} isAuthenticated - Whether a user is authenticated
+ * @property {Array<string>} groups - Cognito groups the current user belongs to
+ * @property {Function} hasGroup - Function to check membership in any of the given groups
+ * @property {Function} can - Function to check whether the user is granted a permission
  * @property {Function} signOut - Function to sign out the current user
  * @property {Function} getAccessToken - Function to get the current access token
  * @property {Function} checkUser - Function to check and update the current user
@@ -63,6 +74,7 @@ const AuthContext = createContext({});
  */
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
+  const [groups, setGroups] = useState([]);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
@@ -77,18 +89,55 @@ export const AuthProvider = ({ children }) => {
       const { payload } = data;
       if (payload.event === 'signIn') {
         checkUser();
+        publishAuthEvent(AUTH_EVENTS.SIGN_IN);
       }
       if (payload.event === 'signOut') {
         setUser(null);
+        setGroups([]);
+      }
+    };
+
+    /**
+     * Applies sign-in and sign-out from other tabs. Clearing the user here lets
+     * ProtectedRoute send this tab to the login page for the area it is on.
+     * @param {import('../utils/authBroadcast').AuthBroadcastMessage} message - Event from another tab
+     */
+    const crossTabListener = (message) => {
+      if (message?.type === AUTH_EVENTS.SIGN_IN) {
+        checkUser();
+      }
+      if (message?.type === AUTH_EVENTS.SIGN_OUT) {
+        setUser(null);
+        setGroups([]);
       }
     };
 
     const hubListener = Hub.listen('auth', listener);
-    return () => hubListener();
+    const unsubscribeCrossTab = subscribeAuthEvents(crossTabListener);
+    return () => {
+      hubListener();
+      unsubscribeCrossTab();
+    };
   }, []);
 
   /**
-   * Checks and updates the current authenticated user
+   * Reads the Cognito groups from the current session's access token
+   * @async
+   * @function fetchGroups
+   * @returns {Promise<Array<string>>} The user's groups, or an empty array
+   */
+  async function fetchGroups() {
+    try {
+      const { tokens } = await fetchAuthSession();
+      return tokens?.accessToken?.payload['cognito:groups'] || [];
+    } catch (error) {
+      console.error('Error fetching user groups:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Checks and updates the current authenticated user and their groups
    * @async
    * @function checkUser
    * @returns {Promise<void>}
@@ -96,9 +145,14 @@ export const AuthProvider = ({ children }) => {
   async function checkUser() {
     try {
       const currentUser = await getCurrentUser();
+      // Set both together so a signed-in user is never seen without their groups,
+      // which would render Forbidden on every permission-guarded route
+      const currentGroups = await fetchGroups();
       setUser(currentUser);
+      setGroups(currentGroups);
     } catch (err) {
       setUser(null);
+      setGroups([]);
     } finally {
       setLoading(false);
     }
@@ -121,25 +175,40 @@ export const AuthProvider = ({ children }) => {
   };
 
   /**
-   * Signs out the current user
+   * Signs out the current user and tells the other open tabs
    * @async
    * @function handleSignOut
+   * @param {string} [reason] - Why the user is signed out, e.g. 'idle'
    * @returns {Promise<void>}
    */
-  const handleSignOut = async () => {
+  const handleSignOut = useCallback(async (reason) => {
     try {
       await signOut();
       setUser(null);
+      setGroups([]);
+      publishAuthEvent(AUTH_EVENTS.SIGN_OUT, reason);
     } catch (error) {
       console.error('Error signing out:', error);
     }
-  };
+  }, []);
+
+  const handleIdleTimeout = useCallback(() => handleSignOut('idle'), [handleSignOut]);
+
+  const { isWarning, remainingMs, stayActive } = useIdleTimeout({
+    enabled: !!user,
+    timeoutMs: SESSION_CONFIG.idleTimeoutMs,
+    warningMs: SESSION_CONFIG.warningMs,
+    onTimeout: handleIdleTimeout
+  });
 
   const value = {
     user,
     loading,
     isAuthenticated: !!user,
-    signOut: handleSignOut,
+    groups,
+    hasGroup: (...requiredGroups) => hasAnyGroup(groups, requiredGroups.flat()),
+    can: (permission) => hasPermission(groups, permission),
+    signOut: () => handleSignOut(),
     getAccessToken,
     checkUser
   };
@@ -147,6 +216,12 @@ export const AuthProvider = ({ children }) => {
   return (
     <AuthContext.Provider value={value}>
       {!loading && children}
+      <IdleTimeoutDialog
+        open={!!user && isWarning}
+        remainingMs={remainingMs}
+        onStay={stayActive}
+        onSignOut={() => handleSignOut()}
+      />
     </AuthContext.Provider>
   );
 };
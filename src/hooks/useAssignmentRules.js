@@ -0,0 +1,122 @@
+/**
+ * @fileoverview Custom hook for lead assignment rules. Loads the ordered rules and the
+ * assignment log, saves edited rules, previews who the unassigned leads would go to, and
+ * assigns them.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import axios from '../utils/axiosConfig';
+import { API_ENDPOINTS } from '../config/api';
+
+/**
+ * @typedef {Object} AssignmentRule
+ * @property {string} [rule_id] - Rule ID, missing until the rule is saved
+ * @property {string} name - Rule name
+ * @property {boolean} enabled - Whether the rule is used
+ * @property {'all'|'timezone'|'source'} match - What the rule matches on
+ * @property {Array<string>} values - Timezones or lead sources to match; empty for 'all'
+ * @property {Array<string>} employee_ids - Employees the rule hands leads to in turn
+ * @property {number|null} max_open_leads - Skip employees with this many open leads
+ */
+
+/**
+ * @typedef {Object} PlannedAssignment
+ * @property {string} client_id - Lead client id
+ * @property {string} lead_name - Lead display name
+ * @property {string|null} employee_id - Employee the lead goes to, null when nobody can take it
+ * @property {string|null} rule_name - Rule that assigns it
+ * @property {string} reason - Why the lead goes there, or why it stays unassigned
+ */
+
+/**
+ * @typedef {Object} AssignmentLogEntry
+ * @property {string} log_id - Entry ID
+ * @property {'auto'|'override'} kind - Automatic assignment, or a manual change to one
+ * @property {string} client_id - Lead client id
+ * @property {string} lead_name - Lead display name
+ * @property {string} rule_name - Rule that made the automatic assignment
+ * @property {Array<string>} from - Assignees before
+ * @property {Array<string>} to - Assignees after
+ * @property {string|null} actor - Who overrode the assignment
+ * @property {string} timestamp - ISO timestamp
+ */
+
+/**
+ * Hook that loads and changes the lead assignment rules
+ *
+ * @returns {Object} Rules state and actions
+ * @example
+ * const { rules, saveRules, preview } = useAssignmentRules();
+ * const { assignments } = await preview(draftRules);
+ */
+const useAssignmentRules = () => {
+  const [rules, setRules] = useState([]);
+  const [log, setLog] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  /**
+   * Loads the rules and the log from the server
+   * @async
+   * @returns {Promise<void>}
+   */
+  const reload = useCallback(async () => {
+    try {
+      const [rulesResponse, logResponse] = await Promise.all([
+        axios.get(API_ENDPOINTS.LEADS.ASSIGNMENT_RULES),
+        axios.get(API_ENDPOINTS.LEADS.ASSIGNMENT_LOG)
+      ]);
+      setRules(rulesResponse.data);
+      setLog(logResponse.data);
+      setError(null);
+    } catch (err) {
+      console.error('Error loading assignment rules:', err);
+      setError(err.response?.data?.detail || err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  /**
+   * Replaces the rules; their order is their priority
+   * @async
+   * @param {Array<AssignmentRule>} nextRules - Rules to save
+   * @returns {Promise<Array<AssignmentRule>>} Saved rules
+   */
+  const saveRules = useCallback(async (nextRules) => {
+    const response = await axios.put(API_ENDPOINTS.LEADS.ASSIGNMENT_RULES, { rules: nextRules });
+    setRules(response.data);
+    return response.data;
+  }, []);
+
+  /**
+   * Works out who the unassigned leads would go to, without assigning them
+   * @async
+   * @param {Array<AssignmentRule>} draftRules - Rules to try, saved or not
+   * @returns {Promise<{assignments: Array<PlannedAssignment>, workload: Array<Object>}>} Plan and
+   * current open leads per employee
+   */
+  const preview = useCallback(async (draftRules) => {
+    const response = await axios.post(API_ENDPOINTS.LEADS.ASSIGNMENT_PREVIEW, { rules: draftRules });
+    return response.data;
+  }, []);
+
+  /**
+   * Assigns the unassigned leads with the saved rules
+   * @async
+   * @returns {Promise<number>} Number of leads assigned
+   */
+  const runAssignment = useCallback(async () => {
+    const response = await axios.post(API_ENDPOINTS.LEADS.ASSIGNMENT_RUN);
+    await reload();
+    return response.data.assigned;
+  }, [reload]);
+
+  return { rules, log, loading, error, reload, saveRules, preview, runAssignment };
+};
+
+export default useAssignmentRules;
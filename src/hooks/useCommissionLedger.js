@@ -0,0 +1,131 @@
+/**
+ * @fileoverview Custom hook for the partner commission ledger. Loads partners, their commission
+ * plans, client payouts, the leads that link clients to partners and the payments made against
+ * statements, computes the ledger from them, and saves plans and payments.
+ */
+
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import axios from '../utils/axiosConfig';
+import { API_ENDPOINTS } from '../config/api';
+import { buildLedger } from '../components/Payments/commissionLedger';
+
+/**
+ * Hook that loads and changes the commission ledger
+ *
+ * @returns {Object} Ledger state and actions
+ * @example
+ * const { entries, payments, recordPayment } = useCommissionLedger();
+ * await recordPayment({ partner_id, month: '2026-09', amount: 412.5, reference: 'ACH 1043' });
+ */
+const useCommissionLedger = () => {
+  const [partners, setPartners] = useState([]);
+  const [plans, setPlans] = useState([]);
+  const [payouts, setPayouts] = useState([]);
+  const [leads, setLeads] = useState([]);
+  const [payments, setPayments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  /**
+   * Loads everything the ledger is computed from
+   * @async
+   * @returns {Promise<void>}
+   */
+  const reload = useCallback(async () => {
+    try {
+      const [partnersResponse, plansResponse, payoutsResponse, leadsResponse, paymentsResponse] = await Promise.all([
+        axios.get(API_ENDPOINTS.PARTNERS.LIST),
+        axios.get(API_ENDPOINTS.PAYMENTS.COMMISSIONS.PLANS),
+        axios.get(API_ENDPOINTS.PAYMENTS.SEARCH_PAYOUTS),
+        axios.get(API_ENDPOINTS.LEADS.GRID),
+        axios.get(API_ENDPOINTS.PAYMENTS.COMMISSIONS.PAYMENTS)
+      ]);
+      setPartners(partnersResponse.data);
+      setPlans(plansResponse.data);
+      setPayouts(payoutsResponse.data.payouts || []);
+      setLeads(leadsResponse.data);
+      setPayments(paymentsResponse.data);
+      setError(null);
+    } catch (err) {
+      console.error('Error loading commission ledger:', err);
+      setError(err.response?.data?.detail || err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  const { entries, undated } = useMemo(() => buildLedger({ payouts, leads, plans }), [payouts, leads, plans]);
+
+  /**
+   * Creates a plan, or updates it when it has a plan_id
+   * @async
+   * @param {Object} plan - Plan to save
+   * @returns {Promise<Object>} Saved plan
+   */
+  const savePlan = useCallback(async (plan) => {
+    const response = plan.plan_id
+      ? await axios.put(API_ENDPOINTS.PAYMENTS.COMMISSIONS.PLAN(plan.plan_id), plan)
+      : await axios.post(API_ENDPOINTS.PAYMENTS.COMMISSIONS.PLANS, plan);
+    const saved = response.data;
+    setPlans(prev => (plan.plan_id
+      ? prev.map(item => (item.plan_id === saved.plan_id ? saved : item))
+      : [...prev, saved]));
+    return saved;
+  }, []);
+
+  /**
+   * Deletes a plan. The server refuses when the plan applies in a month that has been paid;
+   * such a plan can only be ended after the last paid month.
+   * @async
+   * @param {string} planId - Plan ID
+   * @returns {Promise<void>}
+   */
+  const deletePlan = useCallback(async (planId) => {
+    await axios.delete(API_ENDPOINTS.PAYMENTS.COMMISSIONS.PLAN(planId));
+    setPlans(prev => prev.filter(plan => plan.plan_id !== planId));
+  }, []);
+
+  /**
+   * Records a payment against a partner's monthly statement
+   * @async
+   * @param {{partner_id: string, month: string, amount: number, reference: string}} payment - Payment
+   * @returns {Promise<Object>} Saved payment
+   */
+  const recordPayment = useCallback(async (payment) => {
+    const response = await axios.post(API_ENDPOINTS.PAYMENTS.COMMISSIONS.PAYMENTS, payment);
+    setPayments(prev => [...prev, response.data]);
+    return response.data;
+  }, []);
+
+  /**
+   * Removes a payment recorded by mistake
+   * @async
+   * @param {string} paymentId - Payment ID
+   * @returns {Promise<void>}
+   */
+  const deletePayment = useCallback(async (paymentId) => {
+    await axios.delete(API_ENDPOINTS.PAYMENTS.COMMISSIONS.PAYMENT(paymentId));
+    setPayments(prev => prev.filter(payment => payment.payment_id !== paymentId));
+  }, []);
+
+  return {
+    partners,
+    plans,
+    entries,
+    undated,
+    payments,
+    loading,
+    error,
+    reload,
+    savePlan,
+    deletePlan,
+    recordPayment,
+    deletePayment
+  };
+};
+
+export default useCommissionLedger;
@@ -0,0 +1,76 @@
+/**
+ * @fileoverview Custom hook for lead follow-ups. Loads the signed-in employee's follow-ups that
+ * are due today or overdue, and the first-contact SLA new leads are held to.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import axios from '../utils/axiosConfig';
+import { API_ENDPOINTS } from '../config/api';
+import { DEFAULT_FIRST_CONTACT_HOURS } from '../components/Lead/followUps';
+
+/**
+ * @typedef {Object} FollowUp
+ * @property {string} client_id - Lead client id
+ * @property {string} name - Legal name of the lead
+ * @property {string} stage_name - Stage name of the lead
+ * @property {string} next_contact - Follow-up date as YYYY-MM-DD
+ * @property {boolean} overdue - Whether the date has passed
+ * @property {string|null} last_contacted - Timestamp of the newest conversation note
+ * @property {string} last_note - Text of the newest conversation note
+ */
+
+/**
+ * Hook that loads the signed-in employee's due follow-ups and the first-contact SLA
+ *
+ * @returns {Object} Follow-ups state and actions
+ * @example
+ * const { followUps, slaHours, updateSla } = useFollowUps();
+ * await updateSla(24);
+ */
+const useFollowUps = () => {
+  const [followUps, setFollowUps] = useState([]);
+  const [slaHours, setSlaHours] = useState(DEFAULT_FIRST_CONTACT_HOURS);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  /**
+   * Loads the follow-ups and the SLA from the server
+   * @async
+   * @returns {Promise<void>}
+   */
+  const reload = useCallback(async () => {
+    try {
+      const [followUpsResponse, settingsResponse] = await Promise.all([
+        axios.get(API_ENDPOINTS.LEADS.FOLLOW_UPS),
+        axios.get(API_ENDPOINTS.LEADS.FOLLOW_UP_SETTINGS)
+      ]);
+      setFollowUps(followUpsResponse.data.follow_ups);
+      setSlaHours(settingsResponse.data.first_contact_hours);
+      setError(null);
+    } catch (err) {
+      console.error('Error loading follow-ups:', err);
+      setError(err.response?.data?.detail || err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  /**
+   * Changes how many hours a new lead may wait for its first contact
+   * @async
+   * @param {number} hours - New SLA in hours
+   * @returns {Promise<void>}
+   */
+  const updateSla = useCallback(async (hours) => {
+    const response = await axios.put(API_ENDPOINTS.LEADS.FOLLOW_UP_SETTINGS, { first_contact_hours: hours });
+    setSlaHours(response.data.first_contact_hours);
+  }, []);
+
+  return { followUps, slaHours, loading, error, reload, updateSla };
+};
+
+export default useFollowUps;
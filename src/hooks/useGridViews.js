@@ -0,0 +1,124 @@
+/**
+ * @fileoverview Custom hook for saved lead grid views. A view stores the grid's column state
+ * and filter model with the active tab and search term. Views belong to the user who saved
+ * them and can be shared with the team; each user can pick one view, their own or a shared
+ * one, to open by default.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import axios from '../utils/axiosConfig';
+import { API_ENDPOINTS } from '../config/api';
+
+/**
+ * @typedef {Object} GridViewState
+ * @property {Array<Object>} columnState - AG Grid column state: order, width, visibility, pinning and sort
+ * @property {Object} filterModel - AG Grid filter model
+ * @property {string} activeTab - Lead tracker tab
+ * @property {string} searchTerm - Quick search text
+ */
+
+/**
+ * @typedef {Object} GridView
+ * @property {string} view_id - View ID
+ * @property {string} name - View name
+ * @property {string} owner_id - User who saved the view
+ * @property {string} owner_name - Display name of the owner
+ * @property {boolean} shared - Whether the team can see the view
+ * @property {boolean} is_owner - Whether the signed-in user owns the view
+ * @property {boolean} is_default - Whether this is the signed-in user's default view
+ * @property {GridViewState} state - Saved grid state
+ */
+
+/**
+ * Hook that loads and changes the signed-in user's saved grid views
+ *
+ * @returns {Object} Views state and actions
+ * @example
+ * const { views, defaultViewId, saveView } = useGridViews();
+ * await saveView({ name: 'Signed this month', state, shared: true });
+ */
+const useGridViews = () => {
+  const [views, setViews] = useState([]);
+  const [defaultViewId, setDefaultViewId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  /**
+   * Loads the views from the server
+   * @async
+   * @returns {Promise<void>}
+   */
+  const reload = useCallback(async () => {
+    try {
+      const response = await axios.get(API_ENDPOINTS.LEADS.VIEWS);
+      setViews(response.data.views);
+      setDefaultViewId(response.data.default_view_id);
+      setError(null);
+    } catch (err) {
+      console.error('Error loading saved views:', err);
+      setError(err.response?.data?.detail || err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  /**
+   * Saves a new view
+   * @async
+   * @param {Object} view - New view
+   * @param {string} view.name - View name
+   * @param {GridViewState} view.state - Grid state to save
+   * @param {boolean} [view.shared=false] - Whether to share the view with the team
+   * @returns {Promise<GridView>} Saved view
+   */
+  const saveView = useCallback(async ({ name, state, shared = false }) => {
+    const response = await axios.post(API_ENDPOINTS.LEADS.VIEWS, { name, state, shared });
+    setViews(prev => [...prev, response.data]);
+    return response.data;
+  }, []);
+
+  /**
+   * Changes the name, sharing or saved state of a view the user owns
+   * @async
+   * @param {string} viewId - View ID
+   * @param {Object} changes - Fields to change: name, shared and/or state
+   * @returns {Promise<GridView>} Updated view
+   */
+  const updateView = useCallback(async (viewId, changes) => {
+    const response = await axios.put(API_ENDPOINTS.LEADS.VIEW(viewId), changes);
+    setViews(prev => prev.map(view => (view.view_id === viewId ? response.data : view)));
+    return response.data;
+  }, []);
+
+  /**
+   * Deletes a view the user owns
+   * @async
+   * @param {string} viewId - View ID
+   * @returns {Promise<void>}
+   */
+  const deleteView = useCallback(async (viewId) => {
+    await axios.delete(API_ENDPOINTS.LEADS.VIEW(viewId));
+    setViews(prev => prev.filter(view => view.view_id !== viewId));
+    setDefaultViewId(prev => (prev === viewId ? null : prev));
+  }, []);
+
+  /**
+   * Makes a view the user's default, or clears the default
+   * @async
+   * @param {string|null} viewId - View ID, or null for no default
+   * @returns {Promise<void>}
+   */
+  const setDefaultView = useCallback(async (viewId) => {
+    await axios.put(API_ENDPOINTS.LEADS.DEFAULT_VIEW, { view_id: viewId });
+    setDefaultViewId(viewId);
+    setViews(prev => prev.map(view => ({ ...view, is_default: view.view_id === viewId })));
+  }, []);
+
+  return { views, defaultViewId, loading, error, reload, saveView, updateView, deleteView, setDefaultView };
+};
+
+export default useGridViews;
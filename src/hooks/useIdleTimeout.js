@@ -0,0 +1,141 @@
+/**
+ * @fileoverview Custom hook that detects user inactivity across all open tabs.
+ * Activity in any tab is recorded in localStorage, so a user working in one tab
+ * is not signed out by another tab left in the background.
+ */
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { SESSION_CONFIG } from '../config/session';
+
+/** @type {Array<string>} DOM events that count as user activity */
+const ACTIVITY_EVENTS = ['mousedown', 'mousemove', 'keydown', 'scroll', 'touchstart', 'wheel'];
+
+/** @type {number} How often the idle time is checked */
+const CHECK_INTERVAL_MS = 1000;
+
+/**
+ * Reads the last activity time recorded by any tab
+ *
+ * @function readSharedActivity
+ * @returns {number} Timestamp, or 0 when none is stored
+ */
+const readSharedActivity = () => {
+  try {
+    return Number(localStorage.getItem(SESSION_CONFIG.activityStorageKey)) || 0;
+  } catch (error) {
+    return 0;
+  }
+};
+
+/**
+ * Records activity so that other tabs see it
+ *
+ * @function writeSharedActivity
+ * @param {number} timestamp - Activity time
+ */
+const writeSharedActivity = (timestamp) => {
+  try {
+    localStorage.setItem(SESSION_CONFIG.activityStorageKey, String(timestamp));
+  } catch (error) {
+    // Storage can be unavailable in private mode; the local timer still works
+  }
+};
+
+/**
+ * Hook tracking inactivity and the warning period before a timeout
+ *
+ * @param {Object} options - Hook options
+ * @param {boolean} options.enabled - Whether to track inactivity
+ * @param {number} options.timeoutMs - Inactivity before onTimeout is called
+ * @param {number} options.warningMs - Length of the warning period at the end of the timeout
+ * @param {Function} options.onTimeout - Called once the timeout is reached
+ * @returns {{isWarning: boolean, remainingMs: number, stayActive: Function}} Warning state and reset action
+ * @example
+ * const { isWarning, remainingMs, stayActive } = useIdleTimeout({
+ *   enabled: isAuthenticated,
+ *   timeoutMs: 30 * 60 * 1000,
+ *   warningMs: 60 * 1000,
+ *   onTimeout: () => signOut()
+ * });
+ */
+const useIdleTimeout = ({ enabled, timeoutMs, warningMs, onTimeout }) => {
+  const [isWarning, setIsWarning] = useState(false);
+  const [remainingMs, setRemainingMs] = useState(warningMs);
+  const lastActivityRef = useRef(Date.now());
+  const warningRef = useRef(false);
+  const onTimeoutRef = useRef(onTimeout);
+
+  useEffect(() => {
+    onTimeoutRef.current = onTimeout;
+  }, [onTimeout]);
+
+  /**
+   * Records activity locally and for other tabs
+   * @param {boolean} [force=false] - Record even if the last write was recent
+   */
+  const recordActivity = useCallback((force = false) => {
+    const now = Date.now();
+    if (!force && now - lastActivityRef.current < SESSION_CONFIG.activityThrottleMs) {
+      return;
+    }
+    lastActivityRef.current = now;
+    writeSharedActivity(now);
+  }, []);
+
+  /**
+   * Dismisses the warning and restarts the timeout
+   */
+  const stayActive = useCallback(() => {
+    warningRef.current = false;
+    setIsWarning(false);
+    recordActivity(true);
+  }, [recordActivity]);
+
+  useEffect(() => {
+    if (!enabled) {
+      warningRef.current = false;
+      setIsWarning(false);
+      return undefined;
+    }
+
+    recordActivity(true);
+
+    // Passive activity does not dismiss an open warning; the user has to choose
+    const handleActivity = () => {
+      if (!warningRef.current) {
+        recordActivity();
+      }
+    };
+
+    const checkIdle = () => {
+      const lastActivity = Math.max(lastActivityRef.current, readSharedActivity());
+      const remaining = timeoutMs - (Date.now() - lastActivity);
+
+      if (remaining <= 0) {
+        warningRef.current = false;
+        setIsWarning(false);
+        onTimeoutRef.current();
+        return;
+      }
+
+      const warn = remaining <= warningMs;
+      warningRef.current = warn;
+      setIsWarning(warn);
+      if (warn) {
+        setRemainingMs(remaining);
+      }
+    };
+
+    ACTIVITY_EVENTS.forEach(event => window.addEventListener(event, handleActivity, { passive: true }));
+    const interval = setInterval(checkIdle, CHECK_INTERVAL_MS);
+
+    return () => {
+      ACTIVITY_EVENTS.forEach(event => window.removeEventListener(event, handleActivity));
+      clearInterval(interval);
+    };
+  }, [enabled, timeoutMs, warningMs, recordActivity]);
+
+  return { isWarning, remainingMs, stayActive };
+};
+
+export default useIdleTimeout;
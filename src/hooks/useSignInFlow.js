@@ -0,0 +1,160 @@
+/**
+ * @fileoverview Custom hook driving the Cognito sign-in flow shared by every login page.
+ * Calls Amplify's `signIn` and walks the returned `nextStep` challenges: TOTP codes,
+ * TOTP enrollment during sign-in, MFA selection and new-password-required.
+ */
+
+import { useState, useCallback } from 'react';
+import { signIn, confirmSignIn } from 'aws-amplify/auth';
+
+/** @type {string} Issuer shown in authenticator apps */
+export const TOTP_ISSUER = 'Snapped';
+
+/**
+ * Steps of the sign-in flow rendered by the login pages
+ * @enum {string}
+ */
+export const SIGN_IN_STEPS = {
+  CREDENTIALS: 'CREDENTIALS',
+  TOTP_CODE: 'TOTP_CODE',
+  TOTP_SETUP: 'TOTP_SETUP',
+  NEW_PASSWORD: 'NEW_PASSWORD'
+};
+
+/**
+ * @typedef {Object} TotpSetup
+ * @property {string} secret - Shared secret for manual entry
+ * @property {string} uri - otpauth:// URI encoded in the QR code
+ */
+
+/**
+ * Hook managing sign-in and its follow-up challenges
+ *
+ * @param {Object} options - Hook options
+ * @param {Function} options.onSignedIn - Called once the user is fully signed in
+ * @returns {Object} Flow state and actions
+ * @example
+ * const flow = useSignInFlow({ onSignedIn: () => navigate('/lead') });
+ * await flow.submitCredentials(email, password);
+ * // flow.step is now CREDENTIALS (failed), TOTP_CODE, TOTP_SETUP or NEW_PASSWORD
+ */
+const useSignInFlow = ({ onSignedIn }) => {
+  const [step, setStep] = useState(SIGN_IN_STEPS.CREDENTIALS);
+  const [username, setUsername] = useState('');
+  const [totpSetup, setTotpSetup] = useState(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  /**
+   * Moves the flow to the step Amplify asks for next
+   * @async
+   * @param {Object} result - Result of signIn or confirmSignIn
+   * @param {string} account - Username the flow is signing in
+   * @returns {Promise<void>}
+   */
+  const handleResult = useCallback(async (result, account) => {
+    const { signInStep } = result.nextStep;
+
+    switch (signInStep) {
+      case 'DONE':
+        setStep(SIGN_IN_STEPS.CREDENTIALS);
+        setTotpSetup(null);
+        await onSignedIn();
+        return;
+      case 'CONFIRM_SIGN_IN_WITH_TOTP_CODE':
+        setStep(SIGN_IN_STEPS.TOTP_CODE);
+        return;
+      case 'CONTINUE_SIGN_IN_WITH_TOTP_SETUP': {
+        const details = result.nextStep.totpSetupDetails;
+        setTotpSetup({
+          secret: details.sharedSecret,
+          uri: details.getSetupUri(TOTP_ISSUER, account).toString()
+        });
+        setStep(SIGN_IN_STEPS.TOTP_SETUP);
+        return;
+      }
+      case 'CONTINUE_SIGN_IN_WITH_MFA_SELECTION':
+      case 'CONTINUE_SIGN_IN_WITH_MFA_SETUP_SELECTION': {
+        const allowed = result.nextStep.allowedMFATypes || [];
+        if (!allowed.includes('TOTP')) {
+          throw new Error('This account requires a verification method that is not supported here.');
+        }
+        await handleResult(await confirmSignIn({ challengeResponse: 'TOTP' }), account);
+        return;
+      }
+      case 'CONFIRM_SIGN_IN_WITH_NEW_PASSWORD_REQUIRED':
+        setStep(SIGN_IN_STEPS.NEW_PASSWORD);
+        return;
+      case 'RESET_PASSWORD':
+        throw new Error('A password reset is required for this account. Use "Forgot Password?" to continue.');
+      case 'CONFIRM_SIGN_UP':
+        throw new Error('This account has not been confirmed yet. Check your email for the confirmation code.');
+      default:
+        throw new Error(`Unsupported sign-in step: ${signInStep}`);
+    }
+  }, [onSignedIn]);
+
+  /**
+   * Runs a flow action with shared loading and error handling
+   * @async
+   * @param {Function} action - Action to run
+   * @returns {Promise<void>}
+   */
+  const run = useCallback(async (action) => {
+    setLoading(true);
+    setError('');
+    try {
+      await action();
+    } catch (err) {
+      console.error('Sign in error:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  /**
+   * Starts a sign-in with email and password
+   * @async
+   * @param {string} email - Username
+   * @param {string} password - Password
+   * @returns {Promise<void>}
+   */
+  const submitCredentials = useCallback((email, password) => run(async () => {
+    setUsername(email);
+    await handleResult(await signIn({ username: email, password }), email);
+  }), [run, handleResult]);
+
+  /**
+   * Answers the current challenge: a TOTP code or the new password
+   * @async
+   * @param {string} challengeResponse - Code or password entered by the user
+   * @returns {Promise<void>}
+   */
+  const submitChallenge = useCallback((challengeResponse) => run(async () => {
+    await handleResult(await confirmSignIn({ challengeResponse }), username);
+  }), [run, handleResult, username]);
+
+  /**
+   * Abandons the current challenge and returns to the credentials form
+   */
+  const cancel = useCallback(() => {
+    setStep(SIGN_IN_STEPS.CREDENTIALS);
+    setTotpSetup(null);
+    setError('');
+  }, []);
+
+  return {
+    step,
+    username,
+    totpSetup,
+    error,
+    loading,
+    setError,
+    submitCredentials,
+    submitChallenge,
+    cancel
+  };
+};
+
+export default useSignInFlow;
@@ -0,0 +1,212 @@
+/**
+ * @fileoverview Custom hook for the scheduled social stats refresh. Loads when stats count as
+ * stale, and while the lead grid is open syncs stale leads in throttled batches: shortly after
+ * the grid opens and then every hour, or whenever an admin starts a run by hand. Every run
+ * holds a server-side lease, so admins with the grid open in several tabs or browsers never
+ * sync in parallel, and a scheduled run is skipped when another session ran within the hour.
+ */
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import axios from '../utils/axiosConfig';
+import { API_ENDPOINTS } from '../config/api';
+import {
+  DEFAULT_STATS_REFRESH_SETTINGS,
+  findStaleLeads,
+  refreshStatsInBatches
+} from '../components/Lead/statsRefresh';
+
+/** @type {number} Delay before the first scheduled check, so the grid can load its leads */
+const FIRST_CHECK_DELAY_MS = 30 * 1000;
+
+/** @type {number} Time between scheduled checks for stale leads */
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+/** @type {number} Lease time on top of the batch pause, covering a batch that waits out rate limits */
+const LEASE_MARGIN_SECONDS = 120;
+
+/**
+ * @typedef {Object} StatsRefreshRun
+ * @property {boolean} running - Whether a run is in progress
+ * @property {number} total - Leads in the run
+ * @property {number} done - Leads synced or failed so far
+ * @property {Array<{lead: Object, error: string}>} failed - Leads that could not be synced
+ * @property {string|null} finishedAt - ISO timestamp the last run ended
+ * @property {boolean} cancelled - Whether the last run was stopped
+ * @property {boolean} blocked - Whether the last start was refused because another session holds the lease
+ */
+
+const IDLE_RUN = {
+  running: false,
+  total: 0,
+  done: 0,
+  failed: [],
+  finishedAt: null,
+  cancelled: false,
+  blocked: false
+};
+
+/**
+ * Takes or renews the refresh lease
+ * @async
+ * @param {string} holderId - This session's lease holder id
+ * @param {number} ttlSeconds - How long the lease lasts without a renewal
+ * @returns {Promise<boolean>} Whether this session holds the lease
+ */
+const takeLease = async (holderId, ttlSeconds) => {
+  try {
+    await axios.post(API_ENDPOINTS.LEADS.STATS_REFRESH_LEASE, { holder_id: holderId, ttl_seconds: ttlSeconds });
+    return true;
+  } catch (err) {
+    if (err.response?.status !== 409) console.error('Error taking stats refresh lease:', err);
+    return false;
+  }
+};
+
+/**
+ * Whether a scheduled run is due: no other session holds the lease or ran within the hour
+ * @async
+ * @returns {Promise<boolean>} Whether to run
+ */
+const isScheduledRunDue = async () => {
+  try {
+    const { data: lease } = await axios.get(API_ENDPOINTS.LEADS.STATS_REFRESH_LEASE);
+    if (lease.holder_id && Date.parse(lease.expires_at) > Date.now()) return false;
+    return !lease.last_finished_at || Date.now() - Date.parse(lease.last_finished_at) >= CHECK_INTERVAL_MS;
+  } catch (err) {
+    console.error('Error checking stats refresh lease:', err);
+    return false;
+  }
+};
+
+/**
+ * Hook that keeps lead stats fresh
+ *
+ * @param {Object} options - Hook options
+ * @param {Array<Object>} options.leads - Leads in the grid
+ * @param {boolean} options.enabled - Whether this user runs refreshes; everyone gets the settings
+ * @param {Function} [options.onLeadsSynced] - Called with the leads synced by each batch
+ * @returns {Object} Settings, run state and actions
+ * @example
+ * const statsRefresh = useStatsRefresh({ leads: rowData, enabled: can('MANAGE_STATS_REFRESH') });
+ * statsRefresh.start();
+ */
+const useStatsRefresh = ({ leads, enabled, onLeadsSynced }) => {
+  const [settings, setSettings] = useState(DEFAULT_STATS_REFRESH_SETTINGS);
+  const [settingsLoaded, setSettingsLoaded] = useState(false);
+  const [run, setRun] = useState(IDLE_RUN);
+  const controllerRef = useRef(null);
+  const mountedRef = useRef(true);
+  const holderIdRef = useRef(`stats_${Date.now()}_${Math.random().toString(36).substring(7)}`);
+  const leadsRef = useRef(leads);
+  const onLeadsSyncedRef = useRef(onLeadsSynced);
+
+  leadsRef.current = leads;
+  onLeadsSyncedRef.current = onLeadsSynced;
+
+  useEffect(() => {
+    axios.get(API_ENDPOINTS.LEADS.STATS_REFRESH_SETTINGS)
+      .then(response => {
+        setSettings(response.data);
+        setSettingsLoaded(true);
+      })
+      .catch(err => console.error('Error loading stats refresh settings:', err));
+  }, []);
+
+  // Stop syncing when the grid closes; the run then ends without touching state
+  useEffect(() => {
+    mountedRef.current = true;
+    return () => {
+      mountedRef.current = false;
+      controllerRef.current?.abort();
+    };
+  }, []);
+
+  /**
+   * Syncs leads in batches while holding the refresh lease; does nothing while a run is in
+   * progress in this session
+   * @async
+   * @param {Array<Object>} [targets] - Leads to sync, the stale leads by default
+   * @returns {Promise<void>}
+   */
+  const start = useCallback(async (targets) => {
+    if (controllerRef.current) return;
+    const queue = targets || findStaleLeads(leadsRef.current, settings.stale_after_days);
+    if (!queue.length) return;
+
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    const holderId = holderIdRef.current;
+    const leaseSeconds = settings.batch_interval_seconds + LEASE_MARGIN_SECONDS;
+
+    if (!(await takeLease(holderId, leaseSeconds))) {
+      controllerRef.current = null;
+      if (mountedRef.current) setRun(prev => ({ ...prev, blocked: true }));
+      return;
+    }
+
+    let reported = 0;
+    if (mountedRef.current) setRun({ ...IDLE_RUN, running: true, total: queue.length });
+
+    const result = await refreshStatsInBatches(queue, {
+      batchSize: settings.batch_size,
+      intervalSeconds: settings.batch_interval_seconds,
+      signal: controller.signal,
+      onBatchStart: () => takeLease(holderId, leaseSeconds),
+      onProgress: (progress) => {
+        if (!mountedRef.current) return;
+        const synced = progress.succeeded.slice(reported);
+        reported = progress.succeeded.length;
+        if (synced.length) onLeadsSyncedRef.current?.(synced);
+        setRun(prev => ({ ...prev, done: progress.done, failed: progress.failed }));
+      }
+    });
+
+    axios.delete(API_ENDPOINTS.LEADS.STATS_REFRESH_LEASE, { params: { holder_id: holderId } })
+      .catch(err => console.error('Error releasing stats refresh lease:', err));
+    controllerRef.current = null;
+    if (!mountedRef.current) return;
+    setRun(prev => ({
+      ...prev,
+      running: false,
+      failed: result.failed,
+      finishedAt: new Date().toISOString(),
+      cancelled: result.cancelled
+    }));
+  }, [settings]);
+
+  /**
+   * Stops the run after the current batch
+   */
+  const stop = useCallback(() => {
+    controllerRef.current?.abort();
+  }, []);
+
+  // Scheduled refresh while the grid is open
+  useEffect(() => {
+    if (!enabled || !settingsLoaded || !settings.auto_refresh) return undefined;
+    const check = async () => {
+      if (await isScheduledRunDue()) start();
+    };
+    const firstCheck = setTimeout(check, FIRST_CHECK_DELAY_MS);
+    const interval = setInterval(check, CHECK_INTERVAL_MS);
+    return () => {
+      clearTimeout(firstCheck);
+      clearInterval(interval);
+    };
+  }, [enabled, settingsLoaded, settings.auto_refresh, start]);
+
+  /**
+   * Saves changed refresh settings
+   * @async
+   * @param {Object} changes - Settings to change
+   * @returns {Promise<void>}
+   */
+  const updateSettings = useCallback(async (changes) => {
+    const response = await axios.put(API_ENDPOINTS.LEADS.STATS_REFRESH_SETTINGS, changes);
+    setSettings(response.data);
+  }, []);
+
+  return { settings, run, start, stop, updateSettings };
+};
+
+export default useStatsRefresh;
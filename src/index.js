@@ -1,14 +1,25 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
-import App from './App';
+import { loadRuntimeConfig } from './config/runtimeConfig';
 import reportWebVitals from './reportWebVitals';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
-root.render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>
-);
+
+// The app reads its endpoints and Cognito settings when its modules load,
+// so it is imported only after the deployment's config.json has been applied
+loadRuntimeConfig()
+  .then(() => import('./App'))
+  .then(({ default: App }) => {
+    root.render(
+      <React.StrictMode>
+        <App />
+      </React.StrictMode>
+    );
+  })
+  .catch((error) => {
+    console.error('Failed to start the app:', error);
+    root.render(<p className="startup-error">{error.message}</p>);
+  });
 
 reportWebVitals();
@@ -3,7 +3,7 @@
  * Provides functionality for retrieving and formatting client information.
  */
 
-import axios from 'axios';
+import axios from '../utils/axiosConfig';
 import { API_ENDPOINTS } from '../config/api';
 
 /**
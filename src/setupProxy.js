@@ -0,0 +1,16 @@
+/**
+ * @fileoverview Development proxy for relative API paths.
+ * Picked up automatically by react-scripts. The shared API client already sends relative
+ * endpoints to the runtime config's API host; this covers `/api` requests made outside it,
+ * e.g. plain links. When REACT_APP_API_BASE_URL is set (e.g. by `npm run start:mock`),
+ * they are forwarded there. Without it, the `proxy` field in package.json applies as before.
+ */
+
+const { createProxyMiddleware } = require('http-proxy-middleware');
+
+module.exports = (app) => {
+  const target = process.env.REACT_APP_API_BASE_URL;
+  if (!target) return;
+
+  app.use('/api', createProxyMiddleware({ target, changeOrigin: true }));
+};
@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Broadcasts sign-in and sign-out between open tabs of the app.
+ * Uses BroadcastChannel where available and falls back to localStorage storage events.
+ * Neither mechanism delivers a message back to the tab that sent it.
+ */
+
+import { SESSION_CONFIG } from '../config/session';
+
+/**
+ * Auth events shared between tabs
+ * @enum {string}
+ */
+export const AUTH_EVENTS = {
+  SIGN_IN: 'signIn',
+  SIGN_OUT: 'signOut'
+};
+
+/**
+ * @typedef {Object} AuthBroadcastMessage
+ * @property {string} type - One of AUTH_EVENTS
+ * @property {string} [reason] - Why the event happened, e.g. 'idle'
+ * @property {number} at - Time the event was sent
+ */
+
+const hasBroadcastChannel = typeof window !== 'undefined' && 'BroadcastChannel' in window;
+
+/** @type {BroadcastChannel|null} Channel shared by the publisher and subscribers of this tab */
+let channel = null;
+
+/**
+ * Returns this tab's BroadcastChannel, creating it on first use
+ *
+ * @function getChannel
+ * @returns {BroadcastChannel|null} The channel, or null when unsupported
+ */
+const getChannel = () => {
+  if (!hasBroadcastChannel) return null;
+  if (!channel) {
+    channel = new BroadcastChannel(SESSION_CONFIG.channelName);
+  }
+  return channel;
+};
+
+/**
+ * Tells every other open tab about an auth event
+ *
+ * @function publishAuthEvent
+ * @param {string} type - One of AUTH_EVENTS
+ * @param {string} [reason] - Why the event happened
+ */
+export const publishAuthEvent = (type, reason) => {
+  const message = { type, reason, at: Date.now() };
+  const broadcast = getChannel();
+
+  if (broadcast) {
+    broadcast.postMessage(message);
+    return;
+  }
+
+  try {
+    localStorage.setItem(SESSION_CONFIG.eventStorageKey, JSON.stringify(message));
+  } catch (error) {
+    console.error('Failed to broadcast auth event:', error);
+  }
+};
+
+/**
+ * Listens for auth events sent by other tabs
+ *
+ * @function subscribeAuthEvents
+ * @param {function(AuthBroadcastMessage): void} handler - Called for each event
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeAuthEvents = (handler) => {
+  const broadcast = getChannel();
+
+  if (broadcast) {
+    const onMessage = (event) => handler(event.data);
+    broadcast.addEventListener('message', onMessage);
+    return () => broadcast.removeEventListener('message', onMessage);
+  }
+
+  const onStorage = (event) => {
+    if (event.key !== SESSION_CONFIG.eventStorageKey || !event.newValue) return;
+    try {
+      handler(JSON.parse(event.newValue));
+    } catch (error) {
+      console.error('Ignoring malformed auth event:', error);
+    }
+  };
+  window.addEventListener('storage', onStorage);
+  return () => window.removeEventListener('storage', onStorage);
+};
@@ -1,46 +1,168 @@
 /**
- * @fileoverview Axios configuration with request and response interceptors.
- * Sets up a custom axios instance with authentication and error handling.
+ * @fileoverview Shared API client for the Snapped application.
+ * Every request made by the app goes through this axios instance, which attaches the
+ * Amplify id token, refreshes expired sessions, retries once on 401 and normalizes errors.
  */
 
 import axios from 'axios';
+import { fetchAuthSession } from 'aws-amplify/auth';
+import { buildLoginRedirect, LOGIN_PATHS } from './loginRoutes';
+import { getRuntimeConfig } from '../config/runtimeConfig';
 
 /**
- * Custom axios instance with interceptors for authentication and error handling
+ * Error thrown by the API client for any failed request.
+ * Keeps the axios `response` and `config` so existing `error.response?.data` checks still work.
+ *
+ * @class
+ * @extends Error
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} message - Human readable error message
+   * @param {Object} details - Error details
+   * @param {number|null} details.status - HTTP status code, or null for network errors
+   * @param {*} details.data - Response body returned by the server
+   * @param {Object} [details.response] - Original axios response
+   * @param {Object} [details.config] - Original axios request config
+   * @param {Error} [details.cause] - Underlying error
+   */
+  constructor(message, { status = null, data = null, response, config, cause } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.data = data;
+    this.response = response;
+    this.config = config;
+    this.cause = cause;
+    this.isNetworkError = !response && !axios.isCancel(cause);
+    this.isCancelled = axios.isCancel(cause);
+  }
+}
+
+/**
+ * Extracts the most useful message from a failed request
+ *
+ * @function getErrorMessage
+ * @param {Error} error - Axios error
+ * @returns {string} Error message
+ */
+const getErrorMessage = (error) => {
+  const data = error.response?.data;
+  if (typeof data === 'string' && data) {
+    return data;
+  }
+  if (data?.detail) {
+    return typeof data.detail === 'string' ? data.detail : JSON.stringify(data.detail);
+  }
+  if (data?.message) {
+    return data.message;
+  }
+  if (data?.error) {
+    return data.error;
+  }
+  if (!error.response) {
+    return 'Network error: unable to reach the server';
+  }
+  return error.message || `Request failed with status ${error.response.status}`;
+};
+
+/**
+ * Converts any request failure into an ApiError
+ *
+ * @function normalizeError
+ * @param {Error} error - Error raised by axios or an interceptor
+ * @returns {ApiError} Normalized error
+ */
+export const normalizeError = (error) => {
+  if (error instanceof ApiError) {
+    return error;
+  }
+  return new ApiError(getErrorMessage(error), {
+    status: error.response?.status ?? null,
+    data: error.response?.data ?? null,
+    response: error.response,
+    config: error.config,
+    cause: error
+  });
+};
+
+/**
+ * Gets the current id token, refreshing the session if it has expired
+ *
+ * @async
+ * @function getIdToken
+ * @param {boolean} [forceRefresh=false] - Force a token refresh even if the token is still valid
+ * @returns {Promise<string|null>} The id token, or null when nobody is signed in
+ */
+export const getIdToken = async (forceRefresh = false) => {
+  try {
+    const { tokens } = await fetchAuthSession({ forceRefresh });
+    return tokens?.idToken?.toString() || null;
+  } catch (error) {
+    console.error('Error getting auth token:', error);
+    return null;
+  }
+};
+
+/**
+ * Sends the browser to the login page for the current area of the app
+ *
+ * @function redirectToLogin
+ */
+const redirectToLogin = () => {
+  const { pathname } = window.location;
+  if (LOGIN_PATHS.includes(pathname)) {
+    return;
+  }
+  window.location.href = buildLoginRedirect(pathname);
+};
+
+/**
+ * Shared axios instance with interceptors for authentication and error handling.
+ * Relative endpoints such as `/api/tasks` resolve against the deployment's API host;
+ * absolute endpoints are sent as they are.
  * @type {import('axios').AxiosInstance}
  */
-const axiosInstance = axios.create();
+const axiosInstance = axios.create({ baseURL: getRuntimeConfig().apiBaseUrl });
 
 /**
- * Request interceptor that adds authentication token to requests
- * Retrieves token from localStorage and adds it to the Authorization header
+ * Request interceptor that adds the Amplify id token to the Authorization header.
+ * Requests made while signed out are sent without a token.
  */
-axiosInstance.interceptors.request.use(
-  (config) => {
-    const token = localStorage.getItem('token');
-    if (token) {
-      config.headers.Authorization = `Bearer ${token}`;
-    }
-    return config;
-  },
-  (error) => {
-    return Promise.reject(error);
+axiosInstance.interceptors.request.use(async (config) => {
+  const token = await getIdToken();
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+    config._authenticated = true;
   }
-);
+  return config;
+});
 
 /**
- * Response interceptor that handles authentication errors
- * Redirects to login page on 401 unauthorized responses
+ * Response interceptor that retries once with a refreshed session on 401,
+ * redirects to the right login page if the session cannot be recovered,
+ * and normalizes every failure into an ApiError
  */
 axiosInstance.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      localStorage.removeItem('token');
-      window.location.href = '/login';
+  async (error) => {
+    const config = error.config;
+
+    if (error.response?.status === 401 && config?._authenticated && !config._retried) {
+      config._retried = true;
+      const token = await getIdToken(true);
+      if (token) {
+        config.headers.Authorization = `Bearer ${token}`;
+        return axiosInstance(config);
+      }
     }
-    return Promise.reject(error);
+
+    if (error.response?.status === 401 && config?._authenticated) {
+      redirectToLogin();
+    }
+
+    return Promise.reject(normalizeError(error));
   }
 );
 
-export default axiosInstance; 
\ No newline at end of file
+export default axiosInstance;
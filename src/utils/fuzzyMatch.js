@@ -0,0 +1,58 @@
+/**
+ * @fileoverview Lightweight fuzzy matching used by search inputs.
+ * Scores a query against text by matching its characters in order, favouring
+ * contiguous runs and matches at the start of words.
+ */
+
+/**
+ * Scores how well a query matches a piece of text
+ *
+ * @function fuzzyScore
+ * @param {string} query - Search query
+ * @param {string} text - Text to match against
+ * @returns {number|null} Higher is better, or null when the query does not match
+ */
+export const fuzzyScore = (query, text) => {
+  const needle = (query || '').trim().toLowerCase();
+  const haystack = (text || '').toLowerCase();
+  if (!needle) return 0;
+  if (!haystack) return null;
+
+  const substringIndex = haystack.indexOf(needle);
+  if (substringIndex !== -1) {
+    const atWordStart = substringIndex === 0 || /[\s_\-./(]/.test(haystack[substringIndex - 1]);
+    return 1000 - substringIndex + (atWordStart ? 500 : 0);
+  }
+
+  let score = 0;
+  let run = 0;
+  let position = 0;
+  for (const char of needle) {
+    if (char === ' ') continue;
+    const index = haystack.indexOf(char, position);
+    if (index === -1) return null;
+    run = index === position ? run + 1 : 1;
+    const atWordStart = index === 0 || /[\s_\-./(]/.test(haystack[index - 1]);
+    score += run * 2 + (atWordStart ? 5 : 0) - Math.min(index - position, 10);
+    position = index + 1;
+  }
+  return score;
+};
+
+/**
+ * Filters and ranks items by fuzzy matching a query against their text
+ *
+ * @function fuzzySearch
+ * @param {Array<Object>} items - Items to search
+ * @param {string} query - Search query
+ * @param {Function} getText - Returns the searchable text for an item
+ * @param {number} [limit=Infinity] - Maximum number of results
+ * @returns {Array<Object>} Matching items, best match first
+ */
+export const fuzzySearch = (items, query, getText, limit = Infinity) =>
+  items
+    .map(item => ({ item, score: fuzzyScore(query, getText(item)) }))
+    .filter(result => result.score !== null)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(result => result.item);
@@ -0,0 +1,56 @@
+/**
+ * @fileoverview Maps application areas to the login page that serves them.
+ * Used to send a signed-out user back to the right login screen for the page they were on.
+ */
+
+/**
+ * @typedef {Object} LoginRoute
+ * @property {string} prefix - Path prefix of the protected area
+ * @property {string} login - Login route for that area
+ */
+
+/**
+ * Protected areas with a dedicated login page, checked in order
+ * @type {Array<LoginRoute>}
+ */
+const LOGIN_ROUTES = [
+  { prefix: '/cdn-manager', login: '/cdn-login' },
+  { prefix: '/timesheet', login: '/timesheet-login' },
+  { prefix: '/survey', login: '/survey-login' }
+];
+
+/** @type {string} Login route used for every other protected page */
+export const DEFAULT_LOGIN_ROUTE = '/login';
+
+/**
+ * Paths of all login pages, used to avoid redirecting a login page to itself
+ * @type {Array<string>}
+ */
+export const LOGIN_PATHS = [DEFAULT_LOGIN_ROUTE, ...LOGIN_ROUTES.map(route => route.login)];
+
+/**
+ * Resolves the login route for a given application path
+ *
+ * @function getLoginRoute
+ * @param {string} pathname - Current location pathname
+ * @returns {string} The login route that serves the path
+ */
+export const getLoginRoute = (pathname = '') => {
+  const match = LOGIN_ROUTES.find(route => pathname.startsWith(route.prefix));
+  return match ? match.login : DEFAULT_LOGIN_ROUTE;
+};
+
+/**
+ * Builds the full login URL for a path, including the redirect back to it
+ *
+ * @function buildLoginRedirect
+ * @param {string} pathname - Path the user should return to after signing in
+ * @returns {string} Login URL with a redirect query parameter
+ */
+export const buildLoginRedirect = (pathname = '') => {
+  const loginRoute = getLoginRoute(pathname);
+  if (!pathname || LOGIN_PATHS.includes(pathname)) {
+    return loginRoute;
+  }
+  return `${loginRoute}?redirect=${encodeURIComponent(pathname)}`;
+};
@@ -0,0 +1,31 @@
+/**
+ * @fileoverview Password rules matching the Cognito user pool policy.
+ * Shared by sign-up, password reset and new-password-required forms.
+ */
+
+/**
+ * Describes what a password is missing, or that it does not match its confirmation
+ *
+ * @function getPasswordError
+ * @param {string} password - Password to check
+ * @param {string} [confirm] - Confirmation entry; only compared when provided
+ * @returns {string} Error message, or an empty string when the password is acceptable
+ */
+export const getPasswordError = (password, confirm) => {
+  if (!password) return '';
+
+  const requirements = [];
+  if (!/\d/.test(password)) requirements.push('number');
+  if (!/[!@#$%^&*()_+\-=[\]{}|;:,.<>?]/.test(password)) requirements.push('special character');
+  if (!/[A-Z]/.test(password)) requirements.push('uppercase letter');
+  if (!/[a-z]/.test(password)) requirements.push('lowercase letter');
+  if (password.length < 8) requirements.push('minimum 8 characters');
+
+  if (requirements.length > 0) {
+    return `Password needs: ${requirements.join(', ')}`;
+  }
+  if (confirm && password !== confirm) {
+    return "Passwords don't match";
+  }
+  return '';
+};
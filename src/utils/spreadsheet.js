@@ -0,0 +1,429 @@
+/**
+ * @fileoverview Reads and writes CSV and XLSX files in the browser.
+ * CSV follows RFC 4180 (quoted fields, doubled quotes, embedded newlines) and detects comma,
+ * semicolon or tab delimiters. XLSX files are unzipped with the native DecompressionStream
+ * and the first worksheet is read with DOMParser, so no spreadsheet library is needed.
+ * Written workbooks hold a single sheet in an uncompressed zip.
+ */
+
+/**
+ * @typedef {Object} Spreadsheet
+ * @property {Array<string>} headers - Column headers from the first row
+ * @property {Array<Object<string, string>>} rows - Data rows keyed by header
+ */
+
+/**
+ * Error thrown when a file cannot be read as a spreadsheet
+ */
+export class SpreadsheetError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SpreadsheetError';
+  }
+}
+
+/**
+ * Picks the delimiter that splits the header line into the most columns
+ * @param {string} text - CSV text
+ * @returns {string} Delimiter
+ */
+const detectDelimiter = (text) => {
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  return [',', ';', '\t'].reduce((best, delimiter) =>
+    firstLine.split(delimiter).length > firstLine.split(best).length ? delimiter : best
+  , ',');
+};
+
+/**
+ * Parses CSV text into rows of cells
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows of cell values
+ */
+export const parseCsv = (text) => {
+  const input = text.replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(input);
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+};
+
+/**
+ * Reads the entries of a zip archive
+ * @async
+ * @param {ArrayBuffer} buffer - Zip file contents
+ * @returns {Promise<Map<string, Function>>} Entry name to a function that resolves its text
+ */
+const readZip = async (buffer) => {
+  const view = new DataView(buffer);
+  let end = buffer.byteLength - 22;
+  while (end >= 0 && view.getUint32(end, true) !== 0x06054b50) end -= 1;
+  if (end < 0) throw new SpreadsheetError('The file is not a valid XLSX workbook.');
+
+  const entries = new Map();
+  const count = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  const decoder = new TextDecoder();
+
+  for (let i = 0; i < count; i += 1) {
+    const method = view.getUint16(offset + 10, true);
+    const size = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+
+    entries.set(name, async () => {
+      const dataStart = localOffset + 30 +
+        view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+      const data = new Uint8Array(buffer, dataStart, size);
+      if (method === 0) return decoder.decode(data);
+      if (method !== 8) throw new SpreadsheetError(`Unsupported compression in ${name}.`);
+      const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+      return new Response(stream).text();
+    });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+};
+
+/**
+ * Converts a cell reference such as "AB12" to a zero-based column index
+ * @param {string} ref - Cell reference
+ * @returns {number} Column index
+ */
+const columnIndex = (ref) =>
+  ref.replace(/\d+$/, '').split('').reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+
+/**
+ * Text content of every `t` element below a node, joined
+ * @param {Element} node - Parent node
+ * @returns {string} Text
+ */
+const textOf = (node) => [...node.getElementsByTagName('t')].map(item => item.textContent).join('');
+
+/**
+ * Parses the first worksheet of an XLSX workbook into rows of cells
+ * @async
+ * @param {ArrayBuffer} buffer - XLSX file contents
+ * @returns {Promise<Array<Array<string>>>} Rows of cell values
+ */
+export const parseXlsx = async (buffer) => {
+  const entries = await readZip(buffer);
+  const parser = new DOMParser();
+  const readXml = async (name) => (entries.has(name) ? parser.parseFromString(await entries.get(name)(), 'application/xml') : null);
+
+  // Resolve the first sheet listed in the workbook, falling back to the conventional path
+  let sheetPath = 'xl/worksheets/sheet1.xml';
+  const workbook = await readXml('xl/workbook.xml');
+  const rels = await readXml('xl/_rels/workbook.xml.rels');
+  const firstSheet = workbook?.getElementsByTagName('sheet')[0];
+  if (firstSheet && rels) {
+    const relId = firstSheet.getAttribute('r:id');
+    const rel = [...rels.getElementsByTagName('Relationship')].find(item => item.getAttribute('Id') === relId);
+    const target = rel?.getAttribute('Target');
+    if (target) sheetPath = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+  }
+
+  const sheet = await readXml(sheetPath);
+  if (!sheet) throw new SpreadsheetError('The workbook has no worksheet.');
+
+  const sharedStringsXml = await readXml('xl/sharedStrings.xml');
+  const sharedStrings = sharedStringsXml ? [...sharedStringsXml.getElementsByTagName('si')].map(textOf) : [];
+
+  return [...sheet.getElementsByTagName('row')].map(rowNode => {
+    const row = [];
+    [...rowNode.getElementsByTagName('c')].forEach((cellNode, position) => {
+      const ref = cellNode.getAttribute('r');
+      const index = ref ? columnIndex(ref) : position;
+      const type = cellNode.getAttribute('t');
+      const value = cellNode.getElementsByTagName('v')[0]?.textContent ?? '';
+      if (type === 's') row[index] = sharedStrings[Number(value)] ?? '';
+      else if (type === 'inlineStr') row[index] = textOf(cellNode);
+      else if (type === 'b') row[index] = value === '1' ? 'TRUE' : 'FALSE';
+      else row[index] = value;
+    });
+    return Array.from(row, cell => cell ?? '');
+  });
+};
+
+/**
+ * Reads a CSV or XLSX file into headers and row objects. Blank rows are dropped.
+ * @async
+ * @param {File} file - File chosen by the user
+ * @returns {Promise<Spreadsheet>} Parsed spreadsheet
+ */
+export const readSpreadsheet = async (file) => {
+  const name = file.name.toLowerCase();
+  let cells;
+  if (name.endsWith('.xlsx')) {
+    cells = await parseXlsx(await file.arrayBuffer());
+  } else if (name.endsWith('.csv') || name.endsWith('.tsv') || name.endsWith('.txt')) {
+    cells = parseCsv(await file.text());
+  } else {
+    throw new SpreadsheetError('Choose a .csv or .xlsx file.');
+  }
+
+  const [headerRow = [], ...dataRows] = cells;
+  const headers = headerRow.map((header, index) => String(header).trim() || `Column ${index + 1}`);
+  if (!headers.length) throw new SpreadsheetError('The file is empty.');
+
+  const rows = dataRows
+    .filter(row => row.some(cell => String(cell).trim() !== ''))
+    .map(row => Object.fromEntries(headers.map((header, index) => [header, String(row[index] ?? '').trim()])));
+  return { headers, rows };
+};
+
+/** @type {string} MIME type of XLSX workbooks */
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+/**
+ * Escapes one CSV cell. Text that a spreadsheet would run as a formula is prefixed with a quote.
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+const escapeCsvCell = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Writes rows of cells as CSV text with a byte order mark, so Excel detects UTF-8
+ * @param {Array<Array<*>>} rows - Rows of cell values, the header row first
+ * @returns {string} CSV text
+ */
+export const toCsv = (rows) => `\uFEFF${rows.map(row => row.map(escapeCsvCell).join(',')).join('\r\n')}\r\n`;
+
+/** @type {Set<number>} Control characters XML can hold: tab, line feed and carriage return */
+const XML_ALLOWED_CONTROL_CODES = new Set([0x09, 0x0a, 0x0d]);
+
+/**
+ * Whether a character is a control character XML cannot hold
+ * @param {string} char - Single character
+ * @returns {boolean} True for U+0000 to U+001F other than tab, line feed and carriage return
+ */
+const isXmlInvalidChar = (char) => {
+  const code = char.charCodeAt(0);
+  return code < 0x20 && !XML_ALLOWED_CONTROL_CODES.has(code);
+};
+
+/**
+ * Escapes text for XML, dropping control characters XML cannot hold
+ * @param {*} value - Text
+ * @returns {string} Escaped text
+ */
+const escapeXml = (value) =>
+  Array.from(String(value))
+    .filter(char => !isXmlInvalidChar(char))
+    .join('')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Converts a zero-based column index to its letters, e.g. 27 to "AB"
+ * @param {number} index - Column index
+ * @returns {string} Column letters
+ */
+const columnLetters = (index) => {
+  let letters = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+};
+
+let crcTable = null;
+
+/**
+ * CRC-32 checksum of a zip entry
+ * @param {Uint8Array} data - Entry contents
+ * @returns {number} Checksum
+ */
+const crc32 = (data) => {
+  if (!crcTable) {
+    crcTable = Array.from({ length: 256 }, (_, n) => {
+      let c = n;
+      for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      return c >>> 0;
+    });
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i += 1) crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Packs files into an uncompressed zip archive
+ * @param {Array<{name: string, text: string}>} files - Entry names and contents
+ * @returns {Array<Uint8Array>} Zip file parts, in order
+ */
+const writeZip = (files) => {
+  const encoder = new TextEncoder();
+  const parts = [];
+  const directory = [];
+  let offset = 0;
+
+  files.forEach(({ name, text }) => {
+    const nameBytes = encoder.encode(name);
+    const data = encoder.encode(text);
+    const crc = crc32(data);
+
+    // Local file header: UTF-8 names, stored, dated 1980-01-01
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true);
+    local.setUint16(12, 0x0021, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(14, 0x0021, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, offset, true);
+
+    parts.push(new Uint8Array(local.buffer), nameBytes, data);
+    directory.push(new Uint8Array(central.buffer), nameBytes);
+    offset += 30 + nameBytes.length + data.length;
+  });
+
+  const directorySize = directory.reduce((size, part) => size + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, directorySize, true);
+  end.setUint32(16, offset, true);
+
+  return [...parts, ...directory, new Uint8Array(end.buffer)];
+};
+
+/**
+ * Writes rows of cells as a single-sheet XLSX workbook. Numbers are stored as numeric cells,
+ * everything else as text, and the header row is frozen.
+ * @param {Array<Array<*>>} rows - Rows of cell values, the header row first
+ * @param {string} [sheetName='Sheet1'] - Worksheet name
+ * @returns {Blob} XLSX file
+ */
+export const toXlsx = (rows, sheetName = 'Sheet1') => {
+  const sheetRows = rows.map((row, rowIndex) => {
+    const cells = row.map((value, columnIndex) => {
+      const ref = `${columnLetters(columnIndex)}${rowIndex + 1}`;
+      if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+      if (value === null || value === undefined || value === '') return '';
+      return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+    });
+    return `<row r="${rowIndex + 1}">${cells.join('')}</row>`;
+  });
+
+  const files = [
+    {
+      name: '[Content_Types].xml',
+      text: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      text: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        '</Relationships>'
+    },
+    {
+      name: 'xl/workbook.xml',
+      text: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+        'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        // Sheet names are limited to 31 characters and may not contain []:*?/\
+        `<sheets><sheet name="${escapeXml(sheetName.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>` +
+        '</workbook>'
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      text: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+        '</Relationships>'
+    },
+    {
+      name: 'xl/worksheets/sheet1.xml',
+      text: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        '<sheetViews><sheetView workbookViewId="0">' +
+        '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>' +
+        '</sheetView></sheetViews>' +
+        `<sheetData>${sheetRows.join('')}</sheetData>` +
+        '</worksheet>'
+    }
+  ];
+
+  return new Blob(writeZip(files), { type: XLSX_MIME_TYPE });
+};
+
+/**
+ * Saves a file through a temporary download link
+ * @param {Blob} blob - File contents
+ * @param {string} fileName - Suggested file name
+ */
+export const downloadFile = (blob, fileName) => {
+  const url = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.URL.revokeObjectURL(url);
+};
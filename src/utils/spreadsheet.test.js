@@ -0,0 +1,70 @@
+import { TextDecoder, TextEncoder } from 'util';
+import { parseCsv, parseXlsx, toCsv, toXlsx } from './spreadsheet';
+
+// jsdom has no text codecs; the browsers the app runs in do
+Object.assign(global, { TextDecoder, TextEncoder });
+
+/**
+ * Reads a Blob with FileReader, which jsdom implements
+ * @param {Blob} blob - Blob to read
+ * @returns {Promise<ArrayBuffer>} Contents
+ */
+const readBlob = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsArrayBuffer(blob);
+});
+
+describe('parseCsv', () => {
+  it('reads quoted fields with delimiters, doubled quotes and newlines', () => {
+    expect(parseCsv('name,notes\r\n"Doe, Jane","said ""hi""\nthen left"\r\n')).toEqual([
+      ['name', 'notes'],
+      ['Doe, Jane', 'said "hi"\nthen left']
+    ]);
+  });
+
+  it('detects semicolon and tab delimiters from the header line', () => {
+    expect(parseCsv('a;b\n1;2,5')).toEqual([['a', 'b'], ['1', '2,5']]);
+    expect(parseCsv('a\tb\n1\t2')).toEqual([['a', 'b'], ['1', '2']]);
+  });
+
+  it('drops a byte order mark and keeps a last line without a newline', () => {
+    expect(parseCsv('\uFEFFa,b\n1,')).toEqual([['a', 'b'], ['1', '']]);
+  });
+});
+
+describe('toCsv', () => {
+  it('writes a byte order mark and quotes cells that need it', () => {
+    expect(toCsv([['name', 'notes'], ['Doe, Jane', 'said "hi"'], [null, 42]]))
+      .toBe('\uFEFFname,notes\r\n"Doe, Jane","said ""hi"""\r\n,42\r\n');
+  });
+
+  it('prefixes text a spreadsheet would run as a formula', () => {
+    expect(toCsv([['=SUM(A1:A2)', '-5', -5]])).toBe("\uFEFF'=SUM(A1:A2),'-5,-5\r\n");
+  });
+
+  it('reads back what it writes', () => {
+    const rows = [['name', 'notes'], ['Doe, Jane', 'line one\nline two']];
+
+    expect(parseCsv(toCsv(rows))).toEqual(rows);
+  });
+});
+
+describe('toXlsx', () => {
+  it('writes a workbook parseXlsx reads back', async () => {
+    const blob = toXlsx([['name', 'followers'], ['Ava & Co <3', 1200], ['', null]], 'Leads');
+
+    expect(await parseXlsx(await readBlob(blob))).toEqual([
+      ['name', 'followers'],
+      ['Ava & Co <3', '1200'],
+      []
+    ]);
+  });
+
+  it('drops control characters XML cannot hold and keeps tabs and newlines', async () => {
+    const blob = toXlsx([['bell\u0007 and\u0000 nul', 'tab\tand\nnewline']]);
+
+    expect(await parseXlsx(await readBlob(blob))).toEqual([['bell and nul', 'tab\tand\nnewline']]);
+  });
+});